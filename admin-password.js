@@ -0,0 +1,61 @@
+// admin-password.js - Hashing รหัสผ่านแอดมินด้วย scrypt
+
+const crypto = require('crypto');
+
+// รูปแบบที่เก็บในฐานข้อมูล: scrypt$<N>$<r>$<p>$<salt hex>$<hash hex>
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+function scryptAsync(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_LENGTH, params, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(derivedKey);
+    });
+  });
+}
+
+function isPasswordHash(value) {
+  return typeof value === 'string' && value.startsWith(`${HASH_PREFIX}$`) && value.split('$').length === 6;
+}
+
+async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password must be a non-empty string');
+  }
+
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const derivedKey = await scryptAsync(password, salt, { N, r, p });
+
+  return [HASH_PREFIX, N, r, p, salt.toString('hex'), derivedKey.toString('hex')].join('$');
+}
+
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || !isPasswordHash(storedHash)) {
+    return false;
+  }
+
+  const [, N, r, p, saltHex, hashHex] = storedHash.split('$');
+  const expected = Buffer.from(hashHex, 'hex');
+  const derivedKey = await scryptAsync(password, Buffer.from(saltHex, 'hex'), {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  return derivedKey.length === expected.length && crypto.timingSafeEqual(derivedKey, expected);
+}
+
+function generateRandomPassword(length = 16) {
+  return crypto.randomBytes(length).toString('base64').replace(/[^a-zA-Z0-9]/g, '').slice(0, length);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isPasswordHash,
+  generateRandomPassword
+};
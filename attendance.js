@@ -0,0 +1,60 @@
+// attendance.js - สถานะการมาทำงานรายวันของพนักงาน จากตารางเวลา วันหยุด วันลา และบันทึกการลงเวลา
+//
+// สถานะ: present (มาทำงาน), late (มาสาย), absent (ขาดงาน), on_leave (ลา),
+//        holiday (วันหยุดนักขัตฤกษ์), incomplete (ไม่ได้ลงเวลาออก)
+// วันที่ยังไม่จบ (วันนี้) ใช้ scheduled สำหรับผู้ที่ยังไม่ถึงเวลาเข้างาน และไม่นับบันทึกที่ยังเปิดอยู่เป็น incomplete
+// วันหยุดตามกะที่ไม่ได้มาทำงานไม่มีสถานะ (ไม่สร้างบันทึก)
+
+const { calculateWorkedMinutes } = require('./work-time');
+
+const ATTENDANCE_STATUSES = ['present', 'late', 'absent', 'on_leave', 'holiday', 'incomplete'];
+
+// สรุปบันทึกการลงเวลาของวัน (logs เรียงตามเวลาเข้างาน)
+function summarizeDayLogs(logs) {
+  if (logs.length === 0) {
+    return {
+      first_clock_in: null,
+      last_clock_out: null,
+      late_minutes: 0,
+      early_leave_minutes: 0,
+      worked_minutes: 0
+    };
+  }
+
+  const first = logs[0];
+  const last = logs[logs.length - 1];
+
+  return {
+    first_clock_in: first.clock_in,
+    last_clock_out: last.clock_out || null,
+    late_minutes: parseInt(first.late_minutes) || 0,
+    early_leave_minutes: parseInt(last.early_leave_minutes) || 0,
+    worked_minutes: logs
+      .filter(log => log.clock_out)
+      .reduce((total, log) => total + calculateWorkedMinutes(log.clock_in, log.clock_out, log.break_minutes), 0)
+  };
+}
+
+// คืนสถานะของวัน หรือ null เมื่อไม่ต้องมีบันทึก (วันหยุดตามกะที่ไม่ได้มาทำงาน)
+// final = วันนั้นจบแล้ว, started = ถึงเวลาเข้างานของกะแล้ว (ใช้เฉพาะวันที่ยังไม่จบ)
+function determineAttendanceStatus({ schedule, leave = null, logs = [], final = true, started = true }) {
+  if (logs.length > 0) {
+    if (final && logs.some(log => !log.clock_out)) return 'incomplete';
+    return (parseInt(logs[0].late_minutes) || 0) > 0 ? 'late' : 'present';
+  }
+
+  if (schedule.holiday) return 'holiday';
+  if (!schedule.working_day) return null;
+
+  // ลาครึ่งวันแต่ไม่มาทำงานอีกครึ่งวัน นับเป็นขาดงาน
+  if (leave && !leave.half_day) return 'on_leave';
+  if (!final && !started) return 'scheduled';
+
+  return 'absent';
+}
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  summarizeDayLogs,
+  determineAttendanceStatus
+};
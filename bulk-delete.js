@@ -0,0 +1,54 @@
+// bulk-delete.js - รหัสยืนยันสำหรับการลบข้อมูลแบบกลุ่มและการกู้คืนฐานข้อมูล
+//
+// ต้องเรียกแบบตรวจสอบก่อน (dry_run) เพื่อรับรหัสยืนยัน แล้วส่งรหัสนั้นกลับมาตอนทำจริง
+// รหัสคำนวณจากชนิดงาน ผู้ดูแลที่ขอ ตัวเลือก และรายการที่จะเปลี่ยนแปลง ถ้าข้อมูลเปลี่ยนหลังการตรวจสอบ
+// รหัสจะไม่ตรงและต้องตรวจสอบใหม่ รหัสนี้ใช้ยืนยันว่าผู้ใช้เห็นรายการเดียวกับที่จะเปลี่ยนแปลงจริง
+// ไม่ได้ใช้แทนการตรวจสิทธิ์ (สิทธิ์ตรวจจาก session ตามปกติ)
+
+const crypto = require('crypto');
+
+const CONFIRMATION_TOKEN_TTL_MINUTES = 15;
+
+function confirmationDigest(issuedAt, scope) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([issuedAt, scope.operation, scope.adminId, scope.options, scope.ids]))
+    .digest('hex');
+}
+
+// scope: { operation, adminId, options, ids } คืน { token, expiresAt }
+function createConfirmationToken(scope, now = Date.now()) {
+  return {
+    token: `${now}.${confirmationDigest(now, scope)}`,
+    expiresAt: new Date(now + CONFIRMATION_TOKEN_TTL_MINUTES * 60 * 1000).toISOString()
+  };
+}
+
+// ตรวจสอบรหัสยืนยันกับรายการที่จะลบในตอนนี้ คืนข้อความผิดพลาดหรือ null
+function verifyConfirmationToken(token, scope, now = Date.now()) {
+  if (!token) {
+    return 'กรุณาตรวจสอบข้อมูลก่อนเพื่อรับรหัสยืนยัน';
+  }
+
+  const match = /^(\d+)\.([0-9a-f]{64})$/.exec(String(token));
+  if (!match) {
+    return 'รหัสยืนยันไม่ถูกต้อง';
+  }
+
+  const issuedAt = Number(match[1]);
+  if (issuedAt > now || now - issuedAt > CONFIRMATION_TOKEN_TTL_MINUTES * 60 * 1000) {
+    return 'รหัสยืนยันหมดอายุ กรุณาตรวจสอบข้อมูลอีกครั้ง';
+  }
+
+  const expected = Buffer.from(confirmationDigest(issuedAt, scope), 'hex');
+  if (!crypto.timingSafeEqual(expected, Buffer.from(match[2], 'hex'))) {
+    return 'ข้อมูลเปลี่ยนไปหลังการตรวจสอบ กรุณาตรวจสอบข้อมูลอีกครั้ง';
+  }
+
+  return null;
+}
+
+module.exports = {
+  CONFIRMATION_TOKEN_TTL_MINUTES,
+  createConfirmationToken,
+  verifyConfirmationToken
+};
@@ -0,0 +1,47 @@
+const { CONFIRMATION_TOKEN_TTL_MINUTES, createConfirmationToken, verifyConfirmationToken } = require('./bulk-delete');
+
+const scope = { operation: 'delete_all_employees', adminId: 1, options: { include_logs: true }, ids: [[1, 2, 3], 10] };
+const now = Date.UTC(2025, 0, 1);
+
+describe('confirmation token', () => {
+  test('รหัสที่ได้จากการตรวจสอบใช้ได้ภายในเวลาที่กำหนด', () => {
+    const { token, expiresAt } = createConfirmationToken(scope, now);
+
+    expect(verifyConfirmationToken(token, scope, now + 60 * 1000)).toBeNull();
+    expect(expiresAt).toBe(new Date(now + CONFIRMATION_TOKEN_TTL_MINUTES * 60 * 1000).toISOString());
+  });
+
+  test('ต้องมีรหัสยืนยัน', () => {
+    expect(verifyConfirmationToken(undefined, scope, now)).toBe('กรุณาตรวจสอบข้อมูลก่อนเพื่อรับรหัสยืนยัน');
+  });
+
+  test('รหัสหมดอายุ หรือเวลาออกรหัสอยู่ในอนาคต', () => {
+    const { token } = createConfirmationToken(scope, now);
+
+    expect(verifyConfirmationToken(token, scope, now + CONFIRMATION_TOKEN_TTL_MINUTES * 60 * 1000 + 1))
+      .toBe('รหัสยืนยันหมดอายุ กรุณาตรวจสอบข้อมูลอีกครั้ง');
+    expect(verifyConfirmationToken(token, scope, now - 1)).toBe('รหัสยืนยันหมดอายุ กรุณาตรวจสอบข้อมูลอีกครั้ง');
+  });
+
+  test('รูปแบบรหัสไม่ถูกต้อง', () => {
+    expect(verifyConfirmationToken('abc', scope, now)).toBe('รหัสยืนยันไม่ถูกต้อง');
+    expect(verifyConfirmationToken(`${now}.1234`, scope, now)).toBe('รหัสยืนยันไม่ถูกต้อง');
+  });
+
+  test('แก้ไขรหัสหรือเวลาออกรหัสแล้วไม่ผ่าน', () => {
+    const { token } = createConfirmationToken(scope, now);
+    const [issuedAt, digest] = token.split('.');
+    const flipped = (digest[0] === '0' ? '1' : '0') + digest.substring(1);
+
+    expect(verifyConfirmationToken(`${issuedAt}.${flipped}`, scope, now)).toBe('ข้อมูลเปลี่ยนไปหลังการตรวจสอบ กรุณาตรวจสอบข้อมูลอีกครั้ง');
+    expect(verifyConfirmationToken(`${now + 1}.${digest}`, scope, now + 1)).toBe('ข้อมูลเปลี่ยนไปหลังการตรวจสอบ กรุณาตรวจสอบข้อมูลอีกครั้ง');
+  });
+
+  test('รายการ ตัวเลือก หรือผู้ดูแลต่างจากตอนตรวจสอบแล้วไม่ผ่าน', () => {
+    const { token } = createConfirmationToken(scope, now);
+
+    expect(verifyConfirmationToken(token, { ...scope, ids: [[1, 2], 10] }, now)).not.toBeNull();
+    expect(verifyConfirmationToken(token, { ...scope, options: { include_logs: false } }, now)).not.toBeNull();
+    expect(verifyConfirmationToken(token, { ...scope, adminId: 2 }, now)).not.toBeNull();
+  });
+});
@@ -0,0 +1,274 @@
+// database-restore.js - อ่านไฟล์สำรองข้อมูล (JSON จาก /api/admin/backup-database) สำหรับกู้คืนฐานข้อมูล
+//
+// ไฟล์ถูกอ่านทีละส่วนขณะอัปโหลด (BackupJsonScanner) แถวในตารางถูกส่งออกมาทีละแถวโดยไม่ต้องเก็บทั้งไฟล์ไว้ในหน่วยความจำ
+// ค่าอื่นระดับบนสุด (timestamp, version) เก็บไว้ใน fields
+// pg อ่านคอลัมน์ DATE/TIMESTAMP เป็นเวลาตามเครื่อง แล้ว JSON.stringify แปลงเป็น UTC
+// ตอนกู้คืนจึงต้องแปลงกลับเป็นค่าวันที่/เวลาตามเครื่องให้ตรงกับค่าที่เคยเก็บไว้ (restoreColumnValue)
+
+const { toDateString } = require('./shift-schedule');
+const { SETTINGS_REGISTRY } = require('./settings-registry');
+
+const BACKUP_VERSION = '1.0.0';
+const SUPPORTED_BACKUP_VERSIONS = ['1.0.0'];
+
+// replace: ข้อมูลในตารางเป็นไปตามไฟล์ทั้งหมด (ลบแถวที่ไม่มีในไฟล์), merge: เพิ่มและแก้ไขตามไฟล์ ไม่ลบแถวเดิม
+const RESTORE_MODES = ['replace', 'merge'];
+
+// ตารางที่กู้คืนได้ เรียงตามลำดับ foreign key (key: คอลัมน์ที่ใช้จับคู่แถวในไฟล์กับแถวในฐานข้อมูล)
+// employees ไม่กู้คืน department_id / position_id (เชื่อมใหม่จากชื่อแผนก/ตำแหน่งหลังกู้คืน)
+// protectedKeys: แถวที่ไม่กู้คืนและไม่ลบ, keepMissingKeys: แถวที่ไม่ลบเมื่อไฟล์ไม่มี (โหมด replace)
+// settings จับคู่ด้วยชื่อ ไม่แตะบัญชีแอดมินเดิม (admin_username/admin_password ย้ายไป admin_users แล้ว)
+// และไม่ลบการตั้งค่าในทะเบียนที่ไฟล์ไม่มี (ไฟล์ที่สำรองไว้ก่อนเพิ่มการตั้งค่านั้น)
+const RESTORE_TABLES = {
+  employees: {
+    key: 'id',
+    required: ['id', 'emp_code', 'full_name'],
+    unique: ['emp_code'],
+    excludedColumns: ['department_id', 'position_id']
+  },
+  time_logs: {
+    key: 'id',
+    required: ['id', 'employee_id'],
+    unique: [],
+    excludedColumns: []
+  },
+  settings: {
+    key: 'setting_name',
+    required: ['setting_name'],
+    unique: [],
+    excludedColumns: ['id'],
+    protectedKeys: ['admin_username', 'admin_password'],
+    keepMissingKeys: Object.keys(SETTINGS_REGISTRY)
+  }
+};
+
+// ตรวจสอบ version ของไฟล์ คืนข้อความผิดพลาดหรือ null
+function validateBackupVersion(version) {
+  if (version === undefined || version === null) {
+    return 'ไม่พบ version ของไฟล์สำรองข้อมูล (ต้องอยู่ก่อนข้อมูลตาราง)';
+  }
+
+  if (!SUPPORTED_BACKUP_VERSIONS.includes(String(version))) {
+    return `ไม่รองรับไฟล์สำรองข้อมูล version ${version} (รองรับ ${SUPPORTED_BACKUP_VERSIONS.join(', ')})`;
+  }
+
+  return null;
+}
+
+// ตรวจสอบแถวในไฟล์ คืนข้อความผิดพลาดหรือ null (rowNumber เริ่มที่ 1)
+function validateBackupRow(table, row, rowNumber) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return `ข้อมูล ${table} แถวที่ ${rowNumber} ไม่ถูกต้อง`;
+  }
+
+  const missing = RESTORE_TABLES[table].required.filter(column => row[column] === undefined || row[column] === null || row[column] === '');
+  if (missing.length > 0) {
+    return `ข้อมูล ${table} แถวที่ ${rowNumber} ไม่มี ${missing.join(', ')}`;
+  }
+
+  if (RESTORE_TABLES[table].key === 'id' && !(Number.isInteger(row.id) && row.id > 0)) {
+    return `ข้อมูล ${table} แถวที่ ${rowNumber}: id ต้องเป็นจำนวนเต็มบวก`;
+  }
+
+  return null;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// ค่าในไฟล์ -> ค่าที่เขียนลงคอลัมน์ (dataType จาก information_schema.columns)
+function restoreColumnValue(value, dataType) {
+  const isDate = dataType === 'date';
+  const isTimestamp = dataType === 'timestamp without time zone';
+
+  if ((!isDate && !isTimestamp) || typeof value !== 'string' || !/T.*(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+    return value;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return value;
+  }
+
+  if (isDate) {
+    return toDateString(date);
+  }
+
+  return `${toDateString(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+// ⭐ ตัวอ่าน JSON แบบทีละส่วน: push(text) คืนแถวที่อ่านครบแล้ว [{ table, row }] ส่วน end() ตรวจว่าไฟล์จบสมบูรณ์
+// รองรับเฉพาะโครงสร้างของไฟล์สำรองข้อมูล: object ระดับบนสุดที่ค่าของตารางเป็น array ของ object
+class BackupJsonScanner {
+  constructor(tableNames) {
+    this.tableNames = tableNames;
+    this.fields = {};
+    this.state = 'start';
+    this.key = null;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.captured = null;
+  }
+
+  push(text) {
+    const rows = [];
+    let start = this.captured !== null ? 0 : -1;
+
+    const begin = (index) => {
+      this.captured = '';
+      start = index;
+    };
+    const finish = (endIndex) => {
+      const value = this.captured + text.slice(start, endIndex);
+      this.captured = null;
+      start = -1;
+      return value;
+    };
+    const parse = (value, label) => {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`รูปแบบ JSON ของ${label} ไม่ถูกต้อง`);
+      }
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (ch === '\\') {
+          this.escaped = true;
+        } else if (ch === '"') {
+          this.inString = false;
+          if (this.state === 'keyString') {
+            this.key = parse(finish(i + 1), 'ชื่อข้อมูล');
+            this.state = 'colon';
+          }
+        }
+        continue;
+      }
+
+      if (ch === ' ' || ch === '\n' || ch === '\r' || ch === '\t' || ch === '\uFEFF') {
+        continue;
+      }
+
+      switch (this.state) {
+        case 'start':
+          if (ch !== '{') throw new Error('ไฟล์สำรองข้อมูลต้องเป็น JSON object');
+          this.state = 'key';
+          break;
+
+        case 'key':
+          if (ch === ',') break;
+          if (ch === '}') {
+            this.state = 'end';
+          } else if (ch === '"') {
+            begin(i);
+            this.inString = true;
+            this.state = 'keyString';
+          } else {
+            throw new Error('รูปแบบ JSON ของไฟล์สำรองข้อมูลไม่ถูกต้อง');
+          }
+          break;
+
+        case 'colon':
+          if (ch !== ':') throw new Error('รูปแบบ JSON ของไฟล์สำรองข้อมูลไม่ถูกต้อง');
+          this.state = 'valueStart';
+          break;
+
+        case 'valueStart':
+          if (this.tableNames.includes(this.key)) {
+            if (ch !== '[') throw new Error(`ข้อมูล ${this.key} ต้องเป็นรายการของ object`);
+            if (this.key in this.fields) throw new Error(`พบข้อมูล ${this.key} ซ้ำในไฟล์`);
+            this.fields[this.key] = 0;
+            this.state = 'rows';
+            break;
+          }
+          begin(i);
+          this.depth = 0;
+          this.state = 'value';
+          i--;
+          break;
+
+        case 'value':
+          if (ch === '"') {
+            this.inString = true;
+          } else if (ch === '{' || ch === '[') {
+            this.depth++;
+          } else if ((ch === '}' || ch === ']' || ch === ',') && this.depth === 0) {
+            this.fields[this.key] = parse(finish(i).trim(), `ข้อมูล ${this.key}`);
+            this.state = 'key';
+            i--;
+          } else if (ch === '}' || ch === ']') {
+            this.depth--;
+            if (this.depth === 0) {
+              this.fields[this.key] = parse(finish(i + 1), `ข้อมูล ${this.key}`);
+              this.state = 'key';
+            }
+          }
+          break;
+
+        case 'rows':
+          if (ch === ',') break;
+          if (ch === ']') {
+            this.state = 'key';
+          } else if (ch === '{') {
+            begin(i);
+            this.depth = 1;
+            this.state = 'row';
+          } else {
+            throw new Error(`ข้อมูล ${this.key} ต้องเป็นรายการของ object`);
+          }
+          break;
+
+        case 'row':
+          if (ch === '"') {
+            this.inString = true;
+          } else if (ch === '{' || ch === '[') {
+            this.depth++;
+          } else if (ch === '}' || ch === ']') {
+            this.depth--;
+            if (this.depth === 0) {
+              this.fields[this.key]++;
+              rows.push({ table: this.key, row: parse(finish(i + 1), `ข้อมูล ${this.key} แถวที่ ${this.fields[this.key]}`) });
+              this.state = 'rows';
+            }
+          }
+          break;
+
+        default:
+          throw new Error('พบข้อมูลเกินหลังจบไฟล์สำรองข้อมูล');
+      }
+    }
+
+    if (start !== -1) {
+      this.captured += text.slice(start);
+    }
+
+    return rows;
+  }
+
+  // คืนค่าระดับบนสุด โดยตารางคืนเป็นจำนวนแถวที่อ่านได้
+  end() {
+    if (this.state !== 'end') {
+      throw new Error('ไฟล์สำรองข้อมูลไม่สมบูรณ์');
+    }
+
+    return this.fields;
+  }
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  SUPPORTED_BACKUP_VERSIONS,
+  RESTORE_MODES,
+  RESTORE_TABLES,
+  validateBackupVersion,
+  validateBackupRow,
+  restoreColumnValue,
+  BackupJsonScanner
+};
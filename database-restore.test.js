@@ -0,0 +1,121 @@
+const {
+  RESTORE_TABLES,
+  validateBackupVersion,
+  validateBackupRow,
+  restoreColumnValue,
+  BackupJsonScanner
+} = require('./database-restore');
+
+const TABLES = ['employees', 'time_logs', 'settings'];
+
+const backup = {
+  timestamp: '2025-01-01T00:00:00.000Z',
+  version: '1.0.0',
+  meta: { note: 'ข้อความที่มี } ] , และ "quote"', list: [1, [2, { a: null }]] },
+  employees: [
+    { id: 1, emp_code: 'E"1}', full_name: 'ทดสอบ \\ หนึ่ง', tags: ['a', { b: '[' }] },
+    { id: 2, emp_code: 'E2', full_name: 'สอง', created_at: '2024-12-31T18:00:00.000Z' }
+  ],
+  time_logs: [],
+  settings: [{ id: 5, setting_name: 'timezone', setting_value: 'Asia/Bangkok' }]
+};
+
+// ส่งข้อความให้ scanner ทีละ size ตัวอักษร
+function scan(text, size) {
+  const scanner = new BackupJsonScanner(TABLES);
+  const rows = [];
+  for (let i = 0; i < text.length; i += size) {
+    rows.push(...scanner.push(text.slice(i, i + size)));
+  }
+  return { rows, fields: scanner.end() };
+}
+
+function scanError(text) {
+  try {
+    scan(text, 1000);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+describe('BackupJsonScanner', () => {
+  const text = '﻿' + JSON.stringify(backup, null, 2);
+  const expectedRows = [
+    ...backup.employees.map(row => ({ table: 'employees', row })),
+    ...backup.settings.map(row => ({ table: 'settings', row }))
+  ];
+
+  test.each([1, 2, 3, 7, 64, text.length])('อ่านไฟล์ที่แบ่งเป็นส่วนละ %i ตัวอักษร', size => {
+    const { rows, fields } = scan(text, size);
+
+    expect(rows).toEqual(expectedRows);
+    expect(fields).toEqual({
+      timestamp: backup.timestamp,
+      version: '1.0.0',
+      meta: backup.meta,
+      employees: 2,
+      time_logs: 0,
+      settings: 1
+    });
+  });
+
+  test('JSON ที่ไม่มีช่องว่าง', () => {
+    expect(scan(JSON.stringify(backup), 5).rows).toEqual(expectedRows);
+  });
+
+  test('ไฟล์ที่ไม่ใช่ object หรือไม่สมบูรณ์', () => {
+    expect(scanError('[1, 2]')).toBe('ไฟล์สำรองข้อมูลต้องเป็น JSON object');
+    expect(scanError('{"version": "1.0.0", "employees": [{"id": 1}')).toBe('ไฟล์สำรองข้อมูลไม่สมบูรณ์');
+    expect(scanError('{"version": "1.0.0"} {}')).toBe('พบข้อมูลเกินหลังจบไฟล์สำรองข้อมูล');
+  });
+
+  test('ข้อมูลตารางต้องเป็นรายการของ object', () => {
+    expect(scanError('{"employees": {}}')).toBe('ข้อมูล employees ต้องเป็นรายการของ object');
+    expect(scanError('{"employees": [1]}')).toBe('ข้อมูล employees ต้องเป็นรายการของ object');
+    expect(scanError('{"employees": [], "employees": []}')).toBe('พบข้อมูล employees ซ้ำในไฟล์');
+  });
+
+  test('แถวที่ JSON ไม่ถูกต้อง', () => {
+    expect(scanError('{"employees": [{"id": 1}, {"id": }]}')).toBe('รูปแบบ JSON ของข้อมูล employees แถวที่ 2 ไม่ถูกต้อง');
+  });
+});
+
+describe('validateBackupVersion / validateBackupRow', () => {
+  test('version', () => {
+    expect(validateBackupVersion('1.0.0')).toBeNull();
+    expect(validateBackupVersion(undefined)).toMatch('ไม่พบ version');
+    expect(validateBackupVersion('2.0.0')).toMatch('ไม่รองรับไฟล์สำรองข้อมูล version 2.0.0');
+  });
+
+  test('แถวต้องมีคอลัมน์ที่จำเป็นและ id ที่ถูกต้อง', () => {
+    expect(validateBackupRow('employees', { id: 1, emp_code: 'E1', full_name: 'ก' }, 1)).toBeNull();
+    expect(validateBackupRow('employees', { id: 1, emp_code: '' }, 3)).toBe('ข้อมูล employees แถวที่ 3 ไม่มี emp_code, full_name');
+    expect(validateBackupRow('time_logs', { id: '7', employee_id: 1 }, 1)).toBe('ข้อมูล time_logs แถวที่ 1: id ต้องเป็นจำนวนเต็มบวก');
+    expect(validateBackupRow('settings', { setting_name: 'timezone' }, 1)).toBeNull();
+  });
+});
+
+describe('RESTORE_TABLES', () => {
+  test('settings ไม่กู้คืนบัญชีแอดมินเดิม และไม่ลบการตั้งค่าในทะเบียนที่ไฟล์ไม่มี', () => {
+    expect(RESTORE_TABLES.settings.protectedKeys).toEqual(['admin_username', 'admin_password']);
+    expect(RESTORE_TABLES.settings.keepMissingKeys).toEqual(expect.arrayContaining(['timezone', 'geofence_policy']));
+    expect(RESTORE_TABLES.time_logs.keepMissingKeys).toBeUndefined();
+  });
+});
+
+describe('restoreColumnValue', () => {
+  // pg อ่านค่าเป็นเวลาตามเครื่อง ค่าที่คาดจึงคำนวณจากเวลาเครื่องเช่นกัน
+  const local = new Date(2025, 0, 1, 1, 2, 3, 4);
+
+  test('แปลงวันที่/เวลาที่ JSON เขียนเป็น UTC กลับเป็นค่าตามเวลาเครื่อง', () => {
+    expect(restoreColumnValue(new Date(2025, 0, 1).toISOString(), 'date')).toBe('2025-01-01');
+    expect(restoreColumnValue(local.toISOString(), 'timestamp without time zone')).toBe('2025-01-01 01:02:03.004');
+  });
+
+  test('ค่าอื่นคงเดิม', () => {
+    expect(restoreColumnValue('2025-01-01', 'date')).toBe('2025-01-01');
+    expect(restoreColumnValue('2024-12-31T17:00:00.000Z', 'text')).toBe('2024-12-31T17:00:00.000Z');
+    expect(restoreColumnValue(null, 'date')).toBeNull();
+  });
+});
@@ -124,10 +124,26 @@ class OptimizedDatabasePool {
       GET_EMPLOYEE_NAMES: 'SELECT full_name FROM employees WHERE status = $1 ORDER BY full_name',
       
       // Time log queries
-      CHECK_CLOCK_IN_TODAY: 'SELECT id FROM time_logs WHERE employee_id = $1 AND DATE(clock_in) = $2 LIMIT 1',
-      GET_TODAY_RECORD: 'SELECT id, clock_out, clock_in FROM time_logs WHERE employee_id = $1 AND DATE(clock_in) = $2 ORDER BY clock_in DESC LIMIT 1',
-      INSERT_TIME_LOG: 'INSERT INTO time_logs (employee_id, clock_in, note, latitude_in, longitude_in, line_name, line_picture, status) VALUES ($1, $2, $3, $4, $5, $6, $7, \'normal\') RETURNING id',
-      UPDATE_CLOCK_OUT: 'UPDATE time_logs SET clock_out = $1, latitude_out = $2, longitude_out = $3, line_name = COALESCE($4, line_name), line_picture = COALESCE($5, line_picture) WHERE id = $6',
+      // work_date = วันทำงานตามเขตเวลาของหน่วยงาน, $3 = เวลาเข้างานที่เก่าที่สุดที่ยังนับว่ากะยังไม่จบ
+      CHECK_CLOCK_IN_TODAY: 'SELECT id FROM time_logs WHERE employee_id = $1 AND (work_date = $2 OR (clock_out IS NULL AND clock_in >= $3)) LIMIT 1',
+      GET_TODAY_RECORD: 'SELECT id, clock_out, clock_in, work_date, break_minutes, late_minutes, early_leave_minutes FROM time_logs WHERE employee_id = $1 AND work_date = $2 ORDER BY clock_in DESC LIMIT 1',
+      GET_OPEN_RECORD: 'SELECT id, clock_out, clock_in, work_date, break_minutes, late_minutes, early_leave_minutes FROM time_logs WHERE employee_id = $1 AND clock_out IS NULL AND clock_in >= $2 ORDER BY clock_in DESC LIMIT 1',
+      INSERT_TIME_LOG: 'INSERT INTO time_logs (employee_id, clock_in, note, latitude_in, longitude_in, line_name, line_picture, status, location_status_in, location_distance_in, office_location_id_in, late_minutes, shift_id, work_date) VALUES ($1, $2, $3, $4, $5, $6, $7, \'normal\', $8, $9, $10, $11, $12, $13) RETURNING id',
+      UPDATE_CLOCK_OUT: 'UPDATE time_logs SET clock_out = $1, latitude_out = $2, longitude_out = $3, line_name = COALESCE($4, line_name), line_picture = COALESCE($5, line_picture), location_status_out = $7, location_distance_out = $8, office_location_id_out = $9, early_leave_minutes = $10, overtime_minutes = $11, status = CASE WHEN status = \'missing_clock_out\' THEN \'normal\' ELSE status END WHERE id = $6',
+      
+      // Break queries (time_log_breaks)
+      GET_OPEN_BREAK: 'SELECT id, break_start FROM time_log_breaks WHERE time_log_id = $1 AND break_end IS NULL LIMIT 1',
+      START_BREAK: 'INSERT INTO time_log_breaks (time_log_id, break_start, latitude_start, longitude_start) VALUES ($1, $2, $3, $4) RETURNING id',
+      END_BREAK: 'UPDATE time_log_breaks SET break_end = $2, latitude_end = $3, longitude_end = $4 WHERE id = $1',
+      UPDATE_BREAK_MINUTES: `
+        UPDATE time_logs SET break_minutes = (
+          SELECT COALESCE(SUM(FLOOR(EXTRACT(EPOCH FROM (break_end - break_start)) / 60)), 0)::int
+          FROM time_log_breaks
+          WHERE time_log_id = $1 AND break_end IS NOT NULL
+        )
+        WHERE id = $1
+        RETURNING break_minutes
+      `,
       
       // Mobile-specific queries
       GET_EMPLOYEE_STATUS_TODAY: `
@@ -139,7 +155,7 @@ class OptimizedDatabasePool {
           e.emp_code
         FROM time_logs tl 
         JOIN employees e ON tl.employee_id = e.id 
-        WHERE e.id = $1 AND DATE(tl.clock_in) = $2 
+        WHERE e.id = $1 AND tl.work_date = $2 
         ORDER BY tl.clock_in DESC 
         LIMIT 1
       `,
@@ -150,7 +166,8 @@ class OptimizedDatabasePool {
           tl.clock_out, 
           tl.note, 
           tl.status,
-          DATE(tl.clock_in) as work_date
+          tl.break_minutes,
+          tl.work_date
         FROM time_logs tl 
         WHERE tl.employee_id = $1 
         ORDER BY tl.clock_in DESC 
@@ -161,11 +178,25 @@ class OptimizedDatabasePool {
       GET_DASHBOARD_STATS: `
         SELECT 
           COUNT(DISTINCT e.id) as total_employees,
-          COUNT(DISTINCT CASE WHEN DATE(tl.clock_in) = $1 THEN tl.employee_id END) as checked_in_today,
-          COUNT(CASE WHEN DATE(tl.clock_in) = $1 AND tl.clock_out IS NULL THEN 1 END) as not_checked_out_today
+          COUNT(DISTINCT CASE WHEN tl.work_date = $1 THEN tl.employee_id END) as checked_in_today,
+          COUNT(CASE WHEN tl.work_date = $1 AND tl.clock_out IS NULL THEN 1 END) as not_checked_out_today,
+          COUNT(DISTINCT CASE WHEN tl.work_date = $1 AND tl.late_minutes > 0 THEN tl.employee_id END) as late_today,
+          COUNT(DISTINCT CASE WHEN tl.work_date = $1 AND tl.early_leave_minutes > 0 THEN tl.employee_id END) as left_early_today
         FROM employees e 
         LEFT JOIN time_logs tl ON e.id = tl.employee_id 
         WHERE e.status = 'active'
+      `,
+      
+      GET_DASHBOARD_STATS_BY_DEPARTMENT: `
+        SELECT 
+          COUNT(DISTINCT e.id) as total_employees,
+          COUNT(DISTINCT CASE WHEN tl.work_date = $1 THEN tl.employee_id END) as checked_in_today,
+          COUNT(CASE WHEN tl.work_date = $1 AND tl.clock_out IS NULL THEN 1 END) as not_checked_out_today,
+          COUNT(DISTINCT CASE WHEN tl.work_date = $1 AND tl.late_minutes > 0 THEN tl.employee_id END) as late_today,
+          COUNT(DISTINCT CASE WHEN tl.work_date = $1 AND tl.early_leave_minutes > 0 THEN tl.employee_id END) as left_early_today
+        FROM employees e 
+        LEFT JOIN time_logs tl ON e.id = tl.employee_id 
+        WHERE e.status = 'active' AND e.department = $2
       `
     };
 
@@ -334,15 +365,15 @@ class OptimizedDatabasePool {
     }, 30000); // Check every 30 seconds
   }
 
-  // Method to execute prepared statements safely
-  async executePrepared(statementName, params = []) {
+  // Method to execute prepared statements safely (pass a transaction client to run inside it)
+  async executePrepared(statementName, params = [], client = null) {
     const statement = this.preparedStatements[statementName];
     
     if (!statement) {
       throw new Error(`Prepared statement '${statementName}' not found`);
     }
     
-    return await this.query(statement, params);
+    return client ? await client.query(statement, params) : await this.query(statement, params);
   }
 }
 
@@ -4,6 +4,7 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const { Pool } = require('pg');
+const { isPublicSetting } = require('./settings-registry');
 
 // สร้าง router สำหรับ debug API
 const debugRouter = express.Router();
@@ -69,7 +70,7 @@ debugRouter.get('/test-db', async (req, res) => {
       tableStats,
       settings: settingsResult.rows.map(s => ({ 
         name: s.setting_name, 
-        value: s.setting_name === 'admin_password' ? '******' : s.setting_value 
+        value: isPublicSetting(s.setting_name) ? s.setting_value : '******' 
       }))
     });
   } catch (error) {
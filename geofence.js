@@ -0,0 +1,75 @@
+// geofence.js - คำนวณระยะห่างจากสถานที่ทำงาน (office_locations) เพื่อตรวจสอบตำแหน่งการลงเวลา
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// ระยะทางระหว่างสองพิกัด (เมตร) ด้วยสูตร haversine
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function parseCoordinate(value, limit) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) return null;
+
+  return number;
+}
+
+// แปลง lat/lon ที่ได้จาก client ให้เป็นตัวเลข (คืน null ถ้าไม่มีหรือไม่ถูกต้อง)
+function parseLocation(lat, lon) {
+  const latitude = parseCoordinate(lat, 90);
+  const longitude = parseCoordinate(lon, 180);
+
+  if (latitude === null || longitude === null) return null;
+
+  return { latitude, longitude };
+}
+
+// หาสถานที่ทำงานที่ใกล้ที่สุด และตรวจว่าอยู่ในรัศมีหรือไม่
+// คืนค่า null เมื่อยังไม่ได้กำหนดสถานที่ทำงาน
+function evaluateGeofence(offices, location) {
+  if (!location || !Array.isArray(offices) || offices.length === 0) {
+    return null;
+  }
+
+  let nearest = null;
+
+  offices.forEach(office => {
+    const distance = haversineDistance(
+      location.latitude,
+      location.longitude,
+      Number(office.latitude),
+      Number(office.longitude)
+    );
+
+    // เลือกสถานที่ที่อยู่ในรัศมีก่อน แล้วจึงดูระยะทาง
+    const inside = distance <= Number(office.radius_meters);
+    if (!nearest ||
+        (inside && !nearest.inside) ||
+        (inside === nearest.inside && distance < nearest.distance)) {
+      nearest = { office, distance, inside };
+    }
+  });
+
+  return {
+    status: nearest.inside ? 'inside' : 'outside',
+    distance: Math.round(nearest.distance),
+    office: nearest.office
+  };
+}
+
+module.exports = {
+  haversineDistance,
+  parseLocation,
+  evaluateGeofence
+};
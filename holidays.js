@@ -0,0 +1,111 @@
+// holidays.js - วันหยุดนักขัตฤกษ์: อ่านไฟล์ iCalendar (.ics) และคัดลอกวันหยุดข้ามปี
+//
+// วันหยุดเก็บเป็นวันที่ (YYYY-MM-DD) ไม่ขึ้นกับกะ วันที่เป็นวันหยุดนับเป็นวันไม่ทำงานของพนักงานทุกคน
+// DTEND ของกิจกรรมแบบทั้งวันเป็นวันถัดจากวันสุดท้าย (exclusive) ตาม RFC 5545
+// เวลาแบบ UTC (ลงท้ายด้วย Z) แปลงเป็นวันที่ตามเขตเวลาของหน่วยงาน ส่วนเวลาแบบไม่ระบุเขตใช้วันที่ตามที่เขียนไว้
+
+const { DEFAULT_TIME_ZONE, addDays, toLocalParts } = require('./work-time');
+
+const MAX_EVENT_DAYS = 31;
+const MAX_HOLIDAY_NAME_LENGTH = 200;
+
+// ต่อบรรทัดที่ถูกพับ (บรรทัดที่ขึ้นต้นด้วยช่องว่างหรือแท็บเป็นส่วนต่อของบรรทัดก่อนหน้า)
+function unfoldLines(text) {
+  return String(text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\[nN]/g, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+}
+
+// DTSTART;VALUE=DATE:20250101 -> { date: '2025-01-01', minutes: 0 }
+// DTSTART:20250101T170000Z -> { date: '2025-01-02', minutes: 0 } (Asia/Bangkok)
+function parseICalendarDate(value, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value || '');
+  if (!match) return null;
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!isValidDate(date)) return null;
+
+  const minutes = match[4] ? Number(match[4]) * 60 + Number(match[5]) : 0;
+  if (!match[7]) return { date, minutes };
+
+  return toLocalParts(new Date(`${date}T${match[4]}:${match[5]}:${match[6]}Z`), timeZone);
+}
+
+function isValidDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().substring(0, 10) === date;
+}
+
+// คืน { holidays: [{ date, name }], skipped } จากเนื้อหาไฟล์ .ics (กิจกรรมหลายวันแยกเป็นรายวัน)
+function parseICalendar(text, timeZone = DEFAULT_TIME_ZONE) {
+  const holidays = [];
+  let skipped = 0;
+  let event = null;
+
+  unfoldLines(text).forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+
+    // END:VEVENT ที่ไม่มี BEGIN:VEVENT คู่กัน ไม่นับเป็นกิจกรรม
+    if (line === 'END:VEVENT' && !event) return;
+
+    if (line === 'END:VEVENT') {
+      const start = (parseICalendarDate(event.DTSTART, timeZone) || {}).date;
+      const name = event.SUMMARY ? unescapeText(event.SUMMARY).substring(0, MAX_HOLIDAY_NAME_LENGTH) : '';
+      if (!start || !name) {
+        skipped++;
+      } else {
+        // DTEND เป็นเวลาสิ้นสุด (exclusive) ถ้าเป็นเที่ยงคืนพอดี วันสุดท้ายคือวันก่อนหน้า
+        const end = parseICalendarDate(event.DTEND, timeZone);
+        const last = end && end.date > start ? (end.minutes > 0 ? end.date : addDays(end.date, -1)) : start;
+        for (let date = start, days = 0; date <= last && days < MAX_EVENT_DAYS; date = addDays(date, 1), days++) {
+          holidays.push({ date, name });
+        }
+      }
+      event = null;
+      return;
+    }
+
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    // ตัดพารามิเตอร์ออก เช่น DTSTART;VALUE=DATE -> DTSTART
+    const property = line.substring(0, separator).split(';')[0].toUpperCase();
+    if (['DTSTART', 'DTEND', 'SUMMARY'].includes(property) && event[property] === undefined) {
+      event[property] = line.substring(separator + 1);
+    }
+  });
+
+  // วันเดียวกันที่ซ้ำในไฟล์ ใช้ชื่อแรก
+  const seen = new Set();
+  return {
+    holidays: holidays.filter(holiday => !seen.has(holiday.date) && seen.add(holiday.date)),
+    skipped
+  };
+}
+
+// เลื่อนวันหยุดไปปีอื่นโดยคงวันและเดือนเดิม (29 ก.พ. ที่ปีปลายทางไม่มี จะถูกข้าม)
+function shiftHolidayYear(date, year) {
+  const shifted = `${year}${String(date).substring(4, 10)}`;
+  return isValidDate(shifted) ? shifted : null;
+}
+
+module.exports = {
+  MAX_HOLIDAY_NAME_LENGTH,
+  isValidDate,
+  parseICalendar,
+  shiftHolidayYear
+};
@@ -0,0 +1,77 @@
+const { isValidDate, parseICalendar, shiftHolidayYear } = require('./holidays');
+
+function calendar(...events) {
+  return ['BEGIN:VCALENDAR', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+}
+
+describe('parseICalendar', () => {
+  test('กิจกรรมแบบทั้งวัน', () => {
+    const text = calendar(['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250101', 'SUMMARY:วันขึ้นปีใหม่', 'END:VEVENT']);
+
+    expect(parseICalendar(text)).toEqual({ holidays: [{ date: '2025-01-01', name: 'วันขึ้นปีใหม่' }], skipped: 0 });
+  });
+
+  test('กิจกรรมหลายวัน: DTEND เป็นวันถัดจากวันสุดท้าย', () => {
+    const text = calendar([
+      'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250413', 'DTEND;VALUE=DATE:20250416', 'SUMMARY:สงกรานต์', 'END:VEVENT'
+    ]);
+
+    expect(parseICalendar(text).holidays.map(holiday => holiday.date)).toEqual(['2025-04-13', '2025-04-14', '2025-04-15']);
+  });
+
+  test('ต่อบรรทัดที่ถูกพับและถอด escape', () => {
+    const text = calendar(['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20251205', 'SUMMARY:วันพ่อ\\, วันชาติ', ' และวันพ่อแห่งชาติ', 'END:VEVENT']);
+
+    expect(parseICalendar(text).holidays[0].name).toBe('วันพ่อ, วันชาติและวันพ่อแห่งชาติ');
+  });
+
+  test('ข้ามกิจกรรมที่ไม่มีชื่อหรือวันที่ และวันซ้ำใช้ชื่อแรก', () => {
+    const text = calendar(
+      ['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250101', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250230', 'SUMMARY:ไม่มีวันนี้', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250101', 'SUMMARY:ปีใหม่', 'END:VEVENT'],
+      ['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250101', 'SUMMARY:ซ้ำ', 'END:VEVENT']
+    );
+
+    expect(parseICalendar(text)).toEqual({ holidays: [{ date: '2025-01-01', name: 'ปีใหม่' }], skipped: 2 });
+  });
+
+  test('เวลาแบบ UTC ใช้วันที่ตามเขตเวลาของหน่วยงาน', () => {
+    const text = calendar([
+      'BEGIN:VEVENT', 'DTSTART:20250101T170000Z', 'DTEND:20250102T170000Z', 'SUMMARY:วันหยุดพิเศษ', 'END:VEVENT'
+    ]);
+
+    expect(parseICalendar(text).holidays).toEqual([{ date: '2025-01-02', name: 'วันหยุดพิเศษ' }]);
+    expect(parseICalendar(text, 'UTC').holidays.map(holiday => holiday.date)).toEqual(['2025-01-01', '2025-01-02']);
+  });
+
+  test('เวลาแบบไม่ระบุเขตใช้วันที่ตามที่เขียน และวันสิ้นสุดที่มีเวลานับรวมวันนั้น', () => {
+    const text = calendar([
+      'BEGIN:VEVENT', 'DTSTART:20250101T230000', 'DTEND:20250102T010000', 'SUMMARY:กิจกรรมข้ามคืน', 'END:VEVENT'
+    ]);
+
+    expect(parseICalendar(text).holidays.map(holiday => holiday.date)).toEqual(['2025-01-01', '2025-01-02']);
+  });
+
+  test('ไม่สนใจ END:VEVENT ที่ไม่มีกิจกรรมเปิดอยู่', () => {
+    const text = calendar(
+      ['END:VEVENT'],
+      ['BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250101', 'SUMMARY:ปีใหม่', 'END:VEVENT', 'END:VEVENT']
+    );
+
+    expect(parseICalendar(text)).toEqual({ holidays: [{ date: '2025-01-01', name: 'ปีใหม่' }], skipped: 0 });
+  });
+});
+
+describe('isValidDate / shiftHolidayYear', () => {
+  test('ตรวจวันที่', () => {
+    expect(isValidDate('2024-02-29')).toBe(true);
+    expect(isValidDate('2025-02-29')).toBe(false);
+    expect(isValidDate('2025-1-01')).toBe(false);
+  });
+
+  test('เลื่อนปีและข้าม 29 ก.พ. ที่ไม่มีในปีปลายทาง', () => {
+    expect(shiftHolidayYear('2025-04-13', 2026)).toBe('2026-04-13');
+    expect(shiftHolidayYear('2024-02-29', 2025)).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+// ip-allowlist.js - ตรวจสอบ IP ผู้ใช้กับรายการ IP/CIDR ที่อนุญาต (การตั้งค่า allowed_ip)
+
+const net = require('net');
+
+// แยกรายการจากข้อความที่คั่นด้วยจุลภาค เว้นวรรค หรือขึ้นบรรทัดใหม่
+function splitEntries(value) {
+  if (Array.isArray(value)) {
+    return value.map(entry => String(entry).trim()).filter(Boolean);
+  }
+
+  return String(value || '')
+    .split(/[\s,;]+/)
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+// แปลง IPv4-mapped IPv6 (::ffff:192.168.1.10) กลับเป็น IPv4 ปกติ
+function normalizeIp(ip) {
+  if (!ip) return '';
+
+  let value = String(ip).trim();
+  if (value.startsWith('::ffff:') && net.isIPv4(value.substring(7))) {
+    value = value.substring(7);
+  }
+
+  // ตัด zone id ของ IPv6 เช่น fe80::1%eth0
+  const zoneIndex = value.indexOf('%');
+  if (zoneIndex !== -1) {
+    value = value.substring(0, zoneIndex);
+  }
+
+  return value;
+}
+
+// แปลงข้อความการตั้งค่าเป็น net.BlockList พร้อมรายการที่ไม่ถูกต้อง
+function parseAllowedIpList(value) {
+  const list = new net.BlockList();
+  const entries = [];
+  const invalid = [];
+
+  splitEntries(value).forEach(entry => {
+    const [address, prefixText] = entry.split('/');
+    const ip = normalizeIp(address);
+    const family = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+
+    if (!family) {
+      invalid.push(entry);
+      return;
+    }
+
+    if (prefixText === undefined) {
+      list.addAddress(ip, family);
+      entries.push(ip);
+      return;
+    }
+
+    const prefix = Number(prefixText);
+    const maxPrefix = family === 'ipv4' ? 32 : 128;
+    if (!/^\d+$/.test(prefixText) || prefix > maxPrefix) {
+      invalid.push(entry);
+      return;
+    }
+
+    list.addSubnet(ip, prefix, family);
+    entries.push(`${ip}/${prefix}`);
+  });
+
+  return { list, entries, invalid };
+}
+
+// รายการว่าง = อนุญาตทุก IP
+function isIpAllowed(ip, allowed) {
+  const parsed = allowed && allowed.list ? allowed : parseAllowedIpList(allowed);
+
+  if (parsed.entries.length === 0) {
+    return true;
+  }
+
+  const clientIp = normalizeIp(ip);
+  if (net.isIPv4(clientIp)) {
+    return parsed.list.check(clientIp, 'ipv4');
+  }
+  if (net.isIPv6(clientIp)) {
+    return parsed.list.check(clientIp, 'ipv6');
+  }
+
+  return false;
+}
+
+module.exports = {
+  normalizeIp,
+  parseAllowedIpList,
+  isIpAllowed
+};
@@ -0,0 +1,57 @@
+const { normalizeIp, parseAllowedIpList, isIpAllowed } = require('./ip-allowlist');
+
+describe('normalizeIp', () => {
+  test('แปลง IPv4-mapped IPv6 เป็น IPv4', () => {
+    expect(normalizeIp('::ffff:192.168.1.10')).toBe('192.168.1.10');
+  });
+
+  test('ตัด zone id ของ IPv6', () => {
+    expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+  });
+
+  test('ค่าว่าง', () => {
+    expect(normalizeIp(null)).toBe('');
+  });
+});
+
+describe('parseAllowedIpList', () => {
+  test('แยกรายการที่ถูกต้องและไม่ถูกต้อง', () => {
+    const parsed = parseAllowedIpList('10.0.0.1, 192.168.1.0/24\n10.0.0.0/33;abc 2001:db8::/32');
+
+    expect(parsed.entries).toEqual(['10.0.0.1', '192.168.1.0/24', '2001:db8::/32']);
+    expect(parsed.invalid).toEqual(['10.0.0.0/33', 'abc']);
+  });
+});
+
+describe('isIpAllowed', () => {
+  test('รายการว่างอนุญาตทุก IP', () => {
+    expect(isIpAllowed('8.8.8.8', '')).toBe(true);
+  });
+
+  test('ตรวจตาม IP เดี่ยวและ CIDR', () => {
+    const allowed = parseAllowedIpList('10.0.0.1, 192.168.1.0/24');
+
+    expect(isIpAllowed('10.0.0.1', allowed)).toBe(true);
+    expect(isIpAllowed('10.0.0.2', allowed)).toBe(false);
+    expect(isIpAllowed('192.168.1.255', allowed)).toBe(true);
+    expect(isIpAllowed('192.168.2.1', allowed)).toBe(false);
+  });
+
+  test('IPv4-mapped IPv6 ตรงกับรายการ IPv4', () => {
+    expect(isIpAllowed('::ffff:192.168.1.50', '192.168.1.0/24')).toBe(true);
+    expect(isIpAllowed('::ffff:192.168.2.50', '192.168.1.0/24')).toBe(false);
+  });
+
+  test('รายการ IPv4-mapped IPv6 ใช้ได้กับ IPv4', () => {
+    expect(isIpAllowed('10.0.0.1', '::ffff:10.0.0.1')).toBe(true);
+  });
+
+  test('IPv6 subnet', () => {
+    expect(isIpAllowed('2001:db8::1', '2001:db8::/32')).toBe(true);
+    expect(isIpAllowed('2001:db9::1', '2001:db8::/32')).toBe(false);
+  });
+
+  test('IP ที่อ่านไม่ได้ไม่ผ่าน', () => {
+    expect(isIpAllowed('unknown', '10.0.0.1')).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+// leave-balance.js - นับจำนวนวันลาและยอดวันลาคงเหลือตามโควตารายปีของประเภทการลา
+//
+// นับเฉพาะวันทำงานตามกะของพนักงาน ลาครึ่งวันนับ 0.5 วัน
+// ยอดที่ใช้ไปนับจากคำขอที่อนุมัติแล้วของปีที่เริ่มลา (ปี ค.ศ. ของ start_date)
+
+const { addDays } = require('./work-time');
+
+const HALF_DAY_PERIODS = ['morning', 'afternoon'];
+const MAX_LEAVE_DAYS = 366;
+
+// รายการวันที่ตั้งแต่ from ถึง to (รวมทั้งสองวัน รูปแบบ YYYY-MM-DD)
+function datesBetween(from, to) {
+  const dates = [];
+  for (let date = from; date <= to && dates.length <= MAX_LEAVE_DAYS; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// ตรวจสอบข้อมูลคำขอลา คืนข้อความผิดพลาดหรือ null
+function validateLeaveRequest({ leave_type_id, start_date, end_date, half_day }) {
+  if (!leave_type_id) {
+    return 'กรุณาเลือกประเภทการลา';
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(start_date || '') || !datePattern.test(end_date || '')) {
+    return 'กรุณาระบุวันที่เริ่มลาและวันที่สิ้นสุด (YYYY-MM-DD)';
+  }
+
+  if (end_date < start_date) {
+    return 'วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่มลา';
+  }
+
+  if (datesBetween(start_date, end_date).length > MAX_LEAVE_DAYS) {
+    return `ลาได้ไม่เกิน ${MAX_LEAVE_DAYS} วันต่อคำขอ`;
+  }
+
+  if (half_day) {
+    if (!HALF_DAY_PERIODS.includes(half_day)) {
+      return 'ช่วงลาครึ่งวันต้องเป็น morning หรือ afternoon';
+    }
+    if (start_date !== end_date) {
+      return 'ลาครึ่งวันได้เฉพาะคำขอวันเดียว';
+    }
+  }
+
+  return null;
+}
+
+// จำนวนวันลา: นับวันทำงาน (isWorkingDay(date) = true) ในช่วงวันที่
+function countLeaveDays(startDate, endDate, isWorkingDay, halfDay = null) {
+  const workingDays = datesBetween(startDate, endDate).filter(isWorkingDay).length;
+  return halfDay ? workingDays * 0.5 : workingDays;
+}
+
+// สรุปยอดวันลาแต่ละประเภท: { leave_type_id, name, quota, used, pending, remaining }
+// quota = null หมายถึงไม่จำกัดจำนวนวัน
+function summarizeLeaveBalances(leaveTypes, requests, year) {
+  return leaveTypes.map(type => {
+    const typeRequests = requests.filter(request =>
+      request.leave_type_id === type.id && String(request.start_date).substring(0, 4) === String(year)
+    );
+    const sumDays = status => typeRequests
+      .filter(request => request.status === status)
+      .reduce((total, request) => total + (Number(request.days) || 0), 0);
+
+    const quota = type.yearly_quota === null || type.yearly_quota === undefined ? null : Number(type.yearly_quota);
+    const used = sumDays('approved');
+    const pending = sumDays('pending');
+
+    return {
+      leave_type_id: type.id,
+      code: type.code,
+      name: type.name,
+      color: type.color,
+      quota,
+      used,
+      pending,
+      remaining: quota === null ? null : Math.max(0, quota - used)
+    };
+  });
+}
+
+module.exports = {
+  HALF_DAY_PERIODS,
+  datesBetween,
+  validateLeaveRequest,
+  countLeaveDays,
+  summarizeLeaveBalances
+};
@@ -0,0 +1,47 @@
+// org-structure.js - ชื่อแผนกและตำแหน่งงาน (ตาราง departments / positions)
+//
+// ชื่อถูกตัดช่องว่างหัวท้ายและยุบช่องว่างซ้ำให้เหลือหนึ่งช่อง ให้ตรงกับการย้ายข้อมูลเดิมในฐานข้อมูล
+// employees.department / employees.position ยังเก็บชื่อไว้คู่กับ department_id / position_id
+// เพื่อให้ตัวกรองและรายงานเดิมที่ค้นด้วยชื่อทำงานได้เหมือนเดิม
+
+const MAX_ORG_NAME_LENGTH = 100;
+
+// ชื่อที่จัดรูปแบบแล้ว หรือ null ถ้าว่าง
+function normalizeOrgName(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const name = String(value).trim().replace(/\s+/g, ' ');
+  return name || null;
+}
+
+// ตรวจสอบชื่อแผนก/ตำแหน่ง คืนข้อความผิดพลาดหรือ null
+function validateOrgName(name, label) {
+  if (!name) {
+    return `กรุณาระบุชื่อ${label}`;
+  }
+
+  if ([...name].length > MAX_ORG_NAME_LENGTH) {
+    return `ชื่อ${label}ต้องไม่เกิน ${MAX_ORG_NAME_LENGTH} ตัวอักษร`;
+  }
+
+  return null;
+}
+
+// รหัสอ้างอิง (id) ที่ส่งมาจากฟอร์ม: จำนวนเต็มบวก, null ถ้าไม่ระบุ หรือ NaN ถ้าไม่ถูกต้อง
+function parseOrgId(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+module.exports = {
+  MAX_ORG_NAME_LENGTH,
+  normalizeOrgName,
+  validateOrgName,
+  parseOrgId
+};
@@ -0,0 +1,108 @@
+// overtime-rules.js - แยกเวลาทำงานของแต่ละวันเป็นชั่วโมงปกติ/OT ตามกฎที่ตั้งค่าไว้
+//
+// ประเภทวัน: 'workday' (วันทำงานตามกะ), 'weekend' (วันหยุดตามกะ), 'holiday' (วันหยุดนักขัตฤกษ์)
+// วันทำงาน: เวลาที่เกินเกณฑ์ (overtime_threshold_minutes หรือความยาวกะ) นับเป็น OT
+// วันหยุด: เวลาทำงานทั้งหมดนับเป็น OT ของวันหยุดประเภทนั้น
+
+const { parseTimeOfDay } = require('./work-time');
+
+const MINUTES_PER_DAY = 24 * 60;
+const DEFAULT_DAILY_MINUTES = 8 * 60;
+const ROUNDING_MODES = ['down', 'nearest', 'up'];
+const DAY_TYPES = ['workday', 'weekend', 'holiday'];
+
+const OVERTIME_SETTING_NAMES = [
+  'overtime_threshold_minutes',
+  'overtime_minimum_minutes',
+  'overtime_rounding_minutes',
+  'overtime_rounding_mode',
+  'overtime_multiplier_workday',
+  'overtime_multiplier_weekend',
+  'overtime_multiplier_holiday'
+];
+
+function parseNonNegative(value, fallback, parser = parseInt) {
+  const number = parser(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// แปลงค่าการตั้งค่า (ข้อความ) เป็นกฎที่ใช้คำนวณ
+function parseOvertimeRules(settings = {}) {
+  const mode = String(settings.overtime_rounding_mode || '').trim();
+
+  return {
+    thresholdMinutes: parseNonNegative(settings.overtime_threshold_minutes, 0),
+    minimumMinutes: parseNonNegative(settings.overtime_minimum_minutes, 0),
+    roundingMinutes: parseNonNegative(settings.overtime_rounding_minutes, 0),
+    roundingMode: ROUNDING_MODES.includes(mode) ? mode : 'down',
+    multipliers: {
+      workday: parseNonNegative(settings.overtime_multiplier_workday, 1.5, parseFloat),
+      weekend: parseNonNegative(settings.overtime_multiplier_weekend, 2, parseFloat),
+      holiday: parseNonNegative(settings.overtime_multiplier_holiday, 3, parseFloat)
+    }
+  };
+}
+
+// ความยาวกะตามตารางเวลา (นาที) หักเวลาพัก รองรับกะข้ามคืน
+function scheduledShiftMinutes(schedule) {
+  if (!schedule) return null;
+
+  const start = parseTimeOfDay(schedule.start_time);
+  const end = parseTimeOfDay(schedule.end_time);
+  if (start === null || end === null) return null;
+
+  const length = end > start ? end - start : end + MINUTES_PER_DAY - start;
+  return Math.max(0, length - (parseInt(schedule.break_minutes) || 0));
+}
+
+// ตัด OT ที่ต่ำกว่าขั้นต่ำ แล้วปัดเป็นช่วงตามที่ตั้งค่า (เช่น ทีละ 15 นาที)
+function roundOvertimeMinutes(minutes, rules) {
+  if (minutes <= 0 || minutes < rules.minimumMinutes) return 0;
+
+  const block = rules.roundingMinutes;
+  if (!block) return minutes;
+
+  if (rules.roundingMode === 'up') return Math.ceil(minutes / block) * block;
+  if (rules.roundingMode === 'nearest') return Math.round(minutes / block) * block;
+  return Math.floor(minutes / block) * block;
+}
+
+// คืน { day_type, worked_minutes, regular_minutes, overtime_minutes,
+//        weekend_overtime_minutes, holiday_overtime_minutes, weighted_overtime_minutes }
+function calculateDailyOvertime({ workedMinutes, scheduledMinutes = null, dayType = 'workday' }, rules) {
+  const type = DAY_TYPES.includes(dayType) ? dayType : 'workday';
+  const worked = Math.max(0, Math.floor(workedMinutes) || 0);
+  const result = {
+    day_type: type,
+    worked_minutes: worked,
+    regular_minutes: 0,
+    overtime_minutes: 0,
+    weekend_overtime_minutes: 0,
+    holiday_overtime_minutes: 0,
+    weighted_overtime_minutes: 0
+  };
+
+  if (type !== 'workday') {
+    const overtime = roundOvertimeMinutes(worked, rules);
+    result[`${type}_overtime_minutes`] = overtime;
+    result.weighted_overtime_minutes = overtime * rules.multipliers[type];
+    return result;
+  }
+
+  const threshold = rules.thresholdMinutes ||
+    (scheduledMinutes !== null && scheduledMinutes > 0 ? scheduledMinutes : DEFAULT_DAILY_MINUTES);
+
+  result.regular_minutes = Math.min(worked, threshold);
+  result.overtime_minutes = roundOvertimeMinutes(worked - threshold, rules);
+  result.weighted_overtime_minutes = result.overtime_minutes * rules.multipliers.workday;
+  return result;
+}
+
+module.exports = {
+  OVERTIME_SETTING_NAMES,
+  ROUNDING_MODES,
+  parseOvertimeRules,
+  scheduledShiftMinutes,
+  roundOvertimeMinutes,
+  calculateDailyOvertime
+};
@@ -0,0 +1,127 @@
+const {
+  parseOvertimeRules,
+  scheduledShiftMinutes,
+  roundOvertimeMinutes,
+  calculateDailyOvertime
+} = require('./overtime-rules');
+
+describe('parseOvertimeRules', () => {
+  test('ใช้ค่าเริ่มต้นเมื่อไม่ได้ตั้งค่า', () => {
+    expect(parseOvertimeRules()).toEqual({
+      thresholdMinutes: 0,
+      minimumMinutes: 0,
+      roundingMinutes: 0,
+      roundingMode: 'down',
+      multipliers: { workday: 1.5, weekend: 2, holiday: 3 }
+    });
+  });
+
+  test('ค่าที่ไม่ถูกต้องกลับไปใช้ค่าเริ่มต้น', () => {
+    const rules = parseOvertimeRules({
+      overtime_threshold_minutes: '-30',
+      overtime_rounding_mode: 'sideways',
+      overtime_multiplier_workday: 'abc',
+      overtime_rounding_minutes: '15'
+    });
+
+    expect(rules.thresholdMinutes).toBe(0);
+    expect(rules.roundingMode).toBe('down');
+    expect(rules.multipliers.workday).toBe(1.5);
+    expect(rules.roundingMinutes).toBe(15);
+  });
+});
+
+describe('scheduledShiftMinutes', () => {
+  test('หักเวลาพักออกจากความยาวกะ', () => {
+    expect(scheduledShiftMinutes({ start_time: '08:00', end_time: '17:00', break_minutes: 60 })).toBe(480);
+  });
+
+  test('รองรับกะข้ามคืน', () => {
+    expect(scheduledShiftMinutes({ start_time: '22:00', end_time: '06:00', break_minutes: 60 })).toBe(420);
+  });
+
+  test('ไม่มีตารางเวลาหรือเวลาไม่ถูกต้อง', () => {
+    expect(scheduledShiftMinutes(null)).toBeNull();
+    expect(scheduledShiftMinutes({ start_time: '25:00', end_time: '06:00' })).toBeNull();
+  });
+});
+
+describe('roundOvertimeMinutes', () => {
+  const rules = mode => ({ minimumMinutes: 30, roundingMinutes: 15, roundingMode: mode });
+
+  test('ต่ำกว่าขั้นต่ำนับเป็น 0', () => {
+    expect(roundOvertimeMinutes(29, rules('up'))).toBe(0);
+    expect(roundOvertimeMinutes(-10, rules('up'))).toBe(0);
+  });
+
+  test('ปัดตามรูปแบบที่ตั้งค่า', () => {
+    expect(roundOvertimeMinutes(37, rules('down'))).toBe(30);
+    expect(roundOvertimeMinutes(37, rules('up'))).toBe(45);
+    expect(roundOvertimeMinutes(37, rules('nearest'))).toBe(30);
+    expect(roundOvertimeMinutes(38, rules('nearest'))).toBe(45);
+  });
+
+  test('ไม่ปัดเมื่อไม่ได้กำหนดช่วง', () => {
+    expect(roundOvertimeMinutes(37, { minimumMinutes: 0, roundingMinutes: 0, roundingMode: 'up' })).toBe(37);
+  });
+});
+
+describe('calculateDailyOvertime', () => {
+  const rules = parseOvertimeRules();
+
+  test('วันทำงาน: เวลาที่เกินความยาวกะเป็น OT', () => {
+    expect(calculateDailyOvertime({ workedMinutes: 600, scheduledMinutes: 480 }, rules)).toEqual({
+      day_type: 'workday',
+      worked_minutes: 600,
+      regular_minutes: 480,
+      overtime_minutes: 120,
+      weekend_overtime_minutes: 0,
+      holiday_overtime_minutes: 0,
+      weighted_overtime_minutes: 180
+    });
+  });
+
+  test('เกณฑ์ที่ตั้งค่าไว้ใช้แทนความยาวกะ', () => {
+    const result = calculateDailyOvertime(
+      { workedMinutes: 600, scheduledMinutes: 480 },
+      parseOvertimeRules({ overtime_threshold_minutes: '540' })
+    );
+
+    expect(result.regular_minutes).toBe(540);
+    expect(result.overtime_minutes).toBe(60);
+  });
+
+  test('ไม่มีกะใช้ 8 ชั่วโมง', () => {
+    const result = calculateDailyOvertime({ workedMinutes: 500 }, rules);
+
+    expect(result.regular_minutes).toBe(480);
+    expect(result.overtime_minutes).toBe(20);
+  });
+
+  test('ทำงานไม่ถึงเกณฑ์ไม่มี OT', () => {
+    const result = calculateDailyOvertime({ workedMinutes: 300, scheduledMinutes: 480 }, rules);
+
+    expect(result.regular_minutes).toBe(300);
+    expect(result.overtime_minutes).toBe(0);
+  });
+
+  test('วันหยุด: เวลาทำงานทั้งหมดเป็น OT ตามอัตราของวันหยุด', () => {
+    const weekend = calculateDailyOvertime({ workedMinutes: 300, dayType: 'weekend' }, rules);
+    const holiday = calculateDailyOvertime({ workedMinutes: 300, dayType: 'holiday' }, rules);
+
+    expect(weekend.regular_minutes).toBe(0);
+    expect(weekend.weekend_overtime_minutes).toBe(300);
+    expect(weekend.weighted_overtime_minutes).toBe(600);
+    expect(holiday.holiday_overtime_minutes).toBe(300);
+    expect(holiday.weighted_overtime_minutes).toBe(900);
+  });
+
+  test('OT ของวันหยุดผ่านขั้นต่ำและการปัด', () => {
+    const result = calculateDailyOvertime(
+      { workedMinutes: 100, dayType: 'weekend' },
+      parseOvertimeRules({ overtime_rounding_minutes: '30', overtime_rounding_mode: 'down' })
+    );
+
+    expect(result.weekend_overtime_minutes).toBe(90);
+  });
+});
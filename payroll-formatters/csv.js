@@ -0,0 +1,39 @@
+// payroll-formatters/csv.js - ไฟล์เงินเดือนแบบ CSV (UTF-8 มี BOM ให้ Excel อ่านภาษาไทยได้) หนึ่งแถวต่อพนักงาน
+
+const { csvLine } = require('../time-log-export');
+const { PAY_TYPE_LABELS } = require('../payroll');
+
+const COLUMNS = [
+  { label: 'รหัสพนักงาน', value: line => line.emp_code },
+  { label: 'ชื่อ-นามสกุล', value: line => line.full_name },
+  { label: 'แผนก', value: line => line.department },
+  { label: 'ธนาคาร', value: line => line.bank_name },
+  { label: 'เลขที่บัญชี', value: line => line.bank_account_no },
+  { label: 'ชื่อบัญชี', value: line => line.bank_account_name },
+  { label: 'ประเภทค่าจ้าง', value: line => PAY_TYPE_LABELS[line.pay_type] },
+  { label: 'อัตราค่าจ้าง', value: line => line.pay_rate.toFixed(2) },
+  { label: 'วันทำงาน', value: line => line.work_days },
+  { label: 'วันขาดงาน', value: line => line.absent_days },
+  { label: 'มาสาย (นาที)', value: line => line.late_minutes },
+  { label: 'ชั่วโมงปกติ', value: line => line.payable_hours },
+  { label: 'ชั่วโมง OT', value: line => line.overtime_hours },
+  { label: 'ค่าจ้าง', value: line => line.base_pay.toFixed(2) },
+  { label: 'ค่า OT', value: line => line.overtime_pay.toFixed(2) },
+  { label: 'หักมาสาย', value: line => line.late_deduction.toFixed(2) },
+  { label: 'หักขาดงาน', value: line => line.absent_deduction.toFixed(2) },
+  { label: 'ยอดสุทธิ', value: line => line.net_pay.toFixed(2) }
+];
+
+function format(run) {
+  return '\uFEFF' +
+    csvLine(COLUMNS.map(column => column.label)) +
+    run.lines.map(line => csvLine(COLUMNS.map(column => column.value(line)))).join('');
+}
+
+module.exports = {
+  name: 'csv',
+  label: 'CSV',
+  extension: 'csv',
+  contentType: 'text/csv; charset=utf-8',
+  format
+};
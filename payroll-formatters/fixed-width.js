@@ -0,0 +1,64 @@
+// payroll-formatters/fixed-width.js - ไฟล์โอนเงินเดือนแบบความยาวคงที่ (header / detail / trailer บรรทัดละหนึ่งระเบียน)
+//
+// รูปแบบแต่ละระเบียนกำหนดใน RECORD_LAYOUTS: width = จำนวนตัวอักษร, align = left|right, pad = อักขระเติม
+// ข้อความที่ยาวเกินถูกตัด จำนวนเงินเป็นสตางค์ (ไม่มีจุดทศนิยม) เลขที่บัญชีเก็บเฉพาะตัวเลข
+
+const RECORD_LAYOUTS = {
+  header: [
+    { value: () => 'H', width: 1 },
+    { value: ({ options }) => digitsOnly(options.companyAccount), width: 15, align: 'right', pad: '0' },
+    { value: ({ options }) => String(options.paymentDate || '').replace(/-/g, ''), width: 8 },
+    { value: ({ options }) => options.organizationName, width: 40 },
+    { value: ({ run }) => run.lines.length, width: 6, align: 'right', pad: '0' },
+    { value: ({ run }) => toSatang(run.totals.net_pay), width: 15, align: 'right', pad: '0' }
+  ],
+  detail: [
+    { value: () => 'D', width: 1 },
+    { value: ({ index }) => index + 1, width: 6, align: 'right', pad: '0' },
+    { value: ({ line }) => digitsOnly(line.bank_account_no), width: 15, align: 'right', pad: '0' },
+    { value: ({ line }) => toSatang(line.net_pay), width: 15, align: 'right', pad: '0' },
+    { value: ({ line }) => line.emp_code, width: 10 },
+    { value: ({ line }) => line.bank_account_name, width: 40 }
+  ],
+  trailer: [
+    { value: () => 'T', width: 1 },
+    { value: ({ run }) => run.lines.length, width: 6, align: 'right', pad: '0' },
+    { value: ({ run }) => toSatang(run.totals.net_pay), width: 15, align: 'right', pad: '0' }
+  ]
+};
+
+function digitsOnly(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+function toSatang(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+function fixedField(value, { width, align = 'left', pad = ' ' }) {
+  const text = [...String(value === null || value === undefined ? '' : value)].slice(0, width).join('');
+  const padding = pad.repeat(Math.max(0, width - [...text].length));
+  return align === 'right' ? padding + text : text + padding;
+}
+
+function formatRecord(layout, context) {
+  return layout.map(field => fixedField(field.value(context), field)).join('');
+}
+
+function format(run, options = {}) {
+  const records = [
+    formatRecord(RECORD_LAYOUTS.header, { run, options }),
+    ...run.lines.map((line, index) => formatRecord(RECORD_LAYOUTS.detail, { run, options, line, index })),
+    formatRecord(RECORD_LAYOUTS.trailer, { run, options })
+  ];
+
+  return records.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  name: 'fixed_width',
+  label: 'Fixed-width (ไฟล์โอนเงินธนาคาร)',
+  extension: 'txt',
+  contentType: 'text/plain; charset=utf-8',
+  format
+};
@@ -0,0 +1,25 @@
+// payroll-formatters/index.js - ทะเบียนรูปแบบไฟล์เงินเดือน
+//
+// แต่ละโมดูลส่งออก { name, label, extension, contentType, format(run, options) }
+//   run     = { period: { name, start_date, end_date }, lines, totals } จาก computePayrollRun
+//   options = { organizationName, companyAccount, paymentDate (YYYY-MM-DD) }
+//   format() คืนเนื้อหาไฟล์ (string หรือ Buffer)
+// เพิ่มรูปแบบใหม่ได้โดยสร้างโมดูลในโฟลเดอร์นี้แล้วเพิ่มไว้ใน PAYROLL_FORMATTERS
+
+const PAYROLL_FORMATTERS = [
+  require('./csv'),
+  require('./fixed-width')
+];
+
+function getPayrollFormatter(name) {
+  return PAYROLL_FORMATTERS.find(formatter => formatter.name === name) || null;
+}
+
+function listPayrollFormatters() {
+  return PAYROLL_FORMATTERS.map(({ name, label, extension }) => ({ name, label, extension }));
+}
+
+module.exports = {
+  getPayrollFormatter,
+  listPayrollFormatters
+};
@@ -0,0 +1,181 @@
+// payroll.js - คำนวณเงินเดือนตามช่วงวันที่: ชั่วโมงที่ได้รับค่าจ้าง ค่า OT และรายการหักจากการมาสาย/ขาดงาน
+//
+// ประเภทค่าจ้าง (pay_type): monthly = เงินเดือนต่องวด, daily = ค่าจ้างรายวัน, hourly = ค่าจ้างรายชั่วโมง
+// อัตรารายชั่วโมงของ monthly/daily คิดจาก payroll_monthly_divisor_days และ payroll_daily_hours
+// ค่า OT ใช้ชั่วโมง OT ที่คูณอัตราแล้ว (weighted_overtime_minutes ใน daily_overtime)
+// รายวัน/รายชั่วโมงได้ค่าจ้างเฉพาะวันหรือชั่วโมงที่ทำงาน จึงไม่มีรายการหักวันขาดงาน
+
+const PAY_TYPES = ['monthly', 'daily', 'hourly'];
+const PAY_TYPE_LABELS = { monthly: 'รายเดือน', daily: 'รายวัน', hourly: 'รายชั่วโมง' };
+const LATE_DEDUCTION_MODES = ['per_minute', 'none'];
+const ABSENT_DEDUCTION_MODES = ['daily_rate', 'none'];
+const WORKED_STATUSES = ['present', 'late', 'incomplete'];
+const MAX_BANK_FIELD_LENGTH = 100;
+
+const PAYROLL_SETTING_NAMES = [
+  'payroll_monthly_divisor_days',
+  'payroll_daily_hours',
+  'payroll_late_deduction',
+  'payroll_absent_deduction',
+  'payroll_file_format',
+  'payroll_company_account'
+];
+
+function parsePositive(value, fallback) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toHours(minutes) {
+  return Math.round((Number(minutes) || 0) / 60 * 100) / 100;
+}
+
+// แปลงค่าการตั้งค่า (ข้อความ) เป็นกฎที่ใช้คำนวณ
+function parsePayrollRules(settings = {}) {
+  const lateMode = String(settings.payroll_late_deduction || '').trim();
+  const absentMode = String(settings.payroll_absent_deduction || '').trim();
+
+  return {
+    monthlyDivisorDays: parsePositive(settings.payroll_monthly_divisor_days, 30),
+    dailyHours: parsePositive(settings.payroll_daily_hours, 8),
+    lateDeduction: LATE_DEDUCTION_MODES.includes(lateMode) ? lateMode : 'per_minute',
+    absentDeduction: ABSENT_DEDUCTION_MODES.includes(absentMode) ? absentMode : 'daily_rate'
+  };
+}
+
+// ตรวจสอบข้อมูลค่าจ้างและบัญชีธนาคารของพนักงาน คืนข้อความผิดพลาดหรือ null
+function validatePayFields({ pay_type, pay_rate, bank_name, bank_account_no, bank_account_name }) {
+  if (pay_type && !PAY_TYPES.includes(pay_type)) {
+    return 'ประเภทค่าจ้างไม่ถูกต้อง';
+  }
+
+  if (pay_rate !== undefined && pay_rate !== null && pay_rate !== '') {
+    const rate = Number(pay_rate);
+    if (!Number.isFinite(rate) || rate < 0) {
+      return 'อัตราค่าจ้างต้องเป็นตัวเลขที่ไม่ติดลบ';
+    }
+  }
+
+  if (bank_account_no && !/^[0-9-]{6,20}$/.test(String(bank_account_no).trim())) {
+    return 'เลขที่บัญชีธนาคารต้องเป็นตัวเลข 6-20 หลัก';
+  }
+
+  if ([bank_name, bank_account_name].some(value => value && String(value).length > MAX_BANK_FIELD_LENGTH)) {
+    return `ชื่อธนาคารและชื่อบัญชีต้องไม่เกิน ${MAX_BANK_FIELD_LENGTH} ตัวอักษร`;
+  }
+
+  return null;
+}
+
+// อัตราค่าจ้างรายวันและรายชั่วโมงตามประเภทค่าจ้าง
+function payRates(payType, payRate, rules) {
+  const rate = Number(payRate) || 0;
+
+  if (payType === 'hourly') {
+    return { daily: rate * rules.dailyHours, hourly: rate };
+  }
+
+  const daily = payType === 'daily' ? rate : rate / rules.monthlyDivisorDays;
+  return { daily, hourly: daily / rules.dailyHours };
+}
+
+// เงินเดือนของพนักงานหนึ่งคน
+// attendance = สถานะรายวันของช่วงวันที่ (getAttendance), overtime = แถว daily_overtime ของช่วงวันที่
+function computePayrollLine({ employee, attendance = [], overtime = [], rules }) {
+  const payType = PAY_TYPES.includes(employee.pay_type) ? employee.pay_type : 'monthly';
+  const rates = payRates(payType, employee.pay_rate, rules);
+
+  const workDays = attendance.filter(day => WORKED_STATUSES.includes(day.status)).length;
+  const absentDays = attendance.filter(day => day.status === 'absent').length;
+  const lateMinutes = attendance.reduce((sum, day) => sum + (Number(day.late_minutes) || 0), 0);
+  const regularMinutes = overtime.reduce((sum, day) => sum + (Number(day.regular_minutes) || 0), 0);
+  const overtimeMinutes = overtime.reduce((sum, day) => (
+    sum + (Number(day.overtime_minutes) || 0) + (Number(day.weekend_overtime_minutes) || 0) + (Number(day.holiday_overtime_minutes) || 0)
+  ), 0);
+  const weightedOvertimeMinutes = overtime.reduce((sum, day) => sum + (Number(day.weighted_overtime_minutes) || 0), 0);
+
+  let basePay;
+  if (payType === 'hourly') {
+    basePay = regularMinutes / 60 * rates.hourly;
+  } else if (payType === 'daily') {
+    basePay = workDays * rates.daily;
+  } else {
+    basePay = Number(employee.pay_rate) || 0;
+  }
+
+  // รายชั่วโมงไม่ได้รับค่าจ้างในเวลาที่มาสายอยู่แล้ว จึงไม่หักซ้ำ
+  const lateDeduction = rules.lateDeduction === 'per_minute' && payType !== 'hourly'
+    ? lateMinutes / 60 * rates.hourly
+    : 0;
+  const absentDeduction = rules.absentDeduction === 'daily_rate' && payType === 'monthly'
+    ? absentDays * rates.daily
+    : 0;
+  const overtimePay = weightedOvertimeMinutes / 60 * rates.hourly;
+
+  return {
+    employee_id: employee.id,
+    emp_code: employee.emp_code,
+    full_name: employee.full_name,
+    department: employee.department || '',
+    pay_type: payType,
+    pay_rate: roundMoney(Number(employee.pay_rate) || 0),
+    hourly_rate: roundMoney(rates.hourly),
+    bank_name: employee.bank_name || '',
+    bank_account_no: employee.bank_account_no || '',
+    bank_account_name: employee.bank_account_name || employee.full_name,
+    work_days: workDays,
+    absent_days: absentDays,
+    late_minutes: lateMinutes,
+    payable_hours: toHours(regularMinutes),
+    overtime_hours: toHours(overtimeMinutes),
+    weighted_overtime_hours: toHours(weightedOvertimeMinutes),
+    base_pay: roundMoney(basePay),
+    overtime_pay: roundMoney(overtimePay),
+    late_deduction: roundMoney(lateDeduction),
+    absent_deduction: roundMoney(absentDeduction),
+    net_pay: roundMoney(Math.max(0, basePay + overtimePay - lateDeduction - absentDeduction))
+  };
+}
+
+// เงินเดือนทั้งงวด พนักงานที่ยังไม่กำหนดอัตราค่าจ้างจะอยู่ใน skipped
+function computePayrollRun({ employees, attendanceByEmployee = {}, overtimeByEmployee = {}, rules }) {
+  const lines = [];
+  const skipped = [];
+
+  employees.forEach(employee => {
+    if (employee.pay_rate === null || employee.pay_rate === undefined || Number(employee.pay_rate) <= 0) {
+      skipped.push({ employee_id: employee.id, emp_code: employee.emp_code, full_name: employee.full_name, reason: 'ยังไม่กำหนดอัตราค่าจ้าง' });
+      return;
+    }
+
+    lines.push(computePayrollLine({
+      employee,
+      attendance: attendanceByEmployee[employee.id] || [],
+      overtime: overtimeByEmployee[employee.id] || [],
+      rules
+    }));
+  });
+
+  const totals = ['base_pay', 'overtime_pay', 'late_deduction', 'absent_deduction', 'net_pay'].reduce((result, field) => {
+    result[field] = roundMoney(lines.reduce((sum, line) => sum + line[field], 0));
+    return result;
+  }, { employee_count: lines.length });
+
+  return { lines, skipped, totals };
+}
+
+module.exports = {
+  PAY_TYPES,
+  PAY_TYPE_LABELS,
+  LATE_DEDUCTION_MODES,
+  ABSENT_DEDUCTION_MODES,
+  PAYROLL_SETTING_NAMES,
+  parsePayrollRules,
+  validatePayFields,
+  computePayrollLine,
+  computePayrollRun
+};
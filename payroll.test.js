@@ -0,0 +1,128 @@
+const { parsePayrollRules, validatePayFields, computePayrollLine, computePayrollRun } = require('./payroll');
+
+const rules = parsePayrollRules();
+const attendance = [
+  { status: 'present', late_minutes: 0 },
+  { status: 'late', late_minutes: 30 },
+  { status: 'absent', late_minutes: 0 }
+];
+const overtime = [
+  { regular_minutes: 480, overtime_minutes: 60, weighted_overtime_minutes: 90 },
+  { regular_minutes: 480, overtime_minutes: 20, weighted_overtime_minutes: 30 }
+];
+
+describe('parsePayrollRules', () => {
+  test('ใช้ค่าเริ่มต้นเมื่อไม่ได้ตั้งค่าหรือค่าไม่ถูกต้อง', () => {
+    expect(parsePayrollRules({ payroll_monthly_divisor_days: '0', payroll_late_deduction: 'x' })).toEqual({
+      monthlyDivisorDays: 30,
+      dailyHours: 8,
+      lateDeduction: 'per_minute',
+      absentDeduction: 'daily_rate'
+    });
+  });
+});
+
+describe('validatePayFields', () => {
+  test('ข้อมูลถูกต้อง', () => {
+    expect(validatePayFields({ pay_type: 'daily', pay_rate: '500', bank_account_no: '123-4-56789-0' })).toBeNull();
+  });
+
+  test('ข้อมูลไม่ถูกต้อง', () => {
+    expect(validatePayFields({ pay_type: 'weekly' })).toBe('ประเภทค่าจ้างไม่ถูกต้อง');
+    expect(validatePayFields({ pay_rate: '-1' })).toBe('อัตราค่าจ้างต้องเป็นตัวเลขที่ไม่ติดลบ');
+    expect(validatePayFields({ bank_account_no: '12ab' })).toBe('เลขที่บัญชีธนาคารต้องเป็นตัวเลข 6-20 หลัก');
+  });
+});
+
+describe('computePayrollLine', () => {
+  test('รายเดือน: หักมาสายตามนาทีและขาดงานตามค่าจ้างรายวัน', () => {
+    const line = computePayrollLine({
+      employee: { id: 1, emp_code: 'E1', full_name: 'ก', pay_type: 'monthly', pay_rate: '30000' },
+      attendance,
+      overtime,
+      rules
+    });
+
+    expect(line.hourly_rate).toBe(125);
+    expect(line.work_days).toBe(2);
+    expect(line.absent_days).toBe(1);
+    expect(line.base_pay).toBe(30000);
+    expect(line.overtime_pay).toBe(250);
+    expect(line.late_deduction).toBe(62.5);
+    expect(line.absent_deduction).toBe(1000);
+    expect(line.net_pay).toBe(29187.5);
+  });
+
+  test('รายวัน: จ่ายตามวันที่ทำงาน ไม่หักวันขาดงาน', () => {
+    const line = computePayrollLine({
+      employee: { id: 2, pay_type: 'daily', pay_rate: 500 },
+      attendance,
+      overtime: [],
+      rules
+    });
+
+    expect(line.base_pay).toBe(1000);
+    expect(line.late_deduction).toBe(31.25);
+    expect(line.absent_deduction).toBe(0);
+  });
+
+  test('รายชั่วโมง: จ่ายตามชั่วโมงปกติ ไม่หักมาสายซ้ำ', () => {
+    const line = computePayrollLine({
+      employee: { id: 3, pay_type: 'hourly', pay_rate: 100 },
+      attendance,
+      overtime,
+      rules
+    });
+
+    expect(line.payable_hours).toBe(16);
+    expect(line.base_pay).toBe(1600);
+    expect(line.overtime_pay).toBe(200);
+    expect(line.late_deduction).toBe(0);
+  });
+
+  test('ปิดการหักตามการตั้งค่า', () => {
+    const line = computePayrollLine({
+      employee: { id: 1, pay_type: 'monthly', pay_rate: 30000 },
+      attendance,
+      rules: parsePayrollRules({ payroll_late_deduction: 'none', payroll_absent_deduction: 'none' })
+    });
+
+    expect(line.late_deduction).toBe(0);
+    expect(line.absent_deduction).toBe(0);
+    expect(line.net_pay).toBe(30000);
+  });
+
+  test('ยอดสุทธิไม่ติดลบ', () => {
+    const line = computePayrollLine({
+      employee: { id: 1, pay_type: 'monthly', pay_rate: 300 },
+      attendance: Array.from({ length: 31 }, () => ({ status: 'absent' })),
+      rules
+    });
+
+    expect(line.net_pay).toBe(0);
+  });
+});
+
+describe('computePayrollRun', () => {
+  test('ข้ามพนักงานที่ยังไม่กำหนดอัตราค่าจ้างและรวมยอด', () => {
+    const run = computePayrollRun({
+      employees: [
+        { id: 1, emp_code: 'E1', pay_type: 'monthly', pay_rate: 30000 },
+        { id: 2, emp_code: 'E2', pay_type: 'daily', pay_rate: null },
+        { id: 3, emp_code: 'E3', pay_type: 'daily', pay_rate: 500 }
+      ],
+      attendanceByEmployee: { 3: [{ status: 'present' }] },
+      rules
+    });
+
+    expect(run.skipped.map(item => item.emp_code)).toEqual(['E2']);
+    expect(run.totals).toEqual({
+      employee_count: 2,
+      base_pay: 30500,
+      overtime_pay: 0,
+      late_deduction: 0,
+      absent_deduction: 0,
+      net_pay: 30500
+    });
+  });
+});
@@ -0,0 +1,211 @@
+// public/js/admin-auth.js - จัดการ session ของแอดมินสำหรับทุกหน้าใน /admin
+
+// ⭐ Admin Session Manager
+class AdminSession {
+  constructor() {
+    this.tokenKey = 'admin_token';
+    this.usernameKey = 'admin_username';
+    this.expiresKey = 'admin_expires_at';
+    this.roleKey = 'admin_role';
+    this.permissionsKey = 'admin_permissions';
+    this.loginPage = '/admin/index.html';
+    this.redirecting = false;
+
+    this.setupJQuery();
+    this.setupFetch();
+
+    document.addEventListener('DOMContentLoaded', () => this.applyPermissions());
+  }
+
+  getToken() {
+    const token = sessionStorage.getItem(this.tokenKey);
+    const expiresAt = sessionStorage.getItem(this.expiresKey);
+
+    if (!token) return null;
+
+    if (expiresAt && new Date(expiresAt).getTime() <= Date.now()) {
+      this.clear();
+      return null;
+    }
+
+    return token;
+  }
+
+  getUsername() {
+    return sessionStorage.getItem(this.usernameKey) || '';
+  }
+
+  getRole() {
+    return sessionStorage.getItem(this.roleKey) || '';
+  }
+
+  getPermissions() {
+    try {
+      return JSON.parse(sessionStorage.getItem(this.permissionsKey) || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  hasPermission(permission) {
+    const permissions = this.getPermissions();
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  // ซ่อนเมนูและปุ่มที่มี data-permission ซึ่งบทบาทปัจจุบันไม่มีสิทธิ์
+  applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(element => {
+      if (!this.hasPermission(element.getAttribute('data-permission'))) {
+        element.classList.add('d-none');
+      }
+    });
+  }
+
+  // เก็บข้อมูลที่ได้จาก /api/admin/login
+  save(loginResponse) {
+    sessionStorage.setItem(this.tokenKey, loginResponse.token);
+    sessionStorage.setItem(this.usernameKey, loginResponse.username || '');
+    sessionStorage.setItem(this.expiresKey, loginResponse.expires_at || '');
+    sessionStorage.setItem(this.roleKey, loginResponse.role || '');
+    sessionStorage.setItem(this.permissionsKey, JSON.stringify(loginResponse.permissions || []));
+  }
+
+  clear() {
+    sessionStorage.removeItem(this.tokenKey);
+    sessionStorage.removeItem(this.usernameKey);
+    sessionStorage.removeItem(this.expiresKey);
+    sessionStorage.removeItem(this.roleKey);
+    sessionStorage.removeItem(this.permissionsKey);
+  }
+
+  isLoggedIn() {
+    return !!this.getToken();
+  }
+
+  // เรียกที่ต้นหน้า: ถ้ายังไม่ได้ล็อกอินจะพากลับหน้า login
+  requireLogin() {
+    if (this.isLoggedIn()) {
+      return true;
+    }
+
+    this.redirectToLogin(false);
+    return false;
+  }
+
+  redirectToLogin(expired = true) {
+    if (this.redirecting) return;
+    this.redirecting = true;
+
+    this.clear();
+    window.location.href = expired ? `${this.loginPage}?expired=1` : this.loginPage;
+  }
+
+  async logout() {
+    const token = this.getToken();
+
+    if (token) {
+      try {
+        await fetch('/api/admin/logout', {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+      } catch (error) {
+        console.warn('⚠️ Logout request failed:', error);
+      }
+    }
+
+    this.clear();
+    window.location.href = this.loginPage;
+  }
+
+  isAdminApi(url) {
+    try {
+      const parsed = new URL(url, window.location.origin);
+      return parsed.origin === window.location.origin && parsed.pathname.startsWith('/api/admin');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // แนบ token ให้ทุก $.ajax ที่เรียก /api/admin, พากลับหน้า login เมื่อได้ 401 และแจ้งเตือนเมื่อได้ 403
+  setupJQuery() {
+    if (!window.jQuery) return;
+
+    const self = this;
+
+    jQuery.ajaxPrefilter(function(options, originalOptions, jqXHR) {
+      const token = self.getToken();
+      if (token && self.isAdminApi(options.url)) {
+        jqXHR.setRequestHeader('Authorization', `Bearer ${token}`);
+      }
+    });
+
+    jQuery(document).ajaxError(function(event, jqXHR, settings) {
+      if (jqXHR.status === 401 && self.isAdminApi(settings.url) && !settings.url.includes('/api/admin/login')) {
+        self.redirectToLogin(true);
+      } else if (jqXHR.status === 403 && self.isAdminApi(settings.url)) {
+        const message = jqXHR.responseJSON && jqXHR.responseJSON.message;
+        alert(message || 'คุณไม่มีสิทธิ์ใช้งานส่วนนี้');
+      }
+    });
+  }
+
+  // แนบ token ให้ fetch ที่เรียก /api/admin เช่นการนำเข้าไฟล์
+  setupFetch() {
+    const self = this;
+    const originalFetch = window.fetch.bind(window);
+
+    window.fetch = async function(input, init = {}) {
+      const url = typeof input === 'string' ? input : input.url;
+
+      if (!self.isAdminApi(url)) {
+        return originalFetch(input, init);
+      }
+
+      const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+      const token = self.getToken();
+      if (token && !headers.has('Authorization')) {
+        headers.set('Authorization', `Bearer ${token}`);
+      }
+
+      const response = await originalFetch(input, { ...init, headers });
+
+      if (response.status === 401 && !url.includes('/api/admin/login') && !url.includes('/api/admin/logout')) {
+        self.redirectToLogin(true);
+      }
+
+      return response;
+    };
+  }
+
+  // ดาวน์โหลดไฟล์จาก API ที่ต้องใช้ token (ลิงก์ธรรมดาแนบ header ไม่ได้)
+  async download(url, fallbackFilename, options = {}) {
+    const response = await fetch(url, options);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+
+    // API ตอบข้อผิดพลาดเป็น JSON แทนไฟล์แนบ
+    if (!disposition && (response.headers.get('Content-Type') || '').includes('application/json')) {
+      const result = await response.json();
+      throw new Error(result.message);
+    }
+
+    const match = disposition.match(/filename="?([^";]+)"?/);
+    const filename = match ? match[1] : fallbackFilename;
+
+    const blob = await response.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  }
+}
+
+window.AdminAuth = new AdminSession();
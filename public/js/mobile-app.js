@@ -12,6 +12,9 @@ class MobileTimeTrackerApp {
     this.clock = new MobileTimeTracker.ClockManager(this.api);
     this.location = new MobileTimeTracker.LocationManager();
     this.settings = new MobileTimeTracker.SettingsManager(this.api);
+    this.leave = new MobileTimeTracker.LeaveManager(this.api);
+    this.corrections = new MobileTimeTracker.CorrectionManager(this.api);
+    this.notifications = new MobileTimeTracker.NotificationManager(this.api);
     
     // UI Components
     this.employeeAutocomplete = null;
@@ -100,6 +103,17 @@ class MobileTimeTrackerApp {
       clockOutBtn.addEventListener('click', () => this.handleClockOut());
     }
     
+    // Break buttons
+    const breakStartBtn = document.getElementById('break-start-btn');
+    if (breakStartBtn) {
+      breakStartBtn.addEventListener('click', () => this.handleBreak('start'));
+    }
+    
+    const breakEndBtn = document.getElementById('break-end-btn');
+    if (breakEndBtn) {
+      breakEndBtn.addEventListener('click', () => this.handleBreak('end'));
+    }
+    
     // Refresh button
     const refreshBtn = document.getElementById('refresh-btn');
     if (refreshBtn) {
@@ -117,6 +131,18 @@ class MobileTimeTrackerApp {
     if (settingsBtn) {
       settingsBtn.addEventListener('click', () => this.handleSettings());
     }
+    
+    // Leave button
+    const leaveBtn = document.getElementById('leave-btn');
+    if (leaveBtn) {
+      leaveBtn.addEventListener('click', () => this.handleLeave());
+    }
+    
+    // Time correction button
+    const correctionBtn = document.getElementById('correction-btn');
+    if (correctionBtn) {
+      correctionBtn.addEventListener('click', () => this.handleCorrection());
+    }
   }
 
   async loadInitialData() {
@@ -239,17 +265,41 @@ class MobileTimeTrackerApp {
       // Update button states
       this.updateButtonStates(status.status);
       
+      await this.showNotifications(employeeName);
+      
     } catch (error) {
       console.error('📱 Failed to check status:', error);
     }
   }
 
+  // แสดงการแจ้งเตือนที่ยังไม่ได้อ่าน (เช่น เตือนให้ลงเวลาออก) แล้วทำเครื่องหมายว่าอ่านแล้ว
+  async showNotifications(employeeName) {
+    const notifications = await this.notifications.getUnread(employeeName);
+    if (notifications.length === 0) return;
+    
+    notifications.forEach(notification => {
+      MobileUI.toast.warning(`${notification.title}: ${notification.message}`, 8000);
+    });
+    
+    await this.notifications.markRead(employeeName, notifications.map(notification => notification.id));
+  }
+
   updateButtonStates(status) {
     const clockInBtn = document.getElementById('clock-in-btn');
     const clockOutBtn = document.getElementById('clock-out-btn');
+    const breakStartBtn = document.getElementById('break-start-btn');
+    const breakEndBtn = document.getElementById('break-end-btn');
     
     if (!clockInBtn || !clockOutBtn) return;
     
+    // ปุ่มพักแสดงเฉพาะระหว่างกะ
+    if (breakStartBtn) {
+      breakStartBtn.style.display = status === 'clocked_in' ? '' : 'none';
+    }
+    if (breakEndBtn) {
+      breakEndBtn.style.display = status === 'on_break' ? '' : 'none';
+    }
+    
     switch (status) {
       case 'not_clocked_in':
         clockInBtn.disabled = false;
@@ -263,6 +313,12 @@ class MobileTimeTrackerApp {
         clockOutBtn.textContent = '🕓 ออกงาน';
         break;
         
+      case 'on_break':
+        // ลงเวลาออกระหว่างพักได้ ระบบจะปิดช่วงพักให้อัตโนมัติ
+        clockInBtn.disabled = true;
+        clockOutBtn.disabled = false;
+        break;
+        
       case 'completed':
         clockInBtn.disabled = true;
         clockOutBtn.disabled = true;
@@ -366,6 +422,38 @@ class MobileTimeTrackerApp {
     }
   }
 
+  async handleBreak(action) {
+    if (!this.currentUser) {
+      MobileUI.toast.error('กรุณาเลือกพนักงาน');
+      return;
+    }
+    
+    const loaderId = MobileUI.loading.show('submitting', action === 'start' ? 'กำลังบันทึกเริ่มพัก...' : 'กำลังบันทึกกลับจากพัก...');
+    
+    try {
+      const location = await this.getCurrentLocation();
+      
+      const result = await this.clock.recordBreak(action, this.currentUser.name, {
+        latitude: location?.latitude,
+        longitude: location?.longitude
+      });
+      
+      MobileUI.loading.hide(loaderId);
+      
+      if (result.success) {
+        MobileUI.toast.success(result.message);
+        await this.updateEmployeeStatus(this.currentUser.name);
+      } else {
+        MobileUI.toast.error(result.message);
+      }
+      
+    } catch (error) {
+      MobileUI.loading.hide(loaderId);
+      console.error('📱 Break error:', error);
+      MobileUI.toast.error('ไม่สามารถบันทึกการพักได้: ' + error.message);
+    }
+  }
+
   async getCurrentLocation() {
     try {
       // Try to get fresh location
@@ -538,6 +626,288 @@ class MobileTimeTrackerApp {
     });
   }
 
+  async handleLeave() {
+    if (!this.currentUser) {
+      MobileUI.toast.error('กรุณาเลือกพนักงาน');
+      return;
+    }
+    
+    const loaderId = MobileUI.loading.show('fetching', 'กำลังโหลดข้อมูลการลา...');
+    const info = await this.leave.getLeaveInfo(this.currentUser.name);
+    MobileUI.loading.hide(loaderId);
+    
+    if (!info.success) {
+      MobileUI.toast.error(info.message || 'ไม่สามารถโหลดข้อมูลการลาได้');
+      return;
+    }
+    
+    document.querySelector('.leave-modal')?.remove();
+    this.showLeaveModal(info);
+  }
+
+  showLeaveModal(info) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const statusLabels = { pending: 'รออนุมัติ', approved: 'อนุมัติแล้ว', rejected: 'ไม่อนุมัติ', cancelled: 'ยกเลิก' };
+    const today = new Date().toLocaleDateString('sv-SE');
+    
+    const balances = info.balances.map(balance => `
+      <div class="leave-balance">
+        <span>${escape(balance.name)}</span>
+        <span>${balance.quota === null ? `ใช้ไป ${balance.used} วัน` : `เหลือ ${balance.remaining}/${balance.quota} วัน`}
+          ${balance.pending > 0 ? `<small>(รออนุมัติ ${balance.pending})</small>` : ''}</span>
+      </div>
+    `).join('');
+    
+    const requests = info.requests.length === 0
+      ? '<div class="leave-empty">ยังไม่มีคำขอลา</div>'
+      : info.requests.map(request => `
+        <div class="leave-request leave-${request.status}">
+          <div>
+            <strong>${escape(request.leave_type_name)}</strong> ${Number(request.days)} วัน
+            <div><small>${request.start_date === request.end_date ? request.start_date : `${request.start_date} - ${request.end_date}`}</small></div>
+            ${request.review_note ? `<div><small>${escape(request.review_note)}</small></div>` : ''}
+          </div>
+          <div>
+            <span class="leave-status">${statusLabels[request.status] || escape(request.status)}</span>
+            ${request.status === 'pending' ? `<button type="button" class="btn btn-sm btn-secondary leave-cancel" data-id="${request.id}">ยกเลิก</button>` : ''}
+          </div>
+        </div>
+      `).join('');
+    
+    const modal = document.createElement('div');
+    modal.className = 'settings-modal leave-modal';
+    modal.innerHTML = `
+      <div class="modal-overlay" onclick="this.parentElement.remove()">
+        <div class="modal-content" onclick="event.stopPropagation()">
+          <div class="modal-header">
+            <h3>การลา ปี ${escape(info.year)}</h3>
+            <button class="modal-close" onclick="this.closest('.settings-modal').remove()">&times;</button>
+          </div>
+          <div class="modal-body">
+            ${balances}
+            <form id="leave-form" class="leave-form">
+              <select id="leave-type" class="form-control" required>
+                ${info.balances.map(balance => `<option value="${balance.leave_type_id}">${escape(balance.name)}</option>`).join('')}
+              </select>
+              <label>ตั้งแต่วันที่ <input type="date" id="leave-start" class="form-control" value="${today}" required></label>
+              <label>ถึงวันที่ <input type="date" id="leave-end" class="form-control" value="${today}" required></label>
+              <select id="leave-half-day" class="form-control">
+                <option value="">เต็มวัน</option>
+                <option value="morning">ครึ่งวันเช้า</option>
+                <option value="afternoon">ครึ่งวันบ่าย</option>
+              </select>
+              <textarea id="leave-reason" class="form-control" rows="2" placeholder="เหตุผลการลา"></textarea>
+              <button type="submit" class="btn btn-primary">ยื่นคำขอลา</button>
+            </form>
+            <h4>คำขอล่าสุด</h4>
+            ${requests}
+          </div>
+          <div class="modal-footer">
+            <button onclick="this.closest('.settings-modal').remove()" class="btn btn-secondary">
+              ปิด
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const startInput = modal.querySelector('#leave-start');
+    const endInput = modal.querySelector('#leave-end');
+    startInput.addEventListener('change', () => {
+      if (endInput.value < startInput.value) endInput.value = startInput.value;
+    });
+    
+    modal.querySelector('#leave-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const halfDay = modal.querySelector('#leave-half-day').value;
+      const result = await this.leave.submitRequest(this.currentUser.name, {
+        leave_type_id: modal.querySelector('#leave-type').value,
+        start_date: startInput.value,
+        end_date: halfDay ? startInput.value : endInput.value,
+        half_day: halfDay || null,
+        reason: modal.querySelector('#leave-reason').value
+      });
+      
+      if (result.success) {
+        MobileUI.toast.success(result.message);
+        await this.handleLeave();
+      } else {
+        MobileUI.toast.error(result.message);
+      }
+    });
+    
+    modal.querySelectorAll('.leave-cancel').forEach(button => {
+      button.addEventListener('click', async () => {
+        if (!confirm('ต้องการยกเลิกคำขอลานี้หรือไม่?')) return;
+        
+        const result = await this.leave.cancelRequest(this.currentUser.name, button.dataset.id);
+        if (result.success) {
+          MobileUI.toast.success(result.message);
+          await this.handleLeave();
+        } else {
+          MobileUI.toast.error(result.message);
+        }
+      });
+    });
+  }
+
+  async handleCorrection() {
+    if (!this.currentUser) {
+      MobileUI.toast.error('กรุณาเลือกพนักงาน');
+      return;
+    }
+    
+    const loaderId = MobileUI.loading.show('fetching', 'กำลังโหลดบันทึกการลงเวลา...');
+    const info = await this.corrections.getInfo(this.currentUser.name);
+    MobileUI.loading.hide(loaderId);
+    
+    if (!info.success) {
+      MobileUI.toast.error(info.message || 'ไม่สามารถโหลดข้อมูลคำขอแก้ไขเวลาได้');
+      return;
+    }
+    
+    document.querySelector('.correction-modal')?.remove();
+    this.showCorrectionModal(info);
+  }
+
+  showCorrectionModal(info) {
+    const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const statusLabels = { pending: 'รออนุมัติ', approved: 'อนุมัติแล้ว', rejected: 'ไม่อนุมัติ', cancelled: 'ยกเลิก' };
+    
+    const logOptions = info.logs.map(log => `
+      <option value="${log.id}">${escape(log.work_date)} เข้า ${escape(log.clock_in_display)} ออก ${escape(log.clock_out_display || '-')}</option>
+    `).join('');
+    
+    const requests = info.requests.length === 0
+      ? '<div class="correction-empty">ยังไม่มีคำขอแก้ไขเวลา</div>'
+      : info.requests.map(request => `
+        <div class="correction-request correction-${request.status}">
+          <div>
+            <strong>${escape(request.request_type_label)}</strong>
+            <div><small>${request.clock_in_display ? `เข้า ${escape(request.clock_in_display)} ` : ''}${request.clock_out_display ? `ออก ${escape(request.clock_out_display)}` : ''}</small></div>
+            ${request.review_note ? `<div><small>${escape(request.review_note)}</small></div>` : ''}
+          </div>
+          <div>
+            <span class="correction-status">${statusLabels[request.status] || escape(request.status)}</span>
+            ${request.status === 'pending' ? `<button type="button" class="btn btn-sm btn-secondary correction-cancel" data-id="${request.id}">ยกเลิก</button>` : ''}
+          </div>
+        </div>
+      `).join('');
+    
+    const modal = document.createElement('div');
+    modal.className = 'settings-modal correction-modal';
+    modal.innerHTML = `
+      <div class="modal-overlay" onclick="this.parentElement.remove()">
+        <div class="modal-content" onclick="event.stopPropagation()">
+          <div class="modal-header">
+            <h3>ขอแก้ไขเวลา</h3>
+            <button class="modal-close" onclick="this.closest('.settings-modal').remove()">&times;</button>
+          </div>
+          <div class="modal-body">
+            <form id="correction-form" class="correction-form">
+              <select id="correction-type" class="form-control" required>
+                <option value="missing_clock_out">ลืมลงเวลาออก</option>
+                <option value="missing_clock_in">ลืมลงเวลาเข้า</option>
+                <option value="wrong_time">เวลาไม่ถูกต้อง</option>
+              </select>
+              <select id="correction-log" class="form-control">
+                ${logOptions || '<option value="">ไม่มีบันทึกการลงเวลาล่าสุด</option>'}
+              </select>
+              <label id="correction-clock-in-label">เวลาเข้า <input type="datetime-local" id="correction-clock-in" class="form-control"></label>
+              <label id="correction-clock-out-label">เวลาออก <input type="datetime-local" id="correction-clock-out" class="form-control"></label>
+              <textarea id="correction-reason" class="form-control" rows="2" placeholder="เหตุผล" maxlength="500" required></textarea>
+              <label>รูปภาพประกอบ (ถ้ามี) <input type="file" id="correction-photo" class="form-control" accept="image/jpeg,image/png,image/webp"></label>
+              <button type="submit" class="btn btn-primary">ยื่นคำขอแก้ไขเวลา</button>
+            </form>
+            <h4>คำขอล่าสุด</h4>
+            ${requests}
+          </div>
+          <div class="modal-footer">
+            <button onclick="this.closest('.settings-modal').remove()" class="btn btn-secondary">
+              ปิด
+            </button>
+          </div>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const typeSelect = modal.querySelector('#correction-type');
+    const logSelect = modal.querySelector('#correction-log');
+    const clockInInput = modal.querySelector('#correction-clock-in');
+    const clockOutInput = modal.querySelector('#correction-clock-out');
+    
+    // เติมเวลาเดิมของบันทึกที่เลือกและซ่อนช่องที่ไม่เกี่ยวข้องกับประเภทคำขอ
+    const updateFields = () => {
+      const type = typeSelect.value;
+      const log = info.logs.find(item => String(item.id) === logSelect.value);
+      
+      logSelect.style.display = type === 'missing_clock_in' ? 'none' : '';
+      modal.querySelector('#correction-clock-in-label').style.display = type === 'missing_clock_out' ? 'none' : '';
+      clockInInput.value = type !== 'missing_clock_in' && log ? log.clock_in : '';
+      clockOutInput.value = type === 'wrong_time' && log ? (log.clock_out || '') : '';
+    };
+    typeSelect.addEventListener('change', updateFields);
+    logSelect.addEventListener('change', updateFields);
+    updateFields();
+    
+    const readPhoto = (file) => new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+    
+    modal.querySelector('#correction-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const type = typeSelect.value;
+      const file = modal.querySelector('#correction-photo').files[0];
+      let photo = null;
+      if (file) {
+        if (file.size > 2 * 1024 * 1024) {
+          MobileUI.toast.error('รูปภาพต้องมีขนาดไม่เกิน 2 MB');
+          return;
+        }
+        photo = await readPhoto(file);
+      }
+      
+      const result = await this.corrections.submitRequest(this.currentUser.name, {
+        request_type: type,
+        time_log_id: type === 'missing_clock_in' ? null : logSelect.value || null,
+        clock_in: type !== 'missing_clock_out' && clockInInput.value ? clockInInput.value + ':00' : null,
+        clock_out: clockOutInput.value ? clockOutInput.value + ':00' : null,
+        reason: modal.querySelector('#correction-reason').value,
+        photo
+      });
+      
+      if (result.success) {
+        MobileUI.toast.success(result.message);
+        await this.handleCorrection();
+      } else {
+        MobileUI.toast.error(result.message);
+      }
+    });
+    
+    modal.querySelectorAll('.correction-cancel').forEach(button => {
+      button.addEventListener('click', async () => {
+        if (!confirm('ต้องการยกเลิกคำขอแก้ไขเวลานี้หรือไม่?')) return;
+        
+        const result = await this.corrections.cancelRequest(this.currentUser.name, button.dataset.id);
+        if (result.success) {
+          MobileUI.toast.success(result.message);
+          await this.handleCorrection();
+        } else {
+          MobileUI.toast.error(result.message);
+        }
+      });
+    });
+  }
+
   async handleFormSubmit() {
     if (!this.currentUser) {
       MobileUI.toast.error('กรุณาเลือกพนักงาน');
@@ -224,13 +224,15 @@ class ClockManager {
         console.log('📱 Clock In Success:', response);
         return {
           success: true,
-          message: `ลงเวลาเข้า ${response.time} เรียบร้อย`,
+          message: `ลงเวลาเข้า ${response.time} เรียบร้อย` +
+            (response.location_status === 'outside' ? ` (นอกพื้นที่ ${response.distance} ม.)` : ''),
           data: response
         };
       } else {
         return {
           success: false,
-          message: response.msg || 'ไม่สามารถลงเวลาเข้าได้'
+          message: response.message || response.msg || 'ไม่สามารถลงเวลาเข้าได้',
+          code: response.code
         };
       }
       
@@ -286,13 +288,15 @@ class ClockManager {
         console.log('📱 Clock Out Success:', response);
         return {
           success: true,
-          message: `ลงเวลาออก ${response.time} เรียบร้อย`,
+          message: `ลงเวลาออก ${response.time} เรียบร้อย` +
+            (response.location_status === 'outside' ? ` (นอกพื้นที่ ${response.distance} ม.)` : ''),
           data: response
         };
       } else {
         return {
           success: false,
-          message: response.msg || 'ไม่สามารถลงเวลาออกได้'
+          message: response.message || response.msg || 'ไม่สามารถลงเวลาออกได้',
+          code: response.code
         };
       }
       
@@ -316,6 +320,58 @@ class ClockManager {
     }
   }
 
+  // action: 'start' = เริ่มพัก, 'end' = กลับจากพัก (ต้องออนไลน์ ไม่เก็บไว้ส่งภายหลัง)
+  async recordBreak(action, employeeName, options = {}) {
+    const label = action === 'start' ? 'เริ่มพัก' : 'กลับจากพัก';
+
+    try {
+      const breakData = {
+        employee: employeeName,
+        lat: options.latitude,
+        lon: options.longitude,
+        client_time: new Date().toISOString()
+      };
+
+      console.log(`📱 Break ${action} Request:`, breakData);
+
+      const response = await this.api.call(`/break-${action}`, {
+        method: 'POST',
+        body: breakData
+      });
+
+      if (response.success) {
+        this.lastAction = {
+          type: `break_${action}`,
+          employee: employeeName,
+          time: response.timestamp,
+          displayTime: response.time
+        };
+
+        // Clear cache to refresh status
+        this.api.clearCache();
+
+        return {
+          success: true,
+          message: response.message || `${label} ${response.time} เรียบร้อย`,
+          data: response
+        };
+      }
+
+      return {
+        success: false,
+        message: response.message || `ไม่สามารถ${label}ได้`,
+        code: response.code
+      };
+
+    } catch (error) {
+      console.error(`📱 Break ${action} Error:`, error);
+      return {
+        success: false,
+        message: error.message || `เกิดข้อผิดพลาดในการ${label}`
+      };
+    }
+  }
+
   async checkStatus(employeeName) {
     try {
       const response = await this.api.call(`/status/${encodeURIComponent(employeeName)}`, {
@@ -526,11 +582,149 @@ class SettingsManager {
   }
 }
 
+// ⭐ Leave Manager - ยอดวันลาคงเหลือและคำขอลาของพนักงาน
+class LeaveManager {
+  constructor(apiClient) {
+    this.api = apiClient;
+  }
+
+  async getLeaveInfo(employeeName) {
+    try {
+      return await this.api.call(`/leave/${encodeURIComponent(employeeName)}`, {
+        cacheTTL: 60000 // Cache for 1 minute
+      });
+
+    } catch (error) {
+      console.error('📱 Leave Info Error:', error);
+      return { success: false, message: error.message || 'ไม่สามารถโหลดข้อมูลการลาได้' };
+    }
+  }
+
+  async submitRequest(employeeName, request) {
+    return this.post('/leave-request', { ...request, employee: employeeName }, 'ยื่นคำขอลา');
+  }
+
+  async cancelRequest(employeeName, requestId) {
+    return this.post(`/leave-request/${requestId}/cancel`, { employee: employeeName }, 'ยกเลิกคำขอลา');
+  }
+
+  async post(endpoint, body, label) {
+    try {
+      const response = await this.api.call(endpoint, { method: 'POST', body });
+
+      if (response.success) {
+        // Clear cache to refresh balances and status
+        this.api.clearCache();
+      }
+
+      return {
+        success: !!response.success,
+        message: response.message || (response.success ? `${label}เรียบร้อย` : `ไม่สามารถ${label}ได้`)
+      };
+
+    } catch (error) {
+      console.error(`📱 ${label} Error:`, error);
+      return {
+        success: false,
+        message: error.message || `เกิดข้อผิดพลาดในการ${label}`
+      };
+    }
+  }
+}
+
+// ⭐ Correction Manager - คำขอแก้ไขเวลาเมื่อลืมลงเวลาหรือเวลาไม่ถูกต้อง
+class CorrectionManager {
+  constructor(apiClient) {
+    this.api = apiClient;
+  }
+
+  async getInfo(employeeName) {
+    try {
+      return await this.api.call(`/time-corrections/${encodeURIComponent(employeeName)}`, {
+        cacheTTL: 60000 // Cache for 1 minute
+      });
+
+    } catch (error) {
+      console.error('📱 Correction Info Error:', error);
+      return { success: false, message: error.message || 'ไม่สามารถโหลดข้อมูลคำขอแก้ไขเวลาได้' };
+    }
+  }
+
+  async submitRequest(employeeName, request) {
+    return this.post('/time-correction', { ...request, employee: employeeName }, 'ยื่นคำขอแก้ไขเวลา');
+  }
+
+  async cancelRequest(employeeName, requestId) {
+    return this.post(`/time-correction/${requestId}/cancel`, { employee: employeeName }, 'ยกเลิกคำขอแก้ไขเวลา');
+  }
+
+  async post(endpoint, body, label) {
+    try {
+      const response = await this.api.call(endpoint, { method: 'POST', body });
+
+      if (response.success) {
+        // Clear cache to refresh request status
+        this.api.clearCache();
+      }
+
+      return {
+        success: !!response.success,
+        message: response.message || (response.success ? `${label}เรียบร้อย` : `ไม่สามารถ${label}ได้`)
+      };
+
+    } catch (error) {
+      console.error(`📱 ${label} Error:`, error);
+      return {
+        success: false,
+        message: error.message || `เกิดข้อผิดพลาดในการ${label}`
+      };
+    }
+  }
+}
+
+// ⭐ Employee Notifications (reminders and review results)
+class NotificationManager {
+  constructor(apiClient) {
+    this.api = apiClient;
+  }
+
+  async getUnread(employeeName) {
+    try {
+      const response = await this.api.call(`/notifications/${encodeURIComponent(employeeName)}`);
+      return response.success ? response.notifications : [];
+
+    } catch (error) {
+      console.error('📱 Notifications Error:', error);
+      return [];
+    }
+  }
+
+  async markRead(employeeName, ids) {
+    try {
+      const response = await this.api.call('/notifications/read', {
+        method: 'POST',
+        body: { employee: employeeName, ids }
+      });
+
+      if (response.success) {
+        // Clear cache so read notifications are not shown again
+        this.api.clearCache();
+      }
+
+    } catch (error) {
+      console.error('📱 Mark Notifications Read Error:', error);
+    }
+  }
+}
+
 // Export classes for use in other modules
 window.MobileTimeTracker = {
   APIClient: MobileAPIClient,
   EmployeeManager,
   ClockManager,
   LocationManager,
-  SettingsManager
+  SettingsManager,
+  LeaveManager,
+  CorrectionManager,
+  NotificationManager
 };
\ No newline at end of file
@@ -680,7 +680,7 @@ class StatusDisplay {
       return;
     }
 
-    const { status, message, clock_in_time, clock_out_time, employee_name } = this.currentStatus;
+    const { status, message, clock_in_time, clock_out_time, employee_name, late_minutes, early_leave_minutes, shift, break_start_time, break_minutes } = this.currentStatus;
     
     let statusClass = 'status-unknown';
     let statusIcon = '❓';
@@ -697,6 +697,11 @@ class StatusDisplay {
         statusIcon = '✅';
         actionText = 'ลงเวลาเข้าแล้ว';
         break;
+      case 'on_break':
+        statusClass = 'status-on-break';
+        statusIcon = '☕';
+        actionText = 'กำลังพัก';
+        break;
       case 'completed':
         statusClass = 'status-completed';
         statusIcon = '🏁';
@@ -717,16 +722,41 @@ class StatusDisplay {
           </div>
         ` : ''}
         
+        ${shift ? `
+          <div class="status-shift">
+            ${shift.working_day
+              ? `${shift.name} ${shift.start_time} - ${shift.end_time}`
+              : shift.holiday ? `วันนี้เป็นวันหยุด: ${shift.holiday}` : 'วันนี้เป็นวันหยุดตามกะ'}
+            ${shift.leave ? `
+              <div class="status-leave">🌴 ${shift.leave.name}${shift.leave.half_day ? ' (ครึ่งวัน)' : ''}</div>
+            ` : ''}
+          </div>
+        ` : ''}
+        
         ${clock_in_time ? `
           <div class="status-times">
             <div class="time-entry">
               <span class="time-label">เข้างาน:</span>
               <span class="time-value">${clock_in_time}</span>
+              ${late_minutes > 0 ? `<span class="time-warning">สาย ${late_minutes} นาที</span>` : ''}
             </div>
+            ${break_start_time ? `
+              <div class="time-entry">
+                <span class="time-label">เริ่มพัก:</span>
+                <span class="time-value">${break_start_time}</span>
+              </div>
+            ` : ''}
+            ${break_minutes > 0 ? `
+              <div class="time-entry">
+                <span class="time-label">พักแล้ว:</span>
+                <span class="time-value">${break_minutes} นาที</span>
+              </div>
+            ` : ''}
             ${clock_out_time ? `
               <div class="time-entry">
                 <span class="time-label">ออกงาน:</span>
                 <span class="time-value">${clock_out_time}</span>
+                ${early_leave_minutes > 0 ? `<span class="time-warning">ก่อนเวลา ${early_leave_minutes} นาที</span>` : ''}
               </div>
             ` : ''}
           </div>
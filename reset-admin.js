@@ -0,0 +1,59 @@
+// reset-admin.js - กู้คืนบัญชีแอดมินจาก command line (แทน GET /api/reset-admin เดิม)
+//
+// ใช้งาน:  npm run reset-admin -- <username> [password]
+// ถ้าไม่ระบุรหัสผ่าน ระบบจะสุ่มรหัสผ่านใหม่และแสดงบนหน้าจอครั้งเดียว
+
+require('dotenv').config();
+
+const db = require('./db-pool-optimized');
+const { hashPassword, generateRandomPassword } = require('./admin-password');
+
+async function resetAdmin() {
+  const [username = 'admin', passwordArg] = process.argv.slice(2);
+  const password = passwordArg || generateRandomPassword();
+
+  if (password.length < 8) {
+    throw new Error('รหัสผ่านต้องมีอย่างน้อย 8 ตัวอักษร');
+  }
+
+  const passwordHash = await hashPassword(password);
+
+  await db.withTransaction(async (client) => {
+    const usersTable = await client.query("SELECT to_regclass('public.admin_users') AS name");
+    if (!usersTable.rows[0].name) {
+      throw new Error('ไม่พบตาราง admin_users กรุณาเริ่มเซิร์ฟเวอร์อย่างน้อยหนึ่งครั้งก่อน');
+    }
+
+    // สร้างหรือกู้คืนบัญชีเป็น superadmin ที่เปิดใช้งาน
+    const result = await client.query(
+      `INSERT INTO admin_users (username, password_hash, full_name, role, active)
+       VALUES ($1, $2, $3, 'superadmin', true)
+       ON CONFLICT (username) DO UPDATE SET password_hash = $2, role = 'superadmin', active = true
+       RETURNING id`,
+      [username, passwordHash, 'ผู้ดูแลระบบ']
+    );
+
+    // ยกเลิก session เดิมของบัญชีนี้
+    await client.query('DELETE FROM admin_sessions WHERE admin_user_id = $1', [result.rows[0].id]);
+  });
+
+  console.log('✅ รีเซ็ตข้อมูลแอดมินเรียบร้อยแล้ว');
+  console.log(`   ชื่อผู้ใช้: ${username} (superadmin)`);
+  if (!passwordArg) {
+    console.log(`   รหัสผ่านใหม่: ${password}`);
+    console.log('   ⚠️ กรุณาเปลี่ยนรหัสผ่านหลังเข้าสู่ระบบ');
+  }
+}
+
+resetAdmin()
+  .then(() => db.close())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    console.error('❌ Error resetting admin:', error.message);
+    try {
+      await db.close();
+    } catch (closeError) {
+      // ไม่ต้องทำอะไร
+    }
+    process.exit(1);
+  });
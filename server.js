@@ -9,6 +9,8 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const compression = require('compression');
 const path = require('path');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
 const axios = require('axios');
 
 // ⭐ Security & Performance Dependencies
@@ -18,6 +20,71 @@ require('dotenv').config();
 
 // ⭐ Database Connection (ใช้ optimized pool)
 const db = require('./db-pool-optimized');
+const { hashPassword, verifyPassword, isPasswordHash } = require('./admin-password');
+const { SETTINGS_REGISTRY, getSettingDefault, getPublicSettingNames } = require('./settings-registry');
+const { normalizeIp, parseAllowedIpList, isIpAllowed } = require('./ip-allowlist');
+const { parseLocation, evaluateGeofence } = require('./geofence');
+const {
+  isValidTimeZone,
+  toLocalParts,
+  addDays,
+  timestampFromWorkDate,
+  isOvernightShift,
+  shiftEndMinutes,
+  fromDbTimestamp,
+  formatThaiDate,
+  formatThaiTime,
+  parseTimeOfDay,
+  calculateShiftMinutes,
+  calculateWorkedMinutes,
+  formatMinutes
+} = require('./work-time');
+const { parseDaysOfWeek, toDateString, resolveSchedule, datesInMonth } = require('./shift-schedule');
+const {
+  OVERTIME_SETTING_NAMES,
+  ROUNDING_MODES,
+  parseOvertimeRules,
+  scheduledShiftMinutes,
+  calculateDailyOvertime
+} = require('./overtime-rules');
+const { datesBetween, validateLeaveRequest, countLeaveDays, summarizeLeaveBalances } = require('./leave-balance');
+const { MAX_HOLIDAY_NAME_LENGTH, isValidDate, parseICalendar, shiftHolidayYear } = require('./holidays');
+const { ATTENDANCE_STATUSES, summarizeDayLogs, determineAttendanceStatus } = require('./attendance');
+const {
+  parsePhotoDataUrl,
+  resolveCorrectedTimes,
+  validateCorrectionRequest
+} = require('./time-correction');
+const { buildTimesheet, renderTimesheetHtml, findThaiFont, writeTimesheetPdf } = require('./timesheet');
+const {
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+  EXPORT_COLUMNS,
+  SUMMARY_COLUMNS,
+  CONTENT_TYPES,
+  resolveExportColumns,
+  createExportWriter
+} = require('./time-log-export');
+const {
+  LATE_DEDUCTION_MODES,
+  ABSENT_DEDUCTION_MODES,
+  PAYROLL_SETTING_NAMES,
+  parsePayrollRules,
+  validatePayFields,
+  computePayrollRun
+} = require('./payroll');
+const { getPayrollFormatter, listPayrollFormatters } = require('./payroll-formatters');
+const { normalizeOrgName, validateOrgName, parseOrgId } = require('./org-structure');
+const { createConfirmationToken, verifyConfirmationToken } = require('./bulk-delete');
+const {
+  BACKUP_VERSION,
+  RESTORE_MODES,
+  RESTORE_TABLES,
+  validateBackupVersion,
+  validateBackupRow,
+  restoreColumnValue,
+  BackupJsonScanner
+} = require('./database-restore');
 
 // ⭐ Environment Setup
 process.env.TZ = 'Asia/Bangkok';
@@ -33,6 +100,19 @@ console.log('Environment:', process.env.NODE_ENV || 'development');
 const app = express();
 const port = process.env.PORT || 3000;
 
+// ⭐ Trust Proxy - ต้องตั้งค่าให้ถูกต้องเพื่อให้ req.ip เป็น IP จริงของผู้ใช้ (ใช้ตรวจ allowed_ip)
+// TRUST_PROXY: จำนวน proxy ที่อยู่หน้าแอป (เช่น 1), 'true'/'false' หรือรายการ IP/subnet ของ proxy
+function resolveTrustProxySetting(value) {
+  if (value === undefined || value === '') {
+    return process.env.NODE_ENV === 'production' ? 1 : false;
+  }
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value;
+}
+app.set('trust proxy', resolveTrustProxySetting(process.env.TRUST_PROXY));
+
 // ⭐ Security Middleware
 app.use(helmet({
   contentSecurityPolicy: false, // ปิดเพื่อให้ PWA ทำงานได้
@@ -206,6 +286,361 @@ app.use('/api/admin', adminLimiter);
 app.use('/api/clockin', clockActionLimiter);
 app.use('/api/clockout', clockActionLimiter);
 
+// ⭐ Admin Session Authentication
+const ADMIN_SESSION_TTL = (parseInt(process.env.ADMIN_SESSION_TTL_MINUTES) || 480) * 60 * 1000; // 8 ชั่วโมง
+const ADMIN_PUBLIC_PATHS = ['/login'];
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getAdminTokenFromRequest(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return null;
+}
+
+// สร้าง session ใหม่ เก็บเฉพาะ hash ของ token ในฐานข้อมูล
+async function createAdminSession(adminUser, req) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL);
+
+  await db.query(
+    `INSERT INTO admin_sessions (token_hash, admin_user_id, username, expires_at, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      hashSessionToken(token),
+      adminUser.id,
+      adminUser.username,
+      expiresAt.toISOString(),
+      req.ip || null,
+      req.headers['user-agent'] || null
+    ]
+  );
+
+  return { token, expires_at: expiresAt.toISOString() };
+}
+
+async function findAdminSession(token) {
+  const result = await db.query(
+    `SELECT s.id, s.expires_at, u.id AS admin_user_id, u.username, u.full_name, u.role, u.department
+     FROM admin_sessions s
+     JOIN admin_users u ON s.admin_user_id = u.id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.active = true
+     LIMIT 1`,
+    [hashSessionToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+async function destroyAdminSession(token) {
+  await db.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashSessionToken(token)]);
+}
+
+async function cleanupExpiredAdminSessions() {
+  try {
+    const result = await db.query('DELETE FROM admin_sessions WHERE expires_at <= NOW()');
+    if (result.rowCount > 0) {
+      console.log(`🧹 Removed ${result.rowCount} expired admin sessions`);
+    }
+  } catch (error) {
+    console.error('❌ Error cleaning admin sessions:', error.message);
+  }
+}
+
+// ⭐ Middleware ตรวจสอบ session สำหรับทุก route ภายใต้ /api/admin
+async function requireAdminAuth(req, res, next) {
+  if (ADMIN_PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const token = getAdminTokenFromRequest(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      code: 'AUTH_REQUIRED',
+      message: 'กรุณาเข้าสู่ระบบ'
+    });
+  }
+
+  try {
+    const session = await findAdminSession(token);
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_EXPIRED',
+        message: 'เซสชันหมดอายุ กรุณาเข้าสู่ระบบใหม่'
+      });
+    }
+
+    req.admin = {
+      sessionId: session.id,
+      id: session.admin_user_id,
+      username: session.username,
+      fullName: session.full_name,
+      role: session.role,
+      department: session.department,
+      expiresAt: session.expires_at
+    };
+    req.adminToken = token;
+    next();
+  } catch (error) {
+    console.error('❌ Error verifying admin session:', error);
+    res.status(500).json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+}
+
+app.use('/api/admin', requireAdminAuth);
+
+// ⭐ บทบาทของผู้ดูแลระบบและสิทธิ์ที่แต่ละบทบาทได้รับ
+const ADMIN_ROLES = {
+  superadmin: {
+    label: 'ผู้ดูแลระบบสูงสุด',
+    permissions: ['*']
+  },
+  hr: {
+    label: 'ฝ่ายบุคคล',
+    permissions: ['dashboard.view', 'time_logs.view', 'time_logs.edit', 'employees.view', 'employees.edit', 'shifts.view', 'shifts.edit', 'leave.view', 'leave.approve', 'leave.manage', 'time_corrections.approve', 'payroll.view', 'payroll.manage', 'data.export', 'audit.view']
+  },
+  department_manager: {
+    label: 'หัวหน้าแผนก',
+    permissions: ['dashboard.view', 'time_logs.view', 'employees.view', 'shifts.view', 'leave.view', 'leave.approve', 'time_corrections.approve', 'payroll.view', 'data.export']
+  },
+  viewer: {
+    label: 'ผู้ดูข้อมูล',
+    permissions: ['dashboard.view', 'time_logs.view', 'employees.view', 'shifts.view', 'leave.view']
+  }
+};
+
+function getRolePermissions(role) {
+  return ADMIN_ROLES[role] ? ADMIN_ROLES[role].permissions : [];
+}
+
+function hasAdminPermission(admin, permission) {
+  if (!admin) return false;
+  const permissions = getRolePermissions(admin.role);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+// ⭐ Middleware ตรวจสอบสิทธิ์ราย route
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (hasAdminPermission(req.admin, permission)) {
+      return next();
+    }
+
+    console.warn(`⛔ Permission denied: ${req.admin ? req.admin.username : 'unknown'} -> ${permission} (${req.method} ${req.originalUrl})`);
+    return res.status(403).json({
+      success: false,
+      code: 'FORBIDDEN',
+      message: 'คุณไม่มีสิทธิ์ใช้งานส่วนนี้'
+    });
+  };
+}
+
+// ⭐ บันทึก audit trail ของการเปลี่ยนแปลงข้อมูล (ส่ง client มาด้วยเมื่ออยู่ใน transaction)
+async function recordAudit(req, { action, entityType, entityId, before = null, after = null }, client = db) {
+  await client.query(
+    `INSERT INTO audit_log
+     (actor_id, actor_username, action, entity_type, entity_id, before_data, after_data, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      req.admin ? req.admin.id : null,
+      req.admin ? req.admin.username : null,
+      action,
+      entityType,
+      entityId !== undefined && entityId !== null ? String(entityId) : null,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      req.ip || null,
+      req.headers['user-agent'] || null
+    ]
+  );
+}
+
+// หัวหน้าแผนกเห็นเฉพาะข้อมูลแผนกของตัวเอง คืนค่า null ถ้าไม่จำกัดแผนก
+function getDepartmentScope(req) {
+  if (req.admin && req.admin.role === 'department_manager') {
+    return req.admin.department || '';
+  }
+  return null;
+}
+
+// ⭐ บันทึกการลงเวลาที่ถูกปฏิเสธ เพื่อให้แอดมินตรวจสอบภายหลัง
+async function recordClockRejection(req, { employee = null, action, reasonCode, details = null }) {
+  try {
+    const { lat, lon } = req.body || {};
+    await db.query(
+      `INSERT INTO clock_rejections
+        (employee_id, employee_input, action, reason_code, ip_address, latitude, longitude, user_agent, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        employee ? employee.id : null,
+        (req.body && req.body.employee) || null,
+        action,
+        reasonCode,
+        normalizeIp(req.ip),
+        lat || null,
+        lon || null,
+        req.get('User-Agent') || null,
+        details ? JSON.stringify(details) : null
+      ]
+    );
+  } catch (error) {
+    console.error('❌ Error recording clock rejection:', error.message);
+  }
+}
+
+// ⭐ ปฏิเสธการลงเวลา: บันทึกไว้ตรวจสอบและตอบกลับทั้งรูปแบบ mobile (message) และแบบเดิม (msg)
+async function rejectClockAction(req, res, { employee, action, code, message, details = null }) {
+  await recordClockRejection(req, { employee, action, reasonCode: code, details });
+
+  return res.json({
+    success: false,
+    code,
+    message,
+    msg: message
+  });
+}
+
+// ⭐ หาพนักงานจาก req.body.employee (เก็บไว้ใน req เพื่อไม่ต้อง query ซ้ำในแต่ละ middleware)
+async function findClockEmployee(req) {
+  if (req.clockEmployee !== undefined) {
+    return req.clockEmployee;
+  }
+
+  req.clockEmployee = null;
+  if (req.body && req.body.employee) {
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [req.body.employee]);
+    req.clockEmployee = empResult.rows[0] || null;
+  }
+
+  return req.clockEmployee;
+}
+
+// ⭐ หารายการ IP ที่อนุญาตของพนักงาน (ใช้ค่าของแผนกถ้ามีการกำหนดไว้ มิฉะนั้นใช้ allowed_ip)
+function getAllowedIpRule(settings, department) {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(settings.allowed_ip_by_department || '{}') || {};
+  } catch (error) {
+    console.error('❌ Invalid allowed_ip_by_department setting:', error.message);
+  }
+
+  if (department && Object.prototype.hasOwnProperty.call(overrides, department)) {
+    return { source: `department:${department}`, value: overrides[department] };
+  }
+
+  return { source: 'allowed_ip', value: settings.allowed_ip };
+}
+
+// ⭐ Middleware ตรวจสอบ IP ก่อนลงเวลาเข้า/ออก
+function enforceAllowedIp(action) {
+  return async (req, res, next) => {
+    try {
+      const settings = await loadSettings(['allowed_ip', 'allowed_ip_by_department']);
+
+      const employee = await findClockEmployee(req);
+
+      const rule = getAllowedIpRule(settings, employee ? employee.department : null);
+      const allowed = parseAllowedIpList(rule.value);
+
+      if (isIpAllowed(req.ip, allowed)) {
+        return next();
+      }
+
+      const clientIp = normalizeIp(req.ip);
+      console.warn(`🚫 Clock ${action} refused for ${req.body && req.body.employee} from IP ${clientIp} (${rule.source})`);
+
+      return rejectClockAction(req, res, {
+        employee,
+        action,
+        code: 'IP_NOT_ALLOWED',
+        message: `ไม่อนุญาตให้ลงเวลาจากเครือข่ายนี้ (IP: ${clientIp})`,
+        details: { rule: rule.source, allowed: allowed.entries }
+      });
+    } catch (error) {
+      console.error('❌ Error checking allowed IP:', error);
+      return res.json({
+        success: false,
+        message: 'เกิดข้อผิดพลาด: ' + error.message,
+        msg: 'เกิดข้อผิดพลาด: ' + error.message
+      });
+    }
+  };
+}
+
+// ⭐ Middleware ตรวจสอบตำแหน่ง GPS และ geofence ก่อนลงเวลาเข้า/ออก
+// ผลการตรวจสอบเก็บไว้ที่ req.geofence เพื่อบันทึกลง time_logs
+function enforceLocationPolicy(action) {
+  return async (req, res, next) => {
+    try {
+      const settings = await loadSettings(['require_location', 'geofence_policy']);
+      const location = parseLocation(req.body && req.body.lat, req.body && req.body.lon);
+
+      req.geofence = null;
+
+      if (!location) {
+        if (settings.require_location === '1') {
+          return rejectClockAction(req, res, {
+            employee: await findClockEmployee(req),
+            action,
+            code: 'LOCATION_REQUIRED',
+            message: 'กรุณาเปิดใช้งานตำแหน่ง (GPS) ก่อนลงเวลา'
+          });
+        }
+        return next();
+      }
+
+      const officesResult = await db.query(
+        'SELECT id, name, latitude, longitude, radius_meters FROM office_locations WHERE active = true'
+      );
+      const result = evaluateGeofence(officesResult.rows, location);
+
+      if (!result) {
+        return next();
+      }
+
+      req.geofence = result;
+
+      if (result.status === 'outside' && settings.geofence_policy === 'reject') {
+        console.warn(`🚫 Clock ${action} refused for ${req.body.employee}: ${result.distance} m from ${result.office.name}`);
+
+        return rejectClockAction(req, res, {
+          employee: await findClockEmployee(req),
+          action,
+          code: 'OUTSIDE_GEOFENCE',
+          message: `คุณอยู่นอกพื้นที่ลงเวลา (ห่างจาก${result.office.name} ${result.distance} เมตร)`,
+          details: { office_location_id: result.office.id, distance: result.distance }
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('❌ Error checking location:', error);
+      return res.json({
+        success: false,
+        message: 'เกิดข้อผิดพลาด: ' + error.message,
+        msg: 'เกิดข้อผิดพลาด: ' + error.message
+      });
+    }
+  };
+}
+
+// ⭐ ค่าผล geofence สำหรับใส่ต่อท้าย INSERT_TIME_LOG / UPDATE_CLOCK_OUT
+function getGeofenceParams(req) {
+  const result = req.geofence;
+  return result ? [result.status, result.distance, result.office.id] : [null, null, null];
+}
+
+// ⭐ สถานะพนักงานที่ออกจากงานแล้ว (ลบแบบ soft delete): ไม่ปรากฏในการค้นหา/ลงเวลา แต่ประวัติเดิมยังอยู่ในรายงาน
+const ARCHIVED_EMPLOYEE_STATUSES = ['resigned', 'archived'];
+const MAX_TERMINATION_REASON_LENGTH = 500;
+
 // ⭐ Cache Configuration สำหรับข้อมูลที่ไม่เปลี่ยนแปลงบ่อย
 let employeeCache = null;
 let employeeCacheTime = 0;
@@ -320,6 +755,23 @@ async function initializeDatabase() {
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
         )
       `);
+      
+      // ข้อมูลค่าจ้างและบัญชีธนาคาร (pay_type: monthly, daily, hourly)
+      await client.query(`
+        ALTER TABLE employees
+          ADD COLUMN IF NOT EXISTS pay_type TEXT DEFAULT 'monthly',
+          ADD COLUMN IF NOT EXISTS pay_rate NUMERIC(12, 2),
+          ADD COLUMN IF NOT EXISTS bank_name TEXT,
+          ADD COLUMN IF NOT EXISTS bank_account_no TEXT,
+          ADD COLUMN IF NOT EXISTS bank_account_name TEXT
+      `);
+      
+      // การออกจากงาน (status = resigned/archived): วันที่ทำงานวันสุดท้ายและเหตุผล
+      await client.query(`
+        ALTER TABLE employees
+          ADD COLUMN IF NOT EXISTS termination_date DATE,
+          ADD COLUMN IF NOT EXISTS termination_reason TEXT
+      `);
       console.log('✅ ตาราง employees สร้างหรือมีอยู่แล้ว');
 
       // สร้างตาราง time_logs
@@ -345,6 +797,34 @@ async function initializeDatabase() {
           FOREIGN KEY (employee_id) REFERENCES employees(id)
         )
       `);
+      
+      // ผลการตรวจสอบ geofence ของการลงเวลาเข้า/ออก
+      await client.query(`
+        ALTER TABLE time_logs
+          ADD COLUMN IF NOT EXISTS location_status_in TEXT,
+          ADD COLUMN IF NOT EXISTS location_distance_in REAL,
+          ADD COLUMN IF NOT EXISTS office_location_id_in INTEGER,
+          ADD COLUMN IF NOT EXISTS location_status_out TEXT,
+          ADD COLUMN IF NOT EXISTS location_distance_out REAL,
+          ADD COLUMN IF NOT EXISTS office_location_id_out INTEGER
+      `);
+      
+      // นาทีที่มาสาย/ออกก่อนเวลา (คำนวณตอนลงเวลา)
+      await client.query(`
+        ALTER TABLE time_logs
+          ADD COLUMN IF NOT EXISTS late_minutes INTEGER,
+          ADD COLUMN IF NOT EXISTS early_leave_minutes INTEGER,
+          ADD COLUMN IF NOT EXISTS overtime_minutes INTEGER,
+          ADD COLUMN IF NOT EXISTS shift_id INTEGER,
+          ADD COLUMN IF NOT EXISTS work_date DATE,
+          ADD COLUMN IF NOT EXISTS break_minutes INTEGER DEFAULT 0
+      `);
+      
+      // เวลาที่แจ้งเตือนให้ลงเวลาออก (status = auto_closed / missing_clock_out เมื่อลืมลงเวลาออก)
+      await client.query(`
+        ALTER TABLE time_logs
+          ADD COLUMN IF NOT EXISTS clock_out_reminded_at TIMESTAMP
+      `);
       console.log('✅ ตาราง time_logs สร้างหรือมีอยู่แล้ว');
 
       // สร้างตาราง settings
@@ -358,1594 +838,6532 @@ async function initializeDatabase() {
       `);
       console.log('✅ ตาราง settings สร้างหรือมีอยู่แล้ว');
 
-      // ⭐ สร้าง indexes สำหรับ Mobile performance
+      // สร้างตาราง admin_users
       await client.query(`
-        -- Index สำหรับการค้นหาพนักงาน
-        CREATE INDEX IF NOT EXISTS idx_employees_emp_code ON employees(emp_code);
-        CREATE INDEX IF NOT EXISTS idx_employees_full_name ON employees(full_name);
-        CREATE INDEX IF NOT EXISTS idx_employees_status ON employees(status);
-        CREATE INDEX IF NOT EXISTS idx_employees_search ON employees(LOWER(full_name), LOWER(emp_code)) WHERE status = 'active';
-        
-        -- Index สำหรับการค้นหา time logs
-        CREATE INDEX IF NOT EXISTS idx_time_logs_employee_id ON time_logs(employee_id);
-        CREATE INDEX IF NOT EXISTS idx_time_logs_clock_in_date ON time_logs(DATE(clock_in));
-        CREATE INDEX IF NOT EXISTS idx_time_logs_employee_date ON time_logs(employee_id, DATE(clock_in));
-        CREATE INDEX IF NOT EXISTS idx_time_logs_employee_today ON time_logs(employee_id, DATE(clock_in), clock_in DESC);
-        CREATE INDEX IF NOT EXISTS idx_time_logs_status_check ON time_logs(employee_id, clock_in DESC) WHERE clock_out IS NULL;
-        
-        -- Index สำหรับ settings
-        CREATE INDEX IF NOT EXISTS idx_settings_name ON settings(setting_name);
+        CREATE TABLE IF NOT EXISTS admin_users (
+          id SERIAL PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE,
+          password_hash TEXT NOT NULL,
+          full_name TEXT,
+          role TEXT NOT NULL DEFAULT 'viewer',
+          department TEXT,
+          active BOOLEAN DEFAULT true,
+          last_login_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
       `);
-      
-      console.log('✅ Database tables and indexes created');
-    });
-    
-    await addInitialSettings();
-    await addSampleEmployees();
-    
-    console.log('✅ เตรียมฐานข้อมูลเสร็จสมบูรณ์');
-  } catch (err) {
-    console.error('❌ Error initializing database:', err.message);
-    throw err;
-  }
-}
+      console.log('✅ ตาราง admin_users สร้างหรือมีอยู่แล้ว');
 
-// ⭐ เพิ่มข้อมูลการตั้งค่าเริ่มต้น
-async function addInitialSettings() {
-  try {
-    const countResult = await db.query('SELECT COUNT(*) as count FROM settings');
-    
-    if (parseInt(countResult.rows[0].count) === 0) {
-      console.log('📝 กำลังเพิ่มการตั้งค่าเริ่มต้น...');
-      
-      const settings = [
-        { name: 'organization_name', value: 'องค์การบริหารส่วนตำบลหัวนา', desc: 'ชื่อหน่วยงาน' },
-        { name: 'work_start_time', value: '08:30', desc: 'เวลาเริ่มงาน' },
-        { name: 'work_end_time', value: '16:30', desc: 'เวลาเลิกงาน' },
-        { name: 'allowed_ip', value: '', desc: 'IP Address ที่อนุญาต' },
-        { name: 'telegram_bot_token', value: '', desc: 'Token สำหรับ Telegram Bot' },
-        { name: 'telegram_groups', value: '[{"name":"กลุ่มหลัก","chat_id":"","active":true}]', desc: 'กลุ่มรับการแจ้งเตือน Telegram' },
-        { name: 'notify_clock_in', value: '1', desc: 'แจ้งเตือนเมื่อลงเวลาเข้า' },
-        { name: 'notify_clock_out', value: '1', desc: 'แจ้งเตือนเมื่อลงเวลาออก' },
-        { name: 'admin_username', value: 'admin', desc: 'ชื่อผู้ใช้สำหรับแอดมิน' },
-        { name: 'admin_password', value: 'admin123', desc: 'รหัสผ่านสำหรับแอดมิน' },
-        { name: 'liff_id', value: '2001032478-VR5Akj0k', desc: 'LINE LIFF ID' },
-        { name: 'time_offset', value: '420', desc: 'ค่าชดเชยเวลา (นาที)' },
-        { name: 'gas_web_app_url', value: 'https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec', desc: 'URL ของ Google Apps Script Web App' },
-        { name: 'use_gas_for_telegram', value: '1', desc: 'ใช้ Google Apps Script สำหรับส่งข้อความไป Telegram (1=ใช้, 0=ไม่ใช้)' },
-        { name: 'mobile_app_version', value: '1.0.0', desc: 'เวอร์ชันของ Mobile App' },
-        { name: 'enable_offline_mode', value: '1', desc: 'เปิดใช้งาน Offline Mode' },
-        { name: 'require_location', value: '1', desc: 'บังคับใช้ตำแหน่ง GPS' }
-      ];
-      
-      for (const setting of settings) {
-        await db.query(
-          'INSERT INTO settings (setting_name, setting_value, description) VALUES ($1, $2, $3)',
-          [setting.name, setting.value, setting.desc]
-        );
-      }
-      
-      console.log('✅ เพิ่มการตั้งค่าเริ่มต้นเรียบร้อยแล้ว');
-    } else {
-      // เพิ่ม settings ใหม่หากยังไม่มี
-      const newSettings = [
-        { name: 'mobile_app_version', value: '1.0.0', desc: 'เวอร์ชันของ Mobile App' },
-        { name: 'enable_offline_mode', value: '1', desc: 'เปิดใช้งาน Offline Mode' },
-        { name: 'require_location', value: '1', desc: 'บังคับใช้ตำแหน่ง GPS' }
-      ];
-      
-      for (const setting of newSettings) {
-        const checkResult = await db.query('SELECT setting_name FROM settings WHERE setting_name = $1', [setting.name]);
-        
-        if (checkResult.rows.length === 0) {
-          await db.query(
-            'INSERT INTO settings (setting_name, setting_value, description) VALUES ($1, $2, $3)',
-            [setting.name, setting.value, setting.desc]
-          );
-          console.log(`✅ เพิ่มการตั้งค่า ${setting.name} เรียบร้อยแล้ว`);
-        }
-      }
-    }
-  } catch (err) {
-    console.error('❌ Error adding initial settings:', err.message);
-    throw err;
-  }
-}
+      // สร้างตาราง admin_sessions
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+          id SERIAL PRIMARY KEY,
+          token_hash TEXT NOT NULL UNIQUE,
+          admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
+          username TEXT NOT NULL,
+          ip_address TEXT,
+          user_agent TEXT,
+          expires_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        ALTER TABLE admin_sessions ADD COLUMN IF NOT EXISTS admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE
+      `);
+      console.log('✅ ตาราง admin_sessions สร้างหรือมีอยู่แล้ว');
 
-// ⭐ เพิ่มข้อมูลพนักงานตัวอย่าง
-async function addSampleEmployees() {
-  try {
-    const countResult = await db.query('SELECT COUNT(*) as count FROM employees');
-    
-    if (parseInt(countResult.rows[0].count) === 0) {
-      console.log('👥 กำลังเพิ่มพนักงานตัวอย่าง...');
-      
-      const employees = [
-        { code: '001', name: 'สมชาย ใจดี', position: 'ผู้จัดการ', department: 'บริหาร' },
-        { code: '002', name: 'สมหญิง รักเรียน', position: 'เจ้าหน้าที่', department: 'ธุรการ' }
-      ];
-      
-      for (const emp of employees) {
-        await db.query(
-          'INSERT INTO employees (emp_code, full_name, position, department, mobile_enabled) VALUES ($1, $2, $3, $4, $5)',
-          [emp.code, emp.name, emp.position, emp.department, true]
-        );
-      }
+      // สร้างตาราง audit_log (append-only)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS audit_log (
+          id SERIAL PRIMARY KEY,
+          actor_id INTEGER,
+          actor_username TEXT,
+          action TEXT NOT NULL,
+          entity_type TEXT NOT NULL,
+          entity_id TEXT,
+          before_data JSONB,
+          after_data JSONB,
+          ip_address TEXT,
+          user_agent TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
       
-      console.log('✅ เพิ่มพนักงานตัวอย่างเรียบร้อยแล้ว');
-    }
-  } catch (err) {
-    console.error('❌ Error adding sample employees:', err.message);
-    throw err;
-  }
-}
-
-// ⭐ Helper Functions
-function adjustClientTime(clientTime) {
-  try {
-    const clientDate = new Date(clientTime);
-    if (isNaN(clientDate.getTime())) {
-      return new Date().toISOString();
-    }
-    return clientDate.toISOString();
-  } catch (error) {
-    console.error('❌ Error adjusting client time:', error);
-    return new Date().toISOString();
-  }
-}
+      // ป้องกันการแก้ไข/ลบประวัติ audit ในระดับฐานข้อมูล
+      await client.query(`
+        CREATE OR REPLACE FUNCTION prevent_audit_log_change() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_log is append-only';
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await client.query('DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log');
+      await client.query(`
+        CREATE TRIGGER audit_log_append_only
+        BEFORE UPDATE OR DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_change()
+      `);
+      console.log('✅ ตาราง audit_log สร้างหรือมีอยู่แล้ว');
 
-function processAdminDateTime(timeString) {
-  if (!timeString) return null;
-  
-  console.log('🕐 Processing admin time input:', timeString);
+      // สร้างตาราง office_locations (สถานที่ทำงานสำหรับ geofence)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS office_locations (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          latitude DOUBLE PRECISION NOT NULL,
+          longitude DOUBLE PRECISION NOT NULL,
+          radius_meters INTEGER NOT NULL DEFAULT 200,
+          active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง office_locations สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง time_log_breaks (ช่วงพักระหว่างกะ ของแต่ละบันทึกการลงเวลา)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS time_log_breaks (
+          id SERIAL PRIMARY KEY,
+          time_log_id INTEGER NOT NULL REFERENCES time_logs(id) ON DELETE CASCADE,
+          break_start TIMESTAMP NOT NULL,
+          break_end TIMESTAMP,
+          latitude_start DOUBLE PRECISION,
+          longitude_start DOUBLE PRECISION,
+          latitude_end DOUBLE PRECISION,
+          longitude_end DOUBLE PRECISION,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง time_log_breaks สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง shifts (แม่แบบกะการทำงาน)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS shifts (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          start_time TEXT NOT NULL,
+          end_time TEXT NOT NULL,
+          break_minutes INTEGER NOT NULL DEFAULT 0,
+          days_of_week INTEGER[] NOT NULL DEFAULT '{1,2,3,4,5}',
+          color TEXT,
+          active BOOLEAN DEFAULT true,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง shifts สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง shift_assignments (มอบหมายกะให้พนักงานหรือแผนก ตามช่วงวันที่มีผล)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS shift_assignments (
+          id SERIAL PRIMARY KEY,
+          shift_id INTEGER NOT NULL REFERENCES shifts(id) ON DELETE CASCADE,
+          employee_id INTEGER REFERENCES employees(id) ON DELETE CASCADE,
+          department TEXT,
+          effective_from DATE NOT NULL,
+          effective_to DATE,
+          note TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK (employee_id IS NOT NULL OR department IS NOT NULL)
+        )
+      `);
+      console.log('✅ ตาราง shift_assignments สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง departments (แผนก พร้อมหัวหน้าแผนกและกะเริ่มต้นของแผนก) และ positions (ตำแหน่งงาน)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS departments (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL UNIQUE,
+          manager_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+          default_shift_id INTEGER REFERENCES shifts(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS positions (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL UNIQUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        ALTER TABLE employees
+          ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments(id),
+          ADD COLUMN IF NOT EXISTS position_id INTEGER REFERENCES positions(id)
+      `);
+      
+      // ย้ายชื่อแผนก/ตำแหน่งที่เป็นข้อความเดิมเข้าตารางหลัก
+      await normalizeOrgColumns(client);
+      await syncEmployeeOrgLinks(client);
+      console.log('✅ ตาราง departments และ positions สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง daily_overtime (สรุปชั่วโมงปกติ/OT รายวันของพนักงาน คำนวณใหม่เมื่อบันทึกการลงเวลาเปลี่ยน)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS daily_overtime (
+          id SERIAL PRIMARY KEY,
+          employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+          work_date DATE NOT NULL,
+          day_type TEXT NOT NULL DEFAULT 'workday',
+          shift_id INTEGER REFERENCES shifts(id) ON DELETE SET NULL,
+          worked_minutes INTEGER NOT NULL DEFAULT 0,
+          regular_minutes INTEGER NOT NULL DEFAULT 0,
+          overtime_minutes INTEGER NOT NULL DEFAULT 0,
+          weekend_overtime_minutes INTEGER NOT NULL DEFAULT 0,
+          holiday_overtime_minutes INTEGER NOT NULL DEFAULT 0,
+          weighted_overtime_minutes NUMERIC(10, 2) NOT NULL DEFAULT 0,
+          calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (employee_id, work_date)
+        )
+      `);
+      console.log('✅ ตาราง daily_overtime สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง leave_types (ประเภทการลาและโควตาต่อปี, yearly_quota = NULL คือไม่จำกัด)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS leave_types (
+          id SERIAL PRIMARY KEY,
+          code TEXT NOT NULL UNIQUE,
+          name TEXT NOT NULL,
+          yearly_quota NUMERIC(5, 1),
+          color TEXT,
+          active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง leave_types สร้างหรือมีอยู่แล้ว');
+
+      // ประเภทการลาเริ่มต้น (เฉพาะเมื่อยังไม่มีประเภทการลาเลย)
+      await client.query(`
+        INSERT INTO leave_types (code, name, yearly_quota, color)
+        SELECT code, name, yearly_quota, color FROM (VALUES
+          ('sick', 'ลาป่วย', 60.0, '#dc3545'),
+          ('personal', 'ลากิจส่วนตัว', 45.0, '#fd7e14'),
+          ('annual', 'ลาพักผ่อน', 10.0, '#198754'),
+          ('maternity', 'ลาคลอดบุตร', 90.0, '#d63384')
+        ) AS defaults(code, name, yearly_quota, color)
+        WHERE NOT EXISTS (SELECT 1 FROM leave_types)
+      `);
+
+      // สร้างตาราง leave_requests (คำขอลา half_day = morning/afternoon สำหรับลาครึ่งวัน)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS leave_requests (
+          id SERIAL PRIMARY KEY,
+          employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+          leave_type_id INTEGER NOT NULL REFERENCES leave_types(id),
+          start_date DATE NOT NULL,
+          end_date DATE NOT NULL,
+          half_day TEXT,
+          days NUMERIC(5, 1) NOT NULL DEFAULT 0,
+          reason TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          reviewed_by TEXT,
+          reviewed_at TIMESTAMP,
+          review_note TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          CHECK (end_date >= start_date)
+        )
+      `);
+      console.log('✅ ตาราง leave_requests สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง holidays (วันหยุดนักขัตฤกษ์ นับเป็นวันไม่ทำงานของพนักงานทุกคน)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS holidays (
+          id SERIAL PRIMARY KEY,
+          holiday_date DATE NOT NULL UNIQUE,
+          name TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง holidays สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง daily_attendance (สถานะการมาทำงานรายวันของวันที่จบแล้ว บันทึกโดยงานประจำวัน)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS daily_attendance (
+          id SERIAL PRIMARY KEY,
+          employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+          work_date DATE NOT NULL,
+          status TEXT NOT NULL,
+          shift_id INTEGER REFERENCES shifts(id) ON DELETE SET NULL,
+          leave_request_id INTEGER REFERENCES leave_requests(id) ON DELETE SET NULL,
+          holiday_name TEXT,
+          first_clock_in TIMESTAMP,
+          last_clock_out TIMESTAMP,
+          late_minutes INTEGER DEFAULT 0,
+          early_leave_minutes INTEGER DEFAULT 0,
+          worked_minutes INTEGER DEFAULT 0,
+          calculated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (employee_id, work_date)
+        )
+      `);
+      console.log('✅ ตาราง daily_attendance สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง employee_notifications (กล่องแจ้งเตือนของพนักงานในแอพ)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS employee_notifications (
+          id SERIAL PRIMARY KEY,
+          employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+          type TEXT NOT NULL,
+          title TEXT NOT NULL,
+          message TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          read_at TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง employee_notifications สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง time_correction_requests (คำขอแก้ไขเวลาจากพนักงาน)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS time_correction_requests (
+          id SERIAL PRIMARY KEY,
+          employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+          time_log_id INTEGER REFERENCES time_logs(id) ON DELETE SET NULL,
+          request_type TEXT NOT NULL,
+          requested_clock_in TIMESTAMP,
+          requested_clock_out TIMESTAMP,
+          reason TEXT NOT NULL,
+          photo BYTEA,
+          photo_type TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          reviewed_by TEXT,
+          reviewed_at TIMESTAMP,
+          review_note TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง time_correction_requests สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง payroll_periods (งวดเงินเดือน ปิดงวดแล้วห้ามแก้ไขบันทึกการลงเวลาในงวด)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS payroll_periods (
+          id SERIAL PRIMARY KEY,
+          name TEXT NOT NULL,
+          start_date DATE NOT NULL,
+          end_date DATE NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open',
+          created_by TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          closed_by TEXT,
+          closed_at TIMESTAMP,
+          reopened_by TEXT,
+          reopened_at TIMESTAMP,
+          reopen_reason TEXT,
+          CHECK (end_date >= start_date)
+        )
+      `);
+      console.log('✅ ตาราง payroll_periods สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง clock_rejections (การลงเวลาที่ถูกปฏิเสธ)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS clock_rejections (
+          id SERIAL PRIMARY KEY,
+          employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+          employee_input TEXT,
+          action TEXT NOT NULL,
+          reason_code TEXT NOT NULL,
+          ip_address TEXT,
+          latitude REAL,
+          longitude REAL,
+          user_agent TEXT,
+          details JSONB,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง clock_rejections สร้างหรือมีอยู่แล้ว');
+
+      // สร้างตาราง data_backups (ข้อมูลสำรองอัตโนมัติก่อนลบข้อมูลแบบกลุ่ม)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS data_backups (
+          id SERIAL PRIMARY KEY,
+          operation TEXT NOT NULL,
+          summary JSONB,
+          snapshot JSONB NOT NULL,
+          created_by TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ ตาราง data_backups สร้างหรือมีอยู่แล้ว');
+
+      // วันทำงานของบันทึกเดิม: วันที่ของเวลาเข้างานตามเขตเวลาของหน่วยงาน
+      await client.query(`
+        UPDATE time_logs
+        SET work_date = DATE((clock_in AT TIME ZONE 'UTC') AT TIME ZONE COALESCE(
+          (SELECT setting_value FROM settings WHERE setting_name = 'timezone'), $1
+        ))
+        WHERE work_date IS NULL
+      `, [getSettingDefault('timezone')]);
+
+      // ⭐ สร้าง indexes สำหรับ Mobile performance
+      await client.query(`
+        -- Index สำหรับการค้นหาพนักงาน
+        CREATE INDEX IF NOT EXISTS idx_employees_emp_code ON employees(emp_code);
+        CREATE INDEX IF NOT EXISTS idx_employees_full_name ON employees(full_name);
+        CREATE INDEX IF NOT EXISTS idx_employees_status ON employees(status);
+        CREATE INDEX IF NOT EXISTS idx_employees_search ON employees(LOWER(full_name), LOWER(emp_code)) WHERE status = 'active';
+        
+        -- Index สำหรับการค้นหา time logs
+        CREATE INDEX IF NOT EXISTS idx_time_logs_employee_id ON time_logs(employee_id);
+        DROP INDEX IF EXISTS idx_time_logs_clock_in_date;
+        DROP INDEX IF EXISTS idx_time_logs_employee_date;
+        DROP INDEX IF EXISTS idx_time_logs_employee_today;
+        CREATE INDEX IF NOT EXISTS idx_time_logs_status_check ON time_logs(employee_id, clock_in DESC) WHERE clock_out IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_time_logs_work_date ON time_logs(work_date);
+        CREATE INDEX IF NOT EXISTS idx_time_logs_employee_work_date ON time_logs(employee_id, work_date);
+        
+        -- Index สำหรับช่วงพัก (พักค้างได้ครั้งละหนึ่งช่วงต่อบันทึก)
+        CREATE INDEX IF NOT EXISTS idx_time_log_breaks_time_log ON time_log_breaks(time_log_id);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_time_log_breaks_open ON time_log_breaks(time_log_id) WHERE break_end IS NULL;
+        
+        -- Index สำหรับรายงาน OT ตามช่วงวันที่
+        CREATE INDEX IF NOT EXISTS idx_daily_overtime_work_date ON daily_overtime(work_date);
+        
+        -- Index สำหรับสถานะการมาทำงานรายวัน
+        CREATE INDEX IF NOT EXISTS idx_daily_attendance_work_date ON daily_attendance(work_date, status);
+        
+        -- Index สำหรับการแจ้งเตือนที่ยังไม่ได้อ่าน และบันทึกที่รอตรวจสอบเวลาออก
+        CREATE INDEX IF NOT EXISTS idx_employee_notifications_unread ON employee_notifications(employee_id) WHERE read_at IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_time_logs_missing_clock_out ON time_logs(work_date) WHERE status = 'missing_clock_out';
+        
+        -- Index สำหรับคำขอลา
+        CREATE INDEX IF NOT EXISTS idx_leave_requests_employee ON leave_requests(employee_id, start_date);
+        CREATE INDEX IF NOT EXISTS idx_leave_requests_dates ON leave_requests(start_date, end_date) WHERE status = 'approved';
+        CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status);
+        
+        -- Index สำหรับคำขอแก้ไขเวลา
+        CREATE INDEX IF NOT EXISTS idx_time_correction_requests_employee ON time_correction_requests(employee_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_time_correction_requests_status ON time_correction_requests(status);
+        
+        -- Index สำหรับตรวจสอบงวดเงินเดือนที่ปิดแล้ว
+        CREATE INDEX IF NOT EXISTS idx_payroll_periods_closed ON payroll_periods(start_date, end_date) WHERE status = 'closed';
+        
+        -- Index สำหรับ settings
+        CREATE INDEX IF NOT EXISTS idx_settings_name ON settings(setting_name);
+        
+        -- Index สำหรับ admin sessions
+        CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires ON admin_sessions(expires_at);
+        
+        -- Index สำหรับ audit log
+        CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+        
+        -- Index สำหรับการมอบหมายกะ
+        CREATE INDEX IF NOT EXISTS idx_shift_assignments_employee ON shift_assignments(employee_id, effective_from);
+        CREATE INDEX IF NOT EXISTS idx_shift_assignments_department ON shift_assignments(department, effective_from);
+        
+        -- Index สำหรับการลงเวลาที่ถูกปฏิเสธ
+        CREATE INDEX IF NOT EXISTS idx_clock_rejections_created_at ON clock_rejections(created_at DESC);
+      `);
+      
+      console.log('✅ Database tables and indexes created');
+    });
+    
+    await addInitialSettings();
+    await addSampleEmployees();
+    
+    console.log('✅ เตรียมฐานข้อมูลเสร็จสมบูรณ์');
+  } catch (err) {
+    console.error('❌ Error initializing database:', err.message);
+    throw err;
+  }
+}
+
+// ⭐ เพิ่มข้อมูลการตั้งค่าเริ่มต้น (ตาม settings-registry.js)
+async function addInitialSettings() {
+  try {
+    const countResult = await db.query('SELECT COUNT(*) as count FROM settings');
+    const isFreshInstall = parseInt(countResult.rows[0].count) === 0;
+    
+    if (isFreshInstall) {
+      console.log('📝 กำลังเพิ่มการตั้งค่าเริ่มต้น...');
+    }
+    
+    // เพิ่ม settings ที่ยังไม่มีในฐานข้อมูล
+    for (const [name, definition] of Object.entries(SETTINGS_REGISTRY)) {
+      const insertResult = await db.query(
+        `INSERT INTO settings (setting_name, setting_value, description) VALUES ($1, $2, $3)
+         ON CONFLICT (setting_name) DO NOTHING`,
+        [name, definition.default, definition.description]
+      );
+      
+      if (!isFreshInstall && insertResult.rowCount > 0) {
+        console.log(`✅ เพิ่มการตั้งค่า ${name} เรียบร้อยแล้ว`);
+      }
+    }
+    
+    if (isFreshInstall) {
+      console.log('✅ เพิ่มการตั้งค่าเริ่มต้นเรียบร้อยแล้ว');
+    }
+    
+    await migrateLegacyAdminAccount();
+  } catch (err) {
+    console.error('❌ Error adding initial settings:', err.message);
+    throw err;
+  }
+}
+
+// ⭐ ย้ายบัญชีแอดมินเดิมจาก settings (admin_username/admin_password) ไปไว้ในตาราง admin_users
+async function migrateLegacyAdminAccount() {
+  const usersResult = await db.query('SELECT COUNT(*) as count FROM admin_users');
+  
+  if (parseInt(usersResult.rows[0].count) > 0) {
+    return;
+  }
+  
+  const legacyResult = await db.query(
+    'SELECT setting_name, setting_value FROM settings WHERE setting_name IN ($1, $2)',
+    ['admin_username', 'admin_password']
+  );
+  const legacy = {};
+  legacyResult.rows.forEach(row => {
+    legacy[row.setting_name] = row.setting_value;
+  });
+  
+  if (!legacy.admin_username || !legacy.admin_password) {
+    console.log('⚠️ ยังไม่มีบัญชีแอดมิน กรุณารัน: npm run reset-admin -- <username> [password]');
+    return;
+  }
+  
+  // รหัสผ่านเดิมที่ยังเป็น plain text ให้แปลงเป็น hash ก่อน
+  const passwordHash = isPasswordHash(legacy.admin_password)
+    ? legacy.admin_password
+    : await hashPassword(legacy.admin_password);
+  
+  await db.withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO admin_users (username, password_hash, full_name, role)
+       VALUES ($1, $2, $3, $4)`,
+      [legacy.admin_username, passwordHash, 'ผู้ดูแลระบบ', 'superadmin']
+    );
+    await client.query(
+      'DELETE FROM settings WHERE setting_name IN ($1, $2)',
+      ['admin_username', 'admin_password']
+    );
+  });
   
+  console.log(`🔐 ย้ายบัญชีแอดมิน ${legacy.admin_username} ไปยังตาราง admin_users (superadmin) เรียบร้อยแล้ว`);
+}
+
+// ⭐ จัดรูปแบบชื่อแผนก/ตำแหน่งที่เก็บเป็นข้อความ (ตัดช่องว่างหัวท้าย ยุบช่องว่างซ้ำ ค่าว่างเป็น NULL)
+// ให้ตรงกับ normalizeOrgName เพื่อให้ชื่อเดียวกันที่พิมพ์ต่างกันเล็กน้อยรวมเป็นแผนก/ตำแหน่งเดียว
+const ORG_TEXT_COLUMNS = [
+  ['employees', 'department'],
+  ['employees', 'position'],
+  ['shift_assignments', 'department'],
+  ['admin_users', 'department']
+];
+
+async function normalizeOrgColumns(client) {
+  for (const [table, column] of ORG_TEXT_COLUMNS) {
+    await client.query(`
+      UPDATE ${table}
+      SET ${column} = NULLIF(regexp_replace(btrim(${column}), '\\s+', ' ', 'g'), '')
+      WHERE ${column} IS DISTINCT FROM NULLIF(regexp_replace(btrim(${column}), '\\s+', ' ', 'g'), '')
+    `);
+  }
+}
+
+// ⭐ เพิ่มชื่อแผนก/ตำแหน่งที่ยังไม่มีในตารางหลัก แล้วเชื่อม department_id / position_id ของพนักงานตามชื่อ
+async function syncEmployeeOrgLinks(client) {
+  await client.query(`
+    INSERT INTO departments (name)
+    SELECT department FROM employees WHERE department IS NOT NULL
+    UNION
+    SELECT department FROM shift_assignments WHERE department IS NOT NULL
+    UNION
+    SELECT department FROM admin_users WHERE department IS NOT NULL
+    ON CONFLICT (name) DO NOTHING
+  `);
+  await client.query(`
+    INSERT INTO positions (name)
+    SELECT DISTINCT position FROM employees WHERE position IS NOT NULL
+    ON CONFLICT (name) DO NOTHING
+  `);
+  await client.query(`
+    UPDATE employees e
+    SET department_id = d.id, position_id = p.id
+    FROM employees x
+    LEFT JOIN departments d ON d.name = x.department
+    LEFT JOIN positions p ON p.name = x.position
+    WHERE x.id = e.id
+      AND (e.department_id IS DISTINCT FROM d.id OR e.position_id IS DISTINCT FROM p.id)
+  `);
+}
+
+// ⭐ เพิ่มข้อมูลพนักงานตัวอย่าง
+async function addSampleEmployees() {
   try {
-    let resultDate;
+    const countResult = await db.query('SELECT COUNT(*) as count FROM employees');
     
-    // กรณี datetime-local จาก HTML input
-    if (timeString.includes('T') && timeString.length === 16) {
-      const fullDateTime = timeString + ':00';
-      resultDate = new Date(fullDateTime);
+    if (parseInt(countResult.rows[0].count) === 0) {
+      console.log('👥 กำลังเพิ่มพนักงานตัวอย่าง...');
       
-      if (isNaN(resultDate.getTime())) {
-        throw new Error('Invalid date object created');
+      const employees = [
+        { code: '001', name: 'สมชาย ใจดี', position: 'ผู้จัดการ', department: 'บริหาร' },
+        { code: '002', name: 'สมหญิง รักเรียน', position: 'เจ้าหน้าที่', department: 'ธุรการ' }
+      ];
+      
+      for (const emp of employees) {
+        await db.query(
+          'INSERT INTO employees (emp_code, full_name, position, department, mobile_enabled) VALUES ($1, $2, $3, $4, $5)',
+          [emp.code, emp.name, emp.position, emp.department, true]
+        );
       }
+      await syncEmployeeOrgLinks(db);
       
-      // แปลงเป็น UTC โดยลบ 7 ชั่วโมง
-      const utcDate = new Date(resultDate.getTime() - (7 * 60 * 60 * 1000));
-      return utcDate.toISOString();
+      console.log('✅ เพิ่มพนักงานตัวอย่างเรียบร้อยแล้ว');
     }
-    
+  } catch (err) {
+    console.error('❌ Error adding sample employees:', err.message);
+    throw err;
+  }
+}
+
+// ⭐ Helper Functions
+// เวลาจากฟอร์มแอดมิน: ค่าที่ไม่ระบุเขตเวลา (เช่น datetime-local) ตีความตามเขตเวลาของหน่วยงาน
+function processAdminDateTime(timeString, timeZone) {
+  if (!timeString) return null;
+  
+  console.log('🕐 Processing admin time input:', timeString);
+  
+  try {
     // กรณีที่มี timezone info แล้ว
-    if (timeString.includes('Z') || timeString.includes('+') || timeString.includes('-')) {
-      resultDate = new Date(timeString);
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(timeString)) {
+      const resultDate = new Date(timeString);
       if (isNaN(resultDate.getTime())) {
         throw new Error('Invalid date with timezone info');
       }
       return resultDate.toISOString();
     }
     
-    // กรณีอื่นๆ
-    resultDate = new Date(timeString);
-    if (isNaN(resultDate.getTime())) {
+    const resultDate = parseLocalDateTimeInput(timeString, timeZone);
+    if (!resultDate) {
       throw new Error('Cannot parse date string: ' + timeString);
     }
+    return resultDate.toISOString();
+    
+  } catch (error) {
+    console.error('❌ Error processing time:', error.message);
+    const fallbackTime = new Date().toISOString();
+    console.log('🆘 Using fallback time (current time):', fallbackTime);
+    return fallbackTime;
+  }
+}
+
+// ⭐ อ่านค่าการตั้งค่าหลายรายการพร้อมกัน ใช้ค่าเริ่มต้นจาก registry เมื่อไม่มีในฐานข้อมูล
+async function loadSettings(names) {
+  const result = await db.query(
+    'SELECT setting_name, setting_value FROM settings WHERE setting_name = ANY($1)',
+    [names]
+  );
+  
+  const settings = {};
+  names.forEach(name => {
+    settings[name] = getSettingDefault(name);
+  });
+  result.rows.forEach(row => {
+    settings[row.setting_name] = row.setting_value;
+  });
+  
+  return settings;
+}
+
+// ⭐ ดึงการมอบหมายกะที่มีผลในช่วงวันที่ (employee = null เพื่อดึงของทุกคน)
+// กะเริ่มต้นของแผนก (departments.default_shift_id) ส่งมาเป็นการมอบหมายของแผนกที่ไม่มี id และมีผลตั้งแต่ 1900-01-01
+// จึงถูกใช้เมื่อไม่มีการมอบหมายรายคนหรือรายแผนกที่ใหม่กว่า
+async function loadShiftAssignments(fromDate, toDate, employee = null) {
+  const result = await db.query(
+    `SELECT a.id, a.shift_id, a.employee_id, a.department, a.effective_from, a.effective_to,
+            s.name AS shift_name, s.start_time, s.end_time, s.break_minutes, s.days_of_week, s.color
+     FROM shift_assignments a
+     JOIN shifts s ON a.shift_id = s.id
+     WHERE s.active = true
+       AND a.effective_from <= $2
+       AND (a.effective_to IS NULL OR a.effective_to >= $1)
+       AND ($3::int IS NULL OR a.employee_id = $3 OR (a.employee_id IS NULL AND a.department = $4))
+     UNION ALL
+     SELECT NULL, d.default_shift_id, NULL, d.name, DATE '1900-01-01', NULL,
+            s.name, s.start_time, s.end_time, s.break_minutes, s.days_of_week, s.color
+     FROM departments d
+     JOIN shifts s ON d.default_shift_id = s.id
+     WHERE s.active = true
+       AND ($3::int IS NULL OR d.name = $4)`,
+    [fromDate, toDate, employee ? employee.id : null, employee ? employee.department : null]
+  );
+  
+  return result.rows;
+}
+
+// ⭐ วันหยุดนักขัตฤกษ์ในช่วงวันที่: Map ของวันที่ (YYYY-MM-DD) -> ชื่อวันหยุด
+async function loadHolidays(fromDate, toDate, client = null) {
+  const executor = client || db;
+  const result = await executor.query(
+    'SELECT holiday_date, name FROM holidays WHERE holiday_date BETWEEN $1 AND $2',
+    [fromDate, toDate]
+  );
+  
+  return new Map(result.rows.map(row => [toDateString(row.holiday_date), row.name]));
+}
+
+// ⭐ เขตเวลาของหน่วยงาน ความยาวกะสูงสุด และวันทำงานปัจจุบัน
+async function loadWorkDaySettings() {
+  const settings = await loadSettings(['timezone', 'max_shift_hours']);
+  const timeZone = isValidTimeZone(settings.timezone) ? settings.timezone : getSettingDefault('timezone');
+  const maxShiftHours = parseFloat(settings.max_shift_hours) > 0
+    ? parseFloat(settings.max_shift_hours)
+    : parseFloat(getSettingDefault('max_shift_hours'));
+  
+  return {
+    timeZone,
+    maxShiftHours,
+    today: toLocalParts(new Date(), timeZone).date
+  };
+}
+
+// เวลาเข้างานที่เก่าที่สุดที่ยังลงเวลาออกได้ (ส่งเป็น ISO string ให้ตรงกับค่า UTC ในฐานข้อมูล)
+function getOpenRecordCutoff(at, maxShiftHours) {
+  return new Date(new Date(at).getTime() - maxShiftHours * 60 * 60 * 1000).toISOString();
+}
+
+async function withEmployeeDepartment(employee) {
+  if (employee.department !== undefined) {
+    return employee;
+  }
+  
+  const empResult = await db.query('SELECT id, department FROM employees WHERE id = $1', [employee.id]);
+  return empResult.rows[0] || { id: employee.id, department: null };
+}
+
+// ⭐ ตารางเวลาทำงานของพนักงานในวันที่กำหนด (กะที่มอบหมาย หรือเวลาทำงานปกติจากการตั้งค่า)
+async function getEmployeeSchedule(employee, date) {
+  employee = await withEmployeeDepartment(employee);
+  
+  const [assignments, defaults, holidays] = await Promise.all([
+    loadShiftAssignments(date, date, employee),
+    loadSettings(['work_start_time', 'work_end_time', 'work_days']),
+    loadHolidays(date, date)
+  ]);
+  
+  return resolveSchedule(assignments, employee, date, defaults, holidays);
+}
+
+// ⭐ วันทำงานของการลงเวลาเข้า: เข้างานหลังเที่ยงคืนแต่ยังอยู่ในกะข้ามคืนของเมื่อวาน นับเป็นวันทำงานของเมื่อวาน
+async function resolveEmployeeWorkDay(employee, clockIn, timeZone) {
+  employee = await withEmployeeDepartment(employee);
+  
+  const { date, minutes } = toLocalParts(clockIn, timeZone);
+  const previousDate = addDays(date, -1);
+  
+  const [assignments, defaults, holidays] = await Promise.all([
+    loadShiftAssignments(previousDate, date, employee),
+    loadSettings(['work_start_time', 'work_end_time', 'work_days']),
+    loadHolidays(previousDate, date)
+  ]);
+  
+  const previous = resolveSchedule(assignments, employee, previousDate, defaults, holidays);
+  if (previous.working_day &&
+      isOvernightShift(previous.start_time, previous.end_time) &&
+      minutes < parseTimeOfDay(previous.end_time)) {
+    return { workDate: previousDate, schedule: previous };
+  }
+  
+  return { workDate: date, schedule: resolveSchedule(assignments, employee, date, defaults, holidays) };
+}
+
+// ⭐ ตารางเวลาทำงานของพนักงานที่ยังทำงานอยู่ทุกคนในวันที่กำหนด
+async function getSchedulesForDate(date, department = null) {
+  const [employeesResult, assignments, defaults, holidays] = await Promise.all([
+    db.query(
+      `SELECT id, emp_code, full_name, department FROM employees
+       WHERE status = 'active' AND ($1::text IS NULL OR department = $1)
+       ORDER BY full_name`,
+      [department]
+    ),
+    loadShiftAssignments(date, date),
+    loadSettings(['work_start_time', 'work_end_time', 'work_days']),
+    loadHolidays(date, date)
+  ]);
+  
+  return employeesResult.rows.map(employee => ({
+    employee,
+    schedule: resolveSchedule(assignments, employee, date, defaults, holidays)
+  }));
+}
+
+// ⭐ จำนวนวันลาของพนักงาน นับเฉพาะวันทำงานตามกะในช่วงวันที่ (ไม่นับวันหยุดนักขัตฤกษ์)
+async function countEmployeeLeaveDays(employee, startDate, endDate, halfDay = null) {
+  employee = await withEmployeeDepartment(employee);
+  
+  const [assignments, defaults, holidays] = await Promise.all([
+    loadShiftAssignments(startDate, endDate, employee),
+    loadSettings(['work_start_time', 'work_end_time', 'work_days']),
+    loadHolidays(startDate, endDate)
+  ]);
+  
+  return countLeaveDays(
+    startDate,
+    endDate,
+    date => resolveSchedule(assignments, employee, date, defaults, holidays).working_day,
+    halfDay
+  );
+}
+
+// ⭐ ยอดวันลาคงเหลือของพนักงานในปี (ค.ศ.) ตามโควตาของประเภทการลาที่ใช้งานอยู่
+async function getLeaveBalances(employeeId, year, client = null) {
+  const executor = client || db;
+  const [typesResult, requestsResult] = await Promise.all([
+    executor.query('SELECT * FROM leave_types WHERE active = true ORDER BY id'),
+    executor.query(
+      `SELECT leave_type_id, start_date, days, status FROM leave_requests
+       WHERE employee_id = $1 AND status IN ('pending', 'approved')
+         AND start_date >= $2 AND start_date <= $3`,
+      [employeeId, `${year}-01-01`, `${year}-12-31`]
+    )
+  ]);
+  
+  const requests = requestsResult.rows.map(row => ({ ...row, start_date: toDateString(row.start_date) }));
+  return summarizeLeaveBalances(typesResult.rows, requests, year);
+}
+
+// ⭐ การลาที่อนุมัติแล้วซึ่งครอบคลุมวันที่ในช่วง (ใช้กับแดชบอร์ดและปฏิทิน)
+async function getApprovedLeaves(fromDate, toDate, department = null) {
+  const result = await db.query(
+    `SELECT r.id, r.employee_id, r.start_date, r.end_date, r.half_day, r.days,
+            t.name AS leave_type_name, t.color, e.emp_code, e.full_name, e.department
+     FROM leave_requests r
+     JOIN leave_types t ON r.leave_type_id = t.id
+     JOIN employees e ON r.employee_id = e.id
+     WHERE r.status = 'approved' AND r.start_date <= $2 AND r.end_date >= $1
+       AND (e.status = 'active' OR (e.status IN ('resigned', 'archived') AND e.termination_date >= $1))
+       AND ($3::text IS NULL OR e.department = $3)
+     ORDER BY e.full_name`,
+    [fromDate, toDate, department]
+  );
+  
+  return result.rows.map(row => ({
+    ...row,
+    start_date: toDateString(row.start_date),
+    end_date: toDateString(row.end_date)
+  }));
+}
+
+function findLeaveOnDate(leaves, employeeId, date) {
+  return leaves.find(leave =>
+    leave.employee_id === employeeId && leave.start_date <= date && leave.end_date >= date
+  ) || null;
+}
+
+// ⭐ ตรวจสอบคำขอลาใหม่ของพนักงาน คืน { error } หรือ { leaveType, days }
+async function prepareLeaveRequest(employee, body) {
+  const validationError = validateLeaveRequest(body);
+  if (validationError) {
+    return { error: validationError };
+  }
+  
+  const { leave_type_id, start_date, end_date, half_day } = body;
+  
+  const typeResult = await db.query('SELECT * FROM leave_types WHERE id = $1 AND active = true', [leave_type_id]);
+  if (typeResult.rows.length === 0) {
+    return { error: 'ไม่พบประเภทการลา' };
+  }
+  
+  const overlapResult = await db.query(
+    `SELECT id FROM leave_requests
+     WHERE employee_id = $1 AND status IN ('pending', 'approved')
+       AND start_date <= $3 AND end_date >= $2
+     LIMIT 1`,
+    [employee.id, start_date, end_date]
+  );
+  if (overlapResult.rows.length > 0) {
+    return { error: 'มีคำขอลาในช่วงวันที่นี้อยู่แล้ว' };
+  }
+  
+  const days = await countEmployeeLeaveDays(employee, start_date, end_date, half_day || null);
+  if (days === 0) {
+    return { error: 'ช่วงวันที่ที่เลือกไม่มีวันทำงาน' };
+  }
+  
+  const leaveType = typeResult.rows[0];
+  const balance = (await getLeaveBalances(employee.id, start_date.substring(0, 4)))
+    .find(item => item.leave_type_id === leaveType.id);
+  if (balance && balance.quota !== null && balance.used + balance.pending + days > balance.quota) {
+    return {
+      error: `วัน${leaveType.name}คงเหลือไม่พอ (คงเหลือ ${balance.remaining} วัน รออนุมัติ ${balance.pending} วัน)`
+    };
+  }
+  
+  return { leaveType, days };
+}
+
+// ⭐ บันทึกที่จะลงเวลาออก: บันทึกล่าสุดที่ยังไม่ลงเวลาออกภายในความยาวกะสูงสุด ไม่ว่าจะเข้างานวันใด
+// (คืน todayRecord ด้วยเพื่อแยกกรณีลงเวลาออกไปแล้วกับยังไม่ได้ลงเวลาเข้า)
+async function findClockOutRecord(employee, at) {
+  const { maxShiftHours, timeZone } = await loadWorkDaySettings();
+  
+  const openResult = await db.executePrepared('GET_OPEN_RECORD', [
+    employee.id, getOpenRecordCutoff(at, maxShiftHours)
+  ]);
+  if (openResult.rows.length > 0) {
+    return { record: openResult.rows[0], todayRecord: null };
+  }
+  
+  const todayResult = await db.executePrepared('GET_TODAY_RECORD', [
+    employee.id, toLocalParts(at, timeZone).date
+  ]);
+  return { record: null, todayRecord: todayResult.rows[0] || null };
+}
+
+// ⭐ ปิดช่วงพักที่ค้างอยู่และคำนวณเวลาพักรวมของบันทึกใหม่
+// คืนเวลาพักรวม (นาที) หรือ null ถ้าไม่ได้พักค้างอยู่
+async function closeOpenBreak(timeLogId, at, lat = null, lon = null, client = null) {
+  const openBreakResult = await db.executePrepared('GET_OPEN_BREAK', [timeLogId], client);
+  if (openBreakResult.rows.length === 0) {
+    return null;
+  }
+  
+  await db.executePrepared('END_BREAK', [openBreakResult.rows[0].id, at, lat || null, lon || null], client);
+  const totalResult = await db.executePrepared('UPDATE_BREAK_MINUTES', [timeLogId], client);
+  
+  return totalResult.rows[0].break_minutes;
+}
+
+// ⭐ คำนวณนาทีที่มาสาย/ออกก่อนเวลา/ทำงานเกินเวลา ตามกะของพนักงานในวันทำงานของการลงเวลาเข้า
+// (ส่ง clockOut = null เมื่อเป็นการลงเวลาเข้า, ส่ง workDate เมื่อทราบวันทำงานของบันทึกแล้ว,
+//  breakMinutes = เวลาพักที่บันทึกจริง ถ้าไม่มีใช้เวลาพักของกะ)
+async function calculateAttendanceMinutes(employee, clockIn, clockOut, workDate = null, breakMinutes = null) {
+  const [{ timeZone }, settings] = await Promise.all([
+    loadWorkDaySettings(),
+    loadSettings(['grace_period_minutes'])
+  ]);
+  
+  const workDay = workDate
+    ? { workDate, schedule: await getEmployeeSchedule(employee, workDate) }
+    : await resolveEmployeeWorkDay(employee, clockIn, timeZone);
+  const { schedule } = workDay;
+  
+  // วันหยุดตามกะ: ไม่นับสาย/ออกก่อน และนับเวลาที่ทำทั้งหมดเป็นเวลาทำงานเกิน
+  if (!schedule.working_day) {
+    return {
+      ...workDay,
+      lateMinutes: 0,
+      earlyLeaveMinutes: clockOut ? 0 : null,
+      overtimeMinutes: clockOut
+        ? calculateWorkedMinutes(clockIn, clockOut, breakMinutes > 0 ? breakMinutes : schedule.break_minutes)
+        : null
+    };
+  }
+  
+  return {
+    ...workDay,
+    ...calculateShiftMinutes({
+      clockIn,
+      clockOut,
+      workDate: workDay.workDate,
+      startTime: schedule.start_time,
+      endTime: schedule.end_time,
+      graceMinutes: settings.grace_period_minutes,
+      timeZone
+    })
+  };
+}
+
+// ⭐ ประเภทวันสำหรับคำนวณ OT: วันหยุดนักขัตฤกษ์ วันทำงาน หรือวันหยุดตามกะ
+function getOvertimeDayType(schedule) {
+  if (schedule.holiday) return 'holiday';
+  return schedule.working_day ? 'workday' : 'weekend';
+}
+
+// ⭐ สรุปชั่วโมงปกติ/OT ของพนักงานในวันทำงาน จากบันทึกที่ลงเวลาออกแล้วทั้งหมดของวันนั้น แล้วบันทึกลง daily_overtime
+// (ส่ง client เมื่อเรียกภายใน transaction, ส่ง rules เมื่อคำนวณหลายวันพร้อมกัน)
+async function recalculateDailyOvertime(employeeId, workDate, client = null, rules = null) {
+  const executor = client || db;
+  const date = toDateString(workDate);
+  
+  const logsResult = await executor.query(
+    `SELECT clock_in, clock_out, break_minutes FROM time_logs
+     WHERE employee_id = $1 AND work_date = $2 AND clock_out IS NOT NULL`,
+    [employeeId, date]
+  );
+  
+  if (logsResult.rows.length === 0) {
+    await executor.query('DELETE FROM daily_overtime WHERE employee_id = $1 AND work_date = $2', [employeeId, date]);
+    return null;
+  }
+  
+  const [schedule, overtimeRules] = await Promise.all([
+    getEmployeeSchedule({ id: employeeId }, date),
+    rules || loadSettings(OVERTIME_SETTING_NAMES).then(parseOvertimeRules)
+  ]);
+  
+  const workedMinutes = logsResult.rows.reduce(
+    (total, log) => total + calculateWorkedMinutes(log.clock_in, log.clock_out, log.break_minutes), 0
+  );
+  const summary = calculateDailyOvertime({
+    workedMinutes,
+    scheduledMinutes: scheduledShiftMinutes(schedule),
+    dayType: getOvertimeDayType(schedule)
+  }, overtimeRules);
+  
+  const result = await executor.query(
+    `INSERT INTO daily_overtime (
+       employee_id, work_date, day_type, shift_id, worked_minutes, regular_minutes, overtime_minutes,
+       weekend_overtime_minutes, holiday_overtime_minutes, weighted_overtime_minutes, calculated_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+     ON CONFLICT (employee_id, work_date) DO UPDATE SET
+       day_type = EXCLUDED.day_type,
+       shift_id = EXCLUDED.shift_id,
+       worked_minutes = EXCLUDED.worked_minutes,
+       regular_minutes = EXCLUDED.regular_minutes,
+       overtime_minutes = EXCLUDED.overtime_minutes,
+       weekend_overtime_minutes = EXCLUDED.weekend_overtime_minutes,
+       holiday_overtime_minutes = EXCLUDED.holiday_overtime_minutes,
+       weighted_overtime_minutes = EXCLUDED.weighted_overtime_minutes,
+       calculated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      employeeId, date, summary.day_type, schedule.shift_id, summary.worked_minutes, summary.regular_minutes,
+      summary.overtime_minutes, summary.weekend_overtime_minutes, summary.holiday_overtime_minutes,
+      summary.weighted_overtime_minutes
+    ]
+  );
+  
+  return result.rows[0];
+}
+
+// ⭐ คำนวณ OT ของวันหลังลงเวลาออก (ผิดพลาดไม่กระทบการลงเวลา คำนวณซ้ำได้จากหน้ารายงาน OT)
+async function updateDailyOvertime(employeeId, workDate) {
+  try {
+    await recalculateDailyOvertime(employeeId, workDate);
+  } catch (error) {
+    console.error('❌ Error calculating daily overtime:', error.message);
+  }
+}
+
+// ⭐ คำนวณสถานะการมาทำงานของพนักงานที่ยังทำงานอยู่ในช่วงวันที่ (ไม่เกินวันนี้ ไม่บันทึกลงฐานข้อมูล)
+// พนักงานที่ออกจากงานระหว่างช่วงวันที่นับถึงวันที่ทำงานวันสุดท้าย (termination_date)
+async function computeAttendance(fromDate, toDate, { department = null, employeeId = null } = {}) {
+  const [{ today, timeZone }, employeesResult, assignments, defaults, holidays, leaves, logsResult] = await Promise.all([
+    loadWorkDaySettings(),
+    db.query(
+      `SELECT id, emp_code, full_name, department, termination_date FROM employees
+       WHERE (status = 'active' OR (status IN ('resigned', 'archived') AND termination_date >= $3))
+         AND ($1::text IS NULL OR department = $1) AND ($2::int IS NULL OR id = $2)
+       ORDER BY full_name`,
+      [department, employeeId, fromDate]
+    ),
+    loadShiftAssignments(fromDate, toDate),
+    loadSettings(['work_start_time', 'work_end_time', 'work_days', 'grace_period_minutes']),
+    loadHolidays(fromDate, toDate),
+    getApprovedLeaves(fromDate, toDate, department),
+    db.query(
+      `SELECT employee_id, work_date, clock_in, clock_out, break_minutes, late_minutes, early_leave_minutes
+       FROM time_logs
+       WHERE work_date BETWEEN $1 AND $2 AND ($3::int IS NULL OR employee_id = $3)
+       ORDER BY clock_in`,
+      [fromDate, toDate, employeeId]
+    )
+  ]);
+  
+  // จัดกลุ่มบันทึกการลงเวลาตามพนักงานและวันทำงาน
+  const logsByDay = new Map();
+  logsResult.rows.forEach(log => {
+    const key = `${log.employee_id}:${toDateString(log.work_date)}`;
+    if (!logsByDay.has(key)) logsByDay.set(key, []);
+    logsByDay.get(key).push(log);
+  });
+  
+  const nowMinutes = toLocalParts(new Date(), timeZone).minutes;
+  const graceMinutes = parseInt(defaults.grace_period_minutes) || 0;
+  const records = [];
+  
+  datesBetween(fromDate, toDate < today ? toDate : today).forEach(date => {
+    employeesResult.rows.forEach(employee => {
+      if (employee.termination_date && date > toDateString(employee.termination_date)) return;
+      
+      const schedule = resolveSchedule(assignments, employee, date, defaults, holidays);
+      const leave = findLeaveOnDate(leaves, employee.id, date);
+      const logs = logsByDay.get(`${employee.id}:${date}`) || [];
+      const startMinutes = parseTimeOfDay(schedule.start_time);
+      
+      const status = determineAttendanceStatus({
+        schedule,
+        leave,
+        logs,
+        final: date < today,
+        started: startMinutes === null || nowMinutes >= startMinutes + graceMinutes
+      });
+      if (!status) return;
+      
+      records.push({
+        employee_id: employee.id,
+        emp_code: employee.emp_code,
+        full_name: employee.full_name,
+        department: employee.department,
+        work_date: date,
+        status,
+        shift_id: schedule.shift_id,
+        shift_name: schedule.name,
+        holiday_name: schedule.holiday,
+        leave_request_id: leave ? leave.id : null,
+        leave_type_name: leave ? leave.leave_type_name : null,
+        half_day: leave ? leave.half_day : null,
+        ...summarizeDayLogs(logs)
+      });
+    });
+  });
+  
+  return records;
+}
+
+// ⭐ บันทึกสถานะการมาทำงานของวันที่จบแล้ว (ถึงเมื่อวาน) แทนที่ของเดิมในช่วงวันที่ คืนจำนวนรายการ
+async function saveAttendance(fromDate, toDate, { employeeId = null } = {}) {
+  const { today } = await loadWorkDaySettings();
+  const lastDate = toDate < today ? toDate : addDays(today, -1);
+  if (fromDate > lastDate) return 0;
+  
+  const records = await computeAttendance(fromDate, lastDate, { employeeId });
+  
+  await db.withTransaction(async (client) => {
+    // บันทึกของพนักงานที่ไม่ได้ทำงานแล้ว (ก่อนช่วงวันที่นี้) เก็บไว้ตามเดิม
+    await client.query(
+      `DELETE FROM daily_attendance
+       WHERE work_date BETWEEN $1 AND $2
+         AND ($3::int IS NULL OR employee_id = $3)
+         AND employee_id IN (
+           SELECT id FROM employees
+           WHERE status = 'active' OR (status IN ('resigned', 'archived') AND termination_date >= $1)
+         )`,
+      [fromDate, lastDate, employeeId]
+    );
+    
+    for (const record of records) {
+      await client.query(
+        `INSERT INTO daily_attendance (
+           employee_id, work_date, status, shift_id, leave_request_id, holiday_name,
+           first_clock_in, last_clock_out, late_minutes, early_leave_minutes, worked_minutes
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          record.employee_id, record.work_date, record.status, record.shift_id, record.leave_request_id,
+          record.holiday_name, record.first_clock_in, record.last_clock_out, record.late_minutes,
+          record.early_leave_minutes, record.worked_minutes
+        ]
+      );
+    }
+  });
+  
+  return records.length;
+}
+
+// ⭐ สถานะการมาทำงานในช่วงวันที่: วันที่จบแล้วอ่านจากตาราง (วันที่ยังไม่ได้บันทึกจะคำนวณและบันทึกก่อน) วันนี้คำนวณสด
+async function getAttendance(fromDate, toDate, { department = null, employeeId = null } = {}) {
+  const { today, timeZone } = await loadWorkDaySettings();
+  const lastPastDate = toDate < today ? toDate : addDays(today, -1);
+  let records = [];
+  
+  if (fromDate <= lastPastDate) {
+    const savedResult = await db.query(
+      'SELECT DISTINCT work_date FROM daily_attendance WHERE work_date BETWEEN $1 AND $2',
+      [fromDate, lastPastDate]
+    );
+    const savedDates = new Set(savedResult.rows.map(row => toDateString(row.work_date)));
+    
+    for (const date of datesBetween(fromDate, lastPastDate)) {
+      if (!savedDates.has(date)) {
+        await saveAttendance(date, date);
+      }
+    }
+    
+    const result = await db.query(
+      `SELECT a.*, e.emp_code, e.full_name, e.department,
+              COALESCE(s.name, 'เวลาทำงานปกติ') AS shift_name, t.name AS leave_type_name, r.half_day
+       FROM daily_attendance a
+       JOIN employees e ON a.employee_id = e.id
+       LEFT JOIN shifts s ON a.shift_id = s.id
+       LEFT JOIN leave_requests r ON a.leave_request_id = r.id
+       LEFT JOIN leave_types t ON r.leave_type_id = t.id
+       WHERE a.work_date BETWEEN $1 AND $2
+         AND ($3::text IS NULL OR e.department = $3)
+         AND ($4::int IS NULL OR a.employee_id = $4)
+       ORDER BY a.work_date, e.full_name`,
+      [fromDate, lastPastDate, department, employeeId]
+    );
+    records = result.rows.map(row => ({ ...row, work_date: toDateString(row.work_date) }));
+  }
+  
+  if (fromDate <= today && toDate >= today) {
+    records = records.concat(await computeAttendance(today, today, { department, employeeId }));
+  }
+  
+  return records.map(record => ({
+    employee_id: record.employee_id,
+    emp_code: record.emp_code,
+    full_name: record.full_name,
+    department: record.department,
+    work_date: record.work_date,
+    status: record.status,
+    shift_name: record.shift_name,
+    holiday_name: record.holiday_name,
+    leave_type_name: record.leave_type_name,
+    half_day: record.half_day,
+    clock_in_time: formatAttendanceTime(record.first_clock_in, timeZone),
+    clock_out_time: formatAttendanceTime(record.last_clock_out, timeZone),
+    late_minutes: record.late_minutes,
+    early_leave_minutes: record.early_leave_minutes,
+    worked_minutes: record.worked_minutes
+  }));
+}
+
+function formatAttendanceTime(value, timeZone) {
+  if (!value) return null;
+  return formatThaiTime(value, timeZone, { hour: '2-digit', minute: '2-digit' });
+}
+
+// ⭐ เวลาท้องถิ่นจากฟอร์ม (YYYY-MM-DDTHH:MM[:SS]) เป็นเวลาจริงตามเขตเวลาของหน่วยงาน คืน null ถ้ารูปแบบไม่ถูกต้อง
+function parseLocalDateTimeInput(value, timeZone) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(?::(\d{2}))?$/.exec(String(value || ''));
+  if (!match || !isValidDate(match[1]) || parseTimeOfDay(match[2]) === null || Number(match[3] || 0) > 59) {
+    return null;
+  }
+  
+  const timestamp = timestampFromWorkDate(match[1], parseTimeOfDay(match[2]), timeZone);
+  return new Date(timestamp.getTime() + Number(match[3] || 0) * 1000);
+}
+
+// ค่าเวลาในฐานข้อมูลเป็นข้อความสำหรับ input datetime-local (YYYY-MM-DDTHH:MM)
+function toLocalDateTimeInput(value, timeZone) {
+  if (!value) return null;
+  
+  const local = toLocalParts(fromDbTimestamp(value), timeZone);
+  const hours = String(Math.floor(local.minutes / 60)).padStart(2, '0');
+  const minutes = String(local.minutes % 60).padStart(2, '0');
+  return `${local.date}T${hours}:${minutes}`;
+}
+
+function formatLogDateTime(value, timeZone) {
+  if (!value) return null;
+  
+  return `${formatThaiDate(value, timeZone)} ${formatThaiTime(value, timeZone, { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+// ⭐ บันทึกการลงเวลาอื่นของพนักงานที่ช่วงเวลาทับกับ clockIn-clockOut (บันทึกที่ยังไม่ลงเวลาออกนับเฉพาะเวลาเข้า)
+async function findOverlappingTimeLog(employeeId, clockIn, clockOut, excludeId = null, client = null) {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT id, clock_in, clock_out FROM time_logs
+     WHERE employee_id = $1 AND ($4::int IS NULL OR id <> $4)
+       AND clock_in <= $3 AND COALESCE(clock_out, clock_in) >= $2
+     LIMIT 1`,
+    [employeeId, clockIn.toISOString(), (clockOut || clockIn).toISOString(), excludeId]
+  );
+  
+  return result.rows[0] || null;
+}
+
+// ⭐ แก้ไข time_logs ตามคำขอแก้ไขเวลาที่อนุมัติ (เรียกภายใน transaction ของการอนุมัติ)
+// คืน { timeLog, workDates } เพื่อคำนวณสถานะการมาทำงานใหม่หลัง commit
+async function applyTimeCorrection(req, request, client) {
+  const employee = { id: request.employee_id, department: request.department };
+  const requestedClockIn = request.requested_clock_in ? fromDbTimestamp(request.requested_clock_in) : null;
+  const requestedClockOut = request.requested_clock_out ? fromDbTimestamp(request.requested_clock_out) : null;
+  
+  let before = null;
+  if (request.request_type !== 'missing_clock_in') {
+    const beforeResult = await client.query('SELECT * FROM time_logs WHERE id = $1 FOR UPDATE', [request.time_log_id]);
+    if (beforeResult.rows.length === 0) {
+      throw new Error('ไม่พบบันทึกการลงเวลาที่ขอแก้ไข (อาจถูกลบไปแล้ว)');
+    }
+    before = beforeResult.rows[0];
+  }
+  
+  const { clockIn, clockOut } = resolveCorrectedTimes({
+    requestType: request.request_type,
+    timeLog: before && { clock_in: fromDbTimestamp(before.clock_in), clock_out: fromDbTimestamp(before.clock_out) },
+    clockIn: requestedClockIn,
+    clockOut: requestedClockOut
+  });
+  
+  if (await findOverlappingTimeLog(request.employee_id, clockIn, clockOut, before ? before.id : null, client)) {
+    throw new Error('ช่วงเวลาที่ขอแก้ไขทับกับบันทึกการลงเวลาอื่นของพนักงาน');
+  }
+  
+  const { lateMinutes, earlyLeaveMinutes, overtimeMinutes, schedule, workDate } = await calculateAttendanceMinutes(
+    employee, clockIn.toISOString(), clockOut ? clockOut.toISOString() : null, null, before ? before.break_minutes : null
+  );
+  
+  const lockError = await checkPayrollLock([workDate, before && before.work_date], client);
+  if (lockError) {
+    throw new Error(lockError);
+  }
+  
+  let result;
+  if (before) {
+    result = await client.query(
+      `UPDATE time_logs SET
+         clock_in = $1, clock_out = $2, late_minutes = $3, early_leave_minutes = $4, overtime_minutes = $5,
+         shift_id = $6, work_date = $7, status = 'corrected'
+       WHERE id = $8
+       RETURNING *`,
+      [clockIn.toISOString(), clockOut ? clockOut.toISOString() : null, lateMinutes, earlyLeaveMinutes,
+        overtimeMinutes, schedule.shift_id, workDate, before.id]
+    );
+  } else {
+    result = await client.query(
+      `INSERT INTO time_logs (employee_id, clock_in, clock_out, note, status, late_minutes, early_leave_minutes, overtime_minutes, shift_id, work_date)
+       VALUES ($1, $2, $3, $4, 'corrected', $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [request.employee_id, clockIn.toISOString(), clockOut ? clockOut.toISOString() : null,
+        `คำขอแก้ไขเวลา #${request.id}: ${request.reason}`, lateMinutes, earlyLeaveMinutes, overtimeMinutes,
+        schedule.shift_id, workDate]
+    );
+  }
+  
+  const workDates = [workDate];
+  const previousWorkDate = before ? toDateString(before.work_date) : null;
+  if (previousWorkDate && previousWorkDate !== workDate) {
+    workDates.push(previousWorkDate);
+  }
+  for (const date of workDates) {
+    await recalculateDailyOvertime(request.employee_id, date, client);
+  }
+  
+  await recordAudit(req, {
+    action: before ? 'update' : 'create',
+    entityType: 'time_log',
+    entityId: result.rows[0].id,
+    before,
+    after: result.rows[0]
+  }, client);
+  
+  return { timeLog: result.rows[0], workDates };
+}
+
+// ⭐ งวดเงินเดือนที่ปิดแล้วซึ่งทับช่วงวันที่ (null ถ้ายังแก้ไขข้อมูลในช่วงนี้ได้)
+async function findClosedPayrollPeriod(fromDate, toDate = fromDate, client = null) {
+  const executor = client || db;
+  const result = await executor.query(
+    `SELECT id, name, start_date, end_date FROM payroll_periods
+     WHERE status = 'closed' AND start_date <= $2 AND end_date >= $1
+     ORDER BY start_date
+     LIMIT 1`,
+    [toDateString(fromDate), toDateString(toDate)]
+  );
+  
+  return result.rows[0] || null;
+}
+
+function payrollLockMessage(period) {
+  return `งวด "${period.name}" (${toDateString(period.start_date)} ถึง ${toDateString(period.end_date)}) ปิดแล้ว ` +
+    'ไม่สามารถแก้ไขบันทึกการลงเวลาได้ กรุณาติดต่อผู้ดูแลระบบสูงสุดเพื่อเปิดงวดใหม่';
+}
+
+// ตรวจสอบวันทำงานที่จะแก้ไข คืนข้อความผิดพลาดถ้าวันใดอยู่ในงวดที่ปิดแล้ว หรือ null
+async function checkPayrollLock(workDates, client = null) {
+  for (const date of workDates) {
+    if (!date) continue;
+    
+    const period = await findClosedPayrollPeriod(date, date, client);
+    if (period) return payrollLockMessage(period);
+  }
+  
+  return null;
+}
+
+// ⭐ ปรับสถานะการมาทำงานของวันที่จบแล้วหลังข้อมูลเปลี่ยน (ผิดพลาดไม่กระทบการทำงานหลัก)
+async function updateDailyAttendance(employeeId, fromDate, toDate = fromDate) {
+  try {
+    await saveAttendance(toDateString(fromDate), toDateString(toDate), { employeeId });
+  } catch (error) {
+    console.error('❌ Error updating daily attendance:', error.message);
+  }
+}
+
+function calculateDuration(startDate, endDate, breakMinutes = 0) {
+  const diff = Math.max(0, Math.abs(endDate - startDate) - (parseInt(breakMinutes) || 0) * 60 * 1000);
+  const hours = Math.floor(diff / (1000 * 60 * 60));
+  const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+  return `${hours} ชั่วโมง ${minutes} นาที`;
+}
+
+// ⭐ เรียกใช้ฟังก์ชันเตรียมฐานข้อมูล
+initializeDatabase().catch(error => {
+  console.error('❌ Failed to initialize database:', error);
+  process.exit(1);
+});
+
+// server.js - Mobile Time Tracker Server (ส่วนที่ 4/8)
+// Original API Routes (เดิม)
+
+// ⭐ API - ดึงรายชื่อพนักงานสำหรับ autocomplete (ใช้ cache)
+app.post('/api/getdata', async (req, res) => {
+  console.log('📋 API: getdata - ดึงรายชื่อพนักงานสำหรับ autocomplete');
+  
+  try {
+    const result = await db.executePrepared('GET_EMPLOYEE_NAMES', ['active']);
+    const names = result.rows.map(e => e.full_name);
+    res.json(names);
+  } catch (err) {
+    console.error('❌ Error in getdata:', err.message);
+    return res.json({ error: err.message });
+  }
+});
+
+// ⭐ API - ดึงรายชื่อพนักงานทั้งหมด (ใช้ cache)
+app.post('/api/getemployee', async (req, res) => {
+  console.log('👥 API: getemployee - ดึงรายชื่อพนักงานทั้งหมด');
+  
+  try {
+    const employees = await getEmployeesFromCache();
+    res.json(employees);
+  } catch (err) {
+    console.error('❌ Error in getemployee:', err.message);
+    return res.json({ error: err.message });
+  }
+});
+
+// ⭐ API - บันทึกเวลาเข้า (ปรับปรุงประสิทธิภาพ)
+app.post('/api/clockin', enforceAllowedIp('clock_in'), enforceLocationPolicy('clock_in'), async (req, res) => {
+  console.log('⏰ API: clockin - บันทึกเวลาเข้า', req.body);
+  
+  try {
+    const { 
+      employee, 
+      userinfo, 
+      lat, 
+      lon, 
+      line_name, 
+      line_picture 
+    } = req.body;
+    
+    if (!employee) {
+      return res.json({ msg: 'กรุณาระบุชื่อพนักงาน' });
+    }
+    
+    // ใช้ prepared statement
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
+    
+    if (empResult.rows.length === 0) {
+      return res.json({ msg: 'ไม่พบข้อมูลพนักงาน' });
+    }
+    
+    const emp = empResult.rows[0];
+    // ใช้เวลาของเซิร์ฟเวอร์ ไม่รับเวลาจากเครื่องผู้ใช้ (กันลงเวลาย้อนหลังเข้างวดที่ปิดแล้ว)
+    const now = new Date().toISOString();
+    const { maxShiftHours, timeZone } = await loadWorkDaySettings();
+    const { lateMinutes, schedule, workDate } = await calculateAttendanceMinutes(emp, now, null);
+    
+    const outcome = await db.withTransaction(async (client) => {
+      const lockError = await checkPayrollLock([workDate], client);
+      if (lockError) {
+        return { error: lockError };
+      }
+      
+      // ตรวจสอบการลงเวลาซ้ำ (วันทำงานเดียวกัน หรือยังมีกะที่ยังไม่ลงเวลาออก)
+      const checkExistingResult = await db.executePrepared('CHECK_CLOCK_IN_TODAY', [
+        emp.id, workDate, getOpenRecordCutoff(now, maxShiftHours)
+      ], client);
+      if (checkExistingResult.rows.length > 0) {
+        return { error: 'คุณได้ลงเวลาเข้าแล้ววันนี้' };
+      }
+      
+      // บันทึกเวลาเข้า
+      await db.executePrepared('INSERT_TIME_LOG', [
+        emp.id, now, userinfo || null, lat || null, lon || null, line_name || null, line_picture || null,
+        ...getGeofenceParams(req), lateMinutes, schedule.shift_id, workDate
+      ], client);
+      
+      return {};
+    });
+    if (outcome.error) {
+      return res.json({ msg: outcome.error, employee });
+    }
+    
+    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
+    setImmediate(async () => {
+      try {
+        await sendNotification('clock_in', employee, now, userinfo, lat, lon, line_name, { lateMinutes });
+      } catch (error) {
+        console.error('❌ Notification error:', error);
+      }
+    });
+    
+    // เวลาตามเขตเวลาของหน่วยงาน
+    const returnDate = formatThaiTime(now, timeZone);
+    
+    return res.json({
+      msg: 'SUCCESS',
+      employee,
+      return_date: returnDate,
+      return_date_utc: now,
+      late_minutes: lateMinutes
+    });
+  } catch (error) {
+    console.error('❌ Error in clockin:', error);
+    return res.json({ msg: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - บันทึกเวลาออก (ปรับปรุงประสิทธิภาพ)
+app.post('/api/clockout', enforceAllowedIp('clock_out'), enforceLocationPolicy('clock_out'), async (req, res) => {
+  console.log('🏃 API: clockout - บันทึกเวลาออก', req.body);
+  
+  try {
+    const { 
+      employee, 
+      lat, 
+      lon, 
+      line_name, 
+      line_picture 
+    } = req.body;
+    
+    if (!employee) {
+      return res.json({ msg: 'กรุณาระบุชื่อพนักงาน' });
+    }
+    
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
+    
+    if (empResult.rows.length === 0) {
+      return res.json({ msg: 'ไม่พบข้อมูลพนักงาน' });
+    }
+    
+    const emp = empResult.rows[0];
+    // ใช้เวลาของเซิร์ฟเวอร์ ไม่รับเวลาจากเครื่องผู้ใช้ (กันลงเวลาย้อนหลังเข้างวดที่ปิดแล้ว)
+    const now = new Date().toISOString();
+    const { record, todayRecord } = await findClockOutRecord(emp, now);
+    
+    if (!record) {
+      return res.json({ 
+        msg: todayRecord ? 'คุณได้ลงเวลาออกแล้ววันนี้' : 'คุณยังไม่ได้ลงเวลาเข้าวันนี้', 
+        employee
+      });
+    }
+    
+    const outcome = await db.withTransaction(async (client) => {
+      const lockError = await checkPayrollLock([record.work_date], client);
+      if (lockError) {
+        return { error: lockError };
+      }
+      
+      // ลงเวลาออกระหว่างพัก ถือว่าพักสิ้นสุดพร้อมการลงเวลาออก
+      const closedBreakMinutes = await closeOpenBreak(record.id, now, lat, lon, client);
+      const breakMinutes = closedBreakMinutes !== null ? closedBreakMinutes : record.break_minutes;
+      
+      const { earlyLeaveMinutes, overtimeMinutes } = await calculateAttendanceMinutes(
+        emp, fromDbTimestamp(record.clock_in), now, toDateString(record.work_date), breakMinutes
+      );
+      
+      // บันทึกเวลาออก
+      await db.executePrepared('UPDATE_CLOCK_OUT', [
+        now, lat || null, lon || null, line_name || null, line_picture || null, record.id,
+        ...getGeofenceParams(req), earlyLeaveMinutes, overtimeMinutes
+      ], client);
+      
+      return { earlyLeaveMinutes };
+    });
+    if (outcome.error) {
+      return res.json({ msg: outcome.error, employee });
+    }
+    
+    const { earlyLeaveMinutes } = outcome;
+    await updateDailyOvertime(emp.id, record.work_date);
+    await updateDailyAttendance(emp.id, record.work_date);
+    
+    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
+    setImmediate(async () => {
+      try {
+        await sendNotification('clock_out', employee, now, null, lat, lon, line_name, { earlyLeaveMinutes });
+      } catch (error) {
+        console.error('❌ Notification error:', error);
+      }
+    });
+    
+    // เวลาตามเขตเวลาของหน่วยงาน
+    const { timeZone } = await loadWorkDaySettings();
+    const returnDate = formatThaiTime(now, timeZone);
+    
+    return res.json({
+      msg: 'SUCCESS',
+      employee,
+      return_date: returnDate,
+      return_date_utc: now,
+      early_leave_minutes: earlyLeaveMinutes
+    });
+  } catch (error) {
+    console.error('❌ Error in clockout:', error);
+    return res.json({ msg: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// API - ส่งแจ้งเตือน Telegram
+app.post('/api/sendnotify', async (req, res) => {
+  console.log('📢 API: sendnotify - ส่งแจ้งเตือน Telegram', req.body);
+  
+  try {
+    const { message, token, chat_id, lat, lon } = req.body;
+    
+    if (!token || !chat_id || !message) {
+      return res.json({ success: false, msg: 'ข้อมูลไม่ครบถ้วน' });
+    }
+    
+    let notifyMessage = message;
+    
+    if (lat && lon) {
+      notifyMessage += `\nพิกัด: https://www.google.com/maps?q=${lat},${lon}`;
+    }
+    
+    console.log('Sending Telegram message:', notifyMessage);
+    
+    try {
+      const response = await axios.post(
+        `https://api.telegram.org/bot${token}/sendMessage`,
+        {
+          chat_id: chat_id,
+          text: notifyMessage
+        },
+        { timeout: 10000 }
+      );
+      
+      console.log('Telegram response:', response.data);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Error sending Telegram message:', error.response?.data || error.message);
+      res.json({ success: false, error: error.response?.data?.message || error.message });
+    }
+  } catch (error) {
+    console.error('Error in sendnotify:', error);
+    res.json({ success: false, error: error.message });
+  }
+});
+
+// API - ดึง LIFF ID
+app.get('/api/getLiffId', async (req, res) => {
+  console.log('API: getLiffId - ดึง LIFF ID');
+  
+  try {
+    const result = await db.query(
+      'SELECT setting_value FROM settings WHERE setting_name = $1',
+      ['liff_id']
+    );
+    
+    if (result.rows.length > 0) {
+      return res.json({ success: true, liffId: result.rows[0].setting_value });
+    } else {
+      // ถ้าไม่พบ LIFF ID ในฐานข้อมูล ให้ใช้ค่าเริ่มต้น
+      return res.json({ success: true, liffId: '2001032478-VR5Akj0k' });
+    }
+  } catch (error) {
+    console.error('Error getting LIFF ID:', error);
+    return res.json({ success: false, error: error.message });
+  }
+});
+
+// เพิ่ม API สำหรับดึงค่าชดเชยเวลา
+app.get('/api/getTimeOffset', async (req, res) => {
+  console.log('API: getTimeOffset - ดึงค่าชดเชยเวลา');
+  
+  try {
+    const result = await db.query(
+      'SELECT setting_value FROM settings WHERE setting_name = $1',
+      ['time_offset']
+    );
+    
+    if (result.rows.length > 0) {
+      return res.json({ success: true, time_offset: result.rows[0].setting_value });
+    } else {
+      // ถ้าไม่พบค่าชดเชยเวลาในฐานข้อมูล ให้ใช้ค่าเริ่มต้น
+      return res.json({ success: true, time_offset: 420 }); // ตั้งค่าเริ่มต้นเป็น 7 ชั่วโมง (420 นาที)
+    }
+  } catch (error) {
+    console.error('Error getting time offset:', error);
+    return res.json({ success: false, error: error.message });
+  }
+});
+
+// API สำหรับตั้งค่า URL ของ Google Apps Script
+app.post('/api/admin/set-gas-url', requirePermission('settings.edit'), async (req, res) => {
+  console.log('🔧 API: admin/set-gas-url - ตั้งค่า URL ของ GSA', req.body);
+  
+  try {
+    const { gas_url } = req.body;
+    
+    if (!gas_url) {
+      return res.json({ success: false, message: 'กรุณาระบุ URL' });
+    }
+    
+    await db.query(
+      'INSERT INTO settings (setting_name, setting_value, description) VALUES ($1, $2, $3) ON CONFLICT (setting_name) DO UPDATE SET setting_value = $2',
+      ['gas_web_app_url', gas_url, 'URL ของ Google Apps Script Web App']
+    );
+    
+    console.log('GAS URL updated:', gas_url);
+    res.json({ success: true, message: 'บันทึก URL เรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error setting GAS URL:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// API - ทดสอบการส่งข้อความผ่าน GSA
+app.post('/api/admin/test-gas', requirePermission('settings.edit'), async (req, res) => {
+  console.log('🧪 API: admin/test-gas - ทดสอบการส่งข้อความผ่าน GSA', req.body);
+  
+  try {
+    const { message, lat, lon, gasUrl } = req.body;
+    
+    if (!message) {
+      return res.json({ success: false, message: 'กรุณาระบุข้อความ' });
+    }
+    
+    let useGasUrl = gasUrl;
+    
+    if (!useGasUrl) {
+      const gasUrlResult = await db.query(
+        'SELECT setting_value FROM settings WHERE setting_name = $1',
+        ['gas_web_app_url']
+      );
+      
+      if (gasUrlResult.rows.length === 0 || !gasUrlResult.rows[0].setting_value) {
+        return res.json({ success: false, message: 'ไม่พบ URL ของ GSA กรุณาตั้งค่าก่อน' });
+      }
+      
+      useGasUrl = gasUrlResult.rows[0].setting_value.trim();
+    } else {
+      useGasUrl = useGasUrl.trim();
+    }
+    
+    if (!useGasUrl.startsWith('https://')) {
+      return res.json({ success: false, message: 'URL ของ GSA ต้องขึ้นต้นด้วย https://' });
+    }
+    
+    console.log('ใช้ URL GSA สำหรับทดสอบ:', useGasUrl);
+    
+    const [tokenResult, groupsResult] = await Promise.all([
+      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_bot_token']),
+      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_groups'])
+    ]);
+    
+    if (tokenResult.rows.length === 0 || !tokenResult.rows[0].setting_value) {
+      return res.json({ success: false, message: 'ไม่พบ Token ของ Telegram กรุณาตั้งค่าก่อน' });
+    }
+    
+    if (groupsResult.rows.length === 0 || !groupsResult.rows[0].setting_value) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลกลุ่ม Telegram กรุณาตั้งค่าก่อน' });
+    }
+    
+    const token = tokenResult.rows[0].setting_value;
+    const groups = JSON.parse(groupsResult.rows[0].setting_value);
+    const activeGroup = groups.find(g => g.active && g.chat_id);
+    
+    if (!activeGroup) {
+      return res.json({ success: false, message: 'ไม่พบกลุ่ม Telegram ที่เปิดใช้งาน' });
+    }
+    
+    const jsonData = {
+      message: message,
+      chatId: activeGroup.chat_id,
+      token: token
+    };
+    
+    if (lat && lon) {
+      jsonData.lat = lat;
+      jsonData.lon = lon;
+    }
+    
+    console.log('ข้อมูลที่ส่งไป GSA:', JSON.stringify(jsonData));
+    
+    const encodedData = encodeURIComponent(JSON.stringify(jsonData));
+    const urlWithParams = `${useGasUrl}?opt=sendToTelegram&data=${encodedData}`;
+    
+    console.log('URL ที่เรียก:', urlWithParams);
+    
+    const response = await axios.get(urlWithParams, { timeout: 15000 });
+    
+    console.log('การตอบกลับจาก GSA:', response.data);
+    res.json({ 
+      success: true, 
+      message: 'ส่งข้อความทดสอบเรียบร้อยแล้ว', 
+      response: response.data 
+    });
+  } catch (error) {
+    console.error('Error testing GAS:', error);
+    console.error('Error details:', error.response?.data || error);
+    res.json({ 
+      success: false, 
+      message: 'เกิดข้อผิดพลาด: ' + error.message,
+      error: error.response?.data || error.message
+    });
+  }
+});
+
+// server.js - Mobile Time Tracker Server (ส่วนที่ 5/8)
+// Admin API Routes (เดิม)
+
+// --- API สำหรับระบบแอดมิน ---
+
+// ตรวจสอบการเข้าสู่ระบบแอดมิน
+app.post('/api/admin/login', async (req, res) => {
+  console.log('🔐 API: admin/login - ตรวจสอบการเข้าสู่ระบบแอดมิน', { username: req.body.username });
+  
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.json({ success: false, message: 'กรุณากรอกชื่อผู้ใช้และรหัสผ่าน' });
+    }
+    
+    console.log(`Login attempt: ${username}`);
+    
+    // ตรวจสอบกับบัญชีในตาราง admin_users
+    const userResult = await db.query(
+      `SELECT id, username, password_hash, full_name, role, department
+       FROM admin_users
+       WHERE username = $1 AND active = true`,
+      [username]
+    );
+    
+    const adminUser = userResult.rows[0];
+    
+    if (adminUser && await verifyPassword(password, adminUser.password_hash)) {
+      await db.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [adminUser.id]);
+      
+      console.log(`Admin login successful: ${adminUser.username} (${adminUser.role})`);
+      const session = await createAdminSession(adminUser, req);
+      return res.json({
+        success: true,
+        username: adminUser.username,
+        full_name: adminUser.full_name,
+        role: adminUser.role,
+        permissions: getRolePermissions(adminUser.role),
+        ...session
+      });
+    }
+    
+    console.log('Admin login failed: invalid credentials');
+    return res.json({ success: false, message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง' });
+  } catch (error) {
+    console.error('Error in admin login:', error);
+    return res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ออกจากระบบแอดมิน (ยกเลิก session ปัจจุบัน)
+app.post('/api/admin/logout', async (req, res) => {
+  console.log('🔓 API: admin/logout - ออกจากระบบแอดมิน', req.admin.username);
+  
+  try {
+    await destroyAdminSession(req.adminToken);
+    res.json({ success: true, message: 'ออกจากระบบเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error in admin logout:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ตรวจสอบ session ปัจจุบันของแอดมิน
+app.get('/api/admin/session', (req, res) => {
+  res.json({
+    success: true,
+    username: req.admin.username,
+    full_name: req.admin.fullName,
+    role: req.admin.role,
+    department: req.admin.department,
+    permissions: getRolePermissions(req.admin.role),
+    expires_at: req.admin.expiresAt
+  });
+});
+
+// เปลี่ยนรหัสผ่านของบัญชีที่เข้าสู่ระบบอยู่
+app.post('/api/admin/change-password', async (req, res) => {
+  console.log('🔑 API: admin/change-password - เปลี่ยนรหัสผ่าน', req.admin.username);
+  
+  try {
+    const { current_password, new_password } = req.body;
+    
+    if (!current_password || !new_password) {
+      return res.json({ success: false, message: 'กรุณากรอกรหัสผ่านปัจจุบันและรหัสผ่านใหม่' });
+    }
+    
+    if (String(new_password).length < 8) {
+      return res.json({ success: false, message: 'รหัสผ่านใหม่ต้องมีอย่างน้อย 8 ตัวอักษร' });
+    }
+    
+    const userResult = await db.query('SELECT password_hash FROM admin_users WHERE id = $1', [req.admin.id]);
+    
+    if (userResult.rows.length === 0 || !(await verifyPassword(current_password, userResult.rows[0].password_hash))) {
+      return res.json({ success: false, message: 'รหัสผ่านปัจจุบันไม่ถูกต้อง' });
+    }
+    
+    const passwordHash = await hashPassword(String(new_password));
+    
+    await db.withTransaction(async (client) => {
+      await client.query('UPDATE admin_users SET password_hash = $1 WHERE id = $2', [passwordHash, req.admin.id]);
+      // ยกเลิก session อื่นของบัญชีนี้
+      await client.query('DELETE FROM admin_sessions WHERE admin_user_id = $1 AND id != $2', [req.admin.id, req.admin.sessionId]);
+    });
+    
+    res.json({ success: true, message: 'เปลี่ยนรหัสผ่านเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error changing admin password:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - จัดการบัญชีผู้ดูแลระบบ (เฉพาะ superadmin)
+app.get('/api/admin/users', requirePermission('admin_users.manage'), async (req, res) => {
+  console.log('👤 API: admin/users - ดึงรายชื่อผู้ดูแลระบบ');
+  
+  try {
+    const result = await db.query(`
+      SELECT id, username, full_name, role, department, active, last_login_at, created_at
+      FROM admin_users
+      ORDER BY username
+    `);
+    
+    const roles = Object.keys(ADMIN_ROLES).map(key => ({ value: key, label: ADMIN_ROLES[key].label }));
+    
+    res.json({ success: true, users: result.rows, roles });
+  } catch (error) {
+    console.error('Error getting admin users:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+app.post('/api/admin/users', requirePermission('admin_users.manage'), async (req, res) => {
+  console.log('➕ API: admin/users POST - เพิ่มผู้ดูแลระบบ', { ...req.body, password: undefined });
+  
+  try {
+    const { username, password, full_name, role, department } = req.body;
+    const departmentName = normalizeOrgName(department);
+    
+    if (!username || !password || !role) {
+      return res.json({ success: false, message: 'กรุณาระบุชื่อผู้ใช้ รหัสผ่าน และบทบาท' });
+    }
+    
+    if (!ADMIN_ROLES[role]) {
+      return res.json({ success: false, message: 'บทบาทไม่ถูกต้อง' });
+    }
+    
+    if (role === 'department_manager' && !departmentName) {
+      return res.json({ success: false, message: 'กรุณาระบุแผนกสำหรับหัวหน้าแผนก' });
+    }
+    
+    if (departmentName && !(await findDepartmentByName(departmentName))) {
+      return res.json({ success: false, message: 'ไม่พบแผนกที่ระบุ' });
+    }
+    
+    if (String(password).length < 8) {
+      return res.json({ success: false, message: 'รหัสผ่านต้องมีอย่างน้อย 8 ตัวอักษร' });
+    }
+    
+    const checkResult = await db.query('SELECT id FROM admin_users WHERE username = $1', [username]);
+    
+    if (checkResult.rows.length > 0) {
+      return res.json({ success: false, message: 'ชื่อผู้ใช้นี้มีอยู่ในระบบแล้ว' });
+    }
+    
+    const passwordHash = await hashPassword(String(password));
+    const insertResult = await db.query(
+      `INSERT INTO admin_users (username, password_hash, full_name, role, department, active)
+       VALUES ($1, $2, $3, $4, $5, true) RETURNING id`,
+      [username, passwordHash, full_name || null, role, departmentName]
+    );
+    
+    res.json({ success: true, message: 'เพิ่มผู้ดูแลระบบเรียบร้อยแล้ว', id: insertResult.rows[0].id });
+  } catch (error) {
+    console.error('Error adding admin user:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+app.put('/api/admin/users/:id', requirePermission('admin_users.manage'), async (req, res) => {
+  console.log('✏️ API: admin/users/:id PUT - แก้ไขผู้ดูแลระบบ', req.params, { ...req.body, password: undefined });
+  
+  try {
+    const id = parseInt(req.params.id);
+    const { full_name, role, department, active, password } = req.body;
+    const departmentName = normalizeOrgName(department);
+    
+    if (!ADMIN_ROLES[role]) {
+      return res.json({ success: false, message: 'บทบาทไม่ถูกต้อง' });
+    }
+    
+    if (role === 'department_manager' && !departmentName) {
+      return res.json({ success: false, message: 'กรุณาระบุแผนกสำหรับหัวหน้าแผนก' });
+    }
+    
+    if (departmentName && !(await findDepartmentByName(departmentName))) {
+      return res.json({ success: false, message: 'ไม่พบแผนกที่ระบุ' });
+    }
+    
+    const isActive = active !== undefined ? !!active : true;
+    
+    if (id === req.admin.id && (role !== 'superadmin' || !isActive)) {
+      return res.json({ success: false, message: 'ไม่สามารถลดสิทธิ์หรือปิดบัญชีของตัวเองได้' });
+    }
+    
+    if (password && String(password).length < 8) {
+      return res.json({ success: false, message: 'รหัสผ่านต้องมีอย่างน้อย 8 ตัวอักษร' });
+    }
+    
+    const checkResult = await db.query('SELECT id FROM admin_users WHERE id = $1', [id]);
+    
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลผู้ดูแลระบบ' });
+    }
+    
+    await db.withTransaction(async (client) => {
+      await client.query(
+        `UPDATE admin_users SET full_name = $1, role = $2, department = $3, active = $4 WHERE id = $5`,
+        [full_name || null, role, departmentName, isActive, id]
+      );
+      
+      if (password) {
+        const passwordHash = await hashPassword(String(password));
+        await client.query('UPDATE admin_users SET password_hash = $1 WHERE id = $2', [passwordHash, id]);
+      }
+      
+      // บังคับให้เข้าสู่ระบบใหม่เมื่อสิทธิ์หรือรหัสผ่านเปลี่ยน
+      if (id !== req.admin.id) {
+        await client.query('DELETE FROM admin_sessions WHERE admin_user_id = $1', [id]);
+      }
+    });
+    
+    res.json({ success: true, message: 'แก้ไขข้อมูลผู้ดูแลระบบเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+app.delete('/api/admin/users/:id', requirePermission('admin_users.manage'), async (req, res) => {
+  console.log('🗑️ API: admin/users/:id DELETE - ลบผู้ดูแลระบบ', req.params);
+  
+  try {
+    const id = parseInt(req.params.id);
+    
+    if (id === req.admin.id) {
+      return res.json({ success: false, message: 'ไม่สามารถลบบัญชีของตัวเองได้' });
+    }
+    
+    const result = await db.query('DELETE FROM admin_users WHERE id = $1 RETURNING username', [id]);
+    
+    if (result.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลผู้ดูแลระบบ' });
+    }
+    
+    console.log(`Deleted admin user: ${result.rows[0].username}`);
+    res.json({ success: true, message: 'ลบผู้ดูแลระบบเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting admin user:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ดึงข้อมูลการลงเวลาทั้งหมด (ปรับปรุงประสิทธิภาพ)
+app.get('/api/admin/time-logs', requirePermission('time_logs.view'), async (req, res) => {
+  console.log('📊 API: admin/time-logs - ดึงข้อมูลการลงเวลาทั้งหมด', req.query);
+  
+  try {
+    const { from_date, to_date, employee_id, status, limit = 100, offset = 0 } = req.query;
+    
+    let query = `
+      SELECT t.id, e.emp_code, e.full_name, e.position, e.department, 
+             t.clock_in, t.clock_out, t.note, t.status,
+             t.latitude_in, t.longitude_in, t.latitude_out, t.longitude_out,
+             t.location_status_in, t.location_distance_in, t.location_status_out, t.location_distance_out,
+             t.late_minutes, t.early_leave_minutes, t.overtime_minutes, t.work_date, t.break_minutes,
+             EXISTS (
+               SELECT 1 FROM payroll_periods p
+               WHERE p.status = 'closed' AND t.work_date BETWEEN p.start_date AND p.end_date
+             ) AS locked
+      FROM time_logs t
+      JOIN employees e ON t.employee_id = e.id
+      WHERE 1=1
+    `;
+    
+    const params = [];
+    let paramIndex = 1;
+    
+    if (from_date) {
+      query += ` AND t.work_date >= $${paramIndex++}`;
+      params.push(from_date);
+    }
+    
+    if (to_date) {
+      query += ` AND t.work_date <= $${paramIndex++}`;
+      params.push(to_date);
+    }
+    
+    if (employee_id) {
+      query += ` AND t.employee_id = $${paramIndex++}`;
+      params.push(employee_id);
+    }
+    
+    if (status) {
+      query += ` AND t.status = $${paramIndex++}`;
+      params.push(status);
+    }
+    
+    const departmentScope = getDepartmentScope(req);
+    if (departmentScope !== null) {
+      query += ` AND e.department = $${paramIndex++}`;
+      params.push(departmentScope);
+    }
+    
+    query += ` ORDER BY t.clock_in DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+    params.push(limit, offset);
+    
+    console.log('Running query:', query, 'with params:', params);
+    
+    const [result, { timeZone }] = await Promise.all([db.query(query, params), loadWorkDaySettings()]);
+    
+    console.log(`Found ${result.rows.length} time logs`);
+    
+    // ปรับรูปแบบวันที่เวลาให้อ่านง่าย (ตามเขตเวลาของหน่วยงาน)
+    const formattedLogs = result.rows.filter(log => log && log.clock_in).map(log => {
+      return {
+        ...log,
+        work_date_display: log.work_date ? new Date(log.work_date).toLocaleDateString('th-TH') : '',
+        clock_in_date: formatThaiDate(log.clock_in, timeZone),
+        clock_in_time: formatThaiTime(log.clock_in, timeZone),
+        clock_out_date: log.clock_out ? formatThaiDate(log.clock_out, timeZone) : '',
+        clock_out_time: log.clock_out ? formatThaiTime(log.clock_out, timeZone) : '',
+        duration: log.clock_out ? calculateDuration(new Date(log.clock_in), new Date(log.clock_out), log.break_minutes) : ''
+      };
+    });
+    
+    res.json({ success: true, logs: formattedLogs });
+  } catch (error) {
+    console.error('Error getting time logs:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ดึงข้อมูลพนักงานทั้งหมด (ปรับปรุงประสิทธิภาพ)
+// ข้อมูลค่าจ้างและบัญชีธนาคารแสดง/แก้ไขได้เฉพาะผู้มีสิทธิ์ payroll.manage
+const EMPLOYEE_PAY_FIELDS = ['pay_type', 'pay_rate', 'bank_name', 'bank_account_no', 'bank_account_name'];
+
+function employeePayColumns(req) {
+  return hasAdminPermission(req.admin, 'payroll.manage') ? `, ${EMPLOYEE_PAY_FIELDS.join(', ')}` : '';
+}
+
+// ค่าข้อมูลค่าจ้างที่จะบันทึก (ค่าที่ไม่ได้ส่งมาใช้ค่าเดิม) คืน { values } หรือ { error }
+function parseEmployeePayFields(req, current = {}) {
+  if (!hasAdminPermission(req.admin, 'payroll.manage')) {
+    return { values: EMPLOYEE_PAY_FIELDS.map(field => current[field] !== undefined ? current[field] : null) };
+  }
+  
+  const fields = {};
+  EMPLOYEE_PAY_FIELDS.forEach(field => {
+    const value = req.body[field] !== undefined ? req.body[field] : current[field];
+    fields[field] = value === undefined || value === '' ? null : (typeof value === 'string' ? value.trim() : value);
+  });
+  fields.pay_type = fields.pay_type || 'monthly';
+  
+  const error = validatePayFields(fields);
+  if (error) {
+    return { error };
+  }
+  
+  return { values: EMPLOYEE_PAY_FIELDS.map(field => fields[field]) };
+}
+
+const ORG_TABLES = {
+  department: { table: 'departments', label: 'แผนก' },
+  position: { table: 'positions', label: 'ตำแหน่ง' }
+};
+
+async function findDepartmentByName(name, executor = db) {
+  const result = await executor.query('SELECT id, name FROM departments WHERE name = $1', [name]);
+  return result.rows[0] || null;
+}
+
+// แผนกหรือตำแหน่งจาก <kind>_id (dropdown) หรือชื่อ <kind> (API เดิมและการนำเข้า) คืน { row } หรือ { error }
+async function resolveOrgReference(kind, input, executor, createMissing) {
+  const { table, label } = ORG_TABLES[kind];
+  const id = parseOrgId(input[`${kind}_id`]);
+  
+  if (Number.isNaN(id)) {
+    return { error: `${label}ไม่ถูกต้อง` };
+  }
+  
+  if (id !== null) {
+    const result = await executor.query(`SELECT id, name FROM ${table} WHERE id = $1`, [id]);
+    return result.rows.length > 0 ? { row: result.rows[0] } : { error: `ไม่พบ${label}ที่เลือก` };
+  }
+  
+  const name = normalizeOrgName(input[kind]);
+  if (!name) {
+    return { row: null };
+  }
+  
+  const found = await executor.query(`SELECT id, name FROM ${table} WHERE name = $1`, [name]);
+  if (found.rows.length > 0) {
+    return { row: found.rows[0] };
+  }
+  
+  if (!createMissing) {
+    return { error: `ไม่พบ${label} "${name}" กรุณาเพิ่มในหน้าแผนกและตำแหน่งก่อน` };
+  }
+  
+  const nameError = validateOrgName(name, label);
+  if (nameError) {
+    return { error: nameError };
+  }
+  
+  const inserted = await executor.query(
+    `INSERT INTO ${table} (name) VALUES ($1)
+     ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+     RETURNING id, name`,
+    [name]
+  );
+  return { row: inserted.rows[0] };
+}
+
+// แผนกและตำแหน่งของพนักงานที่จะบันทึก (createMissing = เพิ่มชื่อที่ยังไม่มี ใช้ตอนนำเข้าไฟล์)
+// คืน { values: { department_id, department, position_id, position } } หรือ { error }
+async function resolveEmployeeOrg(input, executor = db, { createMissing = false } = {}) {
+  const department = await resolveOrgReference('department', input, executor, createMissing);
+  if (department.error) {
+    return { error: department.error };
+  }
+  
+  const position = await resolveOrgReference('position', input, executor, createMissing);
+  if (position.error) {
+    return { error: position.error };
+  }
+  
+  return {
+    values: {
+      department_id: department.row ? department.row.id : null,
+      department: department.row ? department.row.name : null,
+      position_id: position.row ? position.row.id : null,
+      position: position.row ? position.row.name : null
+    }
+  };
+}
+
+// ตัวกรองสถานะของรายชื่อพนักงาน (current = ยังไม่ออกจากงาน, all = ทั้งหมดรวมพนักงานที่ออกแล้ว)
+const EMPLOYEE_STATUS_FILTERS = {
+  current: ['active', 'inactive'],
+  active: ['active'],
+  inactive: ['inactive'],
+  archived: ARCHIVED_EMPLOYEE_STATUSES,
+  all: null
+};
+
+app.get('/api/admin/employees', requirePermission('employees.view'), async (req, res) => {
+  console.log('👥 API: admin/employees - ดึงข้อมูลพนักงานทั้งหมด', req.query);
+  
+  try {
+    const { limit = 100, offset = 0, status = 'current' } = req.query;
+    const departmentScope = getDepartmentScope(req);
+    
+    if (!Object.prototype.hasOwnProperty.call(EMPLOYEE_STATUS_FILTERS, status)) {
+      return res.json({ success: false, message: 'ตัวกรองสถานะไม่ถูกต้อง' });
+    }
+    
+    const result = await db.query(`
+      SELECT id, emp_code, full_name, position, department, position_id, department_id,
+             line_id, line_name, status, mobile_enabled, termination_date, termination_reason,
+             created_at${employeePayColumns(req)}
+      FROM employees
+      WHERE ($3::text IS NULL OR department = $3)
+        AND ($4::text[] IS NULL OR status = ANY($4))
+      ORDER BY emp_code
+      LIMIT $1 OFFSET $2
+    `, [limit, offset, departmentScope, EMPLOYEE_STATUS_FILTERS[status]]);
+    
+    console.log(`Found ${result.rows.length} employees`);
+    res.json({ success: true, employees: result.rows });
+  } catch (error) {
+    console.error('Error getting employees:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มข้อมูลการลงเวลาใหม่ (ปรับปรุงประสิทธิภาพ)
+app.post('/api/admin/time-logs', requirePermission('time_logs.edit'), async (req, res) => {
+  console.log('➕ API: admin/time-logs POST - เพิ่มข้อมูลการลงเวลาใหม่', req.body);
+  
+  try {
+    const { employee_id, clock_in, clock_out, note, skip_notification } = req.body;
+    
+    if (!employee_id || !clock_in) {
+      return res.json({ success: false, message: 'กรุณาระบุข้อมูลที่จำเป็น' });
+    }
+    
+    const empResult = await db.query('SELECT id, full_name, department FROM employees WHERE id = $1', [employee_id]);
+    
+    if (empResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    }
+    
+    const employee = empResult.rows[0];
+    
+    console.log('🚀 Starting time processing...');
+    
+    const { timeZone } = await loadWorkDaySettings();
+    const adjustedClockIn = processAdminDateTime(clock_in, timeZone);
+    const adjustedClockOut = clock_out ? processAdminDateTime(clock_out, timeZone) : null;
+    
+    console.log('✅ Time processing completed');
+    console.log('📊 Final times for database:');
+    console.log('   Clock In (UTC):', adjustedClockIn);
+    console.log('   Clock Out (UTC):', adjustedClockOut);
+    
+    const { lateMinutes, earlyLeaveMinutes, overtimeMinutes, schedule, workDate } =
+      await calculateAttendanceMinutes(employee, adjustedClockIn, adjustedClockOut);
+    
+    const insertQuery = `
+      INSERT INTO time_logs (employee_id, clock_in, clock_out, note, status, late_minutes, early_leave_minutes, overtime_minutes, shift_id, work_date)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+    
+    const outcome = await db.withTransaction(async (client) => {
+      const lockError = await checkPayrollLock([workDate], client);
+      if (lockError) {
+        return { error: lockError };
+      }
+      
+      const result = await client.query(insertQuery, [
+        employee_id, 
+        adjustedClockIn, 
+        adjustedClockOut, 
+        note || null,
+        'manual',
+        lateMinutes,
+        earlyLeaveMinutes,
+        overtimeMinutes,
+        schedule.shift_id,
+        workDate
+      ]);
+      
+      await recalculateDailyOvertime(employee_id, workDate, client);
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'time_log',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+      
+      return { id: result.rows[0].id };
+    });
+    if (outcome.error) {
+      return res.json({ success: false, message: outcome.error });
+    }
+    
+    const newId = outcome.id;
+    console.log(`✅ Added new time log with ID: ${newId}`);
+    
+    await updateDailyAttendance(employee_id, workDate);
+    
+    // ส่งแจ้งเตือนถ้าไม่ได้ข้ามการแจ้งเตือน
+    if (!skip_notification) {
+      setImmediate(async () => {
+        try {
+          const notifySettingResult = await db.query(
+            'SELECT setting_value FROM settings WHERE setting_name = $1',
+            ['notify_clock_in']
+          );
+          
+          if (notifySettingResult.rows.length > 0 && notifySettingResult.rows[0].setting_value === '1') {
+            const thaiDate = formatThaiDate(adjustedClockIn, timeZone);
+            const timeStr = formatThaiTime(adjustedClockIn, timeZone);
+            
+            let message =
+              `⏱ ลงเวลาเข้างาน (บันทึกโดยแอดมิน)\n` +
+              `👤 ชื่อ-นามสกุล: *${employee.full_name}*\n` +
+              `📅 วันที่: *${thaiDate}*\n` +
+              `🕒 เวลา: *${timeStr}*\n` +
+              (note ? `📝 หมายเหตุ: *${note}*\n` : "");
+            
+            await sendTelegramToAllGroups(message, null, null, employee.full_name);
+          }
+          
+          if (adjustedClockOut) {
+            const notifyOutSettingResult = await db.query(
+              'SELECT setting_value FROM settings WHERE setting_name = $1',
+              ['notify_clock_out']
+            );
+            
+            if (notifyOutSettingResult.rows.length > 0 && notifyOutSettingResult.rows[0].setting_value === '1') {
+              const thaiDate = formatThaiDate(adjustedClockOut, timeZone);
+              const timeStr = formatThaiTime(adjustedClockOut, timeZone);
+              
+              let message =
+                `⏱ ลงเวลาออกงาน (บันทึกโดยแอดมิน)\n` +
+                `👤 ชื่อ-นามสกุล: *${employee.full_name}*\n` +
+                `📅 วันที่: *${thaiDate}*\n` +
+                `🕒 เวลา: *${timeStr}*\n`;
+              
+              await sendTelegramToAllGroups(message, null, null, employee.full_name);
+            }
+          }
+        } catch (notifyError) {
+          console.error('⚠️ Error sending notification:', notifyError.message);
+        }
+      });
+    }
+    
+    res.json({ success: true, message: 'เพิ่มข้อมูลการลงเวลาเรียบร้อยแล้ว', id: newId });
+    
+  } catch (error) {
+    console.error('❌ Error adding time log:', error);
+    console.error('📋 Stack trace:', error.stack);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - แก้ไขข้อมูลการลงเวลา
+app.put('/api/admin/time-logs/:id', requirePermission('time_logs.edit'), async (req, res) => {
+  console.log('✏️ API: admin/time-logs/:id PUT - แก้ไขข้อมูลการลงเวลา', req.params, req.body);
+  
+  try {
+    const { id } = req.params;
+    const { clock_in, clock_out, note } = req.body;
+    
+    const checkResult = await db.query('SELECT * FROM time_logs WHERE id = $1', [id]);
+    
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลการลงเวลา' });
+    }
+    
+    console.log('🚀 Starting time processing for update...');
+    
+    const { timeZone } = await loadWorkDaySettings();
+    const adjustedClockIn = processAdminDateTime(clock_in, timeZone);
+    const adjustedClockOut = clock_out ? processAdminDateTime(clock_out, timeZone) : null;
+    
+    console.log('✅ Time processing for update completed');
+    console.log('📊 Final times for database update:');
+    console.log('   Clock In (UTC):', adjustedClockIn);
+    console.log('   Clock Out (UTC):', adjustedClockOut);
+    
+    const { lateMinutes, earlyLeaveMinutes, overtimeMinutes, schedule, workDate } =
+      await calculateAttendanceMinutes(
+        { id: checkResult.rows[0].employee_id }, adjustedClockIn, adjustedClockOut, null, checkResult.rows[0].break_minutes
+      );
+    
+    // ระบุเวลาออกแล้ว ถือว่าตรวจสอบบันทึกที่ลืมลงเวลาออก/ปิดอัตโนมัติแล้ว
+    const updateQuery = `
+      UPDATE time_logs SET 
+      clock_in = $1, 
+      clock_out = $2, 
+      note = $3,
+      late_minutes = $4,
+      early_leave_minutes = $5,
+      overtime_minutes = $6,
+      shift_id = $7,
+      work_date = $8,
+      status = CASE WHEN $2::timestamp IS NOT NULL AND status IN ('auto_closed', 'missing_clock_out') THEN 'normal' ELSE status END
+      WHERE id = $9
+      RETURNING *
+    `;
+    
+    const lockError = await db.withTransaction(async (client) => {
+      // ห้ามย้ายบันทึกเข้าหรือออกจากงวดที่ปิดแล้ว (อ่านวันทำงานเดิมจากแถวที่ล็อกไว้)
+      const lockedResult = await client.query('SELECT work_date FROM time_logs WHERE id = $1 FOR UPDATE', [id]);
+      if (lockedResult.rows.length === 0) {
+        return 'ไม่พบข้อมูลการลงเวลา';
+      }
+      const payrollLockError = await checkPayrollLock([lockedResult.rows[0].work_date, workDate], client);
+      if (payrollLockError) {
+        return payrollLockError;
+      }
+      
+      const updateResult = await client.query(updateQuery, [
+        adjustedClockIn, adjustedClockOut, note, lateMinutes, earlyLeaveMinutes, overtimeMinutes, schedule.shift_id, workDate, id
+      ]);
+      
+      // คำนวณ OT ทั้งวันทำงานใหม่และวันเดิม (กรณีแก้ไขจนวันทำงานเปลี่ยน)
+      const employeeId = checkResult.rows[0].employee_id;
+      const previousWorkDate = toDateString(checkResult.rows[0].work_date);
+      await recalculateDailyOvertime(employeeId, workDate, client);
+      if (previousWorkDate && previousWorkDate !== workDate) {
+        await recalculateDailyOvertime(employeeId, previousWorkDate, client);
+      }
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'time_log',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: updateResult.rows[0]
+      }, client);
+      
+      return null;
+    });
+    if (lockError) {
+      return res.json({ success: false, message: lockError });
+    }
+    
+    await updateDailyAttendance(checkResult.rows[0].employee_id, workDate);
+    if (checkResult.rows[0].work_date && toDateString(checkResult.rows[0].work_date) !== workDate) {
+      await updateDailyAttendance(checkResult.rows[0].employee_id, checkResult.rows[0].work_date);
+    }
+    
+    console.log(`✅ Updated time log ID: ${id}`);
+    res.json({ success: true, message: 'แก้ไขข้อมูลการลงเวลาเรียบร้อยแล้ว' });
+    
+  } catch (error) {
+    console.error('❌ Error updating time log:', error);
+    console.error('📋 Stack trace:', error.stack);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบข้อมูลการลงเวลา
+app.delete('/api/admin/time-logs/:id', requirePermission('time_logs.edit'), async (req, res) => {
+  console.log('🗑️ API: admin/time-logs/:id DELETE - ลบข้อมูลการลงเวลา', req.params);
+  
+  try {
+    const { id } = req.params;
+    
+    const checkResult = await db.query('SELECT * FROM time_logs WHERE id = $1', [id]);
+    
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลการลงเวลา' });
+    }
+    
+    const lockError = await db.withTransaction(async (client) => {
+      const lockedResult = await client.query('SELECT work_date FROM time_logs WHERE id = $1 FOR UPDATE', [id]);
+      if (lockedResult.rows.length === 0) {
+        return 'ไม่พบข้อมูลการลงเวลา';
+      }
+      const payrollLockError = await checkPayrollLock([lockedResult.rows[0].work_date], client);
+      if (payrollLockError) {
+        return payrollLockError;
+      }
+      
+      await client.query('DELETE FROM time_logs WHERE id = $1', [id]);
+      
+      if (checkResult.rows[0].work_date) {
+        await recalculateDailyOvertime(checkResult.rows[0].employee_id, checkResult.rows[0].work_date, client);
+      }
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'time_log',
+        entityId: id,
+        before: checkResult.rows[0]
+      }, client);
+      
+      return null;
+    });
+    if (lockError) {
+      return res.json({ success: false, message: lockError });
+    }
+    
+    if (checkResult.rows[0].work_date) {
+      await updateDailyAttendance(checkResult.rows[0].employee_id, checkResult.rows[0].work_date);
+    }
+    
+    console.log(`Deleted time log ID: ${id}`);
+    res.json({ success: true, message: 'ลบข้อมูลการลงเวลาเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting time log:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มพนักงานใหม่ (ล้าง cache)
+app.post('/api/admin/employees', requirePermission('employees.edit'), async (req, res) => {
+  console.log('➕ API: admin/employees POST - เพิ่มพนักงานใหม่', req.body);
+  
+  try {
+    const { emp_code, full_name } = req.body;
+    
+    if (!emp_code || !full_name) {
+      return res.json({ success: false, message: 'กรุณาระบุรหัสพนักงานและชื่อ-นามสกุล' });
+    }
+    
+    const payFields = parseEmployeePayFields(req);
+    if (payFields.error) {
+      return res.json({ success: false, message: payFields.error });
+    }
+    
+    const org = await resolveEmployeeOrg(req.body);
+    if (org.error) {
+      return res.json({ success: false, message: org.error });
+    }
+    
+    const checkResult = await db.query('SELECT id FROM employees WHERE emp_code = $1', [emp_code]);
+    
+    if (checkResult.rows.length > 0) {
+      return res.json({ success: false, message: 'รหัสพนักงานนี้มีอยู่ในระบบแล้ว' });
+    }
+    
+    const newId = await db.withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO employees (emp_code, full_name, position, department, status, mobile_enabled,
+                                pay_type, pay_rate, bank_name, bank_account_no, bank_account_name,
+                                position_id, department_id)
+         VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, 'monthly'), $8, $9, $10, $11, $12, $13) RETURNING *`,
+        [
+          emp_code, full_name, org.values.position, org.values.department, 'active', true, ...payFields.values,
+          org.values.position_id, org.values.department_id
+        ]
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'employee',
+        entityId: insertResult.rows[0].id,
+        after: insertResult.rows[0]
+      }, client);
+      
+      return insertResult.rows[0].id;
+    });
+    
+    // ล้าง cache
+    clearEmployeeCache();
+    
+    console.log(`เพิ่มพนักงานใหม่สำเร็จ ID: ${newId}`);
+    res.json({ 
+      success: true, 
+      message: 'เพิ่มพนักงานเรียบร้อยแล้ว',
+      id: newId
+    });
+    
+  } catch (error) {
+    console.error('Error adding employee:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// API - แก้ไขข้อมูลพนักงาน
+app.put('/api/admin/employees/:id', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/employees/:id PUT - แก้ไขข้อมูลพนักงาน', req.params, req.body);
+  
+  try {
+    const { id } = req.params;
+    const { emp_code, full_name, status, mobile_enabled } = req.body;
+    
+    if (!emp_code || !full_name) {
+      return res.json({ success: false, message: 'กรุณาระบุรหัสพนักงานและชื่อ-นามสกุล' });
+    }
+    
+    // ตรวจสอบว่ามีพนักงานนี้ในระบบหรือไม่
+    const checkResult = await db.query('SELECT * FROM employees WHERE id = $1', [id]);
+    
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    }
+    
+    const payFields = parseEmployeePayFields(req, checkResult.rows[0]);
+    if (payFields.error) {
+      return res.json({ success: false, message: payFields.error });
+    }
+    
+    const org = await resolveEmployeeOrg(req.body);
+    if (org.error) {
+      return res.json({ success: false, message: org.error });
+    }
+    
+    // พนักงานที่ออกจากงานแล้วคงสถานะเดิมไว้ ต้องกู้คืนผ่าน /restore เท่านั้น
+    const currentStatus = checkResult.rows[0].status;
+    const nextStatus = ARCHIVED_EMPLOYEE_STATUSES.includes(currentStatus)
+      ? currentStatus
+      : (status === 'inactive' ? 'inactive' : 'active');
+    
+    // ตรวจสอบว่ารหัสพนักงานซ้ำกับคนอื่นหรือไม่ (ยกเว้นตัวเอง)
+    const duplicateResult = await db.query(
+      'SELECT id FROM employees WHERE emp_code = $1 AND id != $2',
+      [emp_code, id]
+    );
+    
+    if (duplicateResult.rows.length > 0) {
+      return res.json({ success: false, message: 'รหัสพนักงานนี้มีอยู่ในระบบแล้ว' });
+    }
+    
+    // แก้ไขข้อมูลพนักงาน
+    const updateQuery = `
+      UPDATE employees SET 
+      emp_code = $1, 
+      full_name = $2, 
+      position = $3, 
+      department = $4,
+      status = $5,
+      mobile_enabled = $6,
+      pay_type = COALESCE($8, 'monthly'),
+      pay_rate = $9,
+      bank_name = $10,
+      bank_account_no = $11,
+      bank_account_name = $12,
+      position_id = $13,
+      department_id = $14
+      WHERE id = $7
+      RETURNING *
+    `;
+    
+    await db.withTransaction(async (client) => {
+      const updateResult = await client.query(updateQuery, [
+        emp_code, 
+        full_name, 
+        org.values.position, 
+        org.values.department,
+        nextStatus,
+        mobile_enabled !== undefined ? mobile_enabled : true,
+        id,
+        ...payFields.values,
+        org.values.position_id,
+        org.values.department_id
+      ]);
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'employee',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: updateResult.rows[0]
+      }, client);
+    });
+    
+    // ล้าง cache
+    clearEmployeeCache();
+    
+    console.log(`แก้ไขข้อมูลพนักงาน ID: ${id} เรียบร้อยแล้ว`);
+    res.json({ success: true, message: 'แก้ไขข้อมูลพนักงานเรียบร้อยแล้ว' });
+    
+  } catch (error) {
+    console.error('Error updating employee:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// API - ลบพนักงาน (soft delete: เปลี่ยนสถานะเป็นลาออก/เก็บถาวร บันทึกการลงเวลาเดิมยังอยู่ในรายงาน)
+// body: { status: 'resigned' | 'archived' (ค่าเริ่มต้น archived), termination_date (YYYY-MM-DD ค่าเริ่มต้นวันนี้), reason }
+app.delete('/api/admin/employees/:id', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/employees DELETE - ลบพนักงาน (เก็บถาวร)', req.params, req.body);
+  
+  try {
+    const { id } = req.params;
+    const { status = 'archived', termination_date, reason } = req.body || {};
+    const terminationReason = reason ? String(reason).trim() : '';
+    
+    if (!ARCHIVED_EMPLOYEE_STATUSES.includes(status)) {
+      return res.json({ success: false, message: 'สถานะการออกจากงานต้องเป็น resigned หรือ archived' });
+    }
+    
+    if (termination_date && !isValidDate(termination_date)) {
+      return res.json({ success: false, message: 'รูปแบบวันที่ออกจากงานไม่ถูกต้อง (YYYY-MM-DD)' });
+    }
+    
+    if (terminationReason.length > MAX_TERMINATION_REASON_LENGTH) {
+      return res.json({ success: false, message: `เหตุผลต้องไม่เกิน ${MAX_TERMINATION_REASON_LENGTH} ตัวอักษร` });
+    }
+    
+    // ตรวจสอบว่าพนักงานมีในระบบหรือไม่
+    const employeeResult = await db.query(
+      'SELECT * FROM employees WHERE id = $1',
+      [id]
+    );
+    
+    if (employeeResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    }
+    
+    const employee = employeeResult.rows[0];
+    
+    if (ARCHIVED_EMPLOYEE_STATUSES.includes(employee.status)) {
+      return res.json({ success: false, message: 'พนักงานนี้ออกจากงานแล้ว' });
+    }
+    
+    const terminationDate = termination_date || (await loadWorkDaySettings()).today;
+    
+    const updated = await db.withTransaction(async (client) => {
+      const updateResult = await client.query(
+        `UPDATE employees SET status = $1, termination_date = $2, termination_reason = $3
+         WHERE id = $4 RETURNING *`,
+        [status, terminationDate, terminationReason || null, id]
+      );
+      
+      await recordAudit(req, {
+        action: 'archive',
+        entityType: 'employee',
+        entityId: id,
+        before: employee,
+        after: updateResult.rows[0]
+      }, client);
+      
+      return updateResult.rows[0];
+    });
+    
+    // ล้าง cache
+    clearEmployeeCache();
+    
+    console.log('Archived employee with ID:', id, '(', employee.full_name, ')', status, terminationDate);
+    res.json({ success: true, message: 'บันทึกการออกจากงานเรียบร้อยแล้ว', employee: updated });
+  } catch (error) {
+    console.error('Error archiving employee:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// API - กู้คืนพนักงานที่ออกจากงานแล้วให้กลับมาใช้งาน
+app.post('/api/admin/employees/:id/restore', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/employees/:id/restore - กู้คืนพนักงาน', req.params);
+  
+  try {
+    const { id } = req.params;
+    
+    const employeeResult = await db.query('SELECT * FROM employees WHERE id = $1', [id]);
+    
+    if (employeeResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    }
+    
+    const employee = employeeResult.rows[0];
+    
+    if (!ARCHIVED_EMPLOYEE_STATUSES.includes(employee.status)) {
+      return res.json({ success: false, message: 'พนักงานนี้ยังไม่ได้ออกจากงาน' });
+    }
+    
+    await db.withTransaction(async (client) => {
+      const updateResult = await client.query(
+        `UPDATE employees SET status = 'active', termination_date = NULL, termination_reason = NULL
+         WHERE id = $1 RETURNING *`,
+        [id]
+      );
+      
+      await recordAudit(req, {
+        action: 'restore',
+        entityType: 'employee',
+        entityId: id,
+        before: employee,
+        after: updateResult.rows[0]
+      }, client);
+    });
+    
+    // ล้าง cache
+    clearEmployeeCache();
+    
+    res.json({ success: true, message: 'กู้คืนพนักงานเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error restoring employee:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ตรวจสอบข้อมูลแผนก คืน { values: [name, manager_id, default_shift_id] } หรือ { error }
+async function parseDepartmentBody({ name, manager_id, default_shift_id }, id = null) {
+  const departmentName = normalizeOrgName(name);
+  const nameError = validateOrgName(departmentName, 'แผนก');
+  if (nameError) {
+    return { error: nameError };
+  }
+  
+  const managerId = parseOrgId(manager_id);
+  const shiftId = parseOrgId(default_shift_id);
+  if (Number.isNaN(managerId) || Number.isNaN(shiftId)) {
+    return { error: 'หัวหน้าแผนกหรือกะเริ่มต้นไม่ถูกต้อง' };
+  }
+  
+  const duplicateResult = await db.query(
+    'SELECT id FROM departments WHERE name = $1 AND ($2::int IS NULL OR id <> $2)',
+    [departmentName, id]
+  );
+  if (duplicateResult.rows.length > 0) {
+    return { error: 'ชื่อแผนกนี้มีอยู่ในระบบแล้ว' };
+  }
+  
+  if (managerId !== null) {
+    const managerResult = await db.query('SELECT id FROM employees WHERE id = $1', [managerId]);
+    if (managerResult.rows.length === 0) {
+      return { error: 'ไม่พบพนักงานที่เลือกเป็นหัวหน้าแผนก' };
+    }
+  }
+  
+  if (shiftId !== null) {
+    const shiftResult = await db.query('SELECT id FROM shifts WHERE id = $1', [shiftId]);
+    if (shiftResult.rows.length === 0) {
+      return { error: 'ไม่พบกะการทำงานที่เลือก' };
+    }
+  }
+  
+  return { values: [departmentName, managerId, shiftId] };
+}
+
+// ⭐ API - ดึงรายการแผนก (หัวหน้าแผนกเห็นเฉพาะแผนกของตนเอง)
+app.get('/api/admin/departments', requirePermission('employees.view'), async (req, res) => {
+  console.log('API: admin/departments - ดึงรายการแผนก');
+  
+  try {
+    const result = await db.query(
+      `SELECT d.*, m.emp_code AS manager_emp_code, m.full_name AS manager_name,
+              s.name AS default_shift_name,
+              (SELECT COUNT(*) FROM employees e WHERE e.department_id = d.id) AS employee_count
+       FROM departments d
+       LEFT JOIN employees m ON d.manager_id = m.id
+       LEFT JOIN shifts s ON d.default_shift_id = s.id
+       WHERE ($1::text IS NULL OR d.name = $1)
+       ORDER BY d.name`,
+      [getDepartmentScope(req)]
+    );
+    
+    res.json({ success: true, departments: result.rows });
+  } catch (error) {
+    console.error('Error getting departments:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มแผนก
+app.post('/api/admin/departments', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/departments POST - เพิ่มแผนก', req.body);
+  
+  try {
+    const parsed = await parseDepartmentBody(req.body);
+    if (parsed.error) {
+      return res.json({ success: false, message: parsed.error });
+    }
+    
+    const department = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO departments (name, manager_id, default_shift_id) VALUES ($1, $2, $3) RETURNING *',
+        parsed.values
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'department',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'เพิ่มแผนกเรียบร้อยแล้ว', department });
+  } catch (error) {
+    console.error('Error adding department:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - แก้ไขแผนก (เปลี่ยนชื่อแล้วชื่อแผนกของพนักงาน การมอบหมายกะ และหัวหน้าแผนกในระบบจะเปลี่ยนตาม)
+app.put('/api/admin/departments/:id', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/departments/:id PUT - แก้ไขแผนก', req.params, req.body);
+  
+  try {
+    const id = parseInt(req.params.id);
+    
+    const checkResult = await db.query('SELECT * FROM departments WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบแผนก' });
+    }
+    
+    const parsed = await parseDepartmentBody(req.body, id);
+    if (parsed.error) {
+      return res.json({ success: false, message: parsed.error });
+    }
+    
+    const before = checkResult.rows[0];
+    const [name] = parsed.values;
+    
+    const department = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        'UPDATE departments SET name = $1, manager_id = $2, default_shift_id = $3 WHERE id = $4 RETURNING *',
+        [...parsed.values, id]
+      );
+      
+      if (name !== before.name) {
+        await client.query('UPDATE employees SET department = $1 WHERE department_id = $2', [name, id]);
+        await client.query('UPDATE shift_assignments SET department = $1 WHERE department = $2', [name, before.name]);
+        await client.query('UPDATE admin_users SET department = $1 WHERE department = $2', [name, before.name]);
+      }
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'department',
+        entityId: id,
+        before,
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    if (name !== before.name) {
+      clearEmployeeCache();
+    }
+    
+    res.json({ success: true, message: 'แก้ไขแผนกเรียบร้อยแล้ว', department });
+  } catch (error) {
+    console.error('Error updating department:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบแผนก (เฉพาะแผนกที่ไม่มีพนักงาน การมอบหมายกะ หรือหัวหน้าแผนกในระบบอ้างอิงอยู่)
+app.delete('/api/admin/departments/:id', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/departments/:id DELETE - ลบแผนก', req.params);
+  
+  try {
+    const id = parseInt(req.params.id);
+    
+    const checkResult = await db.query('SELECT * FROM departments WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบแผนก' });
+    }
+    
+    const department = checkResult.rows[0];
+    const usageResult = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM employees WHERE department_id = $1) AS employee_count,
+         (SELECT COUNT(*) FROM shift_assignments WHERE department = $2) AS assignment_count,
+         (SELECT COUNT(*) FROM admin_users WHERE department = $2) AS admin_user_count`,
+      [id, department.name]
+    );
+    const usage = usageResult.rows[0];
+    
+    if (parseInt(usage.employee_count) > 0 || parseInt(usage.assignment_count) > 0 || parseInt(usage.admin_user_count) > 0) {
+      return res.json({
+        success: false,
+        message: `ไม่สามารถลบแผนกที่ยังใช้งานอยู่ได้ (พนักงาน ${usage.employee_count} คน, การมอบหมายกะ ${usage.assignment_count} รายการ, บัญชีหัวหน้าแผนก ${usage.admin_user_count} บัญชี)`
+      });
+    }
+    
+    await db.withTransaction(async (client) => {
+      await client.query('DELETE FROM departments WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'department',
+        entityId: id,
+        before: department
+      }, client);
+    });
+    
+    res.json({ success: true, message: 'ลบแผนกเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting department:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ตรวจสอบชื่อตำแหน่ง คืน { name } หรือ { error }
+async function parsePositionBody({ name }, id = null) {
+  const positionName = normalizeOrgName(name);
+  const nameError = validateOrgName(positionName, 'ตำแหน่ง');
+  if (nameError) {
+    return { error: nameError };
+  }
+  
+  const duplicateResult = await db.query(
+    'SELECT id FROM positions WHERE name = $1 AND ($2::int IS NULL OR id <> $2)',
+    [positionName, id]
+  );
+  if (duplicateResult.rows.length > 0) {
+    return { error: 'ชื่อตำแหน่งนี้มีอยู่ในระบบแล้ว' };
+  }
+  
+  return { name: positionName };
+}
+
+// ⭐ API - ดึงรายการตำแหน่งงาน
+app.get('/api/admin/positions', requirePermission('employees.view'), async (req, res) => {
+  console.log('API: admin/positions - ดึงรายการตำแหน่ง');
+  
+  try {
+    const result = await db.query(`
+      SELECT p.*, (SELECT COUNT(*) FROM employees e WHERE e.position_id = p.id) AS employee_count
+      FROM positions p
+      ORDER BY p.name
+    `);
+    
+    res.json({ success: true, positions: result.rows });
+  } catch (error) {
+    console.error('Error getting positions:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มตำแหน่งงาน
+app.post('/api/admin/positions', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/positions POST - เพิ่มตำแหน่ง', req.body);
+  
+  try {
+    const parsed = await parsePositionBody(req.body);
+    if (parsed.error) {
+      return res.json({ success: false, message: parsed.error });
+    }
+    
+    const position = await db.withTransaction(async (client) => {
+      const result = await client.query('INSERT INTO positions (name) VALUES ($1) RETURNING *', [parsed.name]);
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'position',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'เพิ่มตำแหน่งเรียบร้อยแล้ว', position });
+  } catch (error) {
+    console.error('Error adding position:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - แก้ไขตำแหน่งงาน (เปลี่ยนชื่อแล้วตำแหน่งของพนักงานจะเปลี่ยนตาม)
+app.put('/api/admin/positions/:id', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/positions/:id PUT - แก้ไขตำแหน่ง', req.params, req.body);
+  
+  try {
+    const id = parseInt(req.params.id);
+    
+    const checkResult = await db.query('SELECT * FROM positions WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบตำแหน่ง' });
+    }
+    
+    const parsed = await parsePositionBody(req.body, id);
+    if (parsed.error) {
+      return res.json({ success: false, message: parsed.error });
+    }
+    
+    const position = await db.withTransaction(async (client) => {
+      const result = await client.query('UPDATE positions SET name = $1 WHERE id = $2 RETURNING *', [parsed.name, id]);
+      await client.query('UPDATE employees SET position = $1 WHERE position_id = $2', [parsed.name, id]);
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'position',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    clearEmployeeCache();
+    
+    res.json({ success: true, message: 'แก้ไขตำแหน่งเรียบร้อยแล้ว', position });
+  } catch (error) {
+    console.error('Error updating position:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบตำแหน่งงาน (เฉพาะตำแหน่งที่ไม่มีพนักงานใช้อยู่)
+app.delete('/api/admin/positions/:id', requirePermission('employees.edit'), async (req, res) => {
+  console.log('API: admin/positions/:id DELETE - ลบตำแหน่ง', req.params);
+  
+  try {
+    const id = parseInt(req.params.id);
+    
+    const checkResult = await db.query('SELECT * FROM positions WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบตำแหน่ง' });
+    }
+    
+    const usageResult = await db.query('SELECT COUNT(*) AS count FROM employees WHERE position_id = $1', [id]);
+    if (parseInt(usageResult.rows[0].count) > 0) {
+      return res.json({
+        success: false,
+        message: `ไม่สามารถลบตำแหน่งที่มีพนักงานใช้อยู่ได้ (${usageResult.rows[0].count} คน)`
+      });
+    }
+    
+    await db.withTransaction(async (client) => {
+      await client.query('DELETE FROM positions WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'position',
+        entityId: id,
+        before: checkResult.rows[0]
+      }, client);
+    });
+    
+    res.json({ success: true, message: 'ลบตำแหน่งเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting position:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// API - ดึงการตั้งค่าทั้งหมด
+app.get('/api/admin/settings', requirePermission('settings.view'), async (req, res) => {
+  console.log('API: admin/settings - ดึงการตั้งค่าทั้งหมด');
+  
+  try {
+    const result = await db.query('SELECT * FROM settings ORDER BY setting_name');
+    
+    // ซ่อนรหัสผ่านแอดมิน
+    const filteredSettings = result.rows.map(setting => {
+      if (setting.setting_name === 'admin_password') {
+        return { ...setting, setting_value: '' };
+      }
+      return setting;
+    });
+    
+    console.log(`Found ${result.rows.length} settings`);
+    res.json({ success: true, settings: filteredSettings });
+  } catch (error) {
+    console.error('Error getting settings:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ตรวจสอบรูปแบบค่าการตั้งค่าก่อนบันทึก (คืนข้อความผิดพลาด หรือ null ถ้าถูกต้อง)
+function validateSettingValues(settings) {
+  const cutoffSetting = settings.find(setting => setting.name === 'missing_clock_out_cutoff_minutes');
+  const reminderSetting = settings.find(setting => setting.name === 'clock_out_reminder_minutes');
+  if (cutoffSetting && reminderSetting && Number(reminderSetting.value) > 0 &&
+      Number(reminderSetting.value) >= Number(cutoffSetting.value)) {
+    return 'เวลาแจ้งเตือนให้ลงเวลาออกต้องน้อยกว่าเวลาที่ถือว่าลืมลงเวลาออก';
+  }
+  
+  for (const setting of settings) {
+    if (setting.name === 'allowed_ip') {
+      const { invalid } = parseAllowedIpList(setting.value);
+      if (invalid.length > 0) {
+        return `รูปแบบ IP Address ไม่ถูกต้อง: ${invalid.join(', ')}`;
+      }
+    }
+    
+    if (setting.name === 'work_days' && parseDaysOfWeek(setting.value).length === 0) {
+      return 'กรุณาเลือกวันทำงานปกติอย่างน้อย 1 วัน';
+    }
+    
+    if (setting.name === 'timezone' && !isValidTimeZone(setting.value)) {
+      return `เขตเวลาไม่ถูกต้อง: ${setting.value} (ตัวอย่าง Asia/Bangkok)`;
+    }
+    
+    if (setting.name === 'attendance_job_time' && parseTimeOfDay(setting.value) === null) {
+      return 'เวลาสรุปการมาทำงานต้องอยู่ในรูปแบบ HH:MM';
+    }
+    
+    if (setting.name === 'missing_clock_out_action' && !['off', 'flag', 'auto_close'].includes(setting.value)) {
+      return 'การจัดการบันทึกที่ไม่ลงเวลาออกต้องเป็น off, flag หรือ auto_close';
+    }
+    
+    if (['missing_clock_out_cutoff_minutes', 'clock_out_reminder_minutes'].includes(setting.name)) {
+      const minutes = Number(setting.value);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) {
+        return 'จำนวนนาทีของการลืมลงเวลาออกต้องเป็นจำนวนเต็มระหว่าง 0 ถึง 1440';
+      }
+    }
+    
+    if (setting.name === 'max_shift_hours') {
+      const hours = Number(setting.value);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > 48) {
+        return 'ระยะเวลากะสูงสุดต้องอยู่ระหว่าง 1 ถึง 48 ชั่วโมง';
+      }
+    }
+    
+    if (['overtime_threshold_minutes', 'overtime_minimum_minutes', 'overtime_rounding_minutes'].includes(setting.name)) {
+      const minutes = Number(setting.value);
+      if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) {
+        return 'ค่านาทีของกฎ OT ต้องเป็นจำนวนเต็มระหว่าง 0 ถึง 1440';
+      }
+    }
+    
+    if (setting.name === 'overtime_rounding_mode' && !ROUNDING_MODES.includes(setting.value)) {
+      return `วิธีปัดเวลา OT ต้องเป็น ${ROUNDING_MODES.join(', ')}`;
+    }
+    
+    if (setting.name.startsWith('overtime_multiplier_')) {
+      const multiplier = Number(setting.value);
+      if (setting.value === '' || !Number.isFinite(multiplier) || multiplier < 0 || multiplier > 10) {
+        return 'อัตราคูณ OT ต้องเป็นตัวเลขระหว่าง 0 ถึง 10';
+      }
+    }
+    
+    if (setting.name === 'payroll_monthly_divisor_days') {
+      const days = Number(setting.value);
+      if (!Number.isFinite(days) || days <= 0 || days > 31) {
+        return 'จำนวนวันต่อเดือนของการคิดเงินเดือนต้องอยู่ระหว่าง 1 ถึง 31';
+      }
+    }
+    
+    if (setting.name === 'payroll_daily_hours') {
+      const hours = Number(setting.value);
+      if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+        return 'จำนวนชั่วโมงต่อวันของการคิดเงินเดือนต้องอยู่ระหว่าง 1 ถึง 24';
+      }
+    }
+    
+    if (setting.name === 'payroll_late_deduction' && !LATE_DEDUCTION_MODES.includes(setting.value)) {
+      return `การหักเงินเมื่อมาสายต้องเป็น ${LATE_DEDUCTION_MODES.join(', ')}`;
+    }
+    
+    if (setting.name === 'payroll_absent_deduction' && !ABSENT_DEDUCTION_MODES.includes(setting.value)) {
+      return `การหักเงินเมื่อขาดงานต้องเป็น ${ABSENT_DEDUCTION_MODES.join(', ')}`;
+    }
+    
+    if (setting.name === 'payroll_file_format' && !getPayrollFormatter(setting.value)) {
+      return `รูปแบบไฟล์เงินเดือนต้องเป็น ${listPayrollFormatters().map(formatter => formatter.name).join(', ')}`;
+    }
+    
+    if (setting.name === 'payroll_company_account' && setting.value && !/^[0-9-]{6,20}$/.test(setting.value)) {
+      return 'เลขที่บัญชีธนาคารของหน่วยงานต้องเป็นตัวเลข 6-20 หลัก';
+    }
+    
+    if (setting.name === 'geofence_policy' && !['flag', 'reject'].includes(setting.value)) {
+      return 'นโยบายการลงเวลานอกพื้นที่ต้องเป็น flag หรือ reject';
+    }
+    
+    if (setting.name === 'allowed_ip_by_department') {
+      let overrides;
+      try {
+        overrides = JSON.parse(setting.value || '{}');
+      } catch (error) {
+        return 'IP ตามแผนกต้องเป็น JSON เช่น {"ฝ่ายการเงิน": "10.0.1.0/24"}';
+      }
+      
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        return 'IP ตามแผนกต้องเป็น JSON object ที่มีชื่อแผนกเป็น key';
+      }
+      
+      for (const [department, value] of Object.entries(overrides)) {
+        const { invalid } = parseAllowedIpList(value);
+        if (invalid.length > 0) {
+          return `รูปแบบ IP Address ของแผนก ${department} ไม่ถูกต้อง: ${invalid.join(', ')}`;
+        }
+      }
+    }
+  }
+  
+  return null;
+}
+
+// API - บันทึกการตั้งค่า
+app.post('/api/admin/settings', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/settings POST - บันทึกการตั้งค่า', req.body);
+  
+  try {
+    const { settings } = req.body;
+    
+    if (!Array.isArray(settings) || settings.length === 0) {
+      return res.json({ success: false, message: 'ข้อมูลไม่ถูกต้อง' });
+    }
+    
+    const validationError = validateSettingValues(settings);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    await db.withTransaction(async (client) => {
+      // บันทึกการตั้งค่าทีละรายการ
+      for (const setting of settings) {
+        if (setting.name && setting.value !== undefined) {
+          await client.query(
+            'UPDATE settings SET setting_value = $1 WHERE setting_name = $2',
+            [setting.value, setting.name]
+          );
+        }
+      }
+    });
+    
+    console.log('Settings updated successfully');
+    res.json({ success: true, message: 'บันทึกการตั้งค่าเรียบร้อยแล้ว' });
+    
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาดในการบันทึกการตั้งค่า: ' + error.message });
+  }
+});
+
+// ⭐ ตรวจสอบข้อมูลสถานที่ทำงาน (คืนข้อความผิดพลาด หรือ null ถ้าถูกต้อง)
+function validateOfficeLocation({ name, latitude, longitude, radius_meters }) {
+  if (!name || !String(name).trim()) {
+    return 'กรุณาระบุชื่อสถานที่';
+  }
+  
+  if (!parseLocation(latitude, longitude)) {
+    return 'พิกัดไม่ถูกต้อง (ละติจูด -90 ถึง 90, ลองจิจูด -180 ถึง 180)';
+  }
+  
+  const radius = Number(radius_meters);
+  if (!Number.isInteger(radius) || radius <= 0) {
+    return 'รัศมีต้องเป็นจำนวนเต็มมากกว่า 0 เมตร';
+  }
+  
+  return null;
+}
+
+// ⭐ API - ดึงรายการสถานที่ทำงาน (geofence)
+app.get('/api/admin/office-locations', requirePermission('settings.view'), async (req, res) => {
+  console.log('API: admin/office-locations - ดึงรายการสถานที่ทำงาน');
+  
+  try {
+    const result = await db.query('SELECT * FROM office_locations ORDER BY name, id');
+    res.json({ success: true, locations: result.rows });
+  } catch (error) {
+    console.error('Error getting office locations:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มสถานที่ทำงาน
+app.post('/api/admin/office-locations', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/office-locations POST - เพิ่มสถานที่ทำงาน', req.body);
+  
+  try {
+    const { name, latitude, longitude, radius_meters, active } = req.body;
+    
+    const validationError = validateOfficeLocation(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const location = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO office_locations (name, latitude, longitude, radius_meters, active)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [String(name).trim(), Number(latitude), Number(longitude), Number(radius_meters), active !== false]
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'office_location',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'เพิ่มสถานที่ทำงานเรียบร้อยแล้ว', location });
+  } catch (error) {
+    console.error('Error adding office location:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - แก้ไขสถานที่ทำงาน
+app.put('/api/admin/office-locations/:id', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/office-locations/:id PUT - แก้ไขสถานที่ทำงาน', req.params, req.body);
+  
+  try {
+    const { id } = req.params;
+    const { name, latitude, longitude, radius_meters, active } = req.body;
+    
+    const validationError = validateOfficeLocation(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const checkResult = await db.query('SELECT * FROM office_locations WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบสถานที่ทำงาน' });
+    }
+    
+    const location = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE office_locations
+         SET name = $1, latitude = $2, longitude = $3, radius_meters = $4, active = $5
+         WHERE id = $6 RETURNING *`,
+        [String(name).trim(), Number(latitude), Number(longitude), Number(radius_meters), active !== false, id]
+      );
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'office_location',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'แก้ไขสถานที่ทำงานเรียบร้อยแล้ว', location });
+  } catch (error) {
+    console.error('Error updating office location:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบสถานที่ทำงาน (ประวัติการลงเวลายังเก็บระยะทางเดิมไว้)
+app.delete('/api/admin/office-locations/:id', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/office-locations/:id DELETE - ลบสถานที่ทำงาน', req.params);
+  
+  try {
+    const { id } = req.params;
+    
+    const checkResult = await db.query('SELECT * FROM office_locations WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบสถานที่ทำงาน' });
+    }
+    
+    await db.withTransaction(async (client) => {
+      await client.query('DELETE FROM office_locations WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'office_location',
+        entityId: id,
+        before: checkResult.rows[0]
+      }, client);
+    });
+    
+    res.json({ success: true, message: 'ลบสถานที่ทำงานเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting office location:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ คำนวณ OT และสถานะการมาทำงานใหม่ของวันที่ที่วันหยุดเปลี่ยน (ประเภทวันเปลี่ยนระหว่างวันทำงาน/วันหยุด)
+// เรียกหลังบันทึกวันหยุดเสร็จแล้ว เพราะตารางเวลาของวันอ่านวันหยุดนอก transaction
+async function recalculateHolidayDates(dates) {
+  if (dates.length === 0) return;
+  
+  try {
+    const daysResult = await db.query(
+      `SELECT DISTINCT employee_id, work_date FROM time_logs
+       WHERE work_date = ANY($1::date[]) AND clock_out IS NOT NULL`,
+      [dates]
+    );
+    
+    const rules = parseOvertimeRules(await loadSettings(OVERTIME_SETTING_NAMES));
+    await db.withTransaction(async (client) => {
+      for (const row of daysResult.rows) {
+        await recalculateDailyOvertime(row.employee_id, row.work_date, client, rules);
+      }
+    });
+    
+    for (const date of dates) {
+      await updateDailyAttendance(null, date);
+    }
+  } catch (error) {
+    console.error('❌ Error recalculating overtime for holidays:', error.message);
+  }
+}
+
+function formatHoliday(row) {
+  return { ...row, holiday_date: toDateString(row.holiday_date) };
+}
+
+// ⭐ API - ดึงรายการวันหยุดนักขัตฤกษ์ของปี
+app.get('/api/admin/holidays', requirePermission('settings.view'), async (req, res) => {
+  console.log('API: admin/holidays - ดึงรายการวันหยุด', req.query);
+  
+  try {
+    const year = req.query.year || (await loadWorkDaySettings()).today.substring(0, 4);
+    if (!/^\d{4}$/.test(year)) {
+      return res.json({ success: false, message: 'รูปแบบปีไม่ถูกต้อง (YYYY)' });
+    }
+    
+    const result = await db.query(
+      `SELECT * FROM holidays
+       WHERE holiday_date BETWEEN $1 AND $2
+       ORDER BY holiday_date`,
+      [`${year}-01-01`, `${year}-12-31`]
+    );
+    
+    res.json({ success: true, year, holidays: result.rows.map(formatHoliday) });
+  } catch (error) {
+    console.error('Error getting holidays:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มวันหยุด
+app.post('/api/admin/holidays', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/holidays POST - เพิ่มวันหยุด', req.body);
+  
+  try {
+    const { holiday_date } = req.body;
+    const name = req.body.name ? String(req.body.name).trim() : '';
+    
+    if (!isValidDate(holiday_date)) {
+      return res.json({ success: false, message: 'รูปแบบวันที่ไม่ถูกต้อง (YYYY-MM-DD)' });
+    }
+    if (!name || name.length > MAX_HOLIDAY_NAME_LENGTH) {
+      return res.json({ success: false, message: 'กรุณาระบุชื่อวันหยุด' });
+    }
+    
+    const checkResult = await db.query('SELECT id FROM holidays WHERE holiday_date = $1', [holiday_date]);
+    if (checkResult.rows.length > 0) {
+      return res.json({ success: false, message: 'วันที่นี้เป็นวันหยุดอยู่แล้ว' });
+    }
+    
+    const holiday = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        'INSERT INTO holidays (holiday_date, name) VALUES ($1, $2) RETURNING *',
+        [holiday_date, name]
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'holiday',
+        entityId: result.rows[0].id,
+        after: formatHoliday(result.rows[0])
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    await recalculateHolidayDates([holiday_date]);
+    
+    res.json({ success: true, message: 'เพิ่มวันหยุดเรียบร้อยแล้ว', holiday: formatHoliday(holiday) });
+  } catch (error) {
+    console.error('Error adding holiday:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบวันหยุด
+app.delete('/api/admin/holidays/:id', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/holidays/:id DELETE - ลบวันหยุด', req.params);
+  
+  try {
+    const { id } = req.params;
+    
+    const checkResult = await db.query('SELECT * FROM holidays WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบวันหยุด' });
+    }
+    
+    const holiday = formatHoliday(checkResult.rows[0]);
+    
+    await db.withTransaction(async (client) => {
+      await client.query('DELETE FROM holidays WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'holiday',
+        entityId: id,
+        before: holiday
+      }, client);
+    });
+    
+    await recalculateHolidayDates([holiday.holiday_date]);
+    
+    res.json({ success: true, message: 'ลบวันหยุดเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ บันทึกวันหยุดหลายวัน (วันที่มีอยู่แล้ว: overwrite = true เปลี่ยนชื่อ, ไม่เช่นนั้นข้าม)
+async function saveHolidays(req, holidays, overwrite, source) {
+  const saved = await db.withTransaction(async (client) => {
+    const saved = [];
+    
+    for (const holiday of holidays) {
+      const result = await client.query(
+        overwrite
+          ? `INSERT INTO holidays (holiday_date, name) VALUES ($1, $2)
+             ON CONFLICT (holiday_date) DO UPDATE SET name = EXCLUDED.name
+             RETURNING *`
+          : `INSERT INTO holidays (holiday_date, name) VALUES ($1, $2)
+             ON CONFLICT (holiday_date) DO NOTHING
+             RETURNING *`,
+        [holiday.date, holiday.name]
+      );
+      
+      if (result.rows.length > 0) {
+        saved.push(formatHoliday(result.rows[0]));
+      }
+    }
+    
+    if (saved.length > 0) {
+      await recordAudit(req, {
+        action: 'import_create',
+        entityType: 'holiday',
+        entityId: null,
+        after: { source, holidays: saved }
+      }, client);
+    }
+    
+    return saved;
+  });
+  
+  await recalculateHolidayDates(saved.map(holiday => holiday.holiday_date));
+  return saved;
+}
+
+// ⭐ API - นำเข้าวันหยุดจากไฟล์ iCalendar (.ics) ที่อ่านจากฝั่ง client
+app.post('/api/admin/holidays/import', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/holidays/import - นำเข้าวันหยุดจากไฟล์ .ics');
+  
+  try {
+    const { ics, overwrite } = req.body;
+    
+    if (!ics || typeof ics !== 'string' || !ics.includes('BEGIN:VCALENDAR')) {
+      return res.json({ success: false, message: 'ไฟล์ไม่ใช่รูปแบบ iCalendar (.ics)' });
+    }
+    
+    const { timeZone } = await loadWorkDaySettings();
+    const { holidays, skipped } = parseICalendar(ics, timeZone);
+    if (holidays.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบวันหยุดในไฟล์' });
+    }
+    
+    const saved = await saveHolidays(req, holidays, overwrite === true, 'ics');
+    
+    res.json({
+      success: true,
+      message: `นำเข้าวันหยุด ${saved.length} วัน (ข้าม ${holidays.length - saved.length + skipped} รายการ)`,
+      imported: saved.length,
+      skipped: holidays.length - saved.length + skipped
+    });
+  } catch (error) {
+    console.error('Error importing holidays:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - คัดลอกวันหยุดจากปีหนึ่งไปอีกปี (วันและเดือนเดิม วันหยุดตามจันทรคติต้องแก้ไขเอง)
+app.post('/api/admin/holidays/copy', requirePermission('settings.edit'), async (req, res) => {
+  console.log('API: admin/holidays/copy - คัดลอกวันหยุดข้ามปี', req.body);
+  
+  try {
+    const fromYear = String(req.body.from_year || '');
+    const toYear = String(req.body.to_year || '');
+    
+    if (!/^\d{4}$/.test(fromYear) || !/^\d{4}$/.test(toYear) || fromYear === toYear) {
+      return res.json({ success: false, message: 'กรุณาระบุปีต้นทางและปีปลายทางที่ต่างกัน (YYYY)' });
+    }
+    
+    const sourceResult = await db.query(
+      'SELECT holiday_date, name FROM holidays WHERE holiday_date BETWEEN $1 AND $2 ORDER BY holiday_date',
+      [`${fromYear}-01-01`, `${fromYear}-12-31`]
+    );
+    if (sourceResult.rows.length === 0) {
+      return res.json({ success: false, message: `ไม่พบวันหยุดของปี ${fromYear}` });
+    }
+    
+    const holidays = sourceResult.rows
+      .map(row => ({ date: shiftHolidayYear(toDateString(row.holiday_date), toYear), name: row.name }))
+      .filter(holiday => holiday.date);
+    
+    const saved = await saveHolidays(req, holidays, false, `copy ${fromYear}`);
+    
+    res.json({
+      success: true,
+      message: `คัดลอกวันหยุดไปปี ${toYear} จำนวน ${saved.length} วัน (ข้าม ${sourceResult.rows.length - saved.length} วัน)`,
+      copied: saved.length
+    });
+  } catch (error) {
+    console.error('Error copying holidays:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ตรวจสอบข้อมูลแม่แบบกะ (คืนข้อความผิดพลาด หรือ null ถ้าถูกต้อง)
+function validateShift({ name, start_time, end_time, break_minutes, days_of_week }) {
+  if (!name || !String(name).trim()) {
+    return 'กรุณาระบุชื่อกะ';
+  }
+  
+  if (parseTimeOfDay(start_time) === null || parseTimeOfDay(end_time) === null) {
+    return 'เวลาเข้า-ออกกะต้องอยู่ในรูปแบบ HH:MM';
+  }
+  
+  const breakMinutes = Number(break_minutes || 0);
+  if (!Number.isInteger(breakMinutes) || breakMinutes < 0) {
+    return 'เวลาพักต้องเป็นจำนวนเต็มตั้งแต่ 0 นาทีขึ้นไป';
+  }
+  
+  if (parseDaysOfWeek(days_of_week).length === 0) {
+    return 'กรุณาเลือกวันทำงานอย่างน้อย 1 วัน';
+  }
+  
+  return null;
+}
+
+function shiftParams({ name, start_time, end_time, break_minutes, days_of_week, color, active }) {
+  return [
+    String(name).trim(),
+    String(start_time).trim(),
+    String(end_time).trim(),
+    Number(break_minutes || 0),
+    parseDaysOfWeek(days_of_week),
+    color || null,
+    active !== false
+  ];
+}
+
+// ⭐ API - ดึงรายการแม่แบบกะ
+app.get('/api/admin/shifts', requirePermission('shifts.view'), async (req, res) => {
+  console.log('API: admin/shifts - ดึงรายการกะการทำงาน');
+  
+  try {
+    const result = await db.query(`
+      SELECT s.*,
+             (SELECT COUNT(*) FROM shift_assignments a WHERE a.shift_id = s.id) AS assignment_count
+      FROM shifts s
+      ORDER BY s.active DESC, s.start_time, s.name
+    `);
+    res.json({ success: true, shifts: result.rows });
+  } catch (error) {
+    console.error('Error getting shifts:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มแม่แบบกะ
+app.post('/api/admin/shifts', requirePermission('shifts.edit'), async (req, res) => {
+  console.log('API: admin/shifts POST - เพิ่มกะการทำงาน', req.body);
+  
+  try {
+    const validationError = validateShift(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const shift = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO shifts (name, start_time, end_time, break_minutes, days_of_week, color, active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        shiftParams(req.body)
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'shift',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'เพิ่มกะการทำงานเรียบร้อยแล้ว', shift });
+  } catch (error) {
+    console.error('Error adding shift:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - แก้ไขแม่แบบกะ (มีผลกับการคำนวณครั้งถัดไป ไม่ย้อนแก้บันทึกเดิม)
+app.put('/api/admin/shifts/:id', requirePermission('shifts.edit'), async (req, res) => {
+  console.log('API: admin/shifts/:id PUT - แก้ไขกะการทำงาน', req.params, req.body);
+  
+  try {
+    const { id } = req.params;
+    
+    const validationError = validateShift(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const checkResult = await db.query('SELECT * FROM shifts WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบกะการทำงาน' });
+    }
+    
+    const shift = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE shifts
+         SET name = $1, start_time = $2, end_time = $3, break_minutes = $4, days_of_week = $5, color = $6, active = $7
+         WHERE id = $8 RETURNING *`,
+        [...shiftParams(req.body), id]
+      );
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'shift',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'แก้ไขกะการทำงานเรียบร้อยแล้ว', shift });
+  } catch (error) {
+    console.error('Error updating shift:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบแม่แบบกะ (การมอบหมายกะนี้จะถูกลบไปด้วย)
+app.delete('/api/admin/shifts/:id', requirePermission('shifts.edit'), async (req, res) => {
+  console.log('API: admin/shifts/:id DELETE - ลบกะการทำงาน', req.params);
+  
+  try {
+    const { id } = req.params;
+    
+    const checkResult = await db.query('SELECT * FROM shifts WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบกะการทำงาน' });
+    }
+    
+    await db.withTransaction(async (client) => {
+      await client.query('DELETE FROM shifts WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'shift',
+        entityId: id,
+        before: checkResult.rows[0]
+      }, client);
+    });
+    
+    res.json({ success: true, message: 'ลบกะการทำงานเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting shift:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ตรวจสอบข้อมูลการมอบหมายกะ (คืนข้อความผิดพลาด หรือ null ถ้าถูกต้อง)
+function validateShiftAssignment({ shift_id, employee_id, department, effective_from, effective_to }) {
+  if (!shift_id) {
+    return 'กรุณาเลือกกะการทำงาน';
+  }
+  
+  if (!employee_id && !(department && String(department).trim())) {
+    return 'กรุณาเลือกพนักงานหรือแผนก';
+  }
+  
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(effective_from || '')) {
+    return 'กรุณาระบุวันที่เริ่มมีผล (YYYY-MM-DD)';
+  }
+  
+  if (effective_to) {
+    if (!datePattern.test(effective_to)) {
+      return 'วันที่สิ้นสุดต้องอยู่ในรูปแบบ YYYY-MM-DD';
+    }
+    if (effective_to < effective_from) {
+      return 'วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่มมีผล';
+    }
+  }
+  
+  return null;
+}
+
+// ผู้จัดการแผนกจัดการได้เฉพาะการมอบหมายกะของแผนกตนเอง
+async function getAssignmentDepartment({ employee_id, department }) {
+  if (!employee_id) {
+    return String(department).trim();
+  }
+  
+  const result = await db.query('SELECT department FROM employees WHERE id = $1', [employee_id]);
+  return result.rows.length > 0 ? result.rows[0].department : undefined;
+}
+
+// ⭐ API - ดึงรายการการมอบหมายกะ
+app.get('/api/admin/shift-assignments', requirePermission('shifts.view'), async (req, res) => {
+  console.log('API: admin/shift-assignments - ดึงรายการการมอบหมายกะ', req.query);
+  
+  try {
+    const { shift_id, employee_id, date } = req.query;
+    const departmentScope = getDepartmentScope(req);
+    
+    const result = await db.query(
+      `SELECT a.*, s.name AS shift_name, s.start_time, s.end_time, s.color,
+              e.emp_code, e.full_name
+       FROM shift_assignments a
+       JOIN shifts s ON a.shift_id = s.id
+       LEFT JOIN employees e ON a.employee_id = e.id
+       WHERE ($1::int IS NULL OR a.shift_id = $1)
+         AND ($2::int IS NULL OR a.employee_id = $2)
+         AND ($3::date IS NULL OR (a.effective_from <= $3 AND (a.effective_to IS NULL OR a.effective_to >= $3)))
+         AND ($4::text IS NULL OR COALESCE(e.department, a.department) = $4)
+       ORDER BY a.effective_from DESC, a.id DESC`,
+      [shift_id || null, employee_id || null, date || null, departmentScope]
+    );
+    
+    res.json({ success: true, assignments: result.rows });
+  } catch (error) {
+    console.error('Error getting shift assignments:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - มอบหมายกะให้พนักงานหรือแผนก
+app.post('/api/admin/shift-assignments', requirePermission('shifts.edit'), async (req, res) => {
+  console.log('API: admin/shift-assignments POST - มอบหมายกะ', req.body);
+  
+  try {
+    const { shift_id, employee_id, department, effective_from, effective_to, note } = req.body;
+    
+    const validationError = validateShiftAssignment(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const assignmentDepartment = await getAssignmentDepartment(req.body);
+    if (assignmentDepartment === undefined) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    }
+    
+    const departmentScope = getDepartmentScope(req);
+    if (departmentScope !== null && assignmentDepartment !== departmentScope) {
+      return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์จัดการกะของแผนกอื่น' });
+    }
+    
+    const assignment = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO shift_assignments (shift_id, employee_id, department, effective_from, effective_to, note)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [
+          shift_id,
+          employee_id || null,
+          employee_id ? null : String(department).trim(),
+          effective_from,
+          effective_to || null,
+          note || null
+        ]
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'shift_assignment',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'มอบหมายกะเรียบร้อยแล้ว', assignment });
+  } catch (error) {
+    console.error('Error adding shift assignment:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - แก้ไขการมอบหมายกะ
+app.put('/api/admin/shift-assignments/:id', requirePermission('shifts.edit'), async (req, res) => {
+  console.log('API: admin/shift-assignments/:id PUT - แก้ไขการมอบหมายกะ', req.params, req.body);
+  
+  try {
+    const { id } = req.params;
+    const { shift_id, employee_id, department, effective_from, effective_to, note } = req.body;
+    
+    const validationError = validateShiftAssignment(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const checkResult = await db.query('SELECT * FROM shift_assignments WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบการมอบหมายกะ' });
+    }
+    
+    const departmentScope = getDepartmentScope(req);
+    if (departmentScope !== null) {
+      const [currentDepartment, newDepartment] = await Promise.all([
+        getAssignmentDepartment(checkResult.rows[0]),
+        getAssignmentDepartment(req.body)
+      ]);
+      if (currentDepartment !== departmentScope || newDepartment !== departmentScope) {
+        return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์จัดการกะของแผนกอื่น' });
+      }
+    }
+    
+    const assignment = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE shift_assignments
+         SET shift_id = $1, employee_id = $2, department = $3, effective_from = $4, effective_to = $5, note = $6
+         WHERE id = $7 RETURNING *`,
+        [
+          shift_id,
+          employee_id || null,
+          employee_id ? null : String(department).trim(),
+          effective_from,
+          effective_to || null,
+          note || null,
+          id
+        ]
+      );
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'shift_assignment',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'แก้ไขการมอบหมายกะเรียบร้อยแล้ว', assignment });
+  } catch (error) {
+    console.error('Error updating shift assignment:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบการมอบหมายกะ
+app.delete('/api/admin/shift-assignments/:id', requirePermission('shifts.edit'), async (req, res) => {
+  console.log('API: admin/shift-assignments/:id DELETE - ลบการมอบหมายกะ', req.params);
+  
+  try {
+    const { id } = req.params;
+    
+    const checkResult = await db.query('SELECT * FROM shift_assignments WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบการมอบหมายกะ' });
+    }
+    
+    const departmentScope = getDepartmentScope(req);
+    if (departmentScope !== null && await getAssignmentDepartment(checkResult.rows[0]) !== departmentScope) {
+      return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์จัดการกะของแผนกอื่น' });
+    }
+    
+    await db.withTransaction(async (client) => {
+      await client.query('DELETE FROM shift_assignments WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'shift_assignment',
+        entityId: id,
+        before: checkResult.rows[0]
+      }, client);
+    });
+    
+    res.json({ success: true, message: 'ลบการมอบหมายกะเรียบร้อยแล้ว' });
+  } catch (error) {
+    console.error('Error deleting shift assignment:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ปฏิทินกะรายเดือน (ตารางพนักงาน x วันที่)
+app.get('/api/admin/shift-calendar', requirePermission('shifts.view'), async (req, res) => {
+  console.log('API: admin/shift-calendar - ดึงปฏิทินกะ', req.query);
+  
+  try {
+    const month = req.query.month || (await loadWorkDaySettings()).today.substring(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.json({ success: false, message: 'รูปแบบเดือนไม่ถูกต้อง (YYYY-MM)' });
+    }
+    
+    const departmentScope = getDepartmentScope(req);
+    const department = departmentScope !== null ? departmentScope : (req.query.department || null);
+    const dates = datesInMonth(month);
+    
+    const [employeesResult, assignments, defaults, shiftsResult, leaves, holidays] = await Promise.all([
+      db.query(
+        `SELECT id, emp_code, full_name, department FROM employees
+         WHERE status = 'active' AND ($1::text IS NULL OR department = $1)
+         ORDER BY department, full_name`,
+        [department]
+      ),
+      loadShiftAssignments(dates[0], dates[dates.length - 1]),
+      loadSettings(['work_start_time', 'work_end_time', 'work_days']),
+      db.query('SELECT * FROM shifts WHERE active = true ORDER BY start_time, name'),
+      getApprovedLeaves(dates[0], dates[dates.length - 1], department),
+      loadHolidays(dates[0], dates[dates.length - 1])
+    ]);
+    
+    const employees = employeesResult.rows.map(employee => ({
+      ...employee,
+      days: dates.map(date => {
+        const schedule = resolveSchedule(assignments, employee, date, defaults, holidays);
+        const leave = findLeaveOnDate(leaves, employee.id, date);
+        return {
+          date,
+          source: schedule.source,
+          assignment_id: schedule.assignment_id,
+          shift_id: schedule.shift_id,
+          working_day: schedule.working_day,
+          holiday: schedule.holiday,
+          leave: leave ? { name: leave.leave_type_name, color: leave.color, half_day: leave.half_day } : null
+        };
+      })
+    }));
+    
+    res.json({
+      success: true,
+      month,
+      dates,
+      holidays: Object.fromEntries(holidays),
+      defaults: {
+        name: 'เวลาทำงานปกติ',
+        start_time: defaults.work_start_time,
+        end_time: defaults.work_end_time,
+        work_days: parseDaysOfWeek(defaults.work_days)
+      },
+      shifts: shiftsResult.rows,
+      employees
+    });
+  } catch (error) {
+    console.error('Error getting shift calendar:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ช่วงวันที่ของรายงาน OT (ค่าเริ่มต้น: ต้นเดือนถึงวันนี้) จำกัดไม่เกิน 93 วัน
+async function parseOvertimeRange(fromDate, toDate) {
+  const { today } = await loadWorkDaySettings();
+  const range = {
+    from: fromDate || `${today.substring(0, 7)}-01`,
+    to: toDate || today
+  };
+  
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(range.from) || !/^\d{4}-\d{2}-\d{2}$/.test(range.to)) {
+    return { error: 'รูปแบบวันที่ไม่ถูกต้อง (YYYY-MM-DD)' };
+  }
+  if (range.from > range.to) {
+    return { error: 'วันที่เริ่มต้นต้องไม่เกินวันที่สิ้นสุด' };
+  }
+  if (range.to > addDays(range.from, 92)) {
+    return { error: 'ช่วงวันที่ต้องไม่เกิน 93 วัน' };
+  }
+  
+  return range;
+}
+
+// ⭐ API - รายงาน OT รายวันและสรุปรายพนักงาน
+app.get('/api/admin/overtime', requirePermission('time_logs.view'), async (req, res) => {
+  console.log('API: admin/overtime - รายงาน OT', req.query);
+  
+  try {
+    const range = await parseOvertimeRange(req.query.from_date, req.query.to_date);
+    if (range.error) {
+      return res.json({ success: false, message: range.error });
+    }
+    
+    const departmentScope = getDepartmentScope(req);
+    const department = departmentScope !== null ? departmentScope : (req.query.department || null);
+    
+    const [result, settings] = await Promise.all([
+      db.query(
+        `SELECT d.*, e.emp_code, e.full_name, e.department, s.name AS shift_name
+         FROM daily_overtime d
+         JOIN employees e ON d.employee_id = e.id
+         LEFT JOIN shifts s ON d.shift_id = s.id
+         WHERE d.work_date BETWEEN $1 AND $2
+           AND ($3::int IS NULL OR d.employee_id = $3)
+           AND ($4::text IS NULL OR e.department = $4)
+         ORDER BY e.full_name, d.work_date`,
+        [range.from, range.to, req.query.employee_id || null, department]
+      ),
+      loadSettings(OVERTIME_SETTING_NAMES)
+    ]);
+    
+    const minuteFields = [
+      'worked_minutes', 'regular_minutes', 'overtime_minutes',
+      'weekend_overtime_minutes', 'holiday_overtime_minutes', 'weighted_overtime_minutes'
+    ];
+    const emptyTotals = () => minuteFields.reduce((totals, field) => ({ ...totals, [field]: 0 }), { days: 0 });
+    
+    const totals = emptyTotals();
+    const employees = new Map();
+    
+    const days = result.rows.map(row => {
+      const day = { ...row, work_date: toDateString(row.work_date) };
+      minuteFields.forEach(field => {
+        day[field] = Number(row[field]) || 0;
+      });
+      
+      if (!employees.has(row.employee_id)) {
+        employees.set(row.employee_id, {
+          employee_id: row.employee_id,
+          emp_code: row.emp_code,
+          full_name: row.full_name,
+          department: row.department,
+          ...emptyTotals()
+        });
+      }
+      
+      [employees.get(row.employee_id), totals].forEach(target => {
+        target.days++;
+        minuteFields.forEach(field => {
+          target[field] += day[field];
+        });
+      });
+      
+      return day;
+    });
+    
+    res.json({
+      success: true,
+      from_date: range.from,
+      to_date: range.to,
+      rules: parseOvertimeRules(settings),
+      days,
+      employees: Array.from(employees.values()),
+      totals
+    });
+    
+  } catch (error) {
+    console.error('Error getting overtime report:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - คำนวณ OT ใหม่ตามกฎปัจจุบันในช่วงวันที่ (ใช้หลังเปลี่ยนการตั้งค่า OT หรือกะ)
+app.post('/api/admin/overtime/recalculate', requirePermission('time_logs.edit'), async (req, res) => {
+  console.log('API: admin/overtime/recalculate - คำนวณ OT ใหม่', req.body);
+  
+  try {
+    const range = await parseOvertimeRange(req.body.from_date, req.body.to_date);
+    if (range.error) {
+      return res.json({ success: false, message: range.error });
+    }
+    
+    // สรุป OT ของงวดที่ปิดแล้วใช้จ่ายเงินไปแล้ว ห้ามคำนวณใหม่
+    const closedPeriod = await findClosedPayrollPeriod(range.from, range.to);
+    if (closedPeriod) {
+      return res.json({ success: false, message: payrollLockMessage(closedPeriod) });
+    }
+    
+    const departmentScope = getDepartmentScope(req);
+    const department = departmentScope !== null ? departmentScope : (req.body.department || null);
+    const employeeId = req.body.employee_id || null;
+    
+    const daysResult = await db.query(
+      `SELECT DISTINCT t.employee_id, t.work_date
+       FROM time_logs t
+       JOIN employees e ON t.employee_id = e.id
+       WHERE t.work_date BETWEEN $1 AND $2
+         AND ($3::int IS NULL OR t.employee_id = $3)
+         AND ($4::text IS NULL OR e.department = $4)
+       ORDER BY t.work_date`,
+      [range.from, range.to, employeeId, department]
+    );
+    
+    const rules = parseOvertimeRules(await loadSettings(OVERTIME_SETTING_NAMES));
+    
+    await db.withTransaction(async (client) => {
+      // ลบสรุปของวันที่ไม่มีบันทึกการลงเวลาแล้ว
+      await client.query(
+        `DELETE FROM daily_overtime d
+         USING employees e
+         WHERE d.employee_id = e.id
+           AND d.work_date BETWEEN $1 AND $2
+           AND ($3::int IS NULL OR d.employee_id = $3)
+           AND ($4::text IS NULL OR e.department = $4)
+           AND NOT EXISTS (
+             SELECT 1 FROM time_logs t WHERE t.employee_id = d.employee_id AND t.work_date = d.work_date
+           )`,
+        [range.from, range.to, employeeId, department]
+      );
+      
+      for (const row of daysResult.rows) {
+        await recalculateDailyOvertime(row.employee_id, row.work_date, client, rules);
+      }
+    });
+    
+    res.json({
+      success: true,
+      message: `คำนวณ OT ใหม่เรียบร้อยแล้ว ${daysResult.rows.length} วันทำงาน`,
+      count: daysResult.rows.length
+    });
+    
+  } catch (error) {
+    console.error('Error recalculating overtime:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ตรวจสอบข้อมูลประเภทการลา (คืนข้อความผิดพลาด หรือ null ถ้าถูกต้อง)
+function validateLeaveType({ code, name, yearly_quota }) {
+  if (!code || !/^[a-z0-9_]+$/.test(String(code).trim())) {
+    return 'รหัสประเภทการลาต้องเป็นตัวอักษรภาษาอังกฤษพิมพ์เล็ก ตัวเลข หรือ _';
+  }
+  
+  if (!name || !String(name).trim()) {
+    return 'กรุณาระบุชื่อประเภทการลา';
+  }
+  
+  if (yearly_quota !== null && yearly_quota !== undefined && yearly_quota !== '') {
+    const quota = Number(yearly_quota);
+    if (!Number.isFinite(quota) || quota < 0 || quota > 366 || quota * 2 !== Math.round(quota * 2)) {
+      return 'โควตาต่อปีต้องอยู่ระหว่าง 0 ถึง 366 วัน (ทีละครึ่งวัน)';
+    }
+  }
+  
+  return null;
+}
+
+function leaveTypeParams({ code, name, yearly_quota, color, active }) {
+  return [
+    String(code).trim(),
+    String(name).trim(),
+    yearly_quota === null || yearly_quota === undefined || yearly_quota === '' ? null : Number(yearly_quota),
+    color || null,
+    active !== false
+  ];
+}
+
+// ⭐ API - ดึงรายการประเภทการลา
+app.get('/api/admin/leave-types', requirePermission('leave.view'), async (req, res) => {
+  console.log('API: admin/leave-types - ดึงรายการประเภทการลา');
+  
+  try {
+    const result = await db.query(`
+      SELECT t.*,
+             (SELECT COUNT(*) FROM leave_requests r WHERE r.leave_type_id = t.id) AS request_count
+      FROM leave_types t
+      ORDER BY t.active DESC, t.id
+    `);
+    
+    res.json({ success: true, leave_types: result.rows });
+  } catch (error) {
+    console.error('Error getting leave types:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - เพิ่มประเภทการลา
+app.post('/api/admin/leave-types', requirePermission('leave.manage'), async (req, res) => {
+  console.log('API: admin/leave-types POST - เพิ่มประเภทการลา', req.body);
+  
+  try {
+    const validationError = validateLeaveType(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const checkResult = await db.query('SELECT id FROM leave_types WHERE code = $1', [String(req.body.code).trim()]);
+    if (checkResult.rows.length > 0) {
+      return res.json({ success: false, message: 'รหัสประเภทการลานี้มีอยู่ในระบบแล้ว' });
+    }
+    
+    const leaveType = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO leave_types (code, name, yearly_quota, color, active)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        leaveTypeParams(req.body)
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'leave_type',
+        entityId: result.rows[0].id,
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'เพิ่มประเภทการลาเรียบร้อยแล้ว', leave_type: leaveType });
+  } catch (error) {
+    console.error('Error adding leave type:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - แก้ไขประเภทการลา
+app.put('/api/admin/leave-types/:id', requirePermission('leave.manage'), async (req, res) => {
+  console.log('API: admin/leave-types/:id PUT - แก้ไขประเภทการลา', req.params, req.body);
+  
+  try {
+    const { id } = req.params;
+    
+    const validationError = validateLeaveType(req.body);
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const checkResult = await db.query('SELECT * FROM leave_types WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบประเภทการลา' });
+    }
+    
+    const duplicateResult = await db.query(
+      'SELECT id FROM leave_types WHERE code = $1 AND id <> $2',
+      [String(req.body.code).trim(), id]
+    );
+    if (duplicateResult.rows.length > 0) {
+      return res.json({ success: false, message: 'รหัสประเภทการลานี้มีอยู่ในระบบแล้ว' });
+    }
+    
+    const leaveType = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE leave_types SET code = $1, name = $2, yearly_quota = $3, color = $4, active = $5
+         WHERE id = $6 RETURNING *`,
+        [...leaveTypeParams(req.body), id]
+      );
+      
+      await recordAudit(req, {
+        action: 'update',
+        entityType: 'leave_type',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: result.rows[0]
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, message: 'แก้ไขประเภทการลาเรียบร้อยแล้ว', leave_type: leaveType });
+  } catch (error) {
+    console.error('Error updating leave type:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบประเภทการลา (ถ้ามีคำขอลาแล้วจะปิดการใช้งานแทนเพื่อเก็บประวัติ)
+app.delete('/api/admin/leave-types/:id', requirePermission('leave.manage'), async (req, res) => {
+  console.log('API: admin/leave-types/:id DELETE - ลบประเภทการลา', req.params);
+  
+  try {
+    const { id } = req.params;
+    
+    const checkResult = await db.query('SELECT * FROM leave_types WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบประเภทการลา' });
+    }
+    
+    const usageResult = await db.query('SELECT COUNT(*) AS count FROM leave_requests WHERE leave_type_id = $1', [id]);
+    const inUse = parseInt(usageResult.rows[0].count) > 0;
+    
+    await db.withTransaction(async (client) => {
+      const result = inUse
+        ? await client.query('UPDATE leave_types SET active = false WHERE id = $1 RETURNING *', [id])
+        : await client.query('DELETE FROM leave_types WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: inUse ? 'update' : 'delete',
+        entityType: 'leave_type',
+        entityId: id,
+        before: checkResult.rows[0],
+        after: inUse ? result.rows[0] : null
+      }, client);
+    });
+    
+    res.json({
+      success: true,
+      message: inUse
+        ? 'ประเภทการลานี้มีคำขอลาแล้ว จึงปิดการใช้งานแทนการลบ'
+        : 'ลบประเภทการลาเรียบร้อยแล้ว'
+    });
+  } catch (error) {
+    console.error('Error deleting leave type:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ดึงรายการคำขอลา
+app.get('/api/admin/leave-requests', requirePermission('leave.view'), async (req, res) => {
+  console.log('API: admin/leave-requests - ดึงรายการคำขอลา', req.query);
+  
+  try {
+    const { status, employee_id, from_date, to_date } = req.query;
+    const departmentScope = getDepartmentScope(req);
+    
+    const result = await db.query(
+      `SELECT r.*, t.name AS leave_type_name, t.color, e.emp_code, e.full_name, e.department
+       FROM leave_requests r
+       JOIN leave_types t ON r.leave_type_id = t.id
+       JOIN employees e ON r.employee_id = e.id
+       WHERE ($1::text IS NULL OR r.status = $1)
+         AND ($2::int IS NULL OR r.employee_id = $2)
+         AND ($3::date IS NULL OR r.end_date >= $3)
+         AND ($4::date IS NULL OR r.start_date <= $4)
+         AND ($5::text IS NULL OR e.department = $5)
+       ORDER BY CASE WHEN r.status = 'pending' THEN 0 ELSE 1 END, r.start_date DESC, r.id DESC
+       LIMIT 500`,
+      [status || null, employee_id || null, from_date || null, to_date || null, departmentScope]
+    );
+    
+    const requests = result.rows.map(row => ({
+      ...row,
+      start_date: toDateString(row.start_date),
+      end_date: toDateString(row.end_date)
+    }));
+    
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error getting leave requests:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ อนุมัติ/ไม่อนุมัติคำขอลา (หัวหน้าแผนกจัดการได้เฉพาะคำขอของแผนกตนเอง)
+async function reviewLeaveRequest(req, res, status) {
+  const { id } = req.params;
+  const note = req.body.note ? String(req.body.note).trim() : null;
+  
+  const checkResult = await db.query(
+    `SELECT r.*, e.department, e.full_name, t.name AS leave_type_name
+     FROM leave_requests r
+     JOIN employees e ON r.employee_id = e.id
+     JOIN leave_types t ON r.leave_type_id = t.id
+     WHERE r.id = $1`,
+    [id]
+  );
+  if (checkResult.rows.length === 0) {
+    return res.json({ success: false, message: 'ไม่พบคำขอลา' });
+  }
+  
+  const request = checkResult.rows[0];
+  
+  const departmentScope = getDepartmentScope(req);
+  if (departmentScope !== null && request.department !== departmentScope) {
+    return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์พิจารณาคำขอลาของแผนกอื่น' });
+  }
+  
+  if (request.status !== 'pending') {
+    return res.json({ success: false, message: 'คำขอลานี้ได้รับการพิจารณาแล้ว' });
+  }
+  
+  if (status === 'rejected' && !note) {
+    return res.json({ success: false, message: 'กรุณาระบุเหตุผลที่ไม่อนุมัติ' });
+  }
+  
+  const updated = await db.withTransaction(async (client) => {
+    if (status === 'approved') {
+      const startDate = toDateString(request.start_date);
+      const balance = (await getLeaveBalances(request.employee_id, startDate.substring(0, 4), client))
+        .find(item => item.leave_type_id === request.leave_type_id);
+      if (balance && balance.quota !== null && balance.used + Number(request.days) > balance.quota) {
+        throw new Error(`วัน${request.leave_type_name}คงเหลือไม่พอ (คงเหลือ ${balance.remaining} วัน)`);
+      }
+    }
+    
+    const result = await client.query(
+      `UPDATE leave_requests
+       SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_note = $3
+       WHERE id = $4 RETURNING *`,
+      [status, req.admin.username, note, id]
+    );
+    
+    await recordAudit(req, {
+      action: status === 'approved' ? 'approve' : 'reject',
+      entityType: 'leave_request',
+      entityId: id,
+      before: request,
+      after: result.rows[0]
+    }, client);
+    
+    return result.rows[0];
+  });
+  
+  if (status === 'approved') {
+    await updateDailyAttendance(request.employee_id, request.start_date, request.end_date);
+  }
+  
+  res.json({
+    success: true,
+    message: status === 'approved' ? 'อนุมัติคำขอลาเรียบร้อยแล้ว' : 'ไม่อนุมัติคำขอลาเรียบร้อยแล้ว',
+    request: updated
+  });
+}
+
+// ⭐ API - อนุมัติคำขอลา
+app.post('/api/admin/leave-requests/:id/approve', requirePermission('leave.approve'), async (req, res) => {
+  console.log('API: admin/leave-requests/:id/approve - อนุมัติคำขอลา', req.params, req.body);
+  
+  try {
+    await reviewLeaveRequest(req, res, 'approved');
+  } catch (error) {
+    console.error('Error approving leave request:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ไม่อนุมัติคำขอลา
+app.post('/api/admin/leave-requests/:id/reject', requirePermission('leave.approve'), async (req, res) => {
+  console.log('API: admin/leave-requests/:id/reject - ไม่อนุมัติคำขอลา', req.params, req.body);
+  
+  try {
+    await reviewLeaveRequest(req, res, 'rejected');
+  } catch (error) {
+    console.error('Error rejecting leave request:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+const CORRECTION_TYPE_LABELS = {
+  missing_clock_in: 'ลืมลงเวลาเข้า',
+  missing_clock_out: 'ลืมลงเวลาออก',
+  wrong_time: 'เวลาไม่ถูกต้อง'
+};
+
+// ⭐ API - ดึงรายการคำขอแก้ไขเวลา (คำขอที่รออนุมัติแสดงก่อน)
+app.get('/api/admin/time-corrections', requirePermission('time_logs.view'), async (req, res) => {
+  console.log('API: admin/time-corrections - ดึงรายการคำขอแก้ไขเวลา', req.query);
+  
+  try {
+    const { status, employee_id } = req.query;
+    const departmentScope = getDepartmentScope(req);
+    
+    const result = await db.query(
+      `SELECT r.id, r.employee_id, r.time_log_id, r.request_type, r.requested_clock_in, r.requested_clock_out,
+              r.reason, r.photo IS NOT NULL AS has_photo, r.status, r.reviewed_by, r.reviewed_at, r.review_note,
+              r.created_at, e.emp_code, e.full_name, e.department,
+              t.clock_in AS current_clock_in, t.clock_out AS current_clock_out, t.work_date
+       FROM time_correction_requests r
+       JOIN employees e ON r.employee_id = e.id
+       LEFT JOIN time_logs t ON r.time_log_id = t.id
+       WHERE ($1::text IS NULL OR r.status = $1)
+         AND ($2::int IS NULL OR r.employee_id = $2)
+         AND ($3::text IS NULL OR e.department = $3)
+       ORDER BY CASE WHEN r.status = 'pending' THEN 0 ELSE 1 END, r.created_at DESC
+       LIMIT 500`,
+      [status || null, employee_id || null, departmentScope]
+    );
+    const { timeZone } = await loadWorkDaySettings();
+    
+    const requests = result.rows.map(row => ({
+      ...row,
+      request_type_label: CORRECTION_TYPE_LABELS[row.request_type] || row.request_type,
+      work_date: toDateString(row.work_date),
+      requested_clock_in_display: formatLogDateTime(row.requested_clock_in, timeZone),
+      requested_clock_out_display: formatLogDateTime(row.requested_clock_out, timeZone),
+      current_clock_in_display: formatLogDateTime(row.current_clock_in, timeZone),
+      current_clock_out_display: formatLogDateTime(row.current_clock_out, timeZone),
+      created_at_display: formatLogDateTime(row.created_at, timeZone)
+    }));
+    
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Error getting time correction requests:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - รูปภาพประกอบคำขอแก้ไขเวลา (คืนเป็น data URL)
+app.get('/api/admin/time-corrections/:id/photo', requirePermission('time_logs.view'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT r.photo, r.photo_type, e.department
+       FROM time_correction_requests r
+       JOIN employees e ON r.employee_id = e.id
+       WHERE r.id = $1`,
+      [req.params.id]
+    );
+    
+    const departmentScope = getDepartmentScope(req);
+    if (result.rows.length === 0 || !result.rows[0].photo ||
+        (departmentScope !== null && result.rows[0].department !== departmentScope)) {
+      return res.json({ success: false, message: 'ไม่พบรูปภาพประกอบ' });
+    }
+    
+    const { photo, photo_type } = result.rows[0];
+    res.json({ success: true, photo: `data:${photo_type};base64,${photo.toString('base64')}` });
+  } catch (error) {
+    console.error('Error getting time correction photo:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ อนุมัติ/ไม่อนุมัติคำขอแก้ไขเวลา (อนุมัติแล้วแก้ไข time_logs ทันที หัวหน้าแผนกจัดการได้เฉพาะแผนกตนเอง)
+async function reviewTimeCorrection(req, res, status) {
+  const { id } = req.params;
+  const note = req.body.note ? String(req.body.note).trim() : null;
+  
+  const checkResult = await db.query(
+    `SELECT r.*, e.department, e.full_name
+     FROM time_correction_requests r
+     JOIN employees e ON r.employee_id = e.id
+     WHERE r.id = $1`,
+    [id]
+  );
+  if (checkResult.rows.length === 0) {
+    return res.json({ success: false, message: 'ไม่พบคำขอแก้ไขเวลา' });
+  }
+  
+  const request = checkResult.rows[0];
+  
+  const departmentScope = getDepartmentScope(req);
+  if (departmentScope !== null && request.department !== departmentScope) {
+    return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์พิจารณาคำขอของแผนกอื่น' });
+  }
+  
+  if (request.status !== 'pending') {
+    return res.json({ success: false, message: 'คำขอนี้ได้รับการพิจารณาแล้ว' });
+  }
+  
+  if (status === 'rejected' && !note) {
+    return res.json({ success: false, message: 'กรุณาระบุเหตุผลที่ไม่อนุมัติ' });
+  }
+  
+  const { photo, ...requestData } = request;
+  const outcome = await db.withTransaction(async (client) => {
+    // ล็อกคำขอไว้ก่อนพิจารณา กันผู้ดูแลสองคนอนุมัติ/ไม่อนุมัติคำขอเดียวกันพร้อมกัน
+    const lockResult = await client.query(
+      'SELECT status FROM time_correction_requests WHERE id = $1 FOR UPDATE', [id]
+    );
+    if (lockResult.rows.length === 0 || lockResult.rows[0].status !== 'pending') {
+      return { error: 'คำขอนี้ได้รับการพิจารณาแล้ว' };
+    }
+    
+    const applied = status === 'approved' ? await applyTimeCorrection(req, request, client) : null;
     
-    const utcDate = new Date(resultDate.getTime() - (7 * 60 * 60 * 1000));
-    return utcDate.toISOString();
+    const result = await client.query(
+      `UPDATE time_correction_requests
+       SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_note = $3,
+           time_log_id = COALESCE($4, time_log_id)
+       WHERE id = $5
+       RETURNING id, employee_id, time_log_id, request_type, requested_clock_in, requested_clock_out,
+                 reason, status, reviewed_by, reviewed_at, review_note, created_at`,
+      [status, req.admin.username, note, applied ? applied.timeLog.id : null, id]
+    );
     
-  } catch (error) {
-    console.error('❌ Error processing time:', error.message);
-    const fallbackTime = new Date().toISOString();
-    console.log('🆘 Using fallback time (current time):', fallbackTime);
-    return fallbackTime;
+    await recordAudit(req, {
+      action: status === 'approved' ? 'approve' : 'reject',
+      entityType: 'time_correction',
+      entityId: id,
+      before: requestData,
+      after: result.rows[0]
+    }, client);
+    
+    return { updated: result.rows[0], workDates: applied ? applied.workDates : [] };
+  });
+  if (outcome.error) {
+    return res.json({ success: false, message: outcome.error });
   }
+  
+  const { updated, workDates } = outcome;
+  for (const date of workDates) {
+    await updateDailyAttendance(request.employee_id, date);
+  }
+  
+  const typeLabel = CORRECTION_TYPE_LABELS[request.request_type] || request.request_type;
+  await notifyEmployee({ id: request.employee_id, full_name: request.full_name }, status === 'approved'
+    ? {
+      type: 'time_correction_approved',
+      title: 'อนุมัติคำขอแก้ไขเวลาแล้ว',
+      message: `คำขอแก้ไขเวลา (${typeLabel}) ได้รับการอนุมัติ และแก้ไขบันทึกการลงเวลาแล้ว` + (note ? ` หมายเหตุ: ${note}` : '')
+    }
+    : {
+      type: 'time_correction_rejected',
+      title: 'ไม่อนุมัติคำขอแก้ไขเวลา',
+      message: `คำขอแก้ไขเวลา (${typeLabel}) ไม่ได้รับการอนุมัติ เหตุผล: ${note}`
+    });
+  
+  res.json({
+    success: true,
+    message: status === 'approved' ? 'อนุมัติคำขอแก้ไขเวลาเรียบร้อยแล้ว' : 'ไม่อนุมัติคำขอแก้ไขเวลาเรียบร้อยแล้ว',
+    request: updated
+  });
 }
 
-function calculateDuration(startDate, endDate) {
-  const diff = Math.abs(endDate - startDate);
-  const hours = Math.floor(diff / (1000 * 60 * 60));
-  const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-  return `${hours} ชั่วโมง ${minutes} นาที`;
-}
-
-// ⭐ เรียกใช้ฟังก์ชันเตรียมฐานข้อมูล
-initializeDatabase().catch(error => {
-  console.error('❌ Failed to initialize database:', error);
-  process.exit(1);
-});
-
-// server.js - Mobile Time Tracker Server (ส่วนที่ 4/8)
-// Original API Routes (เดิม)
-
-// ⭐ API - ดึงรายชื่อพนักงานสำหรับ autocomplete (ใช้ cache)
-app.post('/api/getdata', async (req, res) => {
-  console.log('📋 API: getdata - ดึงรายชื่อพนักงานสำหรับ autocomplete');
+// ⭐ API - อนุมัติคำขอแก้ไขเวลา
+app.post('/api/admin/time-corrections/:id/approve', requirePermission('time_corrections.approve'), async (req, res) => {
+  console.log('API: admin/time-corrections/:id/approve - อนุมัติคำขอแก้ไขเวลา', req.params, req.body);
   
   try {
-    const result = await db.executePrepared('GET_EMPLOYEE_NAMES', ['active']);
-    const names = result.rows.map(e => e.full_name);
-    res.json(names);
-  } catch (err) {
-    console.error('❌ Error in getdata:', err.message);
-    return res.json({ error: err.message });
+    await reviewTimeCorrection(req, res, 'approved');
+  } catch (error) {
+    console.error('Error approving time correction:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - ดึงรายชื่อพนักงานทั้งหมด (ใช้ cache)
-app.post('/api/getemployee', async (req, res) => {
-  console.log('👥 API: getemployee - ดึงรายชื่อพนักงานทั้งหมด');
+// ⭐ API - ไม่อนุมัติคำขอแก้ไขเวลา
+app.post('/api/admin/time-corrections/:id/reject', requirePermission('time_corrections.approve'), async (req, res) => {
+  console.log('API: admin/time-corrections/:id/reject - ไม่อนุมัติคำขอแก้ไขเวลา', req.params, req.body);
   
   try {
-    const employees = await getEmployeesFromCache();
-    res.json(employees);
-  } catch (err) {
-    console.error('❌ Error in getemployee:', err.message);
-    return res.json({ error: err.message });
+    await reviewTimeCorrection(req, res, 'rejected');
+  } catch (error) {
+    console.error('Error rejecting time correction:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - บันทึกเวลาเข้า (ปรับปรุงประสิทธิภาพ)
-app.post('/api/clockin', async (req, res) => {
-  console.log('⏰ API: clockin - บันทึกเวลาเข้า', req.body);
+// ⭐ API - ยอดวันลาคงเหลือของพนักงานทุกคนในปี
+app.get('/api/admin/leave-balances', requirePermission('leave.view'), async (req, res) => {
+  console.log('API: admin/leave-balances - ดึงยอดวันลาคงเหลือ', req.query);
   
   try {
-    const { 
-      employee, 
-      userinfo, 
-      lat, 
-      lon, 
-      line_name, 
-      line_picture, 
-      client_time 
-    } = req.body;
-    
-    if (!employee) {
-      return res.json({ msg: 'กรุณาระบุชื่อพนักงาน' });
+    const year = req.query.year || (await loadWorkDaySettings()).today.substring(0, 4);
+    if (!/^\d{4}$/.test(year)) {
+      return res.json({ success: false, message: 'รูปแบบปีไม่ถูกต้อง (YYYY)' });
     }
     
-    // ใช้ prepared statement
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
-    
-    if (empResult.rows.length === 0) {
-      return res.json({ msg: 'ไม่พบข้อมูลพนักงาน' });
-    }
-    
-    const emp = empResult.rows[0];
-    const today = new Date().toISOString().split('T')[0];
-    
-    // ตรวจสอบการลงเวลาซ้ำ
-    const checkExistingResult = await db.executePrepared('CHECK_CLOCK_IN_TODAY', [emp.id, today]);
-    
-    if (checkExistingResult.rows.length > 0) {
-      return res.json({ 
-        msg: 'คุณได้ลงเวลาเข้าแล้ววันนี้', 
-        employee
-      });
-    }
-    
-    const now = client_time ? adjustClientTime(client_time) : new Date().toISOString();
-    
-    // บันทึกเวลาเข้า
-    await db.executePrepared('INSERT_TIME_LOG', [
-      emp.id, now, userinfo || null, lat || null, lon || null, line_name || null, line_picture || null
+    const departmentScope = getDepartmentScope(req);
+    const department = departmentScope !== null ? departmentScope : (req.query.department || null);
+    
+    const [employeesResult, typesResult, requestsResult] = await Promise.all([
+      db.query(
+        `SELECT id, emp_code, full_name, department FROM employees
+         WHERE status = 'active' AND ($1::text IS NULL OR department = $1)
+         ORDER BY department, full_name`,
+        [department]
+      ),
+      db.query('SELECT * FROM leave_types WHERE active = true ORDER BY id'),
+      db.query(
+        `SELECT employee_id, leave_type_id, start_date, days, status FROM leave_requests
+         WHERE status IN ('pending', 'approved') AND start_date >= $1 AND start_date <= $2`,
+        [`${year}-01-01`, `${year}-12-31`]
+      )
     ]);
     
-    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
-    setImmediate(async () => {
-      try {
-        await sendNotification('clock_in', employee, now, userinfo, lat, lon, line_name);
-      } catch (error) {
-        console.error('❌ Notification error:', error);
-      }
-    });
-    
-    // ปรับเวลาเป็นเวลาไทย
-    const date = new Date(now);
-    const hours = String(date.getUTCHours() + 7).padStart(2, '0');
-    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-    const returnDate = `${hours}:${minutes}:${seconds}`;
+    const requests = requestsResult.rows.map(row => ({ ...row, start_date: toDateString(row.start_date) }));
+    const employees = employeesResult.rows.map(employee => ({
+      ...employee,
+      balances: summarizeLeaveBalances(
+        typesResult.rows,
+        requests.filter(request => request.employee_id === employee.id),
+        year
+      )
+    }));
     
-    return res.json({
-      msg: 'SUCCESS',
-      employee,
-      return_date: returnDate,
-      return_date_utc: now
-    });
+    res.json({ success: true, year, leave_types: typesResult.rows, employees });
   } catch (error) {
-    console.error('❌ Error in clockin:', error);
-    return res.json({ msg: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('Error getting leave balances:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - บันทึกเวลาออก (ปรับปรุงประสิทธิภาพ)
-app.post('/api/clockout', async (req, res) => {
-  console.log('🏃 API: clockout - บันทึกเวลาออก', req.body);
+// ⭐ API - สถานะการมาทำงานของพนักงานทุกคนในวันที่กำหนด (ค่าเริ่มต้น: วันนี้)
+app.get('/api/admin/attendance', requirePermission('time_logs.view'), async (req, res) => {
+  console.log('API: admin/attendance - สถานะการมาทำงานรายวัน', req.query);
   
   try {
-    const { 
-      employee, 
-      lat, 
-      lon, 
-      line_name, 
-      line_picture, 
-      client_time 
-    } = req.body;
+    const { today } = await loadWorkDaySettings();
+    const date = req.query.date || today;
     
-    if (!employee) {
-      return res.json({ msg: 'กรุณาระบุชื่อพนักงาน' });
+    if (!isValidDate(date)) {
+      return res.json({ success: false, message: 'รูปแบบวันที่ไม่ถูกต้อง (YYYY-MM-DD)' });
     }
-    
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
-    
-    if (empResult.rows.length === 0) {
-      return res.json({ msg: 'ไม่พบข้อมูลพนักงาน' });
+    if (date > today) {
+      return res.json({ success: false, message: 'ยังไม่มีสถานะการมาทำงานของวันที่ในอนาคต' });
     }
     
-    const emp = empResult.rows[0];
-    const today = new Date().toISOString().split('T')[0];
-    
-    const recordResult = await db.executePrepared('GET_TODAY_RECORD', [emp.id, today]);
-    
-    if (recordResult.rows.length === 0) {
-      return res.json({ 
-        msg: 'คุณยังไม่ได้ลงเวลาเข้าวันนี้', 
-        employee
-      });
-    }
+    const departmentScope = getDepartmentScope(req);
+    const department = departmentScope !== null ? departmentScope : (req.query.department || null);
     
-    const record = recordResult.rows[0];
+    const records = await getAttendance(date, date, { department });
+    const summary = {};
+    ATTENDANCE_STATUSES.concat('scheduled').forEach(status => {
+      summary[status] = records.filter(record => record.status === status).length;
+    });
     
-    if (record.clock_out) {
-      return res.json({ 
-        msg: 'คุณได้ลงเวลาออกแล้ววันนี้', 
-        employee
-      });
+    res.json({ success: true, date, final: date < today, summary, records });
+  } catch (error) {
+    console.error('Error getting attendance:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ ฟอนต์ภาษาไทยสำหรับใบลงเวลา PDF ตรวจครั้งเดียวตอนเริ่ม server ถ้าไม่พบจะซ่อนปุ่ม PDF และใช้ได้เฉพาะแบบ HTML
+const timesheetPdfFont = findThaiFont();
+if (!timesheetPdfFont) {
+  console.log('⚠️ ไม่พบฟอนต์ภาษาไทยสำหรับใบลงเวลา PDF (ตั้งค่า PDF_FONT_PATH หรือวางไว้ที่ fonts/THSarabunNew.ttf) ปิดการสร้าง PDF');
+}
+
+// ⭐ API - ตารางสถานะการมาทำงานรายเดือน (พนักงาน x วันที่)
+app.get('/api/admin/attendance/monthly', requirePermission('time_logs.view'), async (req, res) => {
+  console.log('API: admin/attendance/monthly - สถานะการมาทำงานรายเดือน', req.query);
+  
+  try {
+    const { today } = await loadWorkDaySettings();
+    const month = req.query.month || today.substring(0, 7);
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.json({ success: false, message: 'รูปแบบเดือนไม่ถูกต้อง (YYYY-MM)' });
     }
     
-    const now = client_time ? adjustClientTime(client_time) : new Date().toISOString();
+    const departmentScope = getDepartmentScope(req);
+    const department = departmentScope !== null ? departmentScope : (req.query.department || null);
+    const dates = datesInMonth(month);
     
-    // บันทึกเวลาออก
-    await db.executePrepared('UPDATE_CLOCK_OUT', [
-      now, lat || null, lon || null, line_name || null, line_picture || null, record.id
+    const [records, holidays] = await Promise.all([
+      dates[0] <= today ? getAttendance(dates[0], dates[dates.length - 1], { department }) : [],
+      loadHolidays(dates[0], dates[dates.length - 1])
     ]);
     
-    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
-    setImmediate(async () => {
-      try {
-        await sendNotification('clock_out', employee, now, null, lat, lon, line_name);
-      } catch (error) {
-        console.error('❌ Notification error:', error);
+    const employees = new Map();
+    records.forEach(record => {
+      if (!employees.has(record.employee_id)) {
+        const totals = {};
+        ATTENDANCE_STATUSES.forEach(status => { totals[status] = 0; });
+        employees.set(record.employee_id, {
+          id: record.employee_id,
+          emp_code: record.emp_code,
+          full_name: record.full_name,
+          department: record.department,
+          days: {},
+          totals
+        });
+      }
+      
+      const employee = employees.get(record.employee_id);
+      employee.days[record.work_date] = record.status;
+      if (employee.totals[record.status] !== undefined) {
+        employee.totals[record.status]++;
       }
     });
     
-    const date = new Date(now);
-    const hours = String(date.getUTCHours() + 7).padStart(2, '0');
-    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-    const returnDate = `${hours}:${minutes}:${seconds}`;
-    
-    return res.json({
-      msg: 'SUCCESS',
-      employee,
-      return_date: returnDate,
-      return_date_utc: now
+    res.json({
+      success: true,
+      month,
+      dates,
+      holidays: Object.fromEntries(holidays),
+      employees: [...employees.values()].sort((a, b) => a.full_name.localeCompare(b.full_name, 'th')),
+      pdf_available: timesheetPdfFont !== null
     });
   } catch (error) {
-    console.error('❌ Error in clockout:', error);
-    return res.json({ msg: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('Error getting monthly attendance:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// API - ส่งแจ้งเตือน Telegram
-app.post('/api/sendnotify', async (req, res) => {
-  console.log('📢 API: sendnotify - ส่งแจ้งเตือน Telegram', req.body);
+// ⭐ API - คำนวณและบันทึกสถานะการมาทำงานใหม่ในช่วงวันที่
+app.post('/api/admin/attendance/recalculate', requirePermission('time_logs.edit'), async (req, res) => {
+  console.log('API: admin/attendance/recalculate - คำนวณสถานะการมาทำงานใหม่', req.body);
   
   try {
-    const { message, token, chat_id, lat, lon } = req.body;
-    
-    if (!token || !chat_id || !message) {
-      return res.json({ success: false, msg: 'ข้อมูลไม่ครบถ้วน' });
-    }
-    
-    let notifyMessage = message;
-    
-    if (lat && lon) {
-      notifyMessage += `\nพิกัด: https://www.google.com/maps?q=${lat},${lon}`;
+    const range = await parseOvertimeRange(req.body.from_date, req.body.to_date);
+    if (range.error) {
+      return res.json({ success: false, message: range.error });
     }
     
-    console.log('Sending Telegram message:', notifyMessage);
+    const count = await saveAttendance(range.from, range.to);
     
-    try {
-      const response = await axios.post(
-        `https://api.telegram.org/bot${token}/sendMessage`,
-        {
-          chat_id: chat_id,
-          text: notifyMessage
-        },
-        { timeout: 10000 }
-      );
-      
-      console.log('Telegram response:', response.data);
-      res.json({ success: true });
-    } catch (error) {
-      console.error('Error sending Telegram message:', error.response?.data || error.message);
-      res.json({ success: false, error: error.response?.data?.message || error.message });
-    }
+    res.json({
+      success: true,
+      message: `บันทึกสถานะการมาทำงานใหม่เรียบร้อยแล้ว ${count} รายการ`,
+      count
+    });
   } catch (error) {
-    console.error('Error in sendnotify:', error);
-    res.json({ success: false, error: error.message });
+    console.error('Error recalculating attendance:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// API - ดึง LIFF ID
-app.get('/api/getLiffId', async (req, res) => {
-  console.log('API: getLiffId - ดึง LIFF ID');
+// ⭐ API - ใบลงเวลารายเดือนของพนักงาน (format=json|html|pdf)
+app.get('/api/admin/reports/timesheet', requirePermission('time_logs.view'), async (req, res) => {
+  console.log('API: admin/reports/timesheet - ใบลงเวลารายเดือน', req.query);
   
   try {
-    const result = await db.query(
-      'SELECT setting_value FROM settings WHERE setting_name = $1',
-      ['liff_id']
-    );
+    const { employee_id, month, format = 'json' } = req.query;
     
-    if (result.rows.length > 0) {
-      return res.json({ success: true, liffId: result.rows[0].setting_value });
-    } else {
-      // ถ้าไม่พบ LIFF ID ในฐานข้อมูล ให้ใช้ค่าเริ่มต้น
-      return res.json({ success: true, liffId: '2001032478-VR5Akj0k' });
+    if (!employee_id) {
+      return res.json({ success: false, message: 'กรุณาเลือกพนักงาน' });
     }
-  } catch (error) {
-    console.error('Error getting LIFF ID:', error);
-    return res.json({ success: false, error: error.message });
-  }
-});
-
-// เพิ่ม API สำหรับดึงค่าชดเชยเวลา
-app.get('/api/getTimeOffset', async (req, res) => {
-  console.log('API: getTimeOffset - ดึงค่าชดเชยเวลา');
-  
-  try {
-    const result = await db.query(
-      'SELECT setting_value FROM settings WHERE setting_name = $1',
-      ['time_offset']
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+      return res.json({ success: false, message: 'รูปแบบเดือนไม่ถูกต้อง (YYYY-MM)' });
+    }
+    if (!['json', 'html', 'pdf'].includes(format)) {
+      return res.json({ success: false, message: 'รูปแบบรายงานไม่ถูกต้อง (json, html หรือ pdf)' });
+    }
+    if (format === 'pdf' && !timesheetPdfFont) {
+      return res.json({
+        success: false,
+        message: 'ไม่พบฟอนต์ภาษาไทยสำหรับสร้าง PDF กรุณาตั้งค่า PDF_FONT_PATH หรือใช้รูปแบบ HTML แล้วสั่งพิมพ์'
+      });
+    }
+    
+    const empResult = await db.query(
+      'SELECT id, emp_code, full_name, position, department FROM employees WHERE id = $1',
+      [employee_id]
     );
+    if (empResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    }
     
-    if (result.rows.length > 0) {
-      return res.json({ success: true, time_offset: result.rows[0].setting_value });
-    } else {
-      // ถ้าไม่พบค่าชดเชยเวลาในฐานข้อมูล ให้ใช้ค่าเริ่มต้น
-      return res.json({ success: true, time_offset: 420 }); // ตั้งค่าเริ่มต้นเป็น 7 ชั่วโมง (420 นาที)
+    const employee = empResult.rows[0];
+    const departmentScope = getDepartmentScope(req);
+    if (departmentScope !== null && employee.department !== departmentScope) {
+      return res.status(403).json({ success: false, message: 'ไม่มีสิทธิ์ดูข้อมูลพนักงานแผนกอื่น' });
     }
-  } catch (error) {
-    console.error('Error getting time offset:', error);
-    return res.json({ success: false, error: error.message });
-  }
-});
-
-// API สำหรับตั้งค่า URL ของ Google Apps Script
-app.post('/api/admin/set-gas-url', async (req, res) => {
-  console.log('🔧 API: admin/set-gas-url - ตั้งค่า URL ของ GSA', req.body);
-  
-  try {
-    const { gas_url } = req.body;
     
-    if (!gas_url) {
-      return res.json({ success: false, message: 'กรุณาระบุ URL' });
+    const { today } = await loadWorkDaySettings();
+    const dates = datesInMonth(month);
+    const fromDate = dates[0];
+    const toDate = dates[dates.length - 1];
+    
+    const [attendance, notesResult, settings] = await Promise.all([
+      fromDate <= today ? getAttendance(fromDate, toDate, { employeeId: employee.id }) : [],
+      db.query(
+        `SELECT work_date, note FROM time_logs
+         WHERE employee_id = $1 AND work_date BETWEEN $2 AND $3 AND COALESCE(note, '') <> ''
+         ORDER BY clock_in`,
+        [employee.id, fromDate, toDate]
+      ),
+      loadSettings(['organization_name'])
+    ]);
+    
+    const notes = {};
+    notesResult.rows.forEach(row => {
+      const date = toDateString(row.work_date);
+      notes[date] = (notes[date] || []).concat(row.note);
+    });
+    
+    const timesheet = buildTimesheet({ employee, month, dates, attendance, notes, today });
+    const options = { organizationName: settings.organization_name, printedDate: today };
+    
+    if (format === 'html') {
+      return res.type('html').send(renderTimesheetHtml(timesheet, options));
     }
     
-    await db.query(
-      'INSERT INTO settings (setting_name, setting_value, description) VALUES ($1, $2, $3) ON CONFLICT (setting_name) DO UPDATE SET setting_value = $2',
-      ['gas_web_app_url', gas_url, 'URL ของ Google Apps Script Web App']
-    );
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="timesheet-${employee.emp_code}-${month}.pdf"`);
+      return writeTimesheetPdf(timesheet, res, { ...options, fontPath: timesheetPdfFont });
+    }
+    
+    res.json({ success: true, timesheet });
+  } catch (error) {
+    console.error('Error getting timesheet:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ งวดเงินเดือน: ปิดงวดแล้วห้ามเพิ่ม/แก้ไข/ลบบันทึกการลงเวลาในงวด เปิดงวดใหม่ได้เฉพาะผู้ดูแลระบบสูงสุด
+const MAX_PAYROLL_PERIOD_NAME_LENGTH = 100;
+
+function formatPayrollPeriod(row) {
+  return { ...row, start_date: toDateString(row.start_date), end_date: toDateString(row.end_date) };
+}
+
+// ⭐ API - ดึงรายการงวดเงินเดือน
+app.get('/api/admin/payroll-periods', requirePermission('payroll.view'), async (req, res) => {
+  console.log('API: admin/payroll-periods - ดึงรายการงวดเงินเดือน');
+  
+  try {
+    const result = await db.query('SELECT * FROM payroll_periods ORDER BY start_date DESC');
     
-    console.log('GAS URL updated:', gas_url);
-    res.json({ success: true, message: 'บันทึก URL เรียบร้อยแล้ว' });
+    res.json({ success: true, periods: result.rows.map(formatPayrollPeriod) });
   } catch (error) {
-    console.error('Error setting GAS URL:', error);
+    console.error('Error getting payroll periods:', error);
     res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// API - ทดสอบการส่งข้อความผ่าน GSA
-app.post('/api/admin/test-gas', async (req, res) => {
-  console.log('🧪 API: admin/test-gas - ทดสอบการส่งข้อความผ่าน GSA', req.body);
+// ⭐ API - เพิ่มงวดเงินเดือน (ช่วงวันที่ต้องไม่ทับกับงวดอื่น)
+app.post('/api/admin/payroll-periods', requirePermission('payroll.manage'), async (req, res) => {
+  console.log('API: admin/payroll-periods POST - เพิ่มงวดเงินเดือน', req.body);
   
   try {
-    const { message, lat, lon, gasUrl } = req.body;
+    const { start_date, end_date } = req.body;
+    const name = req.body.name ? String(req.body.name).trim() : '';
     
-    if (!message) {
-      return res.json({ success: false, message: 'กรุณาระบุข้อความ' });
+    if (!name || name.length > MAX_PAYROLL_PERIOD_NAME_LENGTH) {
+      return res.json({ success: false, message: 'กรุณาระบุชื่องวด' });
     }
-    
-    let useGasUrl = gasUrl;
-    
-    if (!useGasUrl) {
-      const gasUrlResult = await db.query(
-        'SELECT setting_value FROM settings WHERE setting_name = $1',
-        ['gas_web_app_url']
-      );
-      
-      if (gasUrlResult.rows.length === 0 || !gasUrlResult.rows[0].setting_value) {
-        return res.json({ success: false, message: 'ไม่พบ URL ของ GSA กรุณาตั้งค่าก่อน' });
-      }
-      
-      useGasUrl = gasUrlResult.rows[0].setting_value.trim();
-    } else {
-      useGasUrl = useGasUrl.trim();
+    if (!isValidDate(start_date) || !isValidDate(end_date)) {
+      return res.json({ success: false, message: 'รูปแบบวันที่ไม่ถูกต้อง (YYYY-MM-DD)' });
     }
-    
-    if (!useGasUrl.startsWith('https://')) {
-      return res.json({ success: false, message: 'URL ของ GSA ต้องขึ้นต้นด้วย https://' });
+    if (end_date < start_date) {
+      return res.json({ success: false, message: 'วันสิ้นสุดงวดต้องไม่ก่อนวันเริ่มต้น' });
     }
     
-    console.log('ใช้ URL GSA สำหรับทดสอบ:', useGasUrl);
-    
-    const [tokenResult, groupsResult] = await Promise.all([
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_bot_token']),
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_groups'])
-    ]);
-    
-    if (tokenResult.rows.length === 0 || !tokenResult.rows[0].setting_value) {
-      return res.json({ success: false, message: 'ไม่พบ Token ของ Telegram กรุณาตั้งค่าก่อน' });
+    const overlapResult = await db.query(
+      'SELECT name FROM payroll_periods WHERE start_date <= $2 AND end_date >= $1 LIMIT 1',
+      [start_date, end_date]
+    );
+    if (overlapResult.rows.length > 0) {
+      return res.json({ success: false, message: `ช่วงวันที่ทับกับงวด "${overlapResult.rows[0].name}"` });
     }
     
-    if (groupsResult.rows.length === 0 || !groupsResult.rows[0].setting_value) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลกลุ่ม Telegram กรุณาตั้งค่าก่อน' });
-    }
+    const period = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO payroll_periods (name, start_date, end_date, created_by)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [name, start_date, end_date, req.admin.username]
+      );
+      
+      await recordAudit(req, {
+        action: 'create',
+        entityType: 'payroll_period',
+        entityId: result.rows[0].id,
+        after: formatPayrollPeriod(result.rows[0])
+      }, client);
+      
+      return result.rows[0];
+    });
     
-    const token = tokenResult.rows[0].setting_value;
-    const groups = JSON.parse(groupsResult.rows[0].setting_value);
-    const activeGroup = groups.find(g => g.active && g.chat_id);
+    res.json({ success: true, message: 'เพิ่มงวดเงินเดือนเรียบร้อยแล้ว', period: formatPayrollPeriod(period) });
+  } catch (error) {
+    console.error('Error adding payroll period:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ลบงวดเงินเดือนที่ยังไม่ปิด
+app.delete('/api/admin/payroll-periods/:id', requirePermission('payroll.manage'), async (req, res) => {
+  console.log('API: admin/payroll-periods/:id DELETE - ลบงวดเงินเดือน', req.params);
+  
+  try {
+    const { id } = req.params;
     
-    if (!activeGroup) {
-      return res.json({ success: false, message: 'ไม่พบกลุ่ม Telegram ที่เปิดใช้งาน' });
+    const checkResult = await db.query('SELECT * FROM payroll_periods WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบงวดเงินเดือน' });
     }
-    
-    const jsonData = {
-      message: message,
-      chatId: activeGroup.chat_id,
-      token: token
-    };
-    
-    if (lat && lon) {
-      jsonData.lat = lat;
-      jsonData.lon = lon;
+    if (checkResult.rows[0].status === 'closed') {
+      return res.json({ success: false, message: 'ไม่สามารถลบงวดที่ปิดแล้วได้' });
     }
     
-    console.log('ข้อมูลที่ส่งไป GSA:', JSON.stringify(jsonData));
-    
-    const encodedData = encodeURIComponent(JSON.stringify(jsonData));
-    const urlWithParams = `${useGasUrl}?opt=sendToTelegram&data=${encodedData}`;
-    
-    console.log('URL ที่เรียก:', urlWithParams);
-    
-    const response = await axios.get(urlWithParams, { timeout: 15000 });
-    
-    console.log('การตอบกลับจาก GSA:', response.data);
-    res.json({ 
-      success: true, 
-      message: 'ส่งข้อความทดสอบเรียบร้อยแล้ว', 
-      response: response.data 
+    await db.withTransaction(async (client) => {
+      await client.query('DELETE FROM payroll_periods WHERE id = $1', [id]);
+      
+      await recordAudit(req, {
+        action: 'delete',
+        entityType: 'payroll_period',
+        entityId: id,
+        before: formatPayrollPeriod(checkResult.rows[0])
+      }, client);
     });
+    
+    res.json({ success: true, message: 'ลบงวดเงินเดือนเรียบร้อยแล้ว' });
   } catch (error) {
-    console.error('Error testing GAS:', error);
-    console.error('Error details:', error.response?.data || error);
-    res.json({ 
-      success: false, 
-      message: 'เกิดข้อผิดพลาด: ' + error.message,
-      error: error.response?.data || error.message
-    });
+    console.error('Error deleting payroll period:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// server.js - Mobile Time Tracker Server (ส่วนที่ 5/8)
-// Admin API Routes (เดิม)
-
-// --- API สำหรับระบบแอดมิน ---
-
-// ตรวจสอบการเข้าสู่ระบบแอดมิน
-app.post('/api/admin/login', async (req, res) => {
-  console.log('🔐 API: admin/login - ตรวจสอบการเข้าสู่ระบบแอดมิน', req.body);
+// ⭐ API - ปิดงวดเงินเดือน (งวดต้องสิ้นสุดแล้ว และไม่มีรายการค้างตรวจสอบในงวด)
+app.post('/api/admin/payroll-periods/:id/close', requirePermission('payroll.manage'), async (req, res) => {
+  console.log('API: admin/payroll-periods/:id/close - ปิดงวดเงินเดือน', req.params);
   
   try {
-    const { username, password } = req.body;
+    const { id } = req.params;
     
-    if (!username || !password) {
-      return res.json({ success: false, message: 'กรุณากรอกชื่อผู้ใช้และรหัสผ่าน' });
+    const checkResult = await db.query('SELECT * FROM payroll_periods WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบงวดเงินเดือน' });
     }
     
-    console.log(`Login attempt: ${username}`);
+    const period = formatPayrollPeriod(checkResult.rows[0]);
+    if (period.status === 'closed') {
+      return res.json({ success: false, message: 'งวดนี้ปิดแล้ว' });
+    }
     
-    // ตรวจสอบด้วยค่าเริ่มต้น admin/admin123 ก่อน
-    if (username === 'admin' && password === 'admin123') {
-      console.log('Admin login successful with default credentials');
-      return res.json({ success: true });
+    const { today, timeZone } = await loadWorkDaySettings();
+    if (period.end_date >= today) {
+      return res.json({ success: false, message: 'ปิดงวดได้หลังวันสิ้นสุดงวดเท่านั้น' });
     }
     
-    // ตรวจสอบกับข้อมูลในฐานข้อมูล
-    const [adminUserResult, adminPassResult] = await Promise.all([
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['admin_username']),
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['admin_password'])
-    ]);
+    const pendingResult = await db.query(
+      `SELECT
+         (SELECT COUNT(*) FROM time_logs
+          WHERE work_date BETWEEN $1 AND $2 AND clock_out IS NULL) AS open_logs,
+         (SELECT COUNT(*) FROM time_correction_requests r
+          LEFT JOIN time_logs t ON r.time_log_id = t.id
+          WHERE r.status = 'pending'
+            AND COALESCE(t.work_date, DATE((r.requested_clock_in AT TIME ZONE 'UTC') AT TIME ZONE $3)) BETWEEN $1 AND $2
+         ) AS pending_corrections`,
+      [period.start_date, period.end_date, timeZone]
+    );
     
-    if (adminUserResult.rows.length === 0 || adminPassResult.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลผู้ดูแลระบบ' });
+    const openLogs = parseInt(pendingResult.rows[0].open_logs) || 0;
+    const pendingCorrections = parseInt(pendingResult.rows[0].pending_corrections) || 0;
+    if (openLogs > 0 || pendingCorrections > 0) {
+      const pending = [];
+      if (openLogs > 0) pending.push(`บันทึกที่ยังไม่ลงเวลาออก ${openLogs} รายการ`);
+      if (pendingCorrections > 0) pending.push(`คำขอแก้ไขเวลารออนุมัติ ${pendingCorrections} รายการ`);
+      return res.json({ success: false, message: `ยังปิดงวดไม่ได้ มี${pending.join(' และ ')}` });
     }
     
-    if (username === adminUserResult.rows[0].setting_value && 
-        password === adminPassResult.rows[0].setting_value) {
-      console.log('Admin login successful with database credentials');
-      return res.json({ success: true });
-    }
+    const closed = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE payroll_periods
+         SET status = 'closed', closed_by = $1, closed_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND status = 'open'
+         RETURNING *`,
+        [req.admin.username, id]
+      );
+      
+      await recordAudit(req, {
+        action: 'close',
+        entityType: 'payroll_period',
+        entityId: id,
+        before: period,
+        after: formatPayrollPeriod(result.rows[0])
+      }, client);
+      
+      return result.rows[0];
+    });
     
-    console.log('Admin login failed: invalid credentials');
-    return res.json({ success: false, message: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง' });
+    res.json({ success: true, message: `ปิดงวด "${period.name}" เรียบร้อยแล้ว`, period: formatPayrollPeriod(closed) });
   } catch (error) {
-    console.error('Error in admin login:', error);
-    return res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('Error closing payroll period:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - ดึงข้อมูลการลงเวลาทั้งหมด (ปรับปรุงประสิทธิภาพ)
-app.get('/api/admin/time-logs', async (req, res) => {
-  console.log('📊 API: admin/time-logs - ดึงข้อมูลการลงเวลาทั้งหมด', req.query);
+// ⭐ API - เปิดงวดที่ปิดแล้วอีกครั้ง (เฉพาะผู้ดูแลระบบสูงสุด ต้องระบุเหตุผล)
+app.post('/api/admin/payroll-periods/:id/reopen', requirePermission('payroll.reopen'), async (req, res) => {
+  console.log('API: admin/payroll-periods/:id/reopen - เปิดงวดเงินเดือนอีกครั้ง', req.params, req.body);
   
   try {
-    const { from_date, to_date, employee_id, limit = 100, offset = 0 } = req.query;
-    
-    let query = `
-      SELECT t.id, e.emp_code, e.full_name, e.position, e.department, 
-             t.clock_in, t.clock_out, t.note, t.status,
-             t.latitude_in, t.longitude_in, t.latitude_out, t.longitude_out
-      FROM time_logs t
-      JOIN employees e ON t.employee_id = e.id
-      WHERE 1=1
-    `;
-    
-    const params = [];
-    let paramIndex = 1;
+    const { id } = req.params;
+    const reason = req.body.reason ? String(req.body.reason).trim() : '';
     
-    if (from_date) {
-      query += ` AND DATE(t.clock_in) >= $${paramIndex++}`;
-      params.push(from_date);
+    if (!reason) {
+      return res.json({ success: false, message: 'กรุณาระบุเหตุผลการเปิดงวด' });
     }
     
-    if (to_date) {
-      query += ` AND DATE(t.clock_in) <= $${paramIndex++}`;
-      params.push(to_date);
+    const checkResult = await db.query('SELECT * FROM payroll_periods WHERE id = $1', [id]);
+    if (checkResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบงวดเงินเดือน' });
     }
-    
-    if (employee_id) {
-      query += ` AND t.employee_id = $${paramIndex++}`;
-      params.push(employee_id);
+    if (checkResult.rows[0].status !== 'closed') {
+      return res.json({ success: false, message: 'งวดนี้ยังไม่ได้ปิด' });
     }
     
-    query += ` ORDER BY t.clock_in DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
-    params.push(limit, offset);
-    
-    console.log('Running query:', query, 'with params:', params);
-    
-    const result = await db.query(query, params);
-    
-    console.log(`Found ${result.rows.length} time logs`);
-    
-    // ปรับรูปแบบวันที่เวลาให้อ่านง่าย
-    const formattedLogs = result.rows.filter(log => log && log.clock_in).map(log => {
-      const clockInDate = new Date(new Date(log.clock_in).getTime() + (7 * 60 * 60 * 1000));
-      const clockOutDate = log.clock_out ? new Date(new Date(log.clock_out).getTime() + (7 * 60 * 60 * 1000)) : null;
+    const reopened = await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE payroll_periods
+         SET status = 'open', reopened_by = $1, reopened_at = CURRENT_TIMESTAMP, reopen_reason = $2
+         WHERE id = $3
+         RETURNING *`,
+        [req.admin.username, reason, id]
+      );
       
-      return {
-        ...log,
-        clock_in_date: clockInDate.toLocaleDateString('th-TH'),
-        clock_in_time: clockInDate.toLocaleTimeString('th-TH'),
-        clock_out_date: clockOutDate ? clockOutDate.toLocaleDateString('th-TH') : '',
-        clock_out_time: clockOutDate ? clockOutDate.toLocaleTimeString('th-TH') : '',
-        duration: clockOutDate ? calculateDuration(new Date(log.clock_in), new Date(log.clock_out)) : ''
-      };
+      await recordAudit(req, {
+        action: 'reopen',
+        entityType: 'payroll_period',
+        entityId: id,
+        before: formatPayrollPeriod(checkResult.rows[0]),
+        after: formatPayrollPeriod(result.rows[0])
+      }, client);
+      
+      return result.rows[0];
     });
     
-    res.json({ success: true, logs: formattedLogs });
+    res.json({ success: true, message: `เปิดงวด "${reopened.name}" อีกครั้งเรียบร้อยแล้ว`, period: formatPayrollPeriod(reopened) });
   } catch (error) {
-    console.error('Error getting time logs:', error);
+    console.error('Error reopening payroll period:', error);
     res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - ดึงข้อมูลพนักงานทั้งหมด (ปรับปรุงประสิทธิภาพ)
-app.get('/api/admin/employees', async (req, res) => {
-  console.log('👥 API: admin/employees - ดึงข้อมูลพนักงานทั้งหมด');
+// ⭐ คำนวณเงินเดือนของงวด: ชั่วโมงที่ได้รับค่าจ้าง ค่า OT และรายการหักมาสาย/ขาดงาน
+// ส่งออกเป็นไฟล์ได้เฉพาะงวดที่ปิดแล้ว (ข้อมูลการลงเวลาแก้ไขไม่ได้)
+async function runPayroll(period, { department = null } = {}) {
+  const settings = await loadSettings(PAYROLL_SETTING_NAMES);
+  
+  // พนักงานที่ใช้งานอยู่ และพนักงานที่มีบันทึกการลงเวลาในงวด
+  const employeesResult = await db.query(
+    `SELECT id, emp_code, full_name, department, ${EMPLOYEE_PAY_FIELDS.join(', ')}
+     FROM employees e
+     WHERE ($3::text IS NULL OR department = $3)
+       AND (status = 'active' OR EXISTS (
+         SELECT 1 FROM time_logs t WHERE t.employee_id = e.id AND t.work_date BETWEEN $1 AND $2
+       ))
+     ORDER BY emp_code`,
+    [period.start_date, period.end_date, department]
+  );
+  const employeeIds = employeesResult.rows.map(employee => employee.id);
   
+  const attendanceByEmployee = {};
+  (await getAttendance(period.start_date, period.end_date, { department })).forEach(record => {
+    (attendanceByEmployee[record.employee_id] = attendanceByEmployee[record.employee_id] || []).push(record);
+  });
+  
+  const overtimeResult = await db.query(
+    `SELECT * FROM daily_overtime
+     WHERE work_date BETWEEN $1 AND $2 AND employee_id = ANY($3::int[])`,
+    [period.start_date, period.end_date, employeeIds]
+  );
+  const overtimeByEmployee = {};
+  overtimeResult.rows.forEach(row => {
+    (overtimeByEmployee[row.employee_id] = overtimeByEmployee[row.employee_id] || []).push(row);
+  });
+  
+  return {
+    period,
+    settings,
+    ...computePayrollRun({
+      employees: employeesResult.rows,
+      attendanceByEmployee,
+      overtimeByEmployee,
+      rules: parsePayrollRules(settings)
+    })
+  };
+}
+
+// ⭐ API - รูปแบบไฟล์เงินเดือนที่รองรับ
+app.get('/api/admin/payroll/formats', requirePermission('payroll.manage'), async (req, res) => {
   try {
-    const { limit = 100, offset = 0 } = req.query;
-    
-    const result = await db.query(`
-      SELECT id, emp_code, full_name, position, department, 
-             line_id, line_name, status, mobile_enabled, created_at
-      FROM employees
-      ORDER BY emp_code
-      LIMIT $1 OFFSET $2
-    `, [limit, offset]);
-    
-    console.log(`Found ${result.rows.length} employees`);
-    res.json({ success: true, employees: result.rows });
+    const settings = await loadSettings(['payroll_file_format']);
+    res.json({ success: true, formats: listPayrollFormatters(), default_format: settings.payroll_file_format });
   } catch (error) {
-    console.error('Error getting employees:', error);
+    console.error('Error getting payroll formats:', error);
     res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - เพิ่มข้อมูลการลงเวลาใหม่ (ปรับปรุงประสิทธิภาพ)
-app.post('/api/admin/time-logs', async (req, res) => {
-  console.log('➕ API: admin/time-logs POST - เพิ่มข้อมูลการลงเวลาใหม่', req.body);
+// ⭐ API - คำนวณเงินเดือนของงวด
+// body: { format: 'json' (ค่าเริ่มต้น) หรือชื่อรูปแบบไฟล์, department, payment_date }
+app.post('/api/admin/payroll-periods/:id/run', requirePermission('payroll.manage'), async (req, res) => {
+  console.log('API: admin/payroll-periods/:id/run - คำนวณเงินเดือน', req.params, req.body);
   
   try {
-    const { employee_id, clock_in, clock_out, note, skip_notification } = req.body;
+    const { id } = req.params;
+    const { format = 'json', department, payment_date } = req.body;
     
-    if (!employee_id || !clock_in) {
-      return res.json({ success: false, message: 'กรุณาระบุข้อมูลที่จำเป็น' });
+    const formatter = format === 'json' ? null : getPayrollFormatter(format);
+    if (format !== 'json' && !formatter) {
+      return res.json({ success: false, message: 'ไม่รู้จักรูปแบบไฟล์เงินเดือน' });
     }
-    
-    const empResult = await db.query('SELECT id, full_name FROM employees WHERE id = $1', [employee_id]);
-    
-    if (empResult.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    if (payment_date && !isValidDate(payment_date)) {
+      return res.json({ success: false, message: 'รูปแบบวันที่จ่ายเงินไม่ถูกต้อง' });
     }
     
-    const employee = empResult.rows[0];
-    
-    console.log('🚀 Starting time processing...');
-    
-    const adjustedClockIn = processAdminDateTime(clock_in);
-    const adjustedClockOut = clock_out ? processAdminDateTime(clock_out) : null;
-    
-    console.log('✅ Time processing completed');
-    console.log('📊 Final times for database:');
-    console.log('   Clock In (UTC):', adjustedClockIn);
-    console.log('   Clock Out (UTC):', adjustedClockOut);
+    const periodResult = await db.query('SELECT * FROM payroll_periods WHERE id = $1', [id]);
+    if (periodResult.rows.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบงวดเงินเดือน' });
+    }
     
-    const insertQuery = `
-      INSERT INTO time_logs (employee_id, clock_in, clock_out, note, status)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id
-    `;
+    const period = formatPayrollPeriod(periodResult.rows[0]);
+    if (formatter && period.status !== 'closed') {
+      return res.json({ success: false, message: 'กรุณาปิดงวดก่อนสร้างไฟล์เงินเดือน' });
+    }
     
-    const result = await db.query(insertQuery, [
-      employee_id, 
-      adjustedClockIn, 
-      adjustedClockOut, 
-      note || null,
-      'manual'
-    ]);
+    const departmentScope = getDepartmentScope(req);
+    const run = await runPayroll(period, { department: departmentScope !== null ? departmentScope : (department || null) });
     
-    const newId = result.rows[0].id;
-    console.log(`✅ Added new time log with ID: ${newId}`);
+    if (!formatter) {
+      return res.json({ success: true, period, lines: run.lines, skipped: run.skipped, totals: run.totals });
+    }
     
-    // ส่งแจ้งเตือนถ้าไม่ได้ข้ามการแจ้งเตือน
-    if (!skip_notification) {
-      setImmediate(async () => {
-        try {
-          const notifySettingResult = await db.query(
-            'SELECT setting_value FROM settings WHERE setting_name = $1',
-            ['notify_clock_in']
-          );
-          
-          if (notifySettingResult.rows.length > 0 && notifySettingResult.rows[0].setting_value === '1') {
-            const clockInForNotify = new Date(adjustedClockIn);
-            const thaiTimeForNotify = new Date(clockInForNotify.getTime() + (7 * 60 * 60 * 1000));
-            
-            const thaiDate = thaiTimeForNotify.toLocaleDateString('th-TH');
-            const timeStr = thaiTimeForNotify.toLocaleTimeString('th-TH');
-            
-            let message =
-              `⏱ ลงเวลาเข้างาน (บันทึกโดยแอดมิน)\n` +
-              `👤 ชื่อ-นามสกุล: *${employee.full_name}*\n` +
-              `📅 วันที่: *${thaiDate}*\n` +
-              `🕒 เวลา: *${timeStr}*\n` +
-              (note ? `📝 หมายเหตุ: *${note}*\n` : "");
-            
-            await sendTelegramToAllGroups(message, null, null, employee.full_name);
-          }
-          
-          if (adjustedClockOut) {
-            const notifyOutSettingResult = await db.query(
-              'SELECT setting_value FROM settings WHERE setting_name = $1',
-              ['notify_clock_out']
-            );
-            
-            if (notifyOutSettingResult.rows.length > 0 && notifyOutSettingResult.rows[0].setting_value === '1') {
-              const clockOutForNotify = new Date(adjustedClockOut);
-              const thaiTimeForNotify = new Date(clockOutForNotify.getTime() + (7 * 60 * 60 * 1000));
-              
-              const thaiDate = thaiTimeForNotify.toLocaleDateString('th-TH');
-              const timeStr = thaiTimeForNotify.toLocaleTimeString('th-TH');
-              
-              let message =
-                `⏱ ลงเวลาออกงาน (บันทึกโดยแอดมิน)\n` +
-                `👤 ชื่อ-นามสกุล: *${employee.full_name}*\n` +
-                `📅 วันที่: *${thaiDate}*\n` +
-                `🕒 เวลา: *${timeStr}*\n`;
-              
-              await sendTelegramToAllGroups(message, null, null, employee.full_name);
-            }
-          }
-        } catch (notifyError) {
-          console.error('⚠️ Error sending notification:', notifyError.message);
-        }
-      });
+    if (run.lines.length === 0) {
+      return res.json({ success: false, message: 'ไม่มีพนักงานที่กำหนดอัตราค่าจ้างในงวดนี้' });
     }
     
-    res.json({ success: true, message: 'เพิ่มข้อมูลการลงเวลาเรียบร้อยแล้ว', id: newId });
+    const { today } = await loadWorkDaySettings();
+    const organization = await loadSettings(['organization_name']);
+    const content = formatter.format(run, {
+      organizationName: organization.organization_name,
+      companyAccount: run.settings.payroll_company_account,
+      paymentDate: payment_date || today
+    });
+    
+    await recordAudit(req, {
+      action: 'payroll_export',
+      entityType: 'payroll_period',
+      entityId: id,
+      after: { format: formatter.name, department: department || null, totals: run.totals }
+    });
     
+    res.setHeader('Content-Type', formatter.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="payroll-${period.start_date}-${period.end_date}.${formatter.extension}"`);
+    res.send(content);
   } catch (error) {
-    console.error('❌ Error adding time log:', error);
-    console.error('📋 Stack trace:', error.stack);
+    console.error('Error running payroll:', error);
     res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - แก้ไขข้อมูลการลงเวลา
-app.put('/api/admin/time-logs/:id', async (req, res) => {
-  console.log('✏️ API: admin/time-logs/:id PUT - แก้ไขข้อมูลการลงเวลา', req.params, req.body);
+// API - ดึงข้อมูลรายงานสรุป
+app.get('/api/admin/dashboard', requirePermission('dashboard.view'), async (req, res) => {
+  console.log('API: admin/dashboard - ดึงข้อมูลรายงานสรุป');
   
   try {
-    const { id } = req.params;
-    const { clock_in, clock_out, note } = req.body;
-    
-    const checkResult = await db.query('SELECT id FROM time_logs WHERE id = $1', [id]);
-    
-    if (checkResult.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลการลงเวลา' });
-    }
+    const { today, timeZone } = await loadWorkDaySettings();
     
-    console.log('🚀 Starting time processing for update...');
+    const departmentScope = getDepartmentScope(req);
     
-    const adjustedClockIn = processAdminDateTime(clock_in);
-    const adjustedClockOut = clock_out ? processAdminDateTime(clock_out) : null;
+    // ใช้ prepared statement สำหรับ dashboard
+    const result = departmentScope !== null
+      ? await db.executePrepared('GET_DASHBOARD_STATS_BY_DEPARTMENT', [today, departmentScope])
+      : await db.executePrepared('GET_DASHBOARD_STATS', [today]);
+    const stats = result.rows[0];
     
-    console.log('✅ Time processing for update completed');
-    console.log('📊 Final times for database update:');
-    console.log('   Clock In (UTC):', adjustedClockIn);
-    console.log('   Clock Out (UTC):', adjustedClockOut);
+    // จำนวนพนักงานที่มีกะทำงานวันนี้ (ไม่นับผู้ที่ลาทั้งวัน)
+    const [schedules, leaves] = await Promise.all([
+      getSchedulesForDate(today, departmentScope),
+      getApprovedLeaves(today, today, departmentScope)
+    ]);
+    const expectedToday = schedules.filter(item =>
+      item.schedule.working_day && !leaves.some(leave => leave.employee_id === item.employee.id && !leave.half_day)
+    ).length;
+    const holidayToday = (await loadHolidays(today, today)).get(today) || null;
+    
+    // ผู้ที่ขาดงานวันนี้ (ถึงเวลาเข้างานของกะแล้วแต่ยังไม่ลงเวลา และไม่ได้ลา)
+    const absentToday = (await computeAttendance(today, today, { department: departmentScope }))
+      .filter(record => record.status === 'absent')
+      .map(record => ({
+        emp_code: record.emp_code,
+        full_name: record.full_name,
+        department: record.department,
+        shift_name: record.shift_name
+      }));
+    
+    // บันทึกที่ลืมลงเวลาออกและรอตรวจสอบ (ทุกวัน)
+    const missingClockOutResult = await db.query(
+      `SELECT COUNT(*) AS count
+       FROM time_logs t
+       JOIN employees e ON t.employee_id = e.id
+       WHERE t.status = 'missing_clock_out' AND ($1::text IS NULL OR e.department = $1)`,
+      [departmentScope]
+    );
     
-    const updateQuery = `
-      UPDATE time_logs SET 
-      clock_in = $1, 
-      clock_out = $2, 
-      note = $3
-      WHERE id = $4
-    `;
+    // ข้อมูลการลงเวลาล่าสุด 10 รายการ
+    const recentLogsResult = await db.query(
+      `SELECT t.id, e.emp_code, e.full_name, t.clock_in, t.clock_out, t.note,
+              t.late_minutes, t.early_leave_minutes
+       FROM time_logs t
+       JOIN employees e ON t.employee_id = e.id
+       WHERE ($1::text IS NULL OR e.department = $1)
+       ORDER BY t.clock_in DESC
+       LIMIT 10`,
+      [departmentScope]
+    );
     
-    await db.query(updateQuery, [adjustedClockIn, adjustedClockOut, note, id]);
+    // ปรับรูปแบบวันที่เวลา และตรวจสอบค่า null
+    const formattedLogs = recentLogsResult.rows.filter(log => log && log.clock_in).map(log => {
+      return {
+        ...log,
+        clock_in_date: formatThaiDate(log.clock_in, timeZone),
+        clock_in_time: formatThaiTime(log.clock_in, timeZone),
+        clock_out_time: log.clock_out ? formatThaiTime(log.clock_out, timeZone) : ''
+      };
+    });
     
-    console.log(`✅ Updated time log ID: ${id}`);
-    res.json({ success: true, message: 'แก้ไขข้อมูลการลงเวลาเรียบร้อยแล้ว' });
+    console.log('Dashboard data fetched successfully');
     
+    res.json({
+      success: true,
+      dashboard: {
+        totalEmployees: parseInt(stats.total_employees) || 0,
+        checkedInToday: parseInt(stats.checked_in_today) || 0,
+        notCheckedOutToday: parseInt(stats.not_checked_out_today) || 0,
+        missingClockOut: parseInt(missingClockOutResult.rows[0].count) || 0,
+        lateToday: parseInt(stats.late_today) || 0,
+        leftEarlyToday: parseInt(stats.left_early_today) || 0,
+        expectedToday,
+        holidayToday,
+        absentToday,
+        onLeaveToday: leaves.length,
+        leaveToday: leaves.map(leave => ({
+          emp_code: leave.emp_code,
+          full_name: leave.full_name,
+          leave_type_name: leave.leave_type_name,
+          half_day: leave.half_day
+        })),
+        recentLogs: formattedLogs
+      }
+    });
   } catch (error) {
-    console.error('❌ Error updating time log:', error);
-    console.error('📋 Stack trace:', error.stack);
+    console.error('Error getting dashboard data:', error);
     res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ API - ลบข้อมูลการลงเวลา
-app.delete('/api/admin/time-logs/:id', async (req, res) => {
-  console.log('🗑️ API: admin/time-logs/:id DELETE - ลบข้อมูลการลงเวลา', req.params);
-  
+// server.js - Mobile Time Tracker Server (ส่วนที่ 6/8)
+// Mobile API Routes และ Notification Functions
+
+// ⭐ ฟังก์ชันส่งแจ้งเตือนที่ปรับปรุงแล้ว
+async function sendNotification(type, employee, timestamp, userinfo, lat, lon, line_name, details = {}) {
   try {
-    const { id } = req.params;
+    const notifySettingResult = await db.query(
+      'SELECT setting_value FROM settings WHERE setting_name = $1',
+      [type === 'clock_in' ? 'notify_clock_in' : 'notify_clock_out']
+    );
+
+    if (notifySettingResult.rows.length === 0 || notifySettingResult.rows[0].setting_value !== '1') {
+      return;
+    }
+
+    const { timeZone } = await loadWorkDaySettings();
+    const thaiFormatter = new Intl.DateTimeFormat('th-TH', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      weekday: 'long',
+      timeZone
+    });
+    const thaiDate = thaiFormatter.format(new Date(timestamp));
+    const returnDate = formatThaiTime(timestamp, timeZone);
+
+    const location = lat && lon ? `${lat}, ${lon}` : "ไม่มีข้อมูล";
+
+    let message = type === 'clock_in' 
+      ? `⏱ ลงเวลาเข้างาน\n`
+      : `⏱ ลงเวลาออกงาน\n`;
     
-    const checkResult = await db.query('SELECT id FROM time_logs WHERE id = $1', [id]);
+    message += `👤 ชื่อ-นามสกุล: *${employee}*\n`;
+    message += `📅 วันที่: *${thaiDate}*\n`;
+    message += `🕒 เวลา: *${returnDate}*\n`;
     
-    if (checkResult.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลการลงเวลา' });
+    if (type === 'clock_in' && details.lateMinutes > 0) {
+      message += `⚠️ มาสาย: *${formatMinutes(details.lateMinutes)}*\n`;
+    }
+    if (type === 'clock_out' && details.earlyLeaveMinutes > 0) {
+      message += `⚠️ ออกก่อนเวลา: *${formatMinutes(details.earlyLeaveMinutes)}*\n`;
     }
     
-    await db.query('DELETE FROM time_logs WHERE id = $1', [id]);
-    
-    console.log(`Deleted time log ID: ${id}`);
-    res.json({ success: true, message: 'ลบข้อมูลการลงเวลาเรียบร้อยแล้ว' });
+    if (line_name) message += `💬 ชื่อไลน์: *${line_name}*\n`;
+    if (userinfo && type === 'clock_in') message += `📝 หมายเหตุ: *${userinfo}*\n`;
+    if (lat && lon) {
+      message += `📍 พิกัด: *${location}*\n`;
+      message += `🗺 แผนที่: [ดูแผนที่](https://www.google.com/maps/place/${lat},${lon})`;
+    } else {
+      message += "📍 พิกัด: *ไม่มีข้อมูล*";
+    }
+
+    await sendTelegramToAllGroups(message, lat, lon, employee);
   } catch (error) {
-    console.error('Error deleting time log:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('❌ Error in sendNotification:', error);
   }
-});
+}
 
-// ⭐ API - เพิ่มพนักงานใหม่ (ล้าง cache)
-app.post('/api/admin/employees', async (req, res) => {
-  console.log('➕ API: admin/employees POST - เพิ่มพนักงานใหม่', req.body);
-  
+// ⭐ ฟังก์ชันส่ง Telegram ที่ปรับปรุงแล้ว
+async function sendTelegramToAllGroups(message, lat, lon, employee) {
   try {
-    const { emp_code, full_name, position, department } = req.body;
+    const [tokenResult, gasUrlResult, groupsResult] = await Promise.all([
+      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_bot_token']),
+      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['gas_web_app_url']),
+      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_groups'])
+    ]);
     
-    if (!emp_code || !full_name) {
-      return res.json({ success: false, message: 'กรุณาระบุรหัสพนักงานและชื่อ-นามสกุล' });
+    if (tokenResult.rows.length === 0 || !tokenResult.rows[0].setting_value) {
+      console.error('❌ Error getting Telegram token or token not set');
+      return;
     }
     
-    const checkResult = await db.query('SELECT id FROM employees WHERE emp_code = $1', [emp_code]);
+    let gasUrl = 'https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec';
+    if (gasUrlResult.rows.length > 0 && gasUrlResult.rows[0].setting_value) {
+      gasUrl = gasUrlResult.rows[0].setting_value.trim();
+    } else {
+      console.log('ไม่พบ URL ของ GSA ในฐานข้อมูล ใช้ค่าเริ่มต้น');
+    }
     
-    if (checkResult.rows.length > 0) {
-      return res.json({ success: false, message: 'รหัสพนักงานนี้มีอยู่ในระบบแล้ว' });
+    if (groupsResult.rows.length === 0 || !groupsResult.rows[0].setting_value) {
+      console.error('❌ No Telegram groups configured');
+      return;
     }
     
-    const insertResult = await db.query(
-      `INSERT INTO employees (emp_code, full_name, position, department, status, mobile_enabled)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
-      [emp_code, full_name, position || null, department || null, 'active', true]
+    const token = tokenResult.rows[0].setting_value;
+    
+    try {
+      const groups = JSON.parse(groupsResult.rows[0].setting_value);
+      
+      // ส่งแจ้งเตือนแบบ parallel
+      const promises = groups
+        .filter(group => group.active && group.chat_id)
+        .map(async (group) => {
+          try {
+            console.log(`Sending message to ${group.name} (${group.chat_id}) via GSA`);
+            
+            const jsonData = {
+              message: message,
+              chatId: group.chat_id,
+              token: token
+            };
+            
+            if (lat && lon) {
+              jsonData.lat = lat;
+              jsonData.lon = lon;
+            }
+            
+            const encodedData = encodeURIComponent(JSON.stringify(jsonData));
+            const urlWithParams = `${gasUrl}?opt=sendToTelegram&data=${encodedData}`;
+            
+            console.log('Sending request to GSA:', urlWithParams);
+            
+            const response = await axios.get(urlWithParams, { timeout: 10000 });
+            
+            console.log(`✅ Message sent to ${group.name} via GSA successfully:`, response.data);
+            return response.data;
+          } catch (error) {
+            console.error(`❌ Error sending message to ${group.name} via GSA:`, error.message);
+            console.error('Error details:', error.response?.data || error);
+            return null;
+          }
+        });
+    
+      await Promise.allSettled(promises);
+    } catch (error) {
+      console.error('❌ Error parsing Telegram groups:', error.message);
+    }
+  } catch (error) {
+    console.error('❌ Error in sendTelegramToAllGroups:', error.message);
+  }
+}
+
+// ⭐ แจ้งเตือนพนักงาน: เก็บในกล่องแจ้งเตือนของแอพ และส่งต่อไปยังกลุ่ม Telegram
+async function notifyEmployee(employee, { type, title, message }) {
+  try {
+    await db.query(
+      'INSERT INTO employee_notifications (employee_id, type, title, message) VALUES ($1, $2, $3, $4)',
+      [employee.id, type, title, message]
     );
     
-    // ล้าง cache
-    clearEmployeeCache();
+    await sendTelegramToAllGroups(
+      `🔔 ${title}\n👤 ชื่อ-นามสกุล: *${employee.full_name}*\n${message}`, null, null, employee.full_name
+    );
+  } catch (error) {
+    console.error('❌ Error in notifyEmployee:', error.message);
+  }
+}
+
+// --- Mobile-Specific API Routes ---
+const mobileApiBase = '/api/mobile';
+
+// ⭐ Mobile - ดึงรายชื่อพนักงาน
+app.get(`${mobileApiBase}/employees`, async (req, res) => {
+  console.log('📱 Mobile API: employees - ดึงรายชื่อพนักงาน');
+  
+  try {
+    const employees = await getEmployeesFromCache();
     
-    const newId = insertResult.rows[0].id;
+    // แปลงเป็นรูปแบบที่ Mobile ต้องการ
+    const mobileEmployees = employees.map(emp => ({
+      name: emp[0],
+      code: emp[1] || emp[0], // ใช้ชื่อเป็น code ถ้าไม่มี code
+      id: emp[0] // ใช้ชื่อเป็น ID
+    }));
     
-    console.log(`เพิ่มพนักงานใหม่สำเร็จ ID: ${newId}`);
-    res.json({ 
-      success: true, 
-      message: 'เพิ่มพนักงานเรียบร้อยแล้ว',
-      id: newId
+    res.json({
+      success: true,
+      employees: mobileEmployees,
+      count: mobileEmployees.length
     });
-    
   } catch (error) {
-    console.error('Error adding employee:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('❌ Mobile API employees error:', error);
+    res.json({
+      success: false,
+      message: 'ไม่สามารถดึงรายชื่อพนักงานได้',
+      employees: []
+    });
   }
 });
 
-// API - แก้ไขข้อมูลพนักงาน
-app.put('/api/admin/employees/:id', async (req, res) => {
-  console.log('API: admin/employees/:id PUT - แก้ไขข้อมูลพนักงาน', req.params, req.body);
+// ⭐ Mobile - ตรวจสอบสถานะการลงเวลา
+app.get(`${mobileApiBase}/status/:employeeName`, async (req, res) => {
+  console.log('📱 Mobile API: status - ตรวจสอบสถานะ', req.params);
   
   try {
-    const { id } = req.params;
-    const { emp_code, full_name, position, department, status, mobile_enabled } = req.body;
-    
-    if (!emp_code || !full_name) {
-      return res.json({ success: false, message: 'กรุณาระบุรหัสพนักงานและชื่อ-นามสกุล' });
-    }
-    
-    // ตรวจสอบว่ามีพนักงานนี้ในระบบหรือไม่
-    const checkResult = await db.query('SELECT id FROM employees WHERE id = $1', [id]);
-    
-    if (checkResult.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
-    }
+    const { employeeName } = req.params;
     
-    // ตรวจสอบว่ารหัสพนักงานซ้ำกับคนอื่นหรือไม่ (ยกเว้นตัวเอง)
-    const duplicateResult = await db.query(
-      'SELECT id FROM employees WHERE emp_code = $1 AND id != $2',
-      [emp_code, id]
-    );
+    // หาพนักงาน
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employeeName]);
     
-    if (duplicateResult.rows.length > 0) {
-      return res.json({ success: false, message: 'รหัสพนักงานนี้มีอยู่ในระบบแล้ว' });
+    if (empResult.rows.length === 0) {
+      return res.json({
+        success: false,
+        status: 'employee_not_found',
+        message: 'ไม่พบข้อมูลพนักงาน'
+      });
     }
     
-    // แก้ไขข้อมูลพนักงาน
-    const updateQuery = `
-      UPDATE employees SET 
-      emp_code = $1, 
-      full_name = $2, 
-      position = $3, 
-      department = $4,
-      status = $5,
-      mobile_enabled = $6
-      WHERE id = $7
-    `;
+    const emp = empResult.rows[0];
     
-    await db.query(updateQuery, [
-      emp_code, 
-      full_name, 
-      position || null, 
-      department || null,
-      status || 'active',
-      mobile_enabled !== undefined ? mobile_enabled : true,
-      id
+    // ตรวจสอบการลงเวลาวันนี้ (รวมกะข้ามคืนที่ยังไม่ลงเวลาออก) และกะของวันนี้
+    const { today, timeZone } = await loadWorkDaySettings();
+    const [{ record: openRecord, todayRecord }, schedule, leaves] = await Promise.all([
+      findClockOutRecord(emp, new Date()),
+      getEmployeeSchedule(emp, today),
+      getApprovedLeaves(today, today)
     ]);
+    const todayLeave = findLeaveOnDate(leaves, emp.id, today);
+    const shift = {
+      name: schedule.name,
+      start_time: schedule.start_time,
+      end_time: schedule.end_time,
+      working_day: schedule.working_day,
+      holiday: schedule.holiday,
+      leave: todayLeave ? { name: todayLeave.leave_type_name, half_day: todayLeave.half_day } : null
+    };
     
-    // ล้าง cache
-    clearEmployeeCache();
+    const record = openRecord || todayRecord;
     
-    console.log(`แก้ไขข้อมูลพนักงาน ID: ${id} เรียบร้อยแล้ว`);
-    res.json({ success: true, message: 'แก้ไขข้อมูลพนักงานเรียบร้อยแล้ว' });
+    if (openRecord) {
+      const openBreakResult = await db.executePrepared('GET_OPEN_BREAK', [openRecord.id]);
+      
+      if (openBreakResult.rows.length > 0) {
+        return res.json({
+          success: true,
+          status: 'on_break',
+          message: 'กำลังพัก',
+          employee_name: emp.full_name,
+          clock_in_time: formatThaiTime(openRecord.clock_in, timeZone),
+          break_start_time: formatThaiTime(openBreakResult.rows[0].break_start, timeZone),
+          break_minutes: openRecord.break_minutes || 0,
+          late_minutes: openRecord.late_minutes,
+          shift
+        });
+      }
+    }
+    
+    if (!record) {
+      return res.json({
+        success: true,
+        status: 'not_clocked_in',
+        message: 'ยังไม่ได้ลงเวลาเข้า',
+        employee_name: emp.full_name,
+        shift
+      });
+    }
+    
+    if (!record.clock_out) {
+      return res.json({
+        success: true,
+        status: 'clocked_in',
+        message: 'ลงเวลาเข้าแล้ว กำลังทำงาน',
+        employee_name: emp.full_name,
+        clock_in_time: formatThaiTime(record.clock_in, timeZone),
+        break_minutes: record.break_minutes || 0,
+        late_minutes: record.late_minutes,
+        shift
+      });
+    } else {
+      return res.json({
+        success: true,
+        status: 'completed',
+        message: 'ลงเวลาครบแล้ววันนี้',
+        employee_name: emp.full_name,
+        clock_in_time: formatThaiTime(record.clock_in, timeZone),
+        clock_out_time: formatThaiTime(record.clock_out, timeZone),
+        break_minutes: record.break_minutes || 0,
+        late_minutes: record.late_minutes,
+        early_leave_minutes: record.early_leave_minutes,
+        shift
+      });
+    }
     
   } catch (error) {
-    console.error('Error updating employee:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('❌ Mobile API status error:', error);
+    res.json({
+      success: false,
+      status: 'error',
+      message: 'เกิดข้อผิดพลาด: ' + error.message
+    });
   }
 });
 
-// API - ลบพนักงาน (soft delete)
-app.delete('/api/admin/employees/:id', async (req, res) => {
-  console.log('API: admin/employees DELETE - ลบพนักงาน', req.params);
+// ⭐ Mobile - ดึงประวัติการลงเวลา
+app.get(`${mobileApiBase}/history/:employeeName`, async (req, res) => {
+  console.log('📱 Mobile API: history - ดึงประวัติการลงเวลา', req.params);
   
   try {
-    const { id } = req.params;
+    const { employeeName } = req.params;
+    const { limit = 7 } = req.query;
     
-    // ตรวจสอบว่าพนักงานมีในระบบหรือไม่
-    const employeeResult = await db.query(
-      'SELECT id, full_name FROM employees WHERE id = $1',
-      [id]
-    );
+    // หาพนักงาน
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employeeName]);
     
-    if (employeeResult.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
+    if (empResult.rows.length === 0) {
+      return res.json({
+        success: false,
+        message: 'ไม่พบข้อมูลพนักงาน',
+        history: []
+      });
     }
     
-    const employee = employeeResult.rows[0];
+    const emp = empResult.rows[0];
+    
+    // ดึงประวัติ
+    const [historyResult, { timeZone }] = await Promise.all([
+      db.executePrepared('GET_EMPLOYEE_HISTORY', [emp.id, limit]),
+      loadWorkDaySettings()
+    ]);
     
-    // ลบพนักงาน (hard delete)
-    await db.query('DELETE FROM employees WHERE id = $1', [id]);
+    const history = historyResult.rows.map(log => {
+      return {
+        date: log.work_date ? new Date(log.work_date).toLocaleDateString('th-TH') : formatThaiDate(log.clock_in, timeZone),
+        clock_in: formatThaiTime(log.clock_in, timeZone),
+        clock_out: log.clock_out ? formatThaiTime(log.clock_out, timeZone) : null,
+        note: log.note || '',
+        status: log.status || 'normal',
+        break_minutes: log.break_minutes || 0,
+        duration: log.clock_out ? calculateDuration(new Date(log.clock_in), new Date(log.clock_out), log.break_minutes) : null
+      };
+    });
     
-    // ล้าง cache
-    clearEmployeeCache();
+    res.json({
+      success: true,
+      history: history,
+      employee_name: emp.full_name
+    });
     
-    console.log('Permanently deleted employee with ID:', id, '(', employee.full_name, ')');
-    res.json({ success: true, message: 'ลบพนักงานเรียบร้อยแล้ว' });
   } catch (error) {
-    console.error('Error deleting employee:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('❌ Mobile API history error:', error);
+    res.json({
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message,
+      history: []
+    });
   }
 });
 
-// API - ดึงการตั้งค่าทั้งหมด
-app.get('/api/admin/settings', async (req, res) => {
-  console.log('API: admin/settings - ดึงการตั้งค่าทั้งหมด');
+// ⭐ Mobile - Dashboard สำหรับ mobile
+app.get(`${mobileApiBase}/dashboard`, async (req, res) => {
+  console.log('📱 Mobile API: dashboard - ดึงข้อมูลแดชบอร์ด');
   
   try {
-    const result = await db.query('SELECT * FROM settings ORDER BY setting_name');
+    const { today } = await loadWorkDaySettings();
     
-    // ซ่อนรหัสผ่านแอดมิน
-    const filteredSettings = result.rows.map(setting => {
-      if (setting.setting_name === 'admin_password') {
-        return { ...setting, setting_value: '' };
+    // ใช้ prepared statement
+    const result = await db.executePrepared('GET_DASHBOARD_STATS', [today]);
+    const stats = result.rows[0];
+    
+    res.json({
+      success: true,
+      today: {
+        date: new Date().toLocaleDateString('th-TH'),
+        total_employees: parseInt(stats.total_employees) || 0,
+        checked_in: parseInt(stats.checked_in_today) || 0,
+        not_checked_out: parseInt(stats.not_checked_out_today) || 0,
+        checked_out: (parseInt(stats.checked_in_today) || 0) - (parseInt(stats.not_checked_out_today) || 0)
       }
-      return setting;
     });
     
-    console.log(`Found ${result.rows.length} settings`);
-    res.json({ success: true, settings: filteredSettings });
   } catch (error) {
-    console.error('Error getting settings:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('❌ Mobile API dashboard error:', error);
+    res.json({
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message,
+      today: {
+        total_employees: 0,
+        checked_in: 0,
+        not_checked_out: 0,
+        checked_out: 0
+      }
+    });
   }
 });
 
-// API - บันทึกการตั้งค่า
-app.post('/api/admin/settings', async (req, res) => {
-  console.log('API: admin/settings POST - บันทึกการตั้งค่า', req.body);
+// ⭐ Mobile - Batch API สำหรับเรียก API หลายตัวพร้วมกัน
+app.post(`${mobileApiBase}/batch`, async (req, res) => {
+  console.log('📱 Mobile API: batch - ประมวลผลคำขอหลายรายการ', req.body);
   
   try {
-    const { settings } = req.body;
+    const { operations } = req.body;
     
-    if (!Array.isArray(settings) || settings.length === 0) {
-      return res.json({ success: false, message: 'ข้อมูลไม่ถูกต้อง' });
+    if (!Array.isArray(operations)) {
+      return res.json({
+        success: false,
+        message: 'operations ต้องเป็น array'
+      });
     }
     
-    await db.withTransaction(async (client) => {
-      // บันทึกการตั้งค่าทีละรายการ
-      for (const setting of settings) {
-        if (setting.name && setting.value !== undefined) {
-          await client.query(
-            'UPDATE settings SET setting_value = $1 WHERE setting_name = $2',
-            [setting.value, setting.name]
-          );
+    const results = [];
+    
+    for (const operation of operations) {
+      try {
+        let result = { success: false, data: null };
+        
+        switch (operation.type) {
+          case 'get_settings':
+            // ส่งเฉพาะ settings ที่ registry กำหนดให้เป็น public
+            const settings = await loadSettings(getPublicSettingNames());
+            result = { success: true, data: settings };
+            break;
+            
+          case 'get_liff_id':
+            const liffResult = await db.query(
+              'SELECT setting_value FROM settings WHERE setting_name = $1',
+              ['liff_id']
+            );
+            result = {
+              success: true,
+              data: {
+                liff_id: liffResult.rows.length > 0 ? liffResult.rows[0].setting_value : '2001032478-VR5Akj0k'
+              }
+            };
+            break;
+            
+          default:
+            result = { success: false, data: null, message: 'Unknown operation type' };
         }
+        
+        results.push(result);
+        
+      } catch (error) {
+        console.error('❌ Batch operation error:', operation, error);
+        results.push({
+          success: false,
+          data: null,
+          message: error.message
+        });
       }
-    });
+    }
     
-    console.log('Settings updated successfully');
-    res.json({ success: true, message: 'บันทึกการตั้งค่าเรียบร้อยแล้ว' });
+    res.json({
+      success: true,
+      results: results
+    });
     
   } catch (error) {
-    console.error('Error updating settings:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาดในการบันทึกการตั้งค่า: ' + error.message });
+    console.error('❌ Mobile API batch error:', error);
+    res.json({
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message,
+      results: []
+    });
   }
 });
 
-// API - ดึงข้อมูลรายงานสรุป
-app.get('/api/admin/dashboard', async (req, res) => {
-  console.log('API: admin/dashboard - ดึงข้อมูลรายงานสรุป');
+// ⭐ Mobile - ปรับปรุง clockin API ให้รองรับ mobile response
+app.post(`${mobileApiBase}/clockin`, enforceAllowedIp('clock_in'), enforceLocationPolicy('clock_in'), async (req, res) => {
+  console.log('📱 Mobile API: clockin - บันทึกเวลาเข้า (Mobile)', req.body);
   
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const { 
+      employee, 
+      userinfo, 
+      lat, 
+      lon, 
+      line_name, 
+      line_picture 
+    } = req.body;
     
-    // ใช้ prepared statement สำหรับ dashboard
-    const result = await db.executePrepared('GET_DASHBOARD_STATS', [today]);
-    const stats = result.rows[0];
+    if (!employee) {
+      return res.json({ 
+        success: false,
+        message: 'กรุณาระบุชื่อพนักงาน' 
+      });
+    }
     
-    // ข้อมูลการลงเวลาล่าสุด 10 รายการ
-    const recentLogsResult = await db.query(
-      `SELECT t.id, e.emp_code, e.full_name, t.clock_in, t.clock_out, t.note
-       FROM time_logs t
-       JOIN employees e ON t.employee_id = e.id
-       ORDER BY t.clock_in DESC
-       LIMIT 10`
-    );
+    // ใช้ prepared statement
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
     
-    // ปรับรูปแบบวันที่เวลา และตรวจสอบค่า null
-    const formattedLogs = recentLogsResult.rows.filter(log => log && log.clock_in).map(log => {
-      const clockInDate = new Date(new Date(log.clock_in).getTime() + (7 * 60 * 60 * 1000));
-      const clockOutDate = log.clock_out ? new Date(new Date(log.clock_out).getTime() + (7 * 60 * 60 * 1000)) : null;
+    if (empResult.rows.length === 0) {
+      return res.json({ 
+        success: false,
+        message: 'ไม่พบข้อมูลพนักงาน' 
+      });
+    }
+    
+    const emp = empResult.rows[0];
+    // ใช้เวลาของเซิร์ฟเวอร์ ไม่รับเวลาจากเครื่องผู้ใช้ (กันลงเวลาย้อนหลังเข้างวดที่ปิดแล้ว)
+    const now = new Date().toISOString();
+    const { maxShiftHours, timeZone } = await loadWorkDaySettings();
+    const { lateMinutes, schedule, workDate } = await calculateAttendanceMinutes(emp, now, null);
+    
+    const outcome = await db.withTransaction(async (client) => {
+      const lockError = await checkPayrollLock([workDate], client);
+      if (lockError) {
+        return { error: lockError };
+      }
+      
+      // ตรวจสอบการลงเวลาซ้ำ (วันทำงานเดียวกัน หรือยังมีกะที่ยังไม่ลงเวลาออก)
+      const checkExistingResult = await db.executePrepared('CHECK_CLOCK_IN_TODAY', [
+        emp.id, workDate, getOpenRecordCutoff(now, maxShiftHours)
+      ], client);
+      if (checkExistingResult.rows.length > 0) {
+        return { error: 'คุณได้ลงเวลาเข้าแล้ววันนี้' };
+      }
       
-      return {
-        ...log,
-        clock_in_date: clockInDate.toLocaleDateString('th-TH'),
-        clock_in_time: clockInDate.toLocaleTimeString('th-TH'),
-        clock_out_time: clockOutDate ? clockOutDate.toLocaleTimeString('th-TH') : ''
-      };
+      // บันทึกเวลาเข้า
+      await db.executePrepared('INSERT_TIME_LOG', [
+        emp.id, now, userinfo || null, lat || null, lon || null, line_name || null, line_picture || null,
+        ...getGeofenceParams(req), lateMinutes, schedule.shift_id, workDate
+      ], client);
+      
+      return {};
     });
+    if (outcome.error) {
+      return res.json({ success: false, message: outcome.error });
+    }
     
-    console.log('Dashboard data fetched successfully');
+    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
+    setImmediate(async () => {
+      try {
+        await sendNotification('clock_in', employee, now, userinfo, lat, lon, line_name, { lateMinutes });
+      } catch (error) {
+        console.error('❌ Notification error:', error);
+      }
+    });
     
-    res.json({
+    // เวลาตามเขตเวลาของหน่วยงาน
+    const timeString = formatThaiTime(now, timeZone);
+    
+    return res.json({
       success: true,
-      dashboard: {
-        totalEmployees: parseInt(stats.total_employees) || 0,
-        checkedInToday: parseInt(stats.checked_in_today) || 0,
-        notCheckedOutToday: parseInt(stats.not_checked_out_today) || 0,
-        recentLogs: formattedLogs
-      }
+      message: `ลงเวลาเข้า ${timeString} เรียบร้อย`,
+      time: timeString,
+      timestamp: now,
+      employee: employee,
+      late_minutes: lateMinutes,
+      location_status: req.geofence ? req.geofence.status : null,
+      distance: req.geofence ? req.geofence.distance : null
     });
+    
   } catch (error) {
-    console.error('Error getting dashboard data:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+    console.error('❌ Error in mobile clockin:', error);
+    return res.json({ 
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
+    });
   }
 });
 
-// API พิเศษสำหรับรีเซ็ตข้อมูลแอดมิน
-app.get('/api/reset-admin', async (req, res) => {
-  console.log('API: reset-admin - รีเซ็ตข้อมูลแอดมิน');
+// ⭐ Mobile - ปรับปรุง clockout API ให้รองรับ mobile response
+app.post(`${mobileApiBase}/clockout`, enforceAllowedIp('clock_out'), enforceLocationPolicy('clock_out'), async (req, res) => {
+  console.log('📱 Mobile API: clockout - บันทึกเวลาออก (Mobile)', req.body);
   
   try {
-    await db.withTransaction(async (client) => {
-      // ลบข้อมูลเดิม (ถ้ามี)
-      await client.query(
-        'DELETE FROM settings WHERE setting_name = $1 OR setting_name = $2',
-        ['admin_username', 'admin_password']
-      );
+    const { 
+      employee, 
+      lat, 
+      lon, 
+      line_name, 
+      line_picture 
+    } = req.body;
+    
+    if (!employee) {
+      return res.json({ 
+        success: false,
+        message: 'กรุณาระบุชื่อพนักงาน' 
+      });
+    }
+    
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
+    
+    if (empResult.rows.length === 0) {
+      return res.json({ 
+        success: false,
+        message: 'ไม่พบข้อมูลพนักงาน' 
+      });
+    }
+    
+    const emp = empResult.rows[0];
+    // ใช้เวลาของเซิร์ฟเวอร์ ไม่รับเวลาจากเครื่องผู้ใช้ (กันลงเวลาย้อนหลังเข้างวดที่ปิดแล้ว)
+    const now = new Date().toISOString();
+    const { record, todayRecord } = await findClockOutRecord(emp, now);
+    
+    if (!record) {
+      return res.json({ 
+        success: false,
+        message: todayRecord ? 'คุณได้ลงเวลาออกแล้ววันนี้' : 'คุณยังไม่ได้ลงเวลาเข้าวันนี้'
+      });
+    }
+    
+    const outcome = await db.withTransaction(async (client) => {
+      const lockError = await checkPayrollLock([record.work_date], client);
+      if (lockError) {
+        return { error: lockError };
+      }
       
-      // เพิ่มข้อมูลใหม่
-      await client.query(
-        'INSERT INTO settings (setting_name, setting_value, description) VALUES ($1, $2, $3)',
-        ['admin_username', 'admin', 'ชื่อผู้ใช้สำหรับแอดมิน']
-      );
+      // ลงเวลาออกระหว่างพัก ถือว่าพักสิ้นสุดพร้อมการลงเวลาออก
+      const closedBreakMinutes = await closeOpenBreak(record.id, now, lat, lon, client);
+      const breakMinutes = closedBreakMinutes !== null ? closedBreakMinutes : record.break_minutes;
       
-      await client.query(
-        'INSERT INTO settings (setting_name, setting_value, description) VALUES ($1, $2, $3)',
-        ['admin_password', 'admin123', 'รหัสผ่านสำหรับแอดมิน']
+      const { earlyLeaveMinutes, overtimeMinutes } = await calculateAttendanceMinutes(
+        emp, fromDbTimestamp(record.clock_in), now, toDateString(record.work_date), breakMinutes
       );
+      
+      // บันทึกเวลาออก
+      await db.executePrepared('UPDATE_CLOCK_OUT', [
+        now, lat || null, lon || null, line_name || null, line_picture || null, record.id,
+        ...getGeofenceParams(req), earlyLeaveMinutes, overtimeMinutes
+      ], client);
+      
+      return { earlyLeaveMinutes };
     });
+    if (outcome.error) {
+      return res.json({ success: false, message: outcome.error });
+    }
     
-    console.log('Admin credentials reset successfully');
-    res.json({ success: true, message: 'รีเซ็ตข้อมูลแอดมินเรียบร้อยแล้ว' });
+    const { earlyLeaveMinutes } = outcome;
+    await updateDailyOvertime(emp.id, record.work_date);
+    await updateDailyAttendance(emp.id, record.work_date);
     
-  } catch (error) {
-    console.error('Error resetting admin:', error);
-    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
-  }
-});
-
-// server.js - Mobile Time Tracker Server (ส่วนที่ 6/8)
-// Mobile API Routes และ Notification Functions
-
-// ⭐ ฟังก์ชันส่งแจ้งเตือนที่ปรับปรุงแล้ว
-async function sendNotification(type, employee, timestamp, userinfo, lat, lon, line_name) {
-  try {
-    const notifySettingResult = await db.query(
-      'SELECT setting_value FROM settings WHERE setting_name = $1',
-      [type === 'clock_in' ? 'notify_clock_in' : 'notify_clock_out']
-    );
-
-    if (notifySettingResult.rows.length === 0 || notifySettingResult.rows[0].setting_value !== '1') {
-      return;
-    }
-
-    const date = new Date(timestamp);
-    const thaiFormatter = new Intl.DateTimeFormat('th-TH', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric',
-      weekday: 'long'
+    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
+    setImmediate(async () => {
+      try {
+        await sendNotification('clock_out', employee, now, null, lat, lon, line_name, { earlyLeaveMinutes });
+      } catch (error) {
+        console.error('❌ Notification error:', error);
+      }
     });
-    const thaiDate = thaiFormatter.format(date);
-
-    const hours = String(date.getUTCHours() + 7).padStart(2, '0');
-    const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-    const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-    const returnDate = `${hours}:${minutes}:${seconds}`;
-
-    const location = lat && lon ? `${lat}, ${lon}` : "ไม่มีข้อมูล";
-
-    let message = type === 'clock_in' 
-      ? `⏱ ลงเวลาเข้างาน\n`
-      : `⏱ ลงเวลาออกงาน\n`;
     
-    message += `👤 ชื่อ-นามสกุล: *${employee}*\n`;
-    message += `📅 วันที่: *${thaiDate}*\n`;
-    message += `🕒 เวลา: *${returnDate}*\n`;
+    // เวลาตามเขตเวลาของหน่วยงาน
+    const { timeZone } = await loadWorkDaySettings();
+    const timeString = formatThaiTime(now, timeZone);
+    
+    return res.json({
+      success: true,
+      message: `ลงเวลาออก ${timeString} เรียบร้อย`,
+      time: timeString,
+      timestamp: now,
+      employee: employee,
+      early_leave_minutes: earlyLeaveMinutes,
+      location_status: req.geofence ? req.geofence.status : null,
+      distance: req.geofence ? req.geofence.distance : null
+    });
     
-    if (line_name) message += `💬 ชื่อไลน์: *${line_name}*\n`;
-    if (userinfo && type === 'clock_in') message += `📝 หมายเหตุ: *${userinfo}*\n`;
-    if (lat && lon) {
-      message += `📍 พิกัด: *${location}*\n`;
-      message += `🗺 แผนที่: [ดูแผนที่](https://www.google.com/maps/place/${lat},${lon})`;
-    } else {
-      message += "📍 พิกัด: *ไม่มีข้อมูล*";
-    }
-
-    await sendTelegramToAllGroups(message, lat, lon, employee);
   } catch (error) {
-    console.error('❌ Error in sendNotification:', error);
+    console.error('❌ Error in mobile clockout:', error);
+    return res.json({ 
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
+    });
   }
-}
+});
 
-// ⭐ ฟังก์ชันส่ง Telegram ที่ปรับปรุงแล้ว
-async function sendTelegramToAllGroups(message, lat, lon, employee) {
+// ⭐ Mobile - เริ่มพัก (ระหว่างกะที่ยังไม่ลงเวลาออก)
+// ตรวจเฉพาะ IP ที่อนุญาต ไม่ตรวจ geofence เพราะพักนอกสถานที่ทำงานได้
+app.post(`${mobileApiBase}/break-start`, enforceAllowedIp('break_start'), async (req, res) => {
+  console.log('📱 Mobile API: break-start - เริ่มพัก', req.body);
+  
   try {
-    const [tokenResult, gasUrlResult, groupsResult] = await Promise.all([
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_bot_token']),
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['gas_web_app_url']),
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['telegram_groups'])
-    ]);
+    const { employee, lat, lon } = req.body;
     
-    if (tokenResult.rows.length === 0 || !tokenResult.rows[0].setting_value) {
-      console.error('❌ Error getting Telegram token or token not set');
-      return;
+    if (!employee) {
+      return res.json({ 
+        success: false,
+        message: 'กรุณาระบุชื่อพนักงาน' 
+      });
     }
     
-    let gasUrl = 'https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec';
-    if (gasUrlResult.rows.length > 0 && gasUrlResult.rows[0].setting_value) {
-      gasUrl = gasUrlResult.rows[0].setting_value.trim();
-    } else {
-      console.log('ไม่พบ URL ของ GSA ในฐานข้อมูล ใช้ค่าเริ่มต้น');
-    }
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
     
-    if (groupsResult.rows.length === 0 || !groupsResult.rows[0].setting_value) {
-      console.error('❌ No Telegram groups configured');
-      return;
+    if (empResult.rows.length === 0) {
+      return res.json({ 
+        success: false,
+        message: 'ไม่พบข้อมูลพนักงาน' 
+      });
     }
     
-    const token = tokenResult.rows[0].setting_value;
+    const emp = empResult.rows[0];
+    // ใช้เวลาของเซิร์ฟเวอร์ ไม่รับเวลาจากเครื่องผู้ใช้ (กันลงเวลาย้อนหลังเข้างวดที่ปิดแล้ว)
+    const now = new Date().toISOString();
+    const { record } = await findClockOutRecord(emp, now);
     
-    try {
-      const groups = JSON.parse(groupsResult.rows[0].setting_value);
-      
-      // ส่งแจ้งเตือนแบบ parallel
-      const promises = groups
-        .filter(group => group.active && group.chat_id)
-        .map(async (group) => {
-          try {
-            console.log(`Sending message to ${group.name} (${group.chat_id}) via GSA`);
-            
-            const jsonData = {
-              message: message,
-              chatId: group.chat_id,
-              token: token
-            };
-            
-            if (lat && lon) {
-              jsonData.lat = lat;
-              jsonData.lon = lon;
-            }
-            
-            const encodedData = encodeURIComponent(JSON.stringify(jsonData));
-            const urlWithParams = `${gasUrl}?opt=sendToTelegram&data=${encodedData}`;
-            
-            console.log('Sending request to GSA:', urlWithParams);
-            
-            const response = await axios.get(urlWithParams, { timeout: 10000 });
-            
-            console.log(`✅ Message sent to ${group.name} via GSA successfully:`, response.data);
-            return response.data;
-          } catch (error) {
-            console.error(`❌ Error sending message to ${group.name} via GSA:`, error.message);
-            console.error('Error details:', error.response?.data || error);
-            return null;
-          }
-        });
+    if (!record) {
+      return res.json({ 
+        success: false,
+        message: 'คุณยังไม่ได้ลงเวลาเข้างาน'
+      });
+    }
     
-      await Promise.allSettled(promises);
-    } catch (error) {
-      console.error('❌ Error parsing Telegram groups:', error.message);
+    const breakError = await db.withTransaction(async (client) => {
+      const lockError = await checkPayrollLock([record.work_date], client);
+      if (lockError) {
+        return lockError;
+      }
+      
+      const openBreakResult = await db.executePrepared('GET_OPEN_BREAK', [record.id], client);
+      if (openBreakResult.rows.length > 0) {
+        return 'คุณกำลังพักอยู่แล้ว';
+      }
+      
+      await db.executePrepared('START_BREAK', [record.id, now, lat || null, lon || null], client);
+      return null;
+    });
+    if (breakError) {
+      return res.json({ 
+        success: false,
+        message: breakError
+      });
     }
-  } catch (error) {
-    console.error('❌ Error in sendTelegramToAllGroups:', error.message);
-  }
-}
-
-// --- Mobile-Specific API Routes ---
-const mobileApiBase = '/api/mobile';
-
-// ⭐ Mobile - ดึงรายชื่อพนักงาน
-app.get(`${mobileApiBase}/employees`, async (req, res) => {
-  console.log('📱 Mobile API: employees - ดึงรายชื่อพนักงาน');
-  
-  try {
-    const employees = await getEmployeesFromCache();
     
-    // แปลงเป็นรูปแบบที่ Mobile ต้องการ
-    const mobileEmployees = employees.map(emp => ({
-      name: emp[0],
-      code: emp[1] || emp[0], // ใช้ชื่อเป็น code ถ้าไม่มี code
-      id: emp[0] // ใช้ชื่อเป็น ID
-    }));
+    const { timeZone } = await loadWorkDaySettings();
+    const timeString = formatThaiTime(now, timeZone);
     
-    res.json({
+    return res.json({
       success: true,
-      employees: mobileEmployees,
-      count: mobileEmployees.length
+      message: `เริ่มพัก ${timeString}`,
+      time: timeString,
+      timestamp: now,
+      employee: employee
     });
+    
   } catch (error) {
-    console.error('❌ Mobile API employees error:', error);
-    res.json({
+    console.error('❌ Error in mobile break-start:', error);
+    return res.json({ 
       success: false,
-      message: 'ไม่สามารถดึงรายชื่อพนักงานได้',
-      employees: []
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
     });
   }
 });
 
-// ⭐ Mobile - ตรวจสอบสถานะการลงเวลา
-app.get(`${mobileApiBase}/status/:employeeName`, async (req, res) => {
-  console.log('📱 Mobile API: status - ตรวจสอบสถานะ', req.params);
+// ⭐ Mobile - กลับจากพัก
+app.post(`${mobileApiBase}/break-end`, enforceAllowedIp('break_end'), async (req, res) => {
+  console.log('📱 Mobile API: break-end - กลับจากพัก', req.body);
   
   try {
-    const { employeeName } = req.params;
-    const today = new Date().toISOString().split('T')[0];
+    const { employee, lat, lon } = req.body;
     
-    // หาพนักงาน
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employeeName]);
+    if (!employee) {
+      return res.json({ 
+        success: false,
+        message: 'กรุณาระบุชื่อพนักงาน' 
+      });
+    }
+    
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
     
     if (empResult.rows.length === 0) {
-      return res.json({
+      return res.json({ 
         success: false,
-        status: 'employee_not_found',
-        message: 'ไม่พบข้อมูลพนักงาน'
+        message: 'ไม่พบข้อมูลพนักงาน' 
       });
     }
     
     const emp = empResult.rows[0];
+    // ใช้เวลาของเซิร์ฟเวอร์ ไม่รับเวลาจากเครื่องผู้ใช้ (กันลงเวลาย้อนหลังเข้างวดที่ปิดแล้ว)
+    const now = new Date().toISOString();
+    const { record } = await findClockOutRecord(emp, now);
     
-    // ตรวจสอบการลงเวลาวันนี้
-    const recordResult = await db.executePrepared('GET_TODAY_RECORD', [emp.id, today]);
-    
-    if (recordResult.rows.length === 0) {
-      return res.json({
-        success: true,
-        status: 'not_clocked_in',
-        message: 'ยังไม่ได้ลงเวลาเข้า',
-        employee_name: emp.full_name
+    if (!record) {
+      return res.json({ 
+        success: false,
+        message: 'คุณยังไม่ได้ลงเวลาเข้างาน'
       });
     }
     
-    const record = recordResult.rows[0];
-    
-    if (!record.clock_out) {
-      // คำนวณเวลาเข้างาน
-      const clockInTime = new Date(new Date(record.clock_in).getTime() + (7 * 60 * 60 * 1000));
-      
-      return res.json({
-        success: true,
-        status: 'clocked_in',
-        message: 'ลงเวลาเข้าแล้ว กำลังทำงาน',
-        employee_name: emp.full_name,
-        clock_in_time: clockInTime.toLocaleTimeString('th-TH')
-      });
-    } else {
-      // คำนวณเวลาเข้า-ออก
-      const clockInTime = new Date(new Date(record.clock_in).getTime() + (7 * 60 * 60 * 1000));
-      const clockOutTime = new Date(new Date(record.clock_out).getTime() + (7 * 60 * 60 * 1000));
+    const outcome = await db.withTransaction(async (client) => {
+      const lockError = await checkPayrollLock([record.work_date], client);
+      if (lockError) {
+        return { error: lockError };
+      }
       
-      return res.json({
-        success: true,
-        status: 'completed',
-        message: 'ลงเวลาครบแล้ววันนี้',
-        employee_name: emp.full_name,
-        clock_in_time: clockInTime.toLocaleTimeString('th-TH'),
-        clock_out_time: clockOutTime.toLocaleTimeString('th-TH')
+      const breakMinutes = await closeOpenBreak(record.id, now, lat, lon, client);
+      return breakMinutes === null ? { error: 'คุณยังไม่ได้เริ่มพัก' } : { breakMinutes };
+    });
+    if (outcome.error) {
+      return res.json({ 
+        success: false,
+        message: outcome.error
       });
     }
     
+    const { breakMinutes } = outcome;
+    
+    const { timeZone } = await loadWorkDaySettings();
+    const timeString = formatThaiTime(now, timeZone);
+    
+    return res.json({
+      success: true,
+      message: `กลับจากพัก ${timeString} (พักรวม ${formatMinutes(breakMinutes)})`,
+      time: timeString,
+      timestamp: now,
+      employee: employee,
+      break_minutes: breakMinutes
+    });
+    
   } catch (error) {
-    console.error('❌ Mobile API status error:', error);
-    res.json({
+    console.error('❌ Error in mobile break-end:', error);
+    return res.json({ 
       success: false,
-      status: 'error',
-      message: 'เกิดข้อผิดพลาด: ' + error.message
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
     });
   }
 });
 
-// ⭐ Mobile - ดึงประวัติการลงเวลา
-app.get(`${mobileApiBase}/history/:employeeName`, async (req, res) => {
-  console.log('📱 Mobile API: history - ดึงประวัติการลงเวลา', req.params);
+// ⭐ Mobile - ข้อมูลการลาของพนักงาน (ประเภทการลา ยอดคงเหลือ และคำขอล่าสุด)
+app.get(`${mobileApiBase}/leave/:employeeName`, async (req, res) => {
+  console.log('📱 Mobile API: leave - ดึงข้อมูลการลา', req.params);
   
   try {
-    const { employeeName } = req.params;
-    const { limit = 7 } = req.query;
-    
-    // หาพนักงาน
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employeeName]);
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [req.params.employeeName]);
     
     if (empResult.rows.length === 0) {
-      return res.json({
+      return res.json({ 
         success: false,
-        message: 'ไม่พบข้อมูลพนักงาน',
-        history: []
+        message: 'ไม่พบข้อมูลพนักงาน' 
       });
     }
     
     const emp = empResult.rows[0];
-    
-    // ดึงประวัติ
-    const historyResult = await db.executePrepared('GET_EMPLOYEE_HISTORY', [emp.id, limit]);
-    
-    const history = historyResult.rows.map(log => {
-      const clockInDate = new Date(new Date(log.clock_in).getTime() + (7 * 60 * 60 * 1000));
-      const clockOutDate = log.clock_out ? new Date(new Date(log.clock_out).getTime() + (7 * 60 * 60 * 1000)) : null;
-      
-      return {
-        date: clockInDate.toLocaleDateString('th-TH'),
-        clock_in: clockInDate.toLocaleTimeString('th-TH'),
-        clock_out: clockOutDate ? clockOutDate.toLocaleTimeString('th-TH') : null,
-        note: log.note || '',
-        status: log.status || 'normal',
-        duration: clockOutDate ? calculateDuration(new Date(log.clock_in), new Date(log.clock_out)) : null
-      };
-    });
+    const year = (await loadWorkDaySettings()).today.substring(0, 4);
+    
+    const [balances, requestsResult] = await Promise.all([
+      getLeaveBalances(emp.id, year),
+      db.query(
+        `SELECT r.id, r.start_date, r.end_date, r.half_day, r.days, r.reason, r.status, r.review_note,
+                t.name AS leave_type_name
+         FROM leave_requests r
+         JOIN leave_types t ON r.leave_type_id = t.id
+         WHERE r.employee_id = $1
+         ORDER BY r.start_date DESC, r.id DESC
+         LIMIT 10`,
+        [emp.id]
+      )
+    ]);
     
     res.json({
       success: true,
-      history: history,
-      employee_name: emp.full_name
+      employee_name: emp.full_name,
+      year,
+      balances,
+      requests: requestsResult.rows.map(row => ({
+        ...row,
+        start_date: toDateString(row.start_date),
+        end_date: toDateString(row.end_date)
+      }))
     });
     
   } catch (error) {
-    console.error('❌ Mobile API history error:', error);
+    console.error('❌ Mobile API leave error:', error);
     res.json({
       success: false,
-      message: 'เกิดข้อผิดพลาด: ' + error.message,
-      history: []
+      message: 'เกิดข้อผิดพลาด: ' + error.message
     });
   }
 });
 
-// ⭐ Mobile - Dashboard สำหรับ mobile
-app.get(`${mobileApiBase}/dashboard`, async (req, res) => {
-  console.log('📱 Mobile API: dashboard - ดึงข้อมูลแดชบอร์ด');
+// ⭐ Mobile - ยื่นคำขอลา
+app.post(`${mobileApiBase}/leave-request`, async (req, res) => {
+  console.log('📱 Mobile API: leave-request - ยื่นคำขอลา', req.body);
   
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const { employee, reason } = req.body;
     
-    // ใช้ prepared statement
-    const result = await db.executePrepared('GET_DASHBOARD_STATS', [today]);
-    const stats = result.rows[0];
+    if (!employee) {
+      return res.json({ 
+        success: false,
+        message: 'กรุณาระบุชื่อพนักงาน' 
+      });
+    }
+    
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
+    
+    if (empResult.rows.length === 0) {
+      return res.json({ 
+        success: false,
+        message: 'ไม่พบข้อมูลพนักงาน' 
+      });
+    }
+    
+    const emp = empResult.rows[0];
+    const { error, leaveType, days } = await prepareLeaveRequest(emp, req.body);
+    if (error) {
+      return res.json({ success: false, message: error });
+    }
+    
+    const { start_date, end_date, half_day } = req.body;
+    const result = await db.query(
+      `INSERT INTO leave_requests (employee_id, leave_type_id, start_date, end_date, half_day, days, reason)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [emp.id, leaveType.id, start_date, end_date, half_day || null, days, reason ? String(reason).trim() : null]
+    );
+    
+    // แจ้งผู้อนุมัติทาง Telegram (ไม่รอผลลัพธ์)
+    setImmediate(async () => {
+      try {
+        const period = start_date === end_date ? start_date : `${start_date} ถึง ${end_date}`;
+        let message =
+          `📝 คำขอลาใหม่ (รออนุมัติ)\n` +
+          `👤 ชื่อ-นามสกุล: *${emp.full_name}*\n` +
+          `🏷 ประเภท: *${leaveType.name}*\n` +
+          `📅 วันที่: *${period}* (${days} วัน)\n`;
+        if (reason) message += `📝 เหตุผล: *${reason}*\n`;
+        
+        await sendTelegramToAllGroups(message, null, null, emp.full_name);
+      } catch (notifyError) {
+        console.error('⚠️ Error sending leave notification:', notifyError.message);
+      }
+    });
     
     res.json({
       success: true,
-      today: {
-        date: new Date().toLocaleDateString('th-TH'),
-        total_employees: parseInt(stats.total_employees) || 0,
-        checked_in: parseInt(stats.checked_in_today) || 0,
-        not_checked_out: parseInt(stats.not_checked_out_today) || 0,
-        checked_out: (parseInt(stats.checked_in_today) || 0) - (parseInt(stats.not_checked_out_today) || 0)
-      }
+      message: `ยื่นคำขอ${leaveType.name} ${days} วันเรียบร้อย รอการอนุมัติ`,
+      request: result.rows[0]
     });
     
   } catch (error) {
-    console.error('❌ Mobile API dashboard error:', error);
-    res.json({
+    console.error('❌ Error in mobile leave-request:', error);
+    return res.json({ 
       success: false,
-      message: 'เกิดข้อผิดพลาด: ' + error.message,
-      today: {
-        total_employees: 0,
-        checked_in: 0,
-        not_checked_out: 0,
-        checked_out: 0
-      }
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
     });
   }
 });
 
-// ⭐ Mobile - Batch API สำหรับเรียก API หลายตัวพร้วมกัน
-app.post(`${mobileApiBase}/batch`, async (req, res) => {
-  console.log('📱 Mobile API: batch - ประมวลผลคำขอหลายรายการ', req.body);
+// ⭐ Mobile - ยกเลิกคำขอลาที่ยังรออนุมัติ
+app.post(`${mobileApiBase}/leave-request/:id/cancel`, async (req, res) => {
+  console.log('📱 Mobile API: leave-request cancel - ยกเลิกคำขอลา', req.params, req.body);
   
   try {
-    const { operations } = req.body;
+    const { employee } = req.body;
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee || '']);
     
-    if (!Array.isArray(operations)) {
-      return res.json({
+    if (empResult.rows.length === 0) {
+      return res.json({ 
         success: false,
-        message: 'operations ต้องเป็น array'
+        message: 'ไม่พบข้อมูลพนักงาน' 
       });
     }
     
-    const results = [];
+    const result = await db.query(
+      `UPDATE leave_requests SET status = 'cancelled'
+       WHERE id = $1 AND employee_id = $2 AND status = 'pending'
+       RETURNING id`,
+      [req.params.id, empResult.rows[0].id]
+    );
     
-    for (const operation of operations) {
-      try {
-        let result = { success: false, data: null };
-        
-        switch (operation.type) {
-          case 'get_settings':
-            const settingsResult = await db.query('SELECT * FROM settings');
-            const settings = {};
-            settingsResult.rows.forEach(row => {
-              settings[row.setting_name] = row.setting_value;
-            });
-            result = { success: true, data: settings };
-            break;
-            
-          case 'get_liff_id':
-            const liffResult = await db.query(
-              'SELECT setting_value FROM settings WHERE setting_name = $1',
-              ['liff_id']
-            );
-            result = {
-              success: true,
-              data: {
-                liff_id: liffResult.rows.length > 0 ? liffResult.rows[0].setting_value : '2001032478-VR5Akj0k'
-              }
-            };
-            break;
-            
-          default:
-            result = { success: false, data: null, message: 'Unknown operation type' };
-        }
-        
-        results.push(result);
-        
-      } catch (error) {
-        console.error('❌ Batch operation error:', operation, error);
-        results.push({
-          success: false,
-          data: null,
-          message: error.message
-        });
-      }
+    if (result.rows.length === 0) {
+      return res.json({ 
+        success: false,
+        message: 'ไม่พบคำขอลาที่รออนุมัติ' 
+      });
     }
     
-    res.json({
-      success: true,
-      results: results
-    });
+    res.json({ success: true, message: 'ยกเลิกคำขอลาเรียบร้อย' });
     
   } catch (error) {
-    console.error('❌ Mobile API batch error:', error);
-    res.json({
+    console.error('❌ Error in mobile leave-request cancel:', error);
+    return res.json({ 
       success: false,
-      message: 'เกิดข้อผิดพลาด: ' + error.message,
-      results: []
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
     });
   }
 });
 
-// ⭐ Mobile - ปรับปรุง clockin API ให้รองรับ mobile response
-app.post(`${mobileApiBase}/clockin`, async (req, res) => {
-  console.log('📱 Mobile API: clockin - บันทึกเวลาเข้า (Mobile)', req.body);
+// ⭐ Mobile - บันทึกการลงเวลาล่าสุดและคำขอแก้ไขเวลา
+const MOBILE_CORRECTION_DAYS = 14; // แสดงบันทึกย้อนหลังให้เลือกแก้ไข
+
+app.get(`${mobileApiBase}/time-corrections/:employeeName`, async (req, res) => {
+  console.log('📱 Mobile API: time-corrections - ดึงคำขอแก้ไขเวลา', req.params);
   
   try {
-    const { 
-      employee, 
-      userinfo, 
-      lat, 
-      lon, 
-      line_name, 
-      line_picture, 
-      client_time 
-    } = req.body;
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [req.params.employeeName]);
     
-    if (!employee) {
+    if (empResult.rows.length === 0) {
       return res.json({ 
         success: false,
-        message: 'กรุณาระบุชื่อพนักงาน' 
+        message: 'ไม่พบข้อมูลพนักงาน' 
       });
     }
     
-    // ใช้ prepared statement
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
+    const emp = empResult.rows[0];
+    const { today, timeZone } = await loadWorkDaySettings();
+    
+    const [logsResult, requestsResult] = await Promise.all([
+      db.query(
+        `SELECT id, work_date, clock_in, clock_out, status FROM time_logs
+         WHERE employee_id = $1 AND work_date >= $2
+         ORDER BY clock_in DESC`,
+        [emp.id, addDays(today, -MOBILE_CORRECTION_DAYS)]
+      ),
+      db.query(
+        `SELECT id, request_type, requested_clock_in, requested_clock_out, reason, status, review_note, created_at
+         FROM time_correction_requests
+         WHERE employee_id = $1
+         ORDER BY created_at DESC
+         LIMIT 10`,
+        [emp.id]
+      )
+    ]);
+    
+    res.json({
+      success: true,
+      employee_name: emp.full_name,
+      today,
+      logs: logsResult.rows.map(row => ({
+        id: row.id,
+        work_date: toDateString(row.work_date),
+        status: row.status,
+        clock_in: toLocalDateTimeInput(row.clock_in, timeZone),
+        clock_out: toLocalDateTimeInput(row.clock_out, timeZone),
+        clock_in_display: formatLogDateTime(row.clock_in, timeZone),
+        clock_out_display: formatLogDateTime(row.clock_out, timeZone)
+      })),
+      requests: requestsResult.rows.map(row => ({
+        id: row.id,
+        request_type: row.request_type,
+        request_type_label: CORRECTION_TYPE_LABELS[row.request_type] || row.request_type,
+        clock_in_display: formatLogDateTime(row.requested_clock_in, timeZone),
+        clock_out_display: formatLogDateTime(row.requested_clock_out, timeZone),
+        reason: row.reason,
+        status: row.status,
+        review_note: row.review_note
+      }))
+    });
+    
+  } catch (error) {
+    console.error('❌ Mobile API time-corrections error:', error);
+    res.json({
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message
+    });
+  }
+});
+
+// ⭐ Mobile - ยื่นคำขอแก้ไขเวลา (เวลาเป็นเวลาท้องถิ่น YYYY-MM-DDTHH:MM, photo เป็น data URL)
+app.post(`${mobileApiBase}/time-correction`, async (req, res) => {
+  console.log('📱 Mobile API: time-correction - ยื่นคำขอแก้ไขเวลา', { ...req.body, photo: req.body.photo ? '[photo]' : null });
+  
+  try {
+    const { employee, request_type, time_log_id, clock_in, clock_out, reason, photo } = req.body;
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee || '']);
     
     if (empResult.rows.length === 0) {
       return res.json({ 
@@ -1955,49 +7373,107 @@ app.post(`${mobileApiBase}/clockin`, async (req, res) => {
     }
     
     const emp = empResult.rows[0];
-    const today = new Date().toISOString().split('T')[0];
+    const { timeZone, maxShiftHours } = await loadWorkDaySettings();
     
-    // ตรวจสอบการลงเวลาซ้ำ
-    const checkExistingResult = await db.executePrepared('CHECK_CLOCK_IN_TODAY', [emp.id, today]);
+    const clockIn = clock_in ? parseLocalDateTimeInput(clock_in, timeZone) : null;
+    const clockOut = clock_out ? parseLocalDateTimeInput(clock_out, timeZone) : null;
+    if ((clock_in && !clockIn) || (clock_out && !clockOut)) {
+      return res.json({ success: false, message: 'รูปแบบวันที่และเวลาไม่ถูกต้อง' });
+    }
     
-    if (checkExistingResult.rows.length > 0) {
-      return res.json({ 
-        success: false,
-        message: 'คุณได้ลงเวลาเข้าแล้ววันนี้'
-      });
+    let timeLog = null;
+    if (time_log_id && request_type !== 'missing_clock_in') {
+      const logResult = await db.query(
+        'SELECT id, clock_in, clock_out, status, work_date FROM time_logs WHERE id = $1 AND employee_id = $2',
+        [time_log_id, emp.id]
+      );
+      if (logResult.rows.length === 0) {
+        return res.json({ success: false, message: 'ไม่พบบันทึกการลงเวลาที่ต้องการแก้ไข' });
+      }
+      timeLog = {
+        id: logResult.rows[0].id,
+        status: logResult.rows[0].status,
+        work_date: logResult.rows[0].work_date,
+        clock_in: fromDbTimestamp(logResult.rows[0].clock_in),
+        clock_out: fromDbTimestamp(logResult.rows[0].clock_out)
+      };
+    }
+    
+    const validationError = validateCorrectionRequest({
+      requestType: request_type, timeLog, clockIn, clockOut, reason, maxShiftHours
+    });
+    if (validationError) {
+      return res.json({ success: false, message: validationError });
+    }
+    
+    const times = resolveCorrectedTimes({ requestType: request_type, timeLog, clockIn, clockOut });
+    if (await findOverlappingTimeLog(emp.id, times.clockIn, times.clockOut, timeLog ? timeLog.id : null)) {
+      return res.json({ success: false, message: 'ช่วงเวลาที่ขอแก้ไขทับกับบันทึกการลงเวลาอื่น' });
+    }
+    
+    const lockError = await checkPayrollLock([
+      timeLog && timeLog.work_date,
+      clockIn && toLocalParts(clockIn, timeZone).date
+    ]);
+    if (lockError) {
+      return res.json({ success: false, message: lockError });
     }
     
-    const now = client_time ? adjustClientTime(client_time) : new Date().toISOString();
+    let parsedPhoto = null;
+    if (photo) {
+      parsedPhoto = parsePhotoDataUrl(photo);
+      if (parsedPhoto.error) {
+        return res.json({ success: false, message: parsedPhoto.error });
+      }
+    }
     
-    // บันทึกเวลาเข้า
-    await db.executePrepared('INSERT_TIME_LOG', [
-      emp.id, now, userinfo || null, lat || null, lon || null, line_name || null, line_picture || null
-    ]);
+    if (timeLog) {
+      const pendingResult = await db.query(
+        `SELECT id FROM time_correction_requests WHERE time_log_id = $1 AND status = 'pending' LIMIT 1`,
+        [timeLog.id]
+      );
+      if (pendingResult.rows.length > 0) {
+        return res.json({ success: false, message: 'มีคำขอแก้ไขบันทึกนี้รออนุมัติอยู่แล้ว' });
+      }
+    }
     
-    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
+    const result = await db.query(
+      `INSERT INTO time_correction_requests
+         (employee_id, time_log_id, request_type, requested_clock_in, requested_clock_out, reason, photo, photo_type)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, request_type, status, created_at`,
+      [
+        emp.id, timeLog ? timeLog.id : null, request_type,
+        clockIn ? clockIn.toISOString() : null, clockOut ? clockOut.toISOString() : null,
+        String(reason).trim(), parsedPhoto ? parsedPhoto.data : null, parsedPhoto ? parsedPhoto.mimeType : null
+      ]
+    );
+    
+    // แจ้งผู้อนุมัติทาง Telegram (ไม่รอผลลัพธ์)
     setImmediate(async () => {
       try {
-        await sendNotification('clock_in', employee, now, userinfo, lat, lon, line_name);
-      } catch (error) {
-        console.error('❌ Notification error:', error);
+        let message =
+          `🕒 คำขอแก้ไขเวลาใหม่ (รออนุมัติ)\n` +
+          `👤 ชื่อ-นามสกุล: *${emp.full_name}*\n` +
+          `🏷 ประเภท: *${CORRECTION_TYPE_LABELS[request_type]}*\n`;
+        if (clockIn) message += `🟢 เวลาเข้า: *${formatLogDateTime(clockIn.toISOString(), timeZone)}*\n`;
+        if (clockOut) message += `🔴 เวลาออก: *${formatLogDateTime(clockOut.toISOString(), timeZone)}*\n`;
+        message += `📝 เหตุผล: *${String(reason).trim()}*\n`;
+        
+        await sendTelegramToAllGroups(message, null, null, emp.full_name);
+      } catch (notifyError) {
+        console.error('⚠️ Error sending time correction notification:', notifyError.message);
       }
     });
     
-    // ปรับเวลาเป็นเวลาไทย
-    const date = new Date(now);
-    const thaiTime = new Date(date.getTime() + (7 * 60 * 60 * 1000));
-    const timeString = thaiTime.toLocaleTimeString('th-TH');
-    
-    return res.json({
+    res.json({
       success: true,
-      message: `ลงเวลาเข้า ${timeString} เรียบร้อย`,
-      time: timeString,
-      timestamp: now,
-      employee: employee
+      message: 'ยื่นคำขอแก้ไขเวลาเรียบร้อย รอการอนุมัติ',
+      request: result.rows[0]
     });
     
   } catch (error) {
-    console.error('❌ Error in mobile clockin:', error);
+    console.error('❌ Error in mobile time-correction:', error);
     return res.json({ 
       success: false,
       message: 'เกิดข้อผิดพลาด: ' + error.message 
@@ -2005,88 +7481,109 @@ app.post(`${mobileApiBase}/clockin`, async (req, res) => {
   }
 });
 
-// ⭐ Mobile - ปรับปรุง clockout API ให้รองรับ mobile response
-app.post(`${mobileApiBase}/clockout`, async (req, res) => {
-  console.log('📱 Mobile API: clockout - บันทึกเวลาออก (Mobile)', req.body);
+// ⭐ Mobile - ยกเลิกคำขอแก้ไขเวลาที่ยังรออนุมัติ
+app.post(`${mobileApiBase}/time-correction/:id/cancel`, async (req, res) => {
+  console.log('📱 Mobile API: time-correction cancel - ยกเลิกคำขอแก้ไขเวลา', req.params, req.body);
   
   try {
-    const { 
-      employee, 
-      lat, 
-      lon, 
-      line_name, 
-      line_picture, 
-      client_time 
-    } = req.body;
+    const { employee } = req.body;
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee || '']);
     
-    if (!employee) {
+    if (empResult.rows.length === 0) {
       return res.json({ 
         success: false,
-        message: 'กรุณาระบุชื่อพนักงาน' 
+        message: 'ไม่พบข้อมูลพนักงาน' 
       });
     }
     
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
+    const result = await db.query(
+      `UPDATE time_correction_requests SET status = 'cancelled'
+       WHERE id = $1 AND employee_id = $2 AND status = 'pending'
+       RETURNING id`,
+      [req.params.id, empResult.rows[0].id]
+    );
     
-    if (empResult.rows.length === 0) {
+    if (result.rows.length === 0) {
       return res.json({ 
         success: false,
-        message: 'ไม่พบข้อมูลพนักงาน' 
+        message: 'ไม่พบคำขอแก้ไขเวลาที่รออนุมัติ' 
       });
     }
     
-    const emp = empResult.rows[0];
-    const today = new Date().toISOString().split('T')[0];
+    res.json({ success: true, message: 'ยกเลิกคำขอแก้ไขเวลาเรียบร้อย' });
     
-    const recordResult = await db.executePrepared('GET_TODAY_RECORD', [emp.id, today]);
+  } catch (error) {
+    console.error('❌ Error in mobile time-correction cancel:', error);
+    return res.json({ 
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
+    });
+  }
+});
+
+// ⭐ Mobile - การแจ้งเตือนที่ยังไม่ได้อ่าน
+app.get(`${mobileApiBase}/notifications/:employeeName`, async (req, res) => {
+  console.log('📱 Mobile API: notifications - ดึงการแจ้งเตือน', req.params);
+  
+  try {
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [req.params.employeeName]);
     
-    if (recordResult.rows.length === 0) {
+    if (empResult.rows.length === 0) {
       return res.json({ 
         success: false,
-        message: 'คุณยังไม่ได้ลงเวลาเข้าวันนี้'
+        message: 'ไม่พบข้อมูลพนักงาน' 
       });
     }
     
-    const record = recordResult.rows[0];
+    const result = await db.query(
+      `SELECT id, type, title, message, created_at
+       FROM employee_notifications
+       WHERE employee_id = $1 AND read_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT 20`,
+      [empResult.rows[0].id]
+    );
+    
+    res.json({ success: true, notifications: result.rows });
+    
+  } catch (error) {
+    console.error('❌ Error in mobile notifications:', error);
+    return res.json({ 
+      success: false,
+      message: 'เกิดข้อผิดพลาด: ' + error.message 
+    });
+  }
+});
+
+// ⭐ Mobile - ทำเครื่องหมายว่าอ่านการแจ้งเตือนแล้ว
+app.post(`${mobileApiBase}/notifications/read`, async (req, res) => {
+  console.log('📱 Mobile API: notifications read - อ่านการแจ้งเตือนแล้ว', req.body);
+  
+  try {
+    const { employee, ids } = req.body;
+    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee || '']);
     
-    if (record.clock_out) {
+    if (empResult.rows.length === 0) {
       return res.json({ 
         success: false,
-        message: 'คุณได้ลงเวลาออกแล้ววันนี้'
+        message: 'ไม่พบข้อมูลพนักงาน' 
       });
     }
     
-    const now = client_time ? adjustClientTime(client_time) : new Date().toISOString();
-    
-    // บันทึกเวลาออก
-    await db.executePrepared('UPDATE_CLOCK_OUT', [
-      now, lat || null, lon || null, line_name || null, line_picture || null, record.id
-    ]);
-    
-    // ส่งแจ้งเตือน (ไม่รอผลลัพธ์)
-    setImmediate(async () => {
-      try {
-        await sendNotification('clock_out', employee, now, null, lat, lon, line_name);
-      } catch (error) {
-        console.error('❌ Notification error:', error);
-      }
-    });
+    const notificationIds = (Array.isArray(ids) ? ids : [])
+      .map(id => parseInt(id))
+      .filter(id => Number.isInteger(id));
     
-    // ปรับเวลาเป็นเวลาไทย
-    const date = new Date(now);
-    const thaiTime = new Date(date.getTime() + (7 * 60 * 60 * 1000));
-    const timeString = thaiTime.toLocaleTimeString('th-TH');
+    await db.query(
+      `UPDATE employee_notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE employee_id = $1 AND id = ANY($2::int[]) AND read_at IS NULL`,
+      [empResult.rows[0].id, notificationIds]
+    );
     
-    return res.json({
-      success: true,
-      message: `ลงเวลาออก ${timeString} เรียบร้อย`,
-      time: timeString,
-      timestamp: now,
-      employee: employee
-    });
+    res.json({ success: true });
     
   } catch (error) {
-    console.error('❌ Error in mobile clockout:', error);
+    console.error('❌ Error in mobile notifications read:', error);
     return res.json({ 
       success: false,
       message: 'เกิดข้อผิดพลาด: ' + error.message 
@@ -2109,22 +7606,21 @@ app.get(`${mobileApiBase}/health`, (req, res) => {
 // ⭐ Mobile - App Configuration
 app.get(`${mobileApiBase}/config`, async (req, res) => {
   try {
-    const [liffResult, offsetResult, orgResult] = await Promise.all([
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['liff_id']),
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['time_offset']),
-      db.query('SELECT setting_value FROM settings WHERE setting_name = $1', ['organization_name'])
-    ]);
+    const settings = await loadSettings(getPublicSettingNames());
     
     res.json({
       success: true,
       config: {
-        liff_id: liffResult.rows.length > 0 ? liffResult.rows[0].setting_value : '2001032478-VR5Akj0k',
-        time_offset: offsetResult.rows.length > 0 ? parseInt(offsetResult.rows[0].setting_value) : 420,
-        organization_name: orgResult.rows.length > 0 ? orgResult.rows[0].setting_value : 'องค์การบริหารส่วนตำบลหัวนา',
+        liff_id: settings.liff_id,
+        time_offset: parseInt(settings.time_offset) || 420,
+        organization_name: settings.organization_name,
+        work_start_time: settings.work_start_time,
+        work_end_time: settings.work_end_time,
+        app_version: settings.mobile_app_version,
         features: {
-          location_required: true,
+          location_required: settings.require_location === '1',
           notification_enabled: true,
-          offline_mode: true
+          offline_mode: settings.enable_offline_mode === '1'
         }
       }
     });
@@ -2152,116 +7648,6 @@ app.use(`${mobileApiBase}/*`, (err, req, res, next) => {
   });
 });
 
-// ⭐ Test APIs สำหรับการทดสอบ
-app.post('/api/test-clockin', async (req, res) => {
-  console.log('API: test-clockin - ทดสอบการลงเวลาเข้า', req.body);
-  
-  try {
-    const { employee, userinfo } = req.body;
-    
-    if (!employee) {
-      return res.json({ msg: 'กรุณาระบุชื่อพนักงาน' });
-    }
-    
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
-    
-    if (empResult.rows.length === 0) {
-      return res.json({ msg: 'ไม่พบข้อมูลพนักงาน' });
-    }
-    
-    const emp = empResult.rows[0];
-    const today = new Date().toISOString().split('T')[0];
-    
-    const checkExistingResult = await db.executePrepared('CHECK_CLOCK_IN_TODAY', [emp.id, today]);
-    
-    if (checkExistingResult.rows.length > 0) {
-      return res.json({ 
-        msg: 'คุณได้ลงเวลาเข้าแล้ววันนี้', 
-        employee
-      });
-    }
-    
-    const now = new Date().toISOString();
-    
-    await db.executePrepared('INSERT_TIME_LOG', [
-      emp.id, now, userinfo || null, 13.7563 || null, 100.5018 || null, null, null
-    ]);
-    
-    const utcTime = new Date(now);
-    const thaiTime = new Date(utcTime.getTime() + (7 * 60 * 60 * 1000));
-    const returnDate = thaiTime.toLocaleTimeString('th-TH');
-    
-    return res.json({
-      msg: 'SUCCESS',
-      employee,
-      return_date: returnDate,
-      return_date_utc: now
-    });
-  } catch (error) {
-    console.error('Error in test clockin:', error);
-    return res.json({ msg: 'เกิดข้อผิดพลาด: ' + error.message });
-  }
-});
-
-app.post('/api/test-clockout', async (req, res) => {
-  console.log('API: test-clockout - ทดสอบการลงเวลาออก', req.body);
-  
-  try {
-    const { employee } = req.body;
-    
-    if (!employee) {
-      return res.json({ msg: 'กรุณาระบุชื่อพนักงาน' });
-    }
-    
-    const empResult = await db.executePrepared('GET_EMPLOYEE_BY_CODE', [employee]);
-    
-    if (empResult.rows.length === 0) {
-      return res.json({ msg: 'ไม่พบข้อมูลพนักงาน' });
-    }
-    
-    const emp = empResult.rows[0];
-    const today = new Date().toISOString().split('T')[0];
-    
-    const recordResult = await db.executePrepared('GET_TODAY_RECORD', [emp.id, today]);
-    
-    if (recordResult.rows.length === 0) {
-      return res.json({ 
-        msg: 'คุณยังไม่ได้ลงเวลาเข้าวันนี้', 
-        employee
-      });
-    }
-    
-    const record = recordResult.rows[0];
-    
-    if (record.clock_out) {
-      return res.json({ 
-        msg: 'คุณได้ลงเวลาออกแล้ววันนี้', 
-        employee
-      });
-    }
-    
-    const now = new Date().toISOString();
-    
-    await db.executePrepared('UPDATE_CLOCK_OUT', [
-      now, 13.7563 || null, 100.5018 || null, null, null, record.id
-    ]);
-    
-    const utcTime = new Date(now);
-    const thaiTime = new Date(utcTime.getTime() + (7 * 60 * 60 * 1000));
-    const returnDate = thaiTime.toLocaleTimeString('th-TH');
-    
-    return res.json({
-      msg: 'SUCCESS',
-      employee,
-      return_date: returnDate,
-      return_date_utc: now
-    });
-  } catch (error) {
-    console.error('Error in test clockout:', error);
-    return res.json({ msg: 'เกิดข้อผิดพลาด: ' + error.message });
-  }
-});
-
 // server.js - Mobile Time Tracker Server (ส่วนที่ 7/8)
 // Health Check, Monitoring และ Error Handlers
 
@@ -2500,30 +7886,242 @@ function performCleanup() {
       }
     }
     
+    // ล้าง admin session ที่หมดอายุ
+    cleanupExpiredAdminSessions();
+    
     // ล้าง employee cache หากเก่าเกินไป
     if (employeeCacheTime && (Date.now() - employeeCacheTime) > CACHE_DURATION * 2) {
       clearEmployeeCache();
       console.log('🧹 Cleared expired employee cache');
     }
     
-    // Force garbage collection ใน development
-    if (process.env.NODE_ENV === 'development' && global.gc) {
-      const beforeMem = process.memoryUsage().heapUsed;
-      global.gc();
-      const afterMem = process.memoryUsage().heapUsed;
-      const freed = Math.round((beforeMem - afterMem) / 1024 / 1024);
-      if (freed > 0) {
-        console.log(`🧹 Garbage collection freed ${freed}MB`);
-      }
+    // Force garbage collection ใน development
+    if (process.env.NODE_ENV === 'development' && global.gc) {
+      const beforeMem = process.memoryUsage().heapUsed;
+      global.gc();
+      const afterMem = process.memoryUsage().heapUsed;
+      const freed = Math.round((beforeMem - afterMem) / 1024 / 1024);
+      if (freed > 0) {
+        console.log(`🧹 Garbage collection freed ${freed}MB`);
+      }
+    }
+    
+  } catch (error) {
+    console.error('❌ Cleanup error:', error);
+  }
+}
+
+// รัน cleanup ทุก 10 นาที
+setInterval(performCleanup, 10 * 60 * 1000);
+
+// ⭐ งานประจำวัน: บันทึกสถานะการมาทำงานของเมื่อวาน หลังเวลาที่ตั้งไว้ (attendance_job_time) วันละครั้ง
+let lastAttendanceJobDate = null;
+
+async function runDailyAttendanceJob() {
+  try {
+    const [{ today, timeZone }, settings] = await Promise.all([
+      loadWorkDaySettings(),
+      loadSettings(['attendance_job_time'])
+    ]);
+    
+    const jobTime = parseTimeOfDay(settings.attendance_job_time);
+    const jobMinutes = jobTime !== null ? jobTime : parseTimeOfDay(getSettingDefault('attendance_job_time'));
+    if (lastAttendanceJobDate === today || toLocalParts(new Date(), timeZone).minutes < jobMinutes) {
+      return;
+    }
+    
+    lastAttendanceJobDate = today;
+    const yesterday = addDays(today, -1);
+    const count = await saveAttendance(yesterday, yesterday);
+    console.log(`📋 Saved ${count} attendance records for ${yesterday}`);
+    
+  } catch (error) {
+    lastAttendanceJobDate = null;
+    console.error('❌ Daily attendance job error:', error);
+  }
+}
+
+// ตรวจสอบทุก 10 นาที
+setInterval(runDailyAttendanceJob, 10 * 60 * 1000);
+
+// ⭐ งานตรวจสอบบันทึกที่ลืมลงเวลาออก: แจ้งเตือนพนักงานหลังเวลาเลิกกะ (clock_out_reminder_minutes)
+// และเมื่อเลยเวลาเลิกกะตามที่กำหนด (missing_clock_out_cutoff_minutes) จะลงเวลาออกให้ตามเวลาเลิกกะ (auto_closed)
+// หรือทำเครื่องหมายให้แอดมินตรวจสอบ (missing_clock_out) ตาม missing_clock_out_action
+// บันทึกที่ไม่มีเวลาเลิกกะให้อ้างอิง (วันหยุดตามกะ หรือเข้างานหลังเวลาเลิกกะ) ทำเครื่องหมายเมื่อเลยความยาวกะสูงสุด
+const MISSING_CLOCK_OUT_NOTIFY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_AUDIT_REQUEST = { admin: { id: null, username: 'system' }, ip: null, headers: {} };
+let missingClockOutJobRunning = false;
+
+// เวลาเลิกกะของวันทำงาน (Date) หรือ null ถ้าวันนั้นไม่มีกะทำงาน
+function getScheduledShiftEnd(schedule, workDate, timeZone) {
+  if (!schedule.working_day) return null;
+  
+  const endMinutes = shiftEndMinutes(schedule.start_time, schedule.end_time);
+  return endMinutes === null ? null : timestampFromWorkDate(workDate, endMinutes, timeZone);
+}
+
+function formatLocalTime(timestamp, timeZone) {
+  return new Date(timestamp).toLocaleTimeString('th-TH', { timeZone, hour: '2-digit', minute: '2-digit' });
+}
+
+function formatWorkDateTime(workDate, timestamp, timeZone) {
+  return `${new Date(workDate).toLocaleDateString('th-TH')} เวลา ${formatLocalTime(timestamp, timeZone)} น.`;
+}
+
+// ลงเวลาออกตามเวลาเลิกกะ คืน false ถ้าปิดไม่ได้ (พักค้างที่เริ่มหลังเวลาเลิกกะ หรือลงเวลาออกไปแล้ว)
+async function autoCloseTimeLog(record, workDate, closeAt) {
+  const closeTime = closeAt.toISOString();
+  const employee = { id: record.employee_id, department: record.department };
+  
+  const closed = await db.withTransaction(async (client) => {
+    const beforeResult = await client.query(
+      'SELECT * FROM time_logs WHERE id = $1 AND clock_out IS NULL FOR UPDATE', [record.id]
+    );
+    if (beforeResult.rows.length === 0) {
+      return false;
+    }
+    
+    const openBreakResult = await db.executePrepared('GET_OPEN_BREAK', [record.id], client);
+    if (openBreakResult.rows.length > 0 && fromDbTimestamp(openBreakResult.rows[0].break_start) > closeAt) {
+      return false;
+    }
+    
+    // ปิดพักค้างใน transaction เดียวกับการลงเวลาออก ถ้าลงเวลาออกไม่สำเร็จพักจะไม่ถูกปิดค้างไว้
+    const closedBreakMinutes = await closeOpenBreak(record.id, closeTime, null, null, client);
+    const breakMinutes = closedBreakMinutes !== null ? closedBreakMinutes : beforeResult.rows[0].break_minutes;
+    const { earlyLeaveMinutes, overtimeMinutes } = await calculateAttendanceMinutes(
+      employee, fromDbTimestamp(record.clock_in), closeTime, workDate, breakMinutes
+    );
+    
+    const updateResult = await client.query(
+      `UPDATE time_logs
+       SET clock_out = $1, status = 'auto_closed', early_leave_minutes = $2, overtime_minutes = $3
+       WHERE id = $4
+       RETURNING *`,
+      [closeTime, earlyLeaveMinutes, overtimeMinutes, record.id]
+    );
+    
+    await recordAudit(SYSTEM_AUDIT_REQUEST, {
+      action: 'update',
+      entityType: 'time_log',
+      entityId: record.id,
+      before: beforeResult.rows[0],
+      after: updateResult.rows[0]
+    }, client);
+    return true;
+  });
+  
+  if (closed) {
+    await updateDailyOvertime(record.employee_id, workDate);
+    await updateDailyAttendance(record.employee_id, workDate);
+  }
+  return closed;
+}
+
+async function runMissingClockOutJob() {
+  if (missingClockOutJobRunning) return;
+  missingClockOutJobRunning = true;
+  
+  try {
+    const [{ timeZone, maxShiftHours }, settings] = await Promise.all([
+      loadWorkDaySettings(),
+      loadSettings(['missing_clock_out_action', 'missing_clock_out_cutoff_minutes', 'clock_out_reminder_minutes'])
+    ]);
+    const action = settings.missing_clock_out_action;
+    const cutoffMinutes = parseInt(settings.missing_clock_out_cutoff_minutes) || 0;
+    const reminderMinutes = parseInt(settings.clock_out_reminder_minutes) || 0;
+    if (action === 'off' && reminderMinutes <= 0) {
+      return;
+    }
+    
+    const result = await db.query(
+      `SELECT t.id, t.employee_id, t.clock_in, t.work_date, t.break_minutes, t.clock_out_reminded_at,
+              e.full_name, e.department
+       FROM time_logs t
+       JOIN employees e ON t.employee_id = e.id
+       WHERE t.clock_out IS NULL AND COALESCE(t.status, 'normal') <> 'missing_clock_out'
+         AND NOT EXISTS (
+           SELECT 1 FROM payroll_periods p
+           WHERE p.status = 'closed' AND t.work_date BETWEEN p.start_date AND p.end_date
+         )
+       ORDER BY t.clock_in`
+    );
+    
+    const now = Date.now();
+    const counts = { reminded: 0, closed: 0, flagged: 0 };
+    
+    for (const record of result.rows) {
+      const employee = { id: record.employee_id, full_name: record.full_name, department: record.department };
+      const clockIn = fromDbTimestamp(record.clock_in);
+      const workDate = toDateString(record.work_date) || toLocalParts(clockIn, timeZone).date;
+      const shiftEnd = getScheduledShiftEnd(await getEmployeeSchedule(employee, workDate), workDate, timeZone);
+      const closeAt = shiftEnd && shiftEnd > clockIn ? shiftEnd : null;
+      
+      // หลังความยาวกะสูงสุดพนักงานลงเวลาออกเองไม่ได้แล้ว จึงไม่รอเกินกว่านั้น
+      const lastClockOut = clockIn.getTime() + maxShiftHours * 60 * 60 * 1000;
+      const cutoffAt = closeAt ? Math.min(closeAt.getTime() + cutoffMinutes * 60000, lastClockOut) : lastClockOut;
+      
+      if (now < cutoffAt) {
+        if (closeAt && reminderMinutes > 0 && !record.clock_out_reminded_at &&
+            now >= closeAt.getTime() + reminderMinutes * 60000) {
+          await db.query('UPDATE time_logs SET clock_out_reminded_at = CURRENT_TIMESTAMP WHERE id = $1', [record.id]);
+          await notifyEmployee(employee, {
+            type: 'clock_out_reminder',
+            title: 'ยังไม่ได้ลงเวลาออก',
+            message: `กะของคุณเลิกงานเมื่อ ${formatWorkDateTime(workDate, closeAt, timeZone)} กรุณาลงเวลาออก` +
+              (action === 'off' ? '' : ` ก่อน ${formatLocalTime(cutoffAt, timeZone)} น.`)
+          });
+          counts.reminded++;
+        }
+        continue;
+      }
+      
+      if (action === 'off') continue;
+      
+      // แจ้งพนักงานเฉพาะบันทึกที่เพิ่งเลยกำหนด ไม่แจ้งบันทึกเก่าที่ค้างมาก่อนเปิดใช้งาน
+      const notify = now - cutoffAt < MISSING_CLOCK_OUT_NOTIFY_WINDOW_MS;
+      
+      if (action === 'auto_close' && closeAt && await autoCloseTimeLog(record, workDate, closeAt)) {
+        counts.closed++;
+        if (notify) {
+          await notifyEmployee(employee, {
+            type: 'auto_clock_out',
+            title: 'ระบบลงเวลาออกให้อัตโนมัติ',
+            message: `ระบบลงเวลาออกให้ตามเวลาเลิกกะ ${formatWorkDateTime(workDate, closeAt, timeZone)} หากไม่ถูกต้องกรุณาแจ้งผู้ดูแลระบบ`
+          });
+        }
+        continue;
+      }
+      
+      const flagResult = await db.query(
+        `UPDATE time_logs SET status = 'missing_clock_out' WHERE id = $1 AND clock_out IS NULL RETURNING id`,
+        [record.id]
+      );
+      if (flagResult.rows.length === 0) continue;
+      
+      counts.flagged++;
+      if (notify) {
+        await notifyEmployee(employee, {
+          type: 'missing_clock_out',
+          title: 'ลืมลงเวลาออก',
+          message: `การลงเวลาวันที่ ${new Date(workDate).toLocaleDateString('th-TH')} ไม่มีเวลาออก ผู้ดูแลระบบจะตรวจสอบและแก้ไขให้`
+        });
+      }
+    }
+    
+    if (counts.reminded + counts.closed + counts.flagged > 0) {
+      console.log(`⏰ Missing clock-out job: reminded ${counts.reminded}, auto-closed ${counts.closed}, flagged ${counts.flagged}`);
     }
     
   } catch (error) {
-    console.error('❌ Cleanup error:', error);
+    console.error('❌ Missing clock-out job error:', error);
+  } finally {
+    missingClockOutJobRunning = false;
   }
 }
 
-// รัน cleanup ทุก 10 นาที
-setInterval(performCleanup, 10 * 60 * 1000);
+// ตรวจสอบทุก 10 นาที
+setInterval(runMissingClockOutJob, 10 * 60 * 1000);
 
 // ⭐ Database Connection Monitoring
 if (db && db.pool) {
@@ -2553,7 +8151,7 @@ app.get('/admin/*', (req, res) => {
 });
 
 // ⭐ Additional Admin APIs (เพิ่มเติม)
-app.get('/api/admin/time-logs/:id', async (req, res) => {
+app.get('/api/admin/time-logs/:id', requirePermission('time_logs.view'), async (req, res) => {
   console.log('API: admin/time-logs/:id - ดึงข้อมูลการลงเวลาเฉพาะรายการ', req.params);
   
   try {
@@ -2567,7 +8165,9 @@ app.get('/api/admin/time-logs/:id', async (req, res) => {
       WHERE t.id = $1
     `, [id]);
     
-    if (result.rows.length === 0) {
+    const departmentScope = getDepartmentScope(req);
+    
+    if (result.rows.length === 0 || (departmentScope !== null && result.rows[0].department !== departmentScope)) {
       return res.json({ success: false, message: 'ไม่พบข้อมูลการลงเวลา' });
     }
     
@@ -2579,20 +8179,23 @@ app.get('/api/admin/time-logs/:id', async (req, res) => {
   }
 });
 
-app.get('/api/admin/employees/:id', async (req, res) => {
+app.get('/api/admin/employees/:id', requirePermission('employees.view'), async (req, res) => {
   console.log('API: admin/employees/:id - ดึงข้อมูลพนักงานเฉพาะรายการ', req.params);
   
   try {
     const { id } = req.params;
     
     const result = await db.query(`
-      SELECT id, emp_code, full_name, position, department, 
-             line_id, line_name, status, mobile_enabled, created_at
+      SELECT id, emp_code, full_name, position, department, position_id, department_id,
+             line_id, line_name, status, mobile_enabled, termination_date, termination_reason,
+             created_at${employeePayColumns(req)}
       FROM employees
       WHERE id = $1
     `, [id]);
     
-    if (result.rows.length === 0) {
+    const departmentScope = getDepartmentScope(req);
+    
+    if (result.rows.length === 0 || (departmentScope !== null && result.rows[0].department !== departmentScope)) {
       return res.json({ success: false, message: 'ไม่พบข้อมูลพนักงาน' });
     }
     
@@ -2604,8 +8207,152 @@ app.get('/api/admin/employees/:id', async (req, res) => {
   }
 });
 
+// ⭐ Admin - Audit Log
+app.get('/api/admin/audit-log', requirePermission('audit.view'), async (req, res) => {
+  console.log('API: admin/audit-log - ดึงประวัติการแก้ไขข้อมูล', req.query);
+  
+  try {
+    const { entity_type, entity_id, action, actor, from_date, to_date, limit = 100, offset = 0 } = req.query;
+    
+    let query = `
+      SELECT id, actor_id, actor_username, action, entity_type, entity_id,
+             before_data, after_data, ip_address, user_agent, created_at
+      FROM audit_log
+      WHERE 1=1
+    `;
+    let countQuery = 'SELECT COUNT(*) as count FROM audit_log WHERE 1=1';
+    
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+    
+    if (entity_type) {
+      conditions.push(` AND entity_type = $${paramIndex++}`);
+      params.push(entity_type);
+    }
+    
+    if (entity_id) {
+      conditions.push(` AND entity_id = $${paramIndex++}`);
+      params.push(String(entity_id));
+    }
+    
+    if (action) {
+      conditions.push(` AND action = $${paramIndex++}`);
+      params.push(action);
+    }
+    
+    if (actor) {
+      conditions.push(` AND actor_username ILIKE $${paramIndex++}`);
+      params.push(`%${actor}%`);
+    }
+    
+    if (from_date) {
+      conditions.push(` AND DATE(created_at) >= $${paramIndex++}`);
+      params.push(from_date);
+    }
+    
+    if (to_date) {
+      conditions.push(` AND DATE(created_at) <= $${paramIndex++}`);
+      params.push(to_date);
+    }
+    
+    query += conditions.join('');
+    countQuery += conditions.join('');
+    
+    query += ` ORDER BY created_at DESC, id DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+    
+    const [result, countResult] = await Promise.all([
+      db.query(query, [...params, Math.min(parseInt(limit) || 100, 1000), parseInt(offset) || 0]),
+      db.query(countQuery, params)
+    ]);
+    
+    res.json({
+      success: true,
+      entries: result.rows,
+      total: parseInt(countResult.rows[0].count) || 0
+    });
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ API - ดึงรายการลงเวลาที่ถูกปฏิเสธ (เช่น IP ไม่อยู่ในรายการที่อนุญาต)
+app.get('/api/admin/clock-rejections', requirePermission('time_logs.view'), async (req, res) => {
+  console.log('API: admin/clock-rejections - ดึงรายการลงเวลาที่ถูกปฏิเสธ', req.query);
+  
+  try {
+    const { reason_code, employee, from_date, to_date, limit = 100, offset = 0 } = req.query;
+    const department = getDepartmentScope(req);
+    
+    let query = `
+      SELECT r.id, r.employee_id, r.employee_input, r.action, r.reason_code, r.ip_address,
+             r.latitude, r.longitude, r.user_agent, r.details, r.created_at,
+             e.emp_code, e.full_name, e.department
+      FROM clock_rejections r
+      LEFT JOIN employees e ON r.employee_id = e.id
+      WHERE 1=1
+    `;
+    let countQuery = `
+      SELECT COUNT(*) as count
+      FROM clock_rejections r
+      LEFT JOIN employees e ON r.employee_id = e.id
+      WHERE 1=1
+    `;
+    
+    const conditions = [];
+    const params = [];
+    let paramIndex = 1;
+    
+    if (reason_code) {
+      conditions.push(` AND r.reason_code = $${paramIndex++}`);
+      params.push(reason_code);
+    }
+    
+    if (employee) {
+      conditions.push(` AND (e.full_name ILIKE $${paramIndex} OR e.emp_code ILIKE $${paramIndex} OR r.employee_input ILIKE $${paramIndex})`);
+      params.push(`%${employee}%`);
+      paramIndex++;
+    }
+    
+    if (from_date) {
+      conditions.push(` AND DATE(r.created_at) >= $${paramIndex++}`);
+      params.push(from_date);
+    }
+    
+    if (to_date) {
+      conditions.push(` AND DATE(r.created_at) <= $${paramIndex++}`);
+      params.push(to_date);
+    }
+    
+    if (department) {
+      conditions.push(` AND e.department = $${paramIndex++}`);
+      params.push(department);
+    }
+    
+    query += conditions.join('');
+    countQuery += conditions.join('');
+    
+    query += ` ORDER BY r.created_at DESC, r.id DESC LIMIT $${paramIndex++} OFFSET $${paramIndex++}`;
+    
+    const [result, countResult] = await Promise.all([
+      db.query(query, [...params, Math.min(parseInt(limit) || 100, 1000), parseInt(offset) || 0]),
+      db.query(countQuery, params)
+    ]);
+    
+    res.json({
+      success: true,
+      rejections: result.rows,
+      total: parseInt(countResult.rows[0].count) || 0
+    });
+  } catch (error) {
+    console.error('Error getting clock rejections:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
 // ⭐ Admin - Import/Export APIs
-app.post('/api/admin/import-employees', async (req, res) => {
+app.post('/api/admin/import-employees', requirePermission('employees.edit'), async (req, res) => {
   console.log('API: admin/import-employees - นำเข้ารายชื่อพนักงานจากไฟล์', req.body);
   
   try {
@@ -2636,48 +8383,78 @@ app.post('/api/admin/import-employees', async (req, res) => {
     await db.withTransaction(async (client) => {
       for (const emp of employees) {
         try {
+
           // ตรวจสอบว่ามีรหัสพนักงานนี้ในระบบแล้วหรือไม่
           const checkResult = await client.query(
-            'SELECT id FROM employees WHERE emp_code = $1',
+            'SELECT * FROM employees WHERE emp_code = $1',
             [emp.emp_code]
           );
           
+          // แผนก/ตำแหน่งที่ยังไม่มีในระบบจะถูกเพิ่มให้อัตโนมัติ
+          const org = await resolveEmployeeOrg(emp, client, { createMissing: true });
+          if (org.error) {
+            result.errors.push({ emp_code: emp.emp_code, full_name: emp.full_name, error: org.error });
+            continue;
+          }
+          
           if (checkResult.rows.length > 0) {
             if (skipExisting) {
               result.skipped++;
               continue;
             } else {
               // อัปเดตข้อมูลพนักงาน
-              await client.query(
+              const updateResult = await client.query(
                 `UPDATE employees 
-                 SET full_name = $1, position = $2, department = $3, status = $4, mobile_enabled = $5
-                 WHERE emp_code = $6`,
+                 SET full_name = $1, position = $2, department = $3, status = $4, mobile_enabled = $5,
+                     position_id = $7, department_id = $8
+                 WHERE emp_code = $6
+                 RETURNING *`,
                 [
                   emp.full_name,
-                  emp.position || null,
-                  emp.department || null,
-                  emp.status || 'active',
+                  org.values.position,
+                  org.values.department,
+                  emp.status || (ARCHIVED_EMPLOYEE_STATUSES.includes(checkResult.rows[0].status) ? checkResult.rows[0].status : 'active'),
                   emp.mobile_enabled !== undefined ? emp.mobile_enabled : true,
-                  emp.emp_code
+                  emp.emp_code,
+                  org.values.position_id,
+                  org.values.department_id
                 ]
               );
+              
+              await recordAudit(req, {
+                action: 'import_update',
+                entityType: 'employee',
+                entityId: checkResult.rows[0].id,
+                before: checkResult.rows[0],
+                after: updateResult.rows[0]
+              }, client);
               result.imported++;
             }
           } else {
             // เพิ่มพนักงานใหม่
-            await client.query(
+            const insertResult = await client.query(
               `INSERT INTO employees 
-               (emp_code, full_name, position, department, status, mobile_enabled)
-               VALUES ($1, $2, $3, $4, $5, $6)`,
+               (emp_code, full_name, position, department, status, mobile_enabled, position_id, department_id)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+               RETURNING *`,
               [
                 emp.emp_code,
                 emp.full_name,
-                emp.position || null,
-                emp.department || null,
+                org.values.position,
+                org.values.department,
                 emp.status || 'active',
-                emp.mobile_enabled !== undefined ? emp.mobile_enabled : true
+                emp.mobile_enabled !== undefined ? emp.mobile_enabled : true,
+                org.values.position_id,
+                org.values.department_id
               ]
             );
+            
+            await recordAudit(req, {
+              action: 'import_create',
+              entityType: 'employee',
+              entityId: insertResult.rows[0].id,
+              after: insertResult.rows[0]
+            }, client);
             result.imported++;
           }
         } catch (error) {
@@ -2703,116 +8480,726 @@ app.post('/api/admin/import-employees', async (req, res) => {
       message: 'เกิดข้อผิดพลาด: ' + error.message
     });
   }
-});
+});
+
+// ⭐ Admin - Export time logs (CSV/XLSX เขียนลง response ทีละชุด)
+const EXPORT_BATCH_SIZE = 1000;
+
+// เงื่อนไขการส่งออกจาก body คืน { filters } หรือ { error }
+function parseTimeLogExportRequest(req) {
+  const { from_date, to_date, employee_id, department, columns, format = 'csv', layout = 'single' } = req.body;
+  
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: 'รูปแบบไฟล์ต้องเป็น csv หรือ xlsx' };
+  }
+  if (!EXPORT_LAYOUTS.includes(layout)) {
+    return { error: 'รูปแบบการจัดข้อมูลไม่ถูกต้อง' };
+  }
+  if ((from_date && !isValidDate(from_date)) || (to_date && !isValidDate(to_date))) {
+    return { error: 'รูปแบบวันที่ไม่ถูกต้อง' };
+  }
+  if (from_date && to_date && from_date > to_date) {
+    return { error: 'วันที่เริ่มต้นต้องไม่เกินวันที่สิ้นสุด' };
+  }
+  
+  const resolved = resolveExportColumns(columns);
+  if (resolved.error) {
+    return { error: resolved.error };
+  }
+  
+  // ผู้จัดการแผนกส่งออกได้เฉพาะแผนกของตนเอง
+  const departmentScope = getDepartmentScope(req);
+  
+  return {
+    filters: {
+      fromDate: from_date || null,
+      toDate: to_date || null,
+      employeeId: employee_id || null,
+      department: departmentScope !== null ? departmentScope : (department || null),
+      columns: resolved.columns,
+      format,
+      layout
+    }
+  };
+}
+
+function buildTimeLogExportWhere(filters) {
+  let where = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+  
+  if (filters.fromDate) {
+    where += ` AND t.work_date >= $${paramIndex++}`;
+    params.push(filters.fromDate);
+  }
+  
+  if (filters.toDate) {
+    where += ` AND t.work_date <= $${paramIndex++}`;
+    params.push(filters.toDate);
+  }
+  
+  if (filters.employeeId) {
+    where += ` AND t.employee_id = $${paramIndex++}`;
+    params.push(filters.employeeId);
+  }
+  
+  if (filters.department) {
+    where += ` AND e.department = $${paramIndex++}`;
+    params.push(filters.department);
+  }
+  
+  return { where, params, paramIndex };
+}
+
+// ยอดรวมรายพนักงาน (ใช้ทั้งตรวจว่ามีข้อมูลหรือไม่ และเป็นชีตสรุป)
+async function getTimeLogExportSummary(filters) {
+  const { where, params } = buildTimeLogExportWhere(filters);
+  
+  const result = await db.query(`
+    WITH logs AS (
+      SELECT t.employee_id, t.work_date, t.late_minutes, t.early_leave_minutes
+      FROM time_logs t
+      JOIN employees e ON t.employee_id = e.id
+      ${where}
+    ),
+    log_totals AS (
+      SELECT employee_id,
+             COUNT(DISTINCT work_date) AS work_days,
+             COUNT(*) AS log_count,
+             COUNT(*) FILTER (WHERE late_minutes > 0) AS late_count,
+             COALESCE(SUM(late_minutes), 0) AS late_minutes,
+             COALESCE(SUM(early_leave_minutes), 0) AS early_leave_minutes
+      FROM logs
+      GROUP BY employee_id
+    ),
+    overtime_totals AS (
+      SELECT d.employee_id,
+             SUM(d.worked_minutes) AS worked_minutes,
+             SUM(d.regular_minutes) AS regular_minutes,
+             SUM(d.overtime_minutes) AS overtime_minutes,
+             SUM(d.weekend_overtime_minutes) AS weekend_overtime_minutes,
+             SUM(d.holiday_overtime_minutes) AS holiday_overtime_minutes,
+             SUM(d.weighted_overtime_minutes) AS weighted_overtime_minutes
+      FROM daily_overtime d
+      WHERE (d.employee_id, d.work_date) IN (SELECT employee_id, work_date FROM logs)
+      GROUP BY d.employee_id
+    )
+    SELECT e.emp_code, e.full_name, e.position, e.department, l.*, o.worked_minutes, o.regular_minutes,
+           o.overtime_minutes, o.weekend_overtime_minutes, o.holiday_overtime_minutes, o.weighted_overtime_minutes
+    FROM log_totals l
+    JOIN employees e ON e.id = l.employee_id
+    LEFT JOIN overtime_totals o ON o.employee_id = l.employee_id
+    ORDER BY e.emp_code
+  `, params);
+  
+  return result.rows;
+}
+
+// อ่านบันทึกทีละชุดเรียงตามรหัสพนักงานและเวลาเข้า (keyset) แล้วส่งแต่ละชุดให้ onBatch
+async function forEachTimeLogExportBatch(filters, onBatch) {
+  let last = null;
+  
+  while (true) {
+    const { where, params, paramIndex } = buildTimeLogExportWhere(filters);
+    let query = `
+      SELECT e.emp_code, e.full_name, e.position, e.department,
+             t.id, t.clock_in, t.clock_in::text AS clock_in_key, t.clock_out, t.note, t.status, t.work_date, t.break_minutes,
+             t.latitude_in, t.longitude_in, t.latitude_out, t.longitude_out,
+             d.day_type, d.regular_minutes, d.overtime_minutes AS day_overtime_minutes,
+             d.weekend_overtime_minutes, d.holiday_overtime_minutes, d.weighted_overtime_minutes,
+             NOT EXISTS (
+               SELECT 1 FROM time_logs p
+               WHERE p.employee_id = t.employee_id AND p.work_date = t.work_date
+                 AND (p.clock_in, p.id) < (t.clock_in, t.id)
+             ) AS first_of_day
+      FROM time_logs t
+      JOIN employees e ON t.employee_id = e.id
+      LEFT JOIN daily_overtime d ON d.employee_id = t.employee_id AND d.work_date = t.work_date
+      ${where}
+    `;
+    
+    if (last) {
+      query += ` AND (e.emp_code, t.clock_in, t.id) > ($${paramIndex}, $${paramIndex + 1}::timestamp, $${paramIndex + 2})`;
+      params.push(last.emp_code, last.clock_in_key, last.id);
+    }
+    
+    query += ` ORDER BY e.emp_code, t.clock_in, t.id LIMIT ${EXPORT_BATCH_SIZE}`;
+    
+    const result = await db.query(query, params);
+    if (result.rows.length === 0) break;
+    
+    await onBatch(result.rows);
+    
+    if (result.rows.length < EXPORT_BATCH_SIZE) break;
+    last = result.rows[result.rows.length - 1];
+  }
+}
+
+app.get('/api/admin/export-time-logs/columns', requirePermission('data.export'), (req, res) => {
+  res.json({
+    success: true,
+    columns: EXPORT_COLUMNS.map(({ key, label }) => ({ key, label })),
+    summary_columns: SUMMARY_COLUMNS.map(({ key, label }) => ({ key, label })),
+    formats: EXPORT_FORMATS,
+    layouts: EXPORT_LAYOUTS
+  });
+});
+
+// body: { from_date, to_date, employee_id, department, columns: [key], format: csv|xlsx, layout: single|per_employee|summary }
+app.post('/api/admin/export-time-logs', requirePermission('data.export'), async (req, res) => {
+  console.log('API: admin/export-time-logs - ส่งออกข้อมูลการลงเวลา', req.body);
+  
+  try {
+    const parsed = parseTimeLogExportRequest(req);
+    if (parsed.error) {
+      return res.json({ success: false, message: parsed.error });
+    }
+    
+    const { filters } = parsed;
+    const summary = await getTimeLogExportSummary(filters);
+    
+    if (summary.length === 0) {
+      return res.json({ success: false, message: 'ไม่พบข้อมูลที่ตรงตามเงื่อนไข' });
+    }
+    
+    const filename = `time_logs_${filters.fromDate || 'all'}_to_${filters.toDate || 'all'}.${filters.format}`;
+    res.setHeader('Content-Type', CONTENT_TYPES[filters.format]);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    
+    const { timeZone } = await loadWorkDaySettings();
+    const writer = createExportWriter(filters.format, res, { layout: filters.layout, columns: filters.columns, timeZone });
+    let exportedCount = 0;
+    
+    if (filters.layout === 'summary') {
+      await writer.writeSummary(summary);
+    }
+    
+    // CSV มีตารางเดียว รูปแบบสรุปจึงมีเฉพาะยอดรวมรายพนักงาน
+    if (filters.layout !== 'summary' || filters.format === 'xlsx') {
+      await forEachTimeLogExportBatch(filters, async logs => {
+        await writer.writeLogs(logs);
+        exportedCount += logs.length;
+      });
+    }
+    
+    await writer.finish();
+    console.log(`ส่งออกบันทึกการลงเวลา ${exportedCount} รายการ (${filters.format}, ${filters.layout})`);
+    
+  } catch (error) {
+    console.error('Error exporting time logs:', error);
+    
+    // เริ่มส่งไฟล์ไปแล้วจึงตอบกลับเป็น JSON ไม่ได้ ตัดการเชื่อมต่อให้ไฟล์ไม่สมบูรณ์แทน
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ Admin - Database Backup
+app.get('/api/admin/backup-database', requirePermission('data.backup'), async (req, res) => {
+  console.log('API: admin/backup-database - สำรองข้อมูลฐานข้อมูล');
+  
+  try {
+    const employeesResult = await db.query('SELECT * FROM employees ORDER BY id');
+    const timeLogsResult = await db.query('SELECT * FROM time_logs ORDER BY id');
+    const settingsResult = await db.query('SELECT * FROM settings ORDER BY id');
+    
+    // สร้าง object ข้อมูลสำรอง
+    const backupData = {
+      timestamp: new Date().toISOString(),
+      version: BACKUP_VERSION,
+      employees: employeesResult.rows,
+      time_logs: timeLogsResult.rows,
+      settings: settingsResult.rows.filter(s => s.setting_name !== 'admin_password') // ไม่รวมรหัสผ่าน
+    };
+    
+    // แปลงเป็น JSON
+    const backupJSON = JSON.stringify(backupData, null, 2);
+    
+    // ส่งไฟล์ JSON กลับไปยังผู้ใช้
+    res.setHeader('Content-Disposition', `attachment; filename=time_tracker_backup_${new Date().toISOString().split('T')[0]}.json`);
+    res.setHeader('Content-Type', 'application/json');
+    res.send(backupJSON);
+    
+  } catch (error) {
+    console.error('Error backing up database:', error);
+    res.status(500).json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ Admin - กู้คืนฐานข้อมูลจากไฟล์สำรอง (ไฟล์จาก /api/admin/backup-database)
+// ส่งไฟล์เป็น body แบบ application/octet-stream (อ่านทีละส่วนระหว่างอัปโหลด ไม่ผ่าน bodyParser.json)
+// ตัวเลือกส่งทาง query: mode=replace|merge, dry_run=true และ confirmation_token ที่ได้จาก dry_run
+// แถวในไฟล์ถูกพักไว้ในตารางชั่วคราวก่อน แล้วเปรียบเทียบ/เขียนลงตารางจริงด้วย SQL ใน transaction เดียว
+const RESTORE_BATCH_SIZE = 500;
+
+// ตารางพักข้อมูลจากไฟล์ (หายไปเมื่อจบ transaction) คืนชนิดข้อมูลของแต่ละคอลัมน์
+async function createRestoreStagingTables(client) {
+  const columnTypes = {};
+  
+  for (const table of Object.keys(RESTORE_TABLES)) {
+    await client.query(`CREATE TEMP TABLE restore_${table} ON COMMIT DROP AS SELECT * FROM ${table} WITH NO DATA`);
+    
+    const result = await client.query(
+      `SELECT column_name, data_type FROM information_schema.columns
+       WHERE table_schema = current_schema() AND table_name = $1`,
+      [table]
+    );
+    columnTypes[table] = Object.fromEntries(result.rows.map(row => [row.column_name, row.data_type]));
+  }
+  
+  return columnTypes;
+}
+
+async function stageRestoreRows(client, table, rows, columnTypes) {
+  const values = rows.map(row => {
+    const value = {};
+    for (const [column, dataType] of Object.entries(columnTypes)) {
+      if (column in row) {
+        value[column] = restoreColumnValue(row[column], dataType);
+      }
+    }
+    return value;
+  });
+  
+  await client.query(
+    `INSERT INTO restore_${table}
+     SELECT * FROM jsonb_populate_recordset(NULL::restore_${table}, $1::jsonb)`,
+    [JSON.stringify(values)]
+  );
+}
+
+// เงื่อนไข SQL: แถวในไฟล์ (s) ต่างจากแถวในฐานข้อมูล (t) ในคอลัมน์ที่กู้คืน
+function restoreChangedCondition(table, columns) {
+  const compared = columns.filter(column => column !== RESTORE_TABLES[table].key);
+  if (compared.length === 0) return 'FALSE';
+  
+  return `(${compared.map(column => `s.${column}`).join(', ')}) IS DISTINCT FROM (${compared.map(column => `t.${column}`).join(', ')})`;
+}
+
+// ตรวจสอบข้อมูลที่พักไว้ก่อนกู้คืน คืนข้อความผิดพลาดหรือ null
+async function validateRestoreData(client, tables, columns, mode) {
+  for (const table of tables) {
+    const { key, unique } = RESTORE_TABLES[table];
+    
+    for (const column of [key, ...unique]) {
+      const duplicateResult = await client.query(
+        `SELECT ${column} AS value FROM restore_${table} GROUP BY ${column} HAVING COUNT(*) > 1 LIMIT 5`
+      );
+      if (duplicateResult.rows.length > 0) {
+        return `ข้อมูล ${table} มี ${column} ซ้ำกันในไฟล์: ${duplicateResult.rows.map(row => row.value).join(', ')}`;
+      }
+    }
+    
+    // ค่าที่ต้องไม่ซ้ำซึ่งชนกับแถวอื่นที่ยังอยู่หลังกู้คืน (merge: ทุกแถวเดิม, replace: แถวที่มีในไฟล์ด้วย)
+    for (const column of unique) {
+      const conflictResult = await client.query(
+        `SELECT s.${column} AS value
+         FROM restore_${table} s
+         JOIN ${table} t ON t.${column} = s.${column} AND t.${key} <> s.${key}
+         WHERE $1 = 'merge' OR EXISTS (SELECT 1 FROM restore_${table} x WHERE x.${key} = t.${key})
+         LIMIT 5`,
+        [mode]
+      );
+      if (conflictResult.rows.length > 0) {
+        return `ข้อมูล ${table} มี ${column} ซ้ำกับข้อมูลอื่นในระบบ: ${conflictResult.rows.map(row => row.value).join(', ')}`;
+      }
+    }
+  }
+  
+  if (tables.includes('time_logs')) {
+    const orphanResult = await client.query(
+      `SELECT COUNT(*) AS count
+       FROM restore_time_logs s
+       WHERE NOT EXISTS (SELECT 1 FROM restore_employees e WHERE e.id = s.employee_id)
+         AND ($1 = 'replace' OR NOT EXISTS (SELECT 1 FROM employees e WHERE e.id = s.employee_id))`,
+      [mode]
+    );
+    if (parseInt(orphanResult.rows[0].count) > 0) {
+      return `พบบันทึกการลงเวลา ${orphanResult.rows[0].count} รายการที่อ้างถึงพนักงานที่ไม่มีอยู่`;
+    }
+    
+    // ไม่แก้ไขบันทึกในงวดเงินเดือนที่ปิดแล้ว
+    const lockedResult = await client.query(
+      `SELECT p.name, p.start_date, p.end_date
+       FROM payroll_periods p
+       WHERE p.status = 'closed'
+         AND EXISTS (
+           SELECT 1 FROM restore_time_logs s
+           LEFT JOIN time_logs t ON t.id = s.id
+           WHERE (t.id IS NULL OR ${restoreChangedCondition('time_logs', columns.time_logs)})
+             AND (s.work_date BETWEEN p.start_date AND p.end_date OR t.work_date BETWEEN p.start_date AND p.end_date)
+           UNION ALL
+           SELECT 1 FROM time_logs t
+           WHERE $1 = 'replace'
+             AND t.work_date BETWEEN p.start_date AND p.end_date
+             AND NOT EXISTS (SELECT 1 FROM restore_time_logs s WHERE s.id = t.id)
+         )
+       ORDER BY p.start_date
+       LIMIT 1`,
+      [mode]
+    );
+    if (lockedResult.rows.length > 0) {
+      return payrollLockMessage(lockedResult.rows[0]);
+    }
+  }
+  
+  return null;
+}
+
+// คีย์ที่โหมด replace ไม่ลบ: protectedKeys และ keepMissingKeys ที่ไม่มีในไฟล์
+async function loadRestoreProtectedKeys(client, table) {
+  const { key, protectedKeys = [], keepMissingKeys = [] } = RESTORE_TABLES[table];
+  
+  const result = await client.query(
+    `SELECT k.value FROM unnest($1::text[]) AS k(value)
+     WHERE NOT EXISTS (SELECT 1 FROM restore_${table} s WHERE s.${key}::text = k.value)`,
+    [keepMissingKeys]
+  );
+  
+  return [...protectedKeys, ...result.rows.map(row => row.value)];
+}
+
+// ช่วงวันทำงานของบันทึกการลงเวลาที่ตรงกับแถวในไฟล์ (โหมด replace ทั้งตาราง เพราะแถวที่ไม่มีในไฟล์ถูกลบ)
+async function restoreTimeLogDateRange(client, mode) {
+  const result = await client.query(
+    `SELECT MIN(t.work_date) AS from_date, MAX(t.work_date) AS to_date
+     FROM time_logs t
+     WHERE $1 = 'replace' OR EXISTS (SELECT 1 FROM restore_time_logs s WHERE s.id = t.id)`,
+    [mode]
+  );
+  
+  return result.rows[0];
+}
+
+// ⭐ คำนวณ OT และสถานะการมาทำงานใหม่ของช่วงวันที่ที่กู้คืนบันทึกการลงเวลา
+// เรียกหลังกู้คืนเสร็จแล้ว เพราะตารางเวลาของวันอ่านข้อมูลพนักงานนอก transaction
+async function recalculateRestoredDates(range) {
+  if (!range) return;
+  
+  try {
+    const daysResult = await db.query(
+      'SELECT DISTINCT employee_id, work_date FROM time_logs WHERE work_date BETWEEN $1 AND $2',
+      [range.from, range.to]
+    );
+    
+    const rules = parseOvertimeRules(await loadSettings(OVERTIME_SETTING_NAMES));
+    await db.withTransaction(async (client) => {
+      for (const row of daysResult.rows) {
+        await recalculateDailyOvertime(row.employee_id, row.work_date, client, rules);
+      }
+    });
+    
+    await updateDailyAttendance(null, range.from, range.to);
+  } catch (error) {
+    console.error('❌ Error recalculating restored dates:', error.message);
+  }
+}
 
-app.post('/api/admin/export-time-logs', async (req, res) => {
-  console.log('API: admin/export-time-logs - ส่งออกข้อมูลการลงเวลา', req.body);
+// จำนวนแถวที่จะเพิ่ม แก้ไข คงเดิม และลบ (ลบเฉพาะโหมด replace)
+async function diffRestoreTable(client, table, columns, mode, protectedKeys) {
+  const { key } = RESTORE_TABLES[table];
+  const changed = restoreChangedCondition(table, columns);
+  
+  const result = await client.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE t.${key} IS NULL) AS inserted,
+       COUNT(*) FILTER (WHERE t.${key} IS NOT NULL AND ${changed}) AS updated,
+       COUNT(*) FILTER (WHERE t.${key} IS NOT NULL AND NOT ${changed}) AS unchanged,
+       (SELECT COUNT(*) FROM ${table} t
+        WHERE $1 = 'replace'
+          AND NOT (t.${key}::text = ANY($2::text[]))
+          AND NOT EXISTS (SELECT 1 FROM restore_${table} s WHERE s.${key} = t.${key})) AS deleted
+     FROM restore_${table} s
+     LEFT JOIN ${table} t ON t.${key} = s.${key}`,
+    [mode, protectedKeys]
+  );
+  
+  const row = result.rows[0];
+  return {
+    inserted: parseInt(row.inserted),
+    updated: parseInt(row.updated),
+    unchanged: parseInt(row.unchanged),
+    deleted: parseInt(row.deleted)
+  };
+}
+
+async function deleteMissingRestoreRows(client, table, protectedKeys) {
+  const { key } = RESTORE_TABLES[table];
+  
+  await client.query(
+    `DELETE FROM ${table} t
+     WHERE NOT (t.${key}::text = ANY($1::text[]))
+       AND NOT EXISTS (SELECT 1 FROM restore_${table} s WHERE s.${key} = t.${key})`,
+    [protectedKeys]
+  );
+}
+
+// ⭐ แถวในตารางอื่นที่จะถูกลบตาม (ON DELETE CASCADE) เมื่อโหมด replace ลบพนักงาน/บันทึกการลงเวลาที่ไม่มีในไฟล์
+// ไฟล์สำรองข้อมูลไม่มีตารางเหล่านี้ จึงต้องแสดงจำนวนให้ผู้ใช้เห็นก่อนยืนยัน (รวมอยู่ในรหัสยืนยันด้วย)
+async function countRestoreCascadeRows(client, tables) {
+  const missing = (table) => `SELECT t.id FROM ${table} t WHERE NOT EXISTS (SELECT 1 FROM restore_${table} s WHERE s.id = t.id)`;
+  const cascade = {};
+  
+  if (tables.includes('employees')) {
+    for (const table of EMPLOYEE_CASCADE_TABLES) {
+      const result = await client.query(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE employee_id IN (${missing('employees')})`
+      );
+      cascade[table] = parseInt(result.rows[0].count);
+    }
+  }
+  
+  if (tables.includes('time_logs')) {
+    const result = await client.query(
+      `SELECT COUNT(*) AS count FROM time_log_breaks WHERE time_log_id IN (${missing('time_logs')})`
+    );
+    cascade.time_log_breaks = parseInt(result.rows[0].count);
+  }
+  
+  return cascade;
+}
+
+async function applyRestoreTable(client, table, columns) {
+  const { key } = RESTORE_TABLES[table];
+  const updated = columns.filter(column => column !== key);
+  
+  if (updated.length > 0) {
+    await client.query(
+      `UPDATE ${table} t
+       SET ${updated.map(column => `${column} = s.${column}`).join(', ')}
+       FROM restore_${table} s
+       WHERE t.${key} = s.${key} AND ${restoreChangedCondition(table, columns)}`
+    );
+  }
+  
+  await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     SELECT ${columns.map(column => `s.${column}`).join(', ')}
+     FROM restore_${table} s
+     WHERE NOT EXISTS (SELECT 1 FROM ${table} t WHERE t.${key} = s.${key})`
+  );
+}
+
+app.post('/api/admin/restore-database', requirePermission('data.backup'), async (req, res) => {
+  console.log('API: admin/restore-database - กู้คืนฐานข้อมูล', { mode: req.query.mode, dry_run: req.query.dry_run });
   
   try {
-    const { from_date, to_date, employee_id, format } = req.body;
-    
-    let query = `
-      SELECT e.emp_code, e.full_name, e.position, e.department, 
-             t.clock_in, t.clock_out, t.note, t.status,
-             t.latitude_in, t.longitude_in, t.latitude_out, t.longitude_out
-      FROM time_logs t
-      JOIN employees e ON t.employee_id = e.id
-      WHERE 1=1
-    `;
-    
-    const params = [];
-    let paramIndex = 1;
+    const { mode, confirmation_token } = req.query;
+    const dryRun = req.query.dry_run === 'true';
     
-    if (from_date) {
-      query += ` AND DATE(t.clock_in) >= ${paramIndex++}`;
-      params.push(from_date);
+    if (!RESTORE_MODES.includes(mode)) {
+      return res.json({ success: false, message: 'กรุณาเลือกโหมดการกู้คืน (replace หรือ merge)' });
     }
     
-    if (to_date) {
-      query += ` AND DATE(t.clock_in) <= ${paramIndex++}`;
-      params.push(to_date);
+    if (!req.is('application/octet-stream')) {
+      return res.status(415).json({ success: false, message: 'กรุณาส่งไฟล์สำรองข้อมูลแบบ application/octet-stream' });
     }
     
-    if (employee_id) {
-      query += ` AND t.employee_id = ${paramIndex++}`;
-      params.push(employee_id);
+    const outcome = await db.withTransaction(async (client) => {
+      const tableNames = Object.keys(RESTORE_TABLES);
+      const columnTypes = await createRestoreStagingTables(client);
+      const scanner = new BackupJsonScanner(tableNames);
+      const decoder = new StringDecoder('utf8');
+      const fileHash = crypto.createHash('sha256');
+      const pending = Object.fromEntries(tableNames.map(table => [table, []]));
+      const fileColumns = Object.fromEntries(tableNames.map(table => [table, new Set()]));
+      const rowCounts = Object.fromEntries(tableNames.map(table => [table, 0]));
+      
+      const flush = async (table) => {
+        if (pending[table].length === 0) return;
+        await stageRestoreRows(client, table, pending[table], columnTypes[table]);
+        pending[table] = [];
+      };
+      
+      const stage = async (rows) => {
+        for (const { table, row } of rows) {
+          const versionError = validateBackupVersion(scanner.fields.version);
+          if (versionError) throw new Error(versionError);
+          
+          rowCounts[table]++;
+          const rowError = validateBackupRow(table, row, rowCounts[table]);
+          if (rowError) throw new Error(rowError);
+          
+          // แถวที่ไม่กู้คืน (บัญชีแอดมินเดิมใน settings)
+          const { key, protectedKeys = [] } = RESTORE_TABLES[table];
+          if (protectedKeys.includes(String(row[key]))) continue;
+          
+          Object.keys(row).forEach(column => fileColumns[table].add(column));
+          pending[table].push(row);
+          if (pending[table].length >= RESTORE_BATCH_SIZE) {
+            await flush(table);
+          }
+        }
+      };
+      
+      for await (const chunk of req) {
+        fileHash.update(chunk);
+        await stage(scanner.push(decoder.write(chunk)));
+      }
+      await stage(scanner.push(decoder.end()));
+      for (const table of tableNames) {
+        await flush(table);
+      }
+      
+      const fields = scanner.end();
+      const versionError = validateBackupVersion(fields.version);
+      if (versionError) {
+        return { error: versionError };
+      }
+      
+      // กู้คืนเฉพาะตารางที่มีในไฟล์ (โหมด replace ต้องมีครบทุกตาราง)
+      const tables = tableNames.filter(table => typeof fields[table] === 'number');
+      if (tables.length === 0) {
+        return { error: 'ไม่พบข้อมูลตารางในไฟล์สำรองข้อมูล' };
+      }
+      if (mode === 'replace' && tables.length < tableNames.length) {
+        return { error: `โหมด replace ต้องใช้ไฟล์สำรองข้อมูลที่มีครบทุกตาราง (${tableNames.join(', ')})` };
+      }
+      
+      const columns = {};
+      for (const table of tables) {
+        columns[table] = Object.keys(columnTypes[table]).filter(column =>
+          fileColumns[table].has(column) && !RESTORE_TABLES[table].excludedColumns.includes(column)
+        );
+      }
+      
+      const validationError = await validateRestoreData(client, tables, columns, mode);
+      if (validationError) {
+        return { error: validationError };
+      }
+      
+      const protectedKeys = {};
+      const summary = {};
+      for (const table of tables) {
+        protectedKeys[table] = await loadRestoreProtectedKeys(client, table);
+        summary[table] = await diffRestoreTable(client, table, columns[table], mode, protectedKeys[table]);
+      }
+      const cascade = mode === 'replace' ? await countRestoreCascadeRows(client, tables) : {};
+      
+      const tokenScope = {
+        operation: 'restore_database',
+        adminId: req.admin.id,
+        options: { mode },
+        ids: [fileHash.digest('hex'), summary, cascade]
+      };
+      const backup = { version: fields.version, timestamp: fields.timestamp || null };
+      
+      if (dryRun) {
+        return { dryRun: true, backup, summary, cascade, ...createConfirmationToken(tokenScope) };
+      }
+      
+      const tokenError = verifyConfirmationToken(confirmation_token, tokenScope);
+      if (tokenError) {
+        return { error: tokenError, code: 'CONFIRMATION_REQUIRED' };
+      }
+      
+      // วันทำงานเดิมของบันทึกที่จะถูกแก้ไขหรือลบ (รวมกับวันทำงานหลังกู้คืนเพื่อคำนวณสรุปรายวันใหม่)
+      const previousRange = tables.includes('time_logs') ? await restoreTimeLogDateRange(client, mode) : null;
+      
+      // ลบแถวที่ไม่มีในไฟล์ก่อน (บันทึกการลงเวลาก่อนพนักงานตาม foreign key) แล้วจึงแก้ไข/เพิ่มตามลำดับตาราง
+      if (mode === 'replace') {
+        for (const table of [...tables].reverse()) {
+          await deleteMissingRestoreRows(client, table, protectedKeys[table]);
+        }
+      }
+      for (const table of tables) {
+        await applyRestoreTable(client, table, columns[table]);
+      }
+      
+      if (tables.includes('employees')) {
+        await syncEmployeeOrgLinks(client);
+      }
+      
+      if (tables.includes('time_logs')) {
+        // ไฟล์รุ่นเก่าที่ยังไม่มี work_date: ใช้วันที่ของเวลาเข้างานเหมือนตอนย้ายข้อมูลเดิม
+        await client.query(`
+          UPDATE time_logs
+          SET work_date = DATE((clock_in AT TIME ZONE 'UTC') AT TIME ZONE COALESCE(
+            (SELECT setting_value FROM settings WHERE setting_name = 'timezone'), $1
+          ))
+          WHERE work_date IS NULL
+        `, [getSettingDefault('timezone')]);
+        
+        // ลบสรุป OT ของวันที่ไม่เหลือบันทึกการลงเวลาแล้ว (วันอื่นคำนวณซ้ำได้จากหน้ารายงาน OT)
+        await client.query(`
+          DELETE FROM daily_overtime d
+          WHERE NOT EXISTS (
+            SELECT 1 FROM time_logs t WHERE t.employee_id = d.employee_id AND t.work_date = d.work_date
+          )
+        `);
+      }
+      
+      let recalculateRange = null;
+      if (previousRange) {
+        const restoredRange = await restoreTimeLogDateRange(client, mode);
+        const dates = [previousRange.from_date, previousRange.to_date, restoredRange.from_date, restoredRange.to_date]
+          .filter(Boolean).map(toDateString).sort();
+        if (dates.length > 0) {
+          recalculateRange = { from: dates[0], to: dates[dates.length - 1] };
+        }
+      }
+      
+      // ให้ SERIAL ต่อจาก id สูงสุดหลังกู้คืน
+      for (const table of tables) {
+        await client.query(
+          `SELECT setval(pg_get_serial_sequence('${table}', 'id'), COALESCE((SELECT MAX(id) FROM ${table}), 0) + 1, false)`
+        );
+      }
+      
+      await recordAudit(req, {
+        action: 'restore_database',
+        entityType: 'database',
+        entityId: null,
+        after: { mode, ...backup, file_sha256: tokenScope.ids[0], summary, cascade }
+      }, client);
+      
+      return { dryRun: false, backup, summary, cascade, recalculateRange };
+    });
+    
+    if (outcome.error) {
+      return res.json({ success: false, code: outcome.code, message: outcome.error });
     }
     
-    query += ' ORDER BY t.clock_in DESC';
+    if (outcome.dryRun) {
+      return res.json({
+        success: true,
+        dry_run: true,
+        mode,
+        backup: outcome.backup,
+        summary: outcome.summary,
+        cascade: outcome.cascade,
+        confirmation_token: outcome.token,
+        expires_at: outcome.expiresAt
+      });
+    }
     
-    const result = await db.query(query, params);
+    // ล้าง cache
+    clearEmployeeCache();
+    clearApiCache();
     
-    if (result.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลที่ตรงตามเงื่อนไข' });
-    }
+    await recalculateRestoredDates(outcome.recalculateRange);
     
-    // ปรับรูปแบบข้อมูลให้อ่านง่าย
-    const formattedLogs = result.rows.map(log => {
-      const clockInDate = new Date(new Date(log.clock_in).getTime() + (7 * 60 * 60 * 1000));
-      const clockOutDate = log.clock_out ? new Date(new Date(log.clock_out).getTime() + (7 * 60 * 60 * 1000)) : null;
-      
-      return {
-        "รหัสพนักงาน": log.emp_code,
-        "ชื่อ-นามสกุล": log.full_name,
-        "ตำแหน่ง": log.position || '',
-        "แผนก": log.department || '',
-        "วันที่เข้างาน": clockInDate.toLocaleDateString('th-TH'),
-        "เวลาเข้างาน": clockInDate.toLocaleTimeString('th-TH'),
-        "วันที่ออกงาน": clockOutDate ? clockOutDate.toLocaleDateString('th-TH') : '',
-        "เวลาออกงาน": clockOutDate ? clockOutDate.toLocaleTimeString('th-TH') : '',
-        "หมายเหตุ": log.note || '',
-        "สถานะ": log.status,
-        "พิกัดเข้า": log.latitude_in && log.longitude_in ? `${log.latitude_in}, ${log.longitude_in}` : '',
-        "พิกัดออก": log.latitude_out && log.longitude_out ? `${log.latitude_out}, ${log.longitude_out}` : ''
-      };
-    });
+    console.log('กู้คืนฐานข้อมูลเรียบร้อย', mode, JSON.stringify(outcome.summary));
     
     res.json({
       success: true,
-      data: formattedLogs,
-      count: formattedLogs.length
+      message: 'กู้คืนข้อมูลเรียบร้อยแล้ว',
+      mode,
+      backup: outcome.backup,
+      summary: outcome.summary,
+      cascade: outcome.cascade
     });
-    
   } catch (error) {
-    console.error('Error exporting time logs:', error);
+    console.error('Error restoring database:', error);
     res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
   }
 });
 
-// ⭐ Admin - Database Backup
-app.get('/api/admin/backup-database', async (req, res) => {
-  console.log('API: admin/backup-database - สำรองข้อมูลฐานข้อมูล');
-  
-  try {
-    const employeesResult = await db.query('SELECT * FROM employees ORDER BY id');
-    const timeLogsResult = await db.query('SELECT * FROM time_logs ORDER BY id');
-    const settingsResult = await db.query('SELECT * FROM settings ORDER BY id');
-    
-    // สร้าง object ข้อมูลสำรอง
-    const backupData = {
-      timestamp: new Date().toISOString(),
-      version: '1.0.0',
-      employees: employeesResult.rows,
-      time_logs: timeLogsResult.rows,
-      settings: settingsResult.rows.filter(s => s.setting_name !== 'admin_password') // ไม่รวมรหัสผ่าน
-    };
-    
-    // แปลงเป็น JSON
-    const backupJSON = JSON.stringify(backupData, null, 2);
-    
-    // ส่งไฟล์ JSON กลับไปยังผู้ใช้
-    res.setHeader('Content-Disposition', `attachment; filename=time_tracker_backup_${new Date().toISOString().split('T')[0]}.json`);
-    res.setHeader('Content-Type', 'application/json');
-    res.send(backupJSON);
-    
-  } catch (error) {
-    console.error('Error backing up database:', error);
-    res.status(500).json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
-  }
-});
-
 // ⭐ Admin - Cleanup APIs
-app.post('/api/admin/cleanup-time-logs', async (req, res) => {
+app.post('/api/admin/cleanup-time-logs', requirePermission('data.cleanup'), async (req, res) => {
   console.log('API: admin/cleanup-time-logs - เคลียร์ข้อมูลประวัติการลงเวลา', req.body);
   
   try {
@@ -2828,12 +9215,12 @@ app.post('/api/admin/cleanup-time-logs', async (req, res) => {
     
     // เงื่อนไขตามช่วงเวลา
     if (date_before) {
-      query += ` AND DATE(t.clock_in) < ${paramIndex++}`;
+      query += ` AND t.work_date < $${paramIndex++}`;
       params.push(date_before);
     }
     
     if (employee_id) {
-      query += ` AND t.employee_id = ${paramIndex++}`;
+      query += ` AND t.employee_id = $${paramIndex++}`;
       params.push(employee_id);
     }
     
@@ -2841,45 +9228,80 @@ app.post('/api/admin/cleanup-time-logs', async (req, res) => {
     if (cleanup_type === 'older_than_6_months') {
       const sixMonthsAgo = new Date();
       sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-      query += ` AND DATE(t.clock_in) < ${paramIndex++}`;
+      query += ` AND t.work_date < $${paramIndex++}`;
       params.push(sixMonthsAgo.toISOString().split('T')[0]);
     } else if (cleanup_type === 'older_than_1_year') {
       const oneYearAgo = new Date();
       oneYearAgo.setFullYear(oneYearAgo.getFullYear() - 1);
-      query += ` AND DATE(t.clock_in) < ${paramIndex++}`;
+      query += ` AND t.work_date < $${paramIndex++}`;
       params.push(oneYearAgo.toISOString().split('T')[0]);
     }
     
-    const dataToDelete = await db.query(query, params);
-    
-    if (dataToDelete.rows.length === 0) {
-      return res.json({ success: false, message: 'ไม่พบข้อมูลที่ตรงเงื่อนไข' });
-    }
-    
-    // ลบข้อมูล
-    const idsToDelete = dataToDelete.rows.map(row => row.id);
-    let deletedCount = 0;
-    
-    // แบ่งเป็นชุดๆ ลบ
-    const batchSize = 1000;
-    for (let i = 0; i < idsToDelete.length; i += batchSize) {
-      const batch = idsToDelete.slice(i, i + batchSize);
-      const placeholders = batch.map((_, idx) => `${idx + 1}`).join(', ');
+    // ค้นหา ตรวจงวดเงินเดือนที่ปิดแล้ว และลบ ใน transaction เดียวกัน
+    const outcome = await db.withTransaction(async (client) => {
+      const dataToDelete = await client.query(query + ' ORDER BY t.id FOR UPDATE OF t', params);
+      
+      if (dataToDelete.rows.length === 0) {
+        return { error: 'ไม่พบข้อมูลที่ตรงเงื่อนไข' };
+      }
       
-      const deleteResult = await db.query(
-        `DELETE FROM time_logs WHERE id IN (${placeholders})`,
-        batch
+      const idsToDelete = dataToDelete.rows.map(row => row.id);
+      
+      // ไม่ลบบันทึกในงวดเงินเดือนที่ปิดแล้ว
+      const lockedResult = await client.query(
+        `SELECT p.name, p.start_date, p.end_date
+         FROM payroll_periods p
+         WHERE p.status = 'closed'
+           AND EXISTS (
+             SELECT 1 FROM time_logs t
+             WHERE t.id = ANY($1::int[]) AND t.work_date BETWEEN p.start_date AND p.end_date
+           )
+         ORDER BY p.start_date
+         LIMIT 1`,
+        [idsToDelete]
       );
+      if (lockedResult.rows.length > 0) {
+        return { error: payrollLockMessage(lockedResult.rows[0]) };
+      }
+      
+      // ลบข้อมูล
+      let deletedCount = 0;
+      
+      // แบ่งเป็นชุดๆ ลบ
+      const batchSize = 1000;
+      for (let i = 0; i < idsToDelete.length; i += batchSize) {
+        const batch = idsToDelete.slice(i, i + batchSize);
+        const placeholders = batch.map((_, idx) => `$${idx + 1}`).join(', ');
+        
+        const deleteResult = await client.query(
+          `DELETE FROM time_logs WHERE id IN (${placeholders})`,
+          batch
+        );
+        
+        deletedCount += deleteResult.rowCount;
+      }
+      
+      // ลบสรุป OT ของวันที่ไม่เหลือบันทึกการลงเวลาแล้ว
+      await client.query(`
+        DELETE FROM daily_overtime d
+        WHERE NOT EXISTS (
+          SELECT 1 FROM time_logs t WHERE t.employee_id = d.employee_id AND t.work_date = d.work_date
+        )
+      `);
       
-      deletedCount += deleteResult.rowCount;
+      return { deletedCount };
+    });
+    
+    if (outcome.error) {
+      return res.json({ success: false, message: outcome.error });
     }
     
-    console.log(`ลบข้อมูลทั้งหมด ${deletedCount} รายการ`);
+    console.log(`ลบข้อมูลทั้งหมด ${outcome.deletedCount} รายการ`);
     
     res.json({
       success: true,
-      message: `ลบข้อมูลเรียบร้อยแล้ว ${deletedCount} รายการ`,
-      deleted_count: deletedCount
+      message: `ลบข้อมูลเรียบร้อยแล้ว ${outcome.deletedCount} รายการ`,
+      deleted_count: outcome.deletedCount
     });
     
   } catch (error) {
@@ -2888,6 +9310,274 @@ app.post('/api/admin/cleanup-time-logs', async (req, res) => {
   }
 });
 
+// ⭐ Admin - ลบพนักงานแบบกลุ่ม
+// เรียกด้วย dry_run: true ก่อนเพื่อดูรายการที่จะถูกลบและรับ confirmation_token
+// ตอนลบจริงจะอ่านรายการใหม่ภายใน transaction ตรวจรหัสยืนยัน แล้วบันทึกข้อมูลสำรองลง data_backups ก่อนลบ
+const BULK_EMPLOYEE_DELETES = {
+  cleanup_inactive_employees: {
+    filter: "e.status IN ('inactive', 'resigned', 'archived')",
+    emptyMessage: 'ไม่พบพนักงานที่ไม่ใช้งาน'
+  },
+  delete_all_employees: {
+    filter: 'TRUE',
+    emptyMessage: 'ไม่พบข้อมูลพนักงาน'
+  }
+};
+
+// ตารางที่ถูกลบตามพนักงาน (ON DELETE CASCADE) เก็บลงข้อมูลสำรองด้วยเพื่อให้กู้คืนได้ครบ
+const EMPLOYEE_CASCADE_TABLES = [
+  'shift_assignments',
+  'daily_overtime',
+  'leave_requests',
+  'daily_attendance',
+  'employee_notifications',
+  'time_correction_requests'
+];
+
+// พนักงานและบันทึกการลงเวลาที่จะถูกลบ
+// ถ้าไม่ลบประวัติการลงเวลา จะข้ามพนักงานที่ยังมีบันทึกการลงเวลาอยู่ (ลบไม่ได้เพราะ foreign key)
+async function loadBulkEmployeeTargets(executor, operation, includeLogs, lock = false) {
+  const employeeResult = await executor.query(
+    `SELECT e.*, EXISTS (SELECT 1 FROM time_logs t WHERE t.employee_id = e.id) AS has_time_logs
+     FROM employees e
+     WHERE ${BULK_EMPLOYEE_DELETES[operation].filter}
+     ORDER BY e.id${lock ? '\n     FOR UPDATE OF e' : ''}`
+  );
+  
+  const employees = [];
+  let skipped = 0;
+  for (const { has_time_logs, ...employee } of employeeResult.rows) {
+    if (has_time_logs && !includeLogs) {
+      skipped++;
+    } else {
+      employees.push(employee);
+    }
+  }
+  
+  const ids = employees.map(employee => employee.id);
+  const logResult = includeLogs && ids.length > 0
+    ? await executor.query('SELECT * FROM time_logs WHERE employee_id = ANY($1::int[]) ORDER BY id', [ids])
+    : { rows: [] };
+  
+  return { employees, timeLogs: logResult.rows, skipped };
+}
+
+// งวดเงินเดือนที่ปิดแล้วซึ่งมีบันทึกการลงเวลาของพนักงานที่จะถูกลบ
+async function findLockedPeriodForEmployees(executor, ids) {
+  const result = await executor.query(
+    `SELECT p.name, p.start_date, p.end_date
+     FROM payroll_periods p
+     WHERE p.status = 'closed'
+       AND EXISTS (
+         SELECT 1 FROM time_logs t
+         WHERE t.employee_id = ANY($1::int[]) AND t.work_date BETWEEN p.start_date AND p.end_date
+       )
+     ORDER BY p.start_date
+     LIMIT 1`,
+    [ids]
+  );
+  
+  return result.rows[0] || null;
+}
+
+async function handleBulkEmployeeDelete(req, res, operation, includeLogs) {
+  const { dry_run, confirmation_token } = req.body;
+  const tokenScope = ({ employees, timeLogs }) => ({
+    operation,
+    adminId: req.admin.id,
+    options: { include_logs: includeLogs },
+    ids: [employees.map(employee => employee.id), timeLogs.length]
+  });
+  
+  if (dry_run === true || dry_run === 'true') {
+    const targets = await loadBulkEmployeeTargets(db, operation, includeLogs);
+    
+    if (targets.employees.length === 0) {
+      const skippedNote = targets.skipped > 0 ? ` (ข้าม ${targets.skipped} คนที่ยังมีประวัติการลงเวลา)` : '';
+      return res.json({ success: false, message: BULK_EMPLOYEE_DELETES[operation].emptyMessage + skippedNote });
+    }
+    
+    const lockedPeriod = includeLogs
+      ? await findLockedPeriodForEmployees(db, targets.employees.map(employee => employee.id))
+      : null;
+    if (lockedPeriod) {
+      return res.json({ success: false, message: payrollLockMessage(lockedPeriod) });
+    }
+    
+    const { token, expiresAt } = createConfirmationToken(tokenScope(targets));
+    
+    return res.json({
+      success: true,
+      dry_run: true,
+      deleted_employees: targets.employees.length,
+      deleted_logs: targets.timeLogs.length,
+      skipped_employees: targets.skipped,
+      export_data: { employees: targets.employees, time_logs: targets.timeLogs },
+      confirmation_token: token,
+      expires_at: expiresAt
+    });
+  }
+  
+  const outcome = await db.withTransaction(async (client) => {
+    const targets = await loadBulkEmployeeTargets(client, operation, includeLogs, true);
+    
+    if (targets.employees.length === 0) {
+      return { error: BULK_EMPLOYEE_DELETES[operation].emptyMessage };
+    }
+    
+    const tokenError = verifyConfirmationToken(confirmation_token, tokenScope(targets));
+    if (tokenError) {
+      return { error: tokenError, code: 'CONFIRMATION_REQUIRED' };
+    }
+    
+    const ids = targets.employees.map(employee => employee.id);
+    const lockedPeriod = includeLogs ? await findLockedPeriodForEmployees(client, ids) : null;
+    if (lockedPeriod) {
+      return { error: payrollLockMessage(lockedPeriod) };
+    }
+    
+    // ข้อมูลสำรองอยู่ใน transaction เดียวกับการลบ (ลบไม่สำเร็จก็ไม่มีข้อมูลสำรองค้าง)
+    const snapshot = {
+      timestamp: new Date().toISOString(),
+      version: BACKUP_VERSION,
+      operation,
+      employees: targets.employees,
+      time_logs: targets.timeLogs
+    };
+    const logIds = targets.timeLogs.map(log => log.id);
+    const breakResult = await client.query(
+      'SELECT * FROM time_log_breaks WHERE time_log_id = ANY($1::int[]) ORDER BY id',
+      [logIds]
+    );
+    snapshot.time_log_breaks = breakResult.rows;
+    for (const table of EMPLOYEE_CASCADE_TABLES) {
+      const result = await client.query(
+        `SELECT * FROM ${table} WHERE employee_id = ANY($1::int[]) ORDER BY id`,
+        [ids]
+      );
+      snapshot[table] = result.rows;
+    }
+    
+    const summary = {
+      employees: targets.employees.length,
+      time_logs: targets.timeLogs.length,
+      include_logs: includeLogs
+    };
+    const backupResult = await client.query(
+      `INSERT INTO data_backups (operation, summary, snapshot, created_by)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [operation, JSON.stringify(summary), JSON.stringify(snapshot), req.admin.username]
+    );
+    const backupId = backupResult.rows[0].id;
+    
+    const logDeleteResult = includeLogs
+      ? await client.query('DELETE FROM time_logs WHERE employee_id = ANY($1::int[])', [ids])
+      : { rowCount: 0 };
+    const employeeDeleteResult = await client.query('DELETE FROM employees WHERE id = ANY($1::int[])', [ids]);
+    
+    await recordAudit(req, {
+      action: 'bulk_delete',
+      entityType: 'employee',
+      entityId: null,
+      before: {
+        operation,
+        employees: targets.employees.map(({ id, emp_code, full_name }) => ({ id, emp_code, full_name })),
+        time_logs: targets.timeLogs.length
+      },
+      after: { backup_id: backupId }
+    }, client);
+    
+    return {
+      targets,
+      backupId,
+      deletedEmployees: employeeDeleteResult.rowCount,
+      deletedLogs: logDeleteResult.rowCount
+    };
+  });
+  
+  if (outcome.error) {
+    return res.json({ success: false, code: outcome.code, message: outcome.error });
+  }
+  
+  // ล้าง cache
+  clearEmployeeCache();
+  
+  console.log(`ลบพนักงาน ${outcome.deletedEmployees} คน บันทึกการลงเวลา ${outcome.deletedLogs} รายการ (สำรองข้อมูล #${outcome.backupId})`);
+  
+  res.json({
+    success: true,
+    message: `ลบข้อมูลเรียบร้อยแล้ว (สำรองข้อมูลอัตโนมัติ #${outcome.backupId})`,
+    deleted_employees: outcome.deletedEmployees,
+    deleted_logs: outcome.deletedLogs,
+    deleted_count: outcome.deletedEmployees,
+    skipped_employees: outcome.targets.skipped,
+    backup_id: outcome.backupId,
+    export_data: { employees: outcome.targets.employees, time_logs: outcome.targets.timeLogs }
+  });
+}
+
+app.post('/api/admin/cleanup-inactive-employees', requirePermission('data.cleanup'), async (req, res) => {
+  console.log('API: admin/cleanup-inactive-employees - เคลียร์ข้อมูลพนักงานที่ไม่ใช้งาน', req.body);
+  
+  try {
+    const includeLogs = req.body.include_logs === true || req.body.include_logs === 'true';
+    await handleBulkEmployeeDelete(req, res, 'cleanup_inactive_employees', includeLogs);
+  } catch (error) {
+    console.error('Error cleaning up inactive employees:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ลบพนักงานทุกคนพร้อมประวัติการลงเวลา
+app.post('/api/admin/delete-all-employees', requirePermission('data.cleanup'), async (req, res) => {
+  console.log('API: admin/delete-all-employees - ลบพนักงานทั้งหมด', req.body);
+  
+  try {
+    await handleBulkEmployeeDelete(req, res, 'delete_all_employees', true);
+  } catch (error) {
+    console.error('Error deleting all employees:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+// ⭐ Admin - ข้อมูลสำรองอัตโนมัติก่อนลบข้อมูลแบบกลุ่ม
+app.get('/api/admin/data-backups', requirePermission('data.backup'), async (req, res) => {
+  console.log('API: admin/data-backups - รายการข้อมูลสำรองอัตโนมัติ');
+  
+  try {
+    const result = await db.query(
+      `SELECT id, operation, summary, created_by, created_at
+       FROM data_backups
+       ORDER BY created_at DESC, id DESC
+       LIMIT 100`
+    );
+    
+    res.json({ success: true, backups: result.rows });
+  } catch (error) {
+    console.error('Error getting data backups:', error);
+    res.json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
+app.get('/api/admin/data-backups/:id/download', requirePermission('data.backup'), async (req, res) => {
+  console.log('API: admin/data-backups/:id/download - ดาวน์โหลดข้อมูลสำรอง', req.params);
+  
+  try {
+    const result = await db.query('SELECT id, snapshot FROM data_backups WHERE id = $1', [req.params.id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'ไม่พบข้อมูลสำรอง' });
+    }
+    
+    res.setHeader('Content-Disposition', `attachment; filename=time_tracker_backup_${result.rows[0].id}.json`);
+    res.setHeader('Content-Type', 'application/json');
+    res.send(JSON.stringify(result.rows[0].snapshot, null, 2));
+  } catch (error) {
+    console.error('Error downloading data backup:', error);
+    res.status(500).json({ success: false, message: 'เกิดข้อผิดพลาด: ' + error.message });
+  }
+});
+
 // server.js - Mobile Time Tracker Server (ส่วนที่ 8/8)
 // Graceful Shutdown และ Server Start
 
@@ -3075,9 +9765,6 @@ if (process.env.NODE_ENV === 'production') {
     process.exit(1);
   }
   
-  // Set production optimizations
-  app.set('trust proxy', 1); // Trust first proxy
-  
   console.log('✅ Production environment verified');
   console.log('🔒 Security features enabled');
   console.log('⚡ Performance optimizations active');
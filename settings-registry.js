@@ -0,0 +1,217 @@
+// settings-registry.js - ทะเบียนการตั้งค่าทั้งหมดของระบบ
+//
+// visibility:
+//   'public'  - ส่งให้ client (PWA) ได้ผ่าน /api/mobile/batch และ /api/mobile/config
+//   'private' - ใช้เฉพาะฝั่งเซิร์ฟเวอร์และหน้าแอดมินเท่านั้น
+
+const SETTINGS_REGISTRY = {
+  organization_name: {
+    default: 'องค์การบริหารส่วนตำบลหัวนา',
+    description: 'ชื่อหน่วยงาน',
+    visibility: 'public'
+  },
+  timezone: {
+    default: 'Asia/Bangkok',
+    description: 'เขตเวลาของหน่วยงาน (ใช้กำหนดวันทำงาน)',
+    visibility: 'public'
+  },
+  work_start_time: {
+    default: '08:30',
+    description: 'เวลาเริ่มงาน',
+    visibility: 'public'
+  },
+  work_end_time: {
+    default: '16:30',
+    description: 'เวลาเลิกงาน',
+    visibility: 'public'
+  },
+  work_days: {
+    default: '1,2,3,4,5',
+    description: 'วันทำงานปกติเมื่อพนักงานไม่มีกะ (0=อาทิตย์ ... 6=เสาร์)',
+    visibility: 'public'
+  },
+  max_shift_hours: {
+    default: '16',
+    description: 'ระยะเวลากะสูงสุด (ชั่วโมง) ที่ยังลงเวลาออกได้นับจากเวลาเข้างาน',
+    visibility: 'private'
+  },
+  grace_period_minutes: {
+    default: '0',
+    description: 'ช่วงผ่อนผันก่อนนับว่ามาสาย/ออกก่อนเวลา (นาที)',
+    visibility: 'public'
+  },
+  attendance_job_time: {
+    default: '01:00',
+    description: 'เวลาที่ระบบบันทึกสถานะการมาทำงานของเมื่อวาน (HH:MM)',
+    visibility: 'private'
+  },
+  missing_clock_out_action: {
+    default: 'flag',
+    description: 'บันทึกที่ไม่ลงเวลาออกเมื่อเลยเวลาที่กำหนด (off=ไม่ทำอะไร, flag=ทำเครื่องหมายให้ตรวจสอบ, auto_close=ลงเวลาออกตามเวลาเลิกกะ)',
+    visibility: 'private'
+  },
+  missing_clock_out_cutoff_minutes: {
+    default: '240',
+    description: 'จำนวนนาทีหลังเวลาเลิกกะที่ถือว่าลืมลงเวลาออก',
+    visibility: 'private'
+  },
+  clock_out_reminder_minutes: {
+    default: '30',
+    description: 'แจ้งเตือนพนักงานที่ยังไม่ลงเวลาออกหลังเวลาเลิกกะกี่นาที (0 = ไม่แจ้งเตือน)',
+    visibility: 'private'
+  },
+  overtime_threshold_minutes: {
+    default: '0',
+    description: 'เวลาทำงานต่อวันก่อนเริ่มนับ OT (นาที, 0 = ตามความยาวกะ)',
+    visibility: 'private'
+  },
+  overtime_minimum_minutes: {
+    default: '30',
+    description: 'OT ขั้นต่ำต่อวันที่นับให้ (นาที)',
+    visibility: 'private'
+  },
+  overtime_rounding_minutes: {
+    default: '15',
+    description: 'ปัดเวลา OT เป็นช่วงละกี่นาที (0 = ไม่ปัด)',
+    visibility: 'private'
+  },
+  overtime_rounding_mode: {
+    default: 'down',
+    description: 'วิธีปัดเวลา OT (down=ปัดลง, nearest=ปัดใกล้สุด, up=ปัดขึ้น)',
+    visibility: 'private'
+  },
+  overtime_multiplier_workday: {
+    default: '1.5',
+    description: 'อัตราคูณ OT วันทำงาน',
+    visibility: 'private'
+  },
+  overtime_multiplier_weekend: {
+    default: '2',
+    description: 'อัตราคูณ OT วันหยุดประจำสัปดาห์',
+    visibility: 'private'
+  },
+  overtime_multiplier_holiday: {
+    default: '3',
+    description: 'อัตราคูณ OT วันหยุดนักขัตฤกษ์',
+    visibility: 'private'
+  },
+  payroll_monthly_divisor_days: {
+    default: '30',
+    description: 'จำนวนวันต่อเดือนที่ใช้คิดค่าจ้างรายวันของพนักงานรายเดือน',
+    visibility: 'private'
+  },
+  payroll_daily_hours: {
+    default: '8',
+    description: 'จำนวนชั่วโมงทำงานต่อวันที่ใช้คิดค่าจ้างรายชั่วโมง',
+    visibility: 'private'
+  },
+  payroll_late_deduction: {
+    default: 'per_minute',
+    description: 'การหักเงินเมื่อมาสาย (per_minute=หักตามนาทีที่สาย, none=ไม่หัก)',
+    visibility: 'private'
+  },
+  payroll_absent_deduction: {
+    default: 'daily_rate',
+    description: 'การหักเงินพนักงานรายเดือนเมื่อขาดงาน (daily_rate=หักวันละค่าจ้างรายวัน, none=ไม่หัก)',
+    visibility: 'private'
+  },
+  payroll_file_format: {
+    default: 'csv',
+    description: 'รูปแบบไฟล์เงินเดือนเริ่มต้น (csv, fixed_width)',
+    visibility: 'private'
+  },
+  payroll_company_account: {
+    default: '',
+    description: 'เลขที่บัญชีธนาคารของหน่วยงาน (ใช้ในไฟล์โอนเงินเดือน)',
+    visibility: 'private'
+  },
+  allowed_ip: {
+    default: '',
+    description: 'IP Address หรือ CIDR ที่อนุญาตให้ลงเวลา (ว่าง = ทุก IP)',
+    visibility: 'private'
+  },
+  allowed_ip_by_department: {
+    default: '{}',
+    description: 'IP ที่อนุญาตแยกตามแผนก (JSON: {"ชื่อแผนก": "IP/CIDR, ..."}) ใช้แทน allowed_ip',
+    visibility: 'private'
+  },
+  telegram_bot_token: {
+    default: '',
+    description: 'Token สำหรับ Telegram Bot',
+    visibility: 'private'
+  },
+  telegram_groups: {
+    default: '[{"name":"กลุ่มหลัก","chat_id":"","active":true}]',
+    description: 'กลุ่มรับการแจ้งเตือน Telegram',
+    visibility: 'private'
+  },
+  notify_clock_in: {
+    default: '1',
+    description: 'แจ้งเตือนเมื่อลงเวลาเข้า',
+    visibility: 'private'
+  },
+  notify_clock_out: {
+    default: '1',
+    description: 'แจ้งเตือนเมื่อลงเวลาออก',
+    visibility: 'private'
+  },
+  liff_id: {
+    default: '2001032478-VR5Akj0k',
+    description: 'LINE LIFF ID',
+    visibility: 'public'
+  },
+  time_offset: {
+    default: '420',
+    description: 'ค่าชดเชยเวลา (นาที)',
+    visibility: 'public'
+  },
+  gas_web_app_url: {
+    default: 'https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec',
+    description: 'URL ของ Google Apps Script Web App',
+    visibility: 'private'
+  },
+  use_gas_for_telegram: {
+    default: '1',
+    description: 'ใช้ Google Apps Script สำหรับส่งข้อความไป Telegram (1=ใช้, 0=ไม่ใช้)',
+    visibility: 'private'
+  },
+  mobile_app_version: {
+    default: '1.0.0',
+    description: 'เวอร์ชันของ Mobile App',
+    visibility: 'public'
+  },
+  enable_offline_mode: {
+    default: '1',
+    description: 'เปิดใช้งาน Offline Mode',
+    visibility: 'public'
+  },
+  require_location: {
+    default: '1',
+    description: 'บังคับใช้ตำแหน่ง GPS',
+    visibility: 'public'
+  },
+  geofence_policy: {
+    default: 'flag',
+    description: 'การลงเวลานอกพื้นที่สถานที่ทำงาน (flag=บันทึกและทำเครื่องหมาย, reject=ไม่อนุญาต)',
+    visibility: 'private'
+  }
+};
+
+function getSettingDefault(name) {
+  return SETTINGS_REGISTRY[name] ? SETTINGS_REGISTRY[name].default : null;
+}
+
+function isPublicSetting(name) {
+  return !!SETTINGS_REGISTRY[name] && SETTINGS_REGISTRY[name].visibility === 'public';
+}
+
+function getPublicSettingNames() {
+  return Object.keys(SETTINGS_REGISTRY).filter(isPublicSetting);
+}
+
+module.exports = {
+  SETTINGS_REGISTRY,
+  getSettingDefault,
+  isPublicSetting,
+  getPublicSettingNames
+};
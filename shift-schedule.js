@@ -0,0 +1,127 @@
+// shift-schedule.js - หากะการทำงานของพนักงานในแต่ละวันจากการมอบหมายกะ (shift_assignments)
+//
+// ลำดับความสำคัญ: กะที่มอบหมายให้พนักงานโดยตรง > กะของแผนก > เวลาทำงานจากการตั้งค่าระบบ
+// วันหยุดนักขัตฤกษ์ (holidays) เป็นวันไม่ทำงานเสมอ ไม่ว่ากะจะกำหนดไว้อย่างไร
+
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+// แปลง '1,2,3' หรือ array เป็นรายการวันในสัปดาห์ (0 = อาทิตย์ ... 6 = เสาร์)
+function parseDaysOfWeek(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const days = list
+    .map(day => parseInt(day))
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+// วันในสัปดาห์ของวันที่รูปแบบ YYYY-MM-DD
+function weekdayOf(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value.substring(0, 10);
+
+  // คอลัมน์ DATE ที่ pg อ่านมาเป็นเที่ยงคืนตามเวลาเครื่อง
+  const year = value.getFullYear();
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function coversDate(assignment, date) {
+  const from = toDateString(assignment.effective_from);
+  const to = toDateString(assignment.effective_to);
+  return from <= date && (!to || to >= date);
+}
+
+// เลือกการมอบหมายกะที่มีผลกับพนักงานในวันที่กำหนด
+function pickAssignment(assignments, employee, date) {
+  const candidates = assignments.filter(assignment =>
+    coversDate(assignment, date) &&
+    (assignment.employee_id === employee.id ||
+      (!assignment.employee_id && assignment.department && assignment.department === employee.department))
+  );
+
+  candidates.sort((a, b) => {
+    const aDirect = a.employee_id ? 1 : 0;
+    const bDirect = b.employee_id ? 1 : 0;
+    if (aDirect !== bDirect) return bDirect - aDirect;
+
+    const aFrom = toDateString(a.effective_from);
+    const bFrom = toDateString(b.effective_from);
+    if (aFrom !== bFrom) return aFrom < bFrom ? 1 : -1;
+
+    return b.id - a.id;
+  });
+
+  return candidates[0] || null;
+}
+
+// สร้างตารางเวลาของวัน: { source, shift_id, name, start_time, end_time, break_minutes, working_day }
+function buildSchedule(assignment, defaults, date) {
+  if (assignment) {
+    const days = parseDaysOfWeek(assignment.days_of_week);
+    return {
+      source: assignment.employee_id ? 'employee' : 'department',
+      assignment_id: assignment.id,
+      shift_id: assignment.shift_id,
+      name: assignment.shift_name,
+      color: assignment.color || null,
+      start_time: assignment.start_time,
+      end_time: assignment.end_time,
+      break_minutes: parseInt(assignment.break_minutes) || 0,
+      working_day: days.includes(weekdayOf(date))
+    };
+  }
+
+  const workDays = parseDaysOfWeek(defaults.work_days);
+  return {
+    source: 'default',
+    assignment_id: null,
+    shift_id: null,
+    name: 'เวลาทำงานปกติ',
+    color: null,
+    start_time: defaults.work_start_time,
+    end_time: defaults.work_end_time,
+    break_minutes: 0,
+    working_day: (workDays.length > 0 ? workDays : DEFAULT_WORK_DAYS).includes(weekdayOf(date))
+  };
+}
+
+// holidays: Map ของวันที่ (YYYY-MM-DD) -> ชื่อวันหยุด
+function resolveSchedule(assignments, employee, date, defaults, holidays = null) {
+  const schedule = buildSchedule(pickAssignment(assignments, employee, date), defaults, date);
+  const holiday = holidays ? holidays.get(date) || null : null;
+
+  return {
+    ...schedule,
+    holiday,
+    working_day: schedule.working_day && !holiday
+  };
+}
+
+// รายการวันที่ทั้งหมดในเดือน (month รูปแบบ YYYY-MM)
+function datesInMonth(month) {
+  const [year, monthIndex] = month.split('-').map(part => parseInt(part));
+  const days = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  const dates = [];
+
+  for (let day = 1; day <= days; day++) {
+    dates.push(`${month}-${String(day).padStart(2, '0')}`);
+  }
+
+  return dates;
+}
+
+module.exports = {
+  parseDaysOfWeek,
+  weekdayOf,
+  toDateString,
+  pickAssignment,
+  buildSchedule,
+  resolveSchedule,
+  datesInMonth
+};
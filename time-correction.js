@@ -0,0 +1,96 @@
+// time-correction.js - คำขอแก้ไขเวลาที่พนักงานยื่นจากแอพ: ตรวจสอบข้อมูลคำขอและรูปภาพประกอบ
+//
+// ประเภทคำขอ: missing_clock_in (ลืมลงเวลาเข้า สร้างบันทึกใหม่), missing_clock_out (ลืมลงเวลาออก),
+//             wrong_time (เวลาเข้า/ออกไม่ถูกต้อง) สองประเภทหลังต้องอ้างอิงบันทึกการลงเวลาเดิม
+// เวลาทั้งหมดเป็น Date ของเวลาจริง (แปลงจากค่าในฐานข้อมูลด้วย fromDbTimestamp แล้ว)
+
+const CORRECTION_TYPES = ['missing_clock_in', 'missing_clock_out', 'wrong_time'];
+const MAX_REASON_LENGTH = 500;
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// แยกรูปภาพจาก data URL (data:image/jpeg;base64,...) คืน { mimeType, data } หรือ { error }
+function parsePhotoDataUrl(dataUrl) {
+  const match = /^data:([\w/+.-]+);base64,([A-Za-z0-9+/=\s]+)$/.exec(String(dataUrl || ''));
+  if (!match || !PHOTO_MIME_TYPES.includes(match[1])) {
+    return { error: 'รูปภาพต้องเป็นไฟล์ JPEG, PNG หรือ WebP' };
+  }
+
+  const data = Buffer.from(match[2], 'base64');
+  if (data.length === 0) {
+    return { error: 'ไฟล์รูปภาพไม่ถูกต้อง' };
+  }
+  if (data.length > MAX_PHOTO_BYTES) {
+    return { error: `รูปภาพต้องมีขนาดไม่เกิน ${MAX_PHOTO_BYTES / (1024 * 1024)} MB` };
+  }
+
+  return { mimeType: match[1], data };
+}
+
+// เวลาเข้า/ออกหลังแก้ไขตามคำขอ (ค่าที่ไม่ได้ขอแก้ไขใช้ค่าเดิมของบันทึก)
+function resolveCorrectedTimes({ requestType, timeLog = null, clockIn = null, clockOut = null }) {
+  if (requestType === 'missing_clock_in' || !timeLog) {
+    return { clockIn, clockOut };
+  }
+
+  return {
+    clockIn: clockIn || timeLog.clock_in,
+    clockOut: clockOut || timeLog.clock_out || null
+  };
+}
+
+// ตรวจสอบข้อมูลคำขอแก้ไขเวลา คืนข้อความผิดพลาดหรือ null
+// timeLog = { clock_in, clock_out, status } ของบันทึกที่อ้างอิง
+function validateCorrectionRequest({ requestType, timeLog = null, clockIn = null, clockOut = null, reason, now = new Date(), maxShiftHours = 24 }) {
+  if (!CORRECTION_TYPES.includes(requestType)) {
+    return 'ประเภทคำขอแก้ไขเวลาไม่ถูกต้อง';
+  }
+
+  const trimmedReason = String(reason || '').trim();
+  if (!trimmedReason) {
+    return 'กรุณาระบุเหตุผล';
+  }
+  if (trimmedReason.length > MAX_REASON_LENGTH) {
+    return `เหตุผลต้องไม่เกิน ${MAX_REASON_LENGTH} ตัวอักษร`;
+  }
+
+  if (requestType === 'missing_clock_in') {
+    if (!clockIn) return 'กรุณาระบุเวลาเข้างาน';
+  } else {
+    if (!timeLog) return 'กรุณาเลือกบันทึกการลงเวลาที่ต้องการแก้ไข';
+
+    // บันทึกที่ระบบลงเวลาออกให้อัตโนมัติยังขอแก้ไขเวลาออกได้
+    if (requestType === 'missing_clock_out') {
+      if (timeLog.clock_out && timeLog.status !== 'auto_closed') return 'บันทึกนี้มีเวลาออกแล้ว';
+      if (!clockOut) return 'กรุณาระบุเวลาออกงาน';
+    }
+
+    if (requestType === 'wrong_time' && !clockIn && !clockOut) {
+      return 'กรุณาระบุเวลาเข้าหรือเวลาออกที่ถูกต้อง';
+    }
+  }
+
+  const times = resolveCorrectedTimes({ requestType, timeLog, clockIn, clockOut });
+  if (times.clockIn > now || (times.clockOut && times.clockOut > now)) {
+    return 'เวลาที่ขอแก้ไขต้องไม่เกินเวลาปัจจุบัน';
+  }
+
+  if (times.clockOut) {
+    if (times.clockOut <= times.clockIn) {
+      return 'เวลาออกต้องหลังเวลาเข้า';
+    }
+    if (times.clockOut - times.clockIn > maxShiftHours * 60 * 60 * 1000) {
+      return `ช่วงเวลาทำงานต้องไม่เกิน ${maxShiftHours} ชั่วโมง`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  CORRECTION_TYPES,
+  MAX_REASON_LENGTH,
+  parsePhotoDataUrl,
+  resolveCorrectedTimes,
+  validateCorrectionRequest
+};
@@ -0,0 +1,213 @@
+// time-log-export.js - ส่งออกบันทึกการลงเวลาเป็นไฟล์ CSV (UTF-8 มี BOM ให้ Excel อ่านภาษาไทยได้) หรือ XLSX
+//
+// คอลัมน์ที่เลือกได้อยู่ใน EXPORT_COLUMNS (key ใช้เลือกผ่าน API, label เป็นหัวคอลัมน์ในไฟล์)
+// รูปแบบไฟล์ (layout): single = ตารางเดียว, per_employee = XLSX หนึ่งชีตต่อพนักงาน,
+//                     summary = ชีตสรุปรายพนักงานตามด้วยชีตรายละเอียด (CSV มีเฉพาะตารางสรุป)
+// ข้อมูลถูกเขียนลง stream ทีละชุดตามลำดับรหัสพนักงาน จึงไม่ต้องสร้างไฟล์ทั้งไฟล์ในหน่วยความจำ
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { DEFAULT_TIME_ZONE, formatThaiDate, formatThaiTime } = require('./work-time');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_LAYOUTS = ['single', 'per_employee', 'summary'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const DAY_TYPE_LABELS = { workday: 'วันทำงาน', weekend: 'วันหยุด', holiday: 'วันหยุดนักขัตฤกษ์' };
+const MAX_SHEET_NAME_LENGTH = 31;
+
+function toHours(minutes) {
+  return Math.round((Number(minutes) || 0) / 60 * 100) / 100;
+}
+
+// สรุป OT เป็นรายวัน จึงแสดงเฉพาะบันทึกแรกของวัน
+function daySummary(log) {
+  return log.day_type && log.first_of_day ? log : null;
+}
+
+function formatCoordinates(latitude, longitude) {
+  return latitude && longitude ? `${latitude}, ${longitude}` : '';
+}
+
+const EXPORT_COLUMNS = [
+  { key: 'emp_code', label: 'รหัสพนักงาน', width: 14, value: log => log.emp_code },
+  { key: 'full_name', label: 'ชื่อ-นามสกุล', width: 28, value: log => log.full_name },
+  { key: 'position', label: 'ตำแหน่ง', width: 20, value: log => log.position || '' },
+  { key: 'department', label: 'แผนก', width: 20, value: log => log.department || '' },
+  { key: 'work_date', label: 'วันทำงาน', width: 12, value: log => log.work_date ? new Date(log.work_date).toLocaleDateString('th-TH') : '' },
+  { key: 'clock_in_date', label: 'วันที่เข้างาน', width: 12, value: (log, timeZone) => formatThaiDate(log.clock_in, timeZone) },
+  { key: 'clock_in_time', label: 'เวลาเข้างาน', width: 10, value: (log, timeZone) => formatThaiTime(log.clock_in, timeZone) },
+  { key: 'clock_out_date', label: 'วันที่ออกงาน', width: 12, value: (log, timeZone) => log.clock_out ? formatThaiDate(log.clock_out, timeZone) : '' },
+  { key: 'clock_out_time', label: 'เวลาออกงาน', width: 10, value: (log, timeZone) => log.clock_out ? formatThaiTime(log.clock_out, timeZone) : '' },
+  { key: 'break_minutes', label: 'เวลาพัก (นาที)', width: 12, value: log => log.break_minutes || 0 },
+  { key: 'day_type', label: 'ประเภทวัน', width: 16, value: log => daySummary(log) ? DAY_TYPE_LABELS[log.day_type] || log.day_type : '' },
+  { key: 'regular_hours', label: 'ชั่วโมงปกติ', width: 12, value: log => daySummary(log) ? toHours(log.regular_minutes) : '' },
+  { key: 'overtime_hours', label: 'OT วันทำงาน (ชม.)', width: 14, value: log => daySummary(log) ? toHours(log.day_overtime_minutes) : '' },
+  { key: 'weekend_overtime_hours', label: 'OT วันหยุด (ชม.)', width: 14, value: log => daySummary(log) ? toHours(log.weekend_overtime_minutes) : '' },
+  { key: 'holiday_overtime_hours', label: 'OT วันหยุดนักขัตฤกษ์ (ชม.)', width: 18, value: log => daySummary(log) ? toHours(log.holiday_overtime_minutes) : '' },
+  { key: 'weighted_overtime_hours', label: 'OT คิดตามอัตราคูณ (ชม.)', width: 18, value: log => daySummary(log) ? toHours(log.weighted_overtime_minutes) : '' },
+  { key: 'note', label: 'หมายเหตุ', width: 30, value: log => log.note || '' },
+  { key: 'status', label: 'สถานะ', width: 12, value: log => log.status },
+  { key: 'location_in', label: 'พิกัดเข้า', width: 24, value: log => formatCoordinates(log.latitude_in, log.longitude_in) },
+  { key: 'location_out', label: 'พิกัดออก', width: 24, value: log => formatCoordinates(log.latitude_out, log.longitude_out) }
+];
+
+const SUMMARY_COLUMNS = [
+  { key: 'emp_code', label: 'รหัสพนักงาน', width: 14, value: row => row.emp_code },
+  { key: 'full_name', label: 'ชื่อ-นามสกุล', width: 28, value: row => row.full_name },
+  { key: 'position', label: 'ตำแหน่ง', width: 20, value: row => row.position || '' },
+  { key: 'department', label: 'แผนก', width: 20, value: row => row.department || '' },
+  { key: 'work_days', label: 'จำนวนวันทำงาน', width: 14, value: row => Number(row.work_days) },
+  { key: 'log_count', label: 'จำนวนบันทึก', width: 12, value: row => Number(row.log_count) },
+  { key: 'worked_hours', label: 'ชั่วโมงทำงานรวม', width: 14, value: row => toHours(row.worked_minutes) },
+  { key: 'regular_hours', label: 'ชั่วโมงปกติ', width: 12, value: row => toHours(row.regular_minutes) },
+  { key: 'late_count', label: 'มาสาย (ครั้ง)', width: 12, value: row => Number(row.late_count) },
+  { key: 'late_minutes', label: 'มาสายรวม (นาที)', width: 14, value: row => Number(row.late_minutes) },
+  { key: 'early_leave_minutes', label: 'ออกก่อนเวลารวม (นาที)', width: 18, value: row => Number(row.early_leave_minutes) },
+  { key: 'overtime_hours', label: 'OT วันทำงาน (ชม.)', width: 14, value: row => toHours(row.overtime_minutes) },
+  { key: 'weekend_overtime_hours', label: 'OT วันหยุด (ชม.)', width: 14, value: row => toHours(row.weekend_overtime_minutes) },
+  { key: 'holiday_overtime_hours', label: 'OT วันหยุดนักขัตฤกษ์ (ชม.)', width: 18, value: row => toHours(row.holiday_overtime_minutes) },
+  { key: 'weighted_overtime_hours', label: 'OT คิดตามอัตราคูณ (ชม.)', width: 18, value: row => toHours(row.weighted_overtime_minutes) }
+];
+
+// คอลัมน์ตามลำดับที่ขอ (array หรือข้อความคั่นด้วย ,) ไม่ระบุ = ทุกคอลัมน์ คืน { columns } หรือ { error }
+function resolveExportColumns(keys) {
+  const requested = Array.isArray(keys)
+    ? keys
+    : String(keys || '').split(',');
+  const selected = [...new Set(requested.map(key => String(key).trim()).filter(Boolean))];
+
+  if (selected.length === 0) {
+    return { columns: EXPORT_COLUMNS };
+  }
+
+  const unknown = selected.filter(key => !EXPORT_COLUMNS.some(column => column.key === key));
+  if (unknown.length > 0) {
+    return { error: `ไม่รู้จักคอลัมน์: ${unknown.join(', ')}` };
+  }
+
+  return { columns: selected.map(key => EXPORT_COLUMNS.find(column => column.key === key)) };
+}
+
+function csvValue(value) {
+  return `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+}
+
+function csvLine(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+// ชื่อชีตของ Excel ยาวไม่เกิน 31 ตัวอักษร ห้ามมี []:*?/\ และห้ามซ้ำกัน
+function uniqueSheetName(name, usedNames) {
+  const base = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+  let sheetName = base;
+  let counter = 2;
+
+  while (usedNames.has(sheetName.toLowerCase())) {
+    const suffix = ` (${counter++})`;
+    sheetName = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+}
+
+// เขียนข้อมูลถัดไปเมื่อ stream ปลายทางรับข้อมูลเดิมหมดแล้ว
+async function waitForDrain(stream) {
+  if (stream.writableNeedDrain) {
+    await once(stream, 'drain');
+  }
+}
+
+function createCsvWriter(stream, { columns, timeZone }) {
+  let headerWritten = false;
+
+  return {
+    async writeSummary(rows) {
+      stream.write('\uFEFF' + csvLine(SUMMARY_COLUMNS.map(column => column.label)));
+      stream.write(rows.map(row => csvLine(SUMMARY_COLUMNS.map(column => column.value(row)))).join(''));
+      await waitForDrain(stream);
+    },
+
+    async writeLogs(logs) {
+      if (!headerWritten) {
+        stream.write('\uFEFF' + csvLine(columns.map(column => column.label)));
+        headerWritten = true;
+      }
+      stream.write(logs.map(log => csvLine(columns.map(column => column.value(log, timeZone)))).join(''));
+      await waitForDrain(stream);
+    },
+
+    async finish() {
+      stream.end();
+    }
+  };
+}
+
+function createXlsxWriter(stream, { layout, columns, timeZone }) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const usedNames = new Set();
+  let sheet = null;
+  let currentSheetKey = null;
+
+  function startSheet(name, sheetColumns) {
+    if (sheet) sheet.commit();
+
+    sheet = workbook.addWorksheet(uniqueSheetName(name, usedNames), {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = sheetColumns.map(column => ({ header: column.label, key: column.key, width: column.width }));
+    sheet.getRow(1).font = { bold: true };
+  }
+
+  return {
+    async writeSummary(rows) {
+      startSheet('สรุป', SUMMARY_COLUMNS);
+      rows.forEach(row => {
+        sheet.addRow(SUMMARY_COLUMNS.map(column => column.value(row))).commit();
+      });
+      await waitForDrain(stream);
+    },
+
+    async writeLogs(logs) {
+      logs.forEach(log => {
+        const sheetKey = layout === 'per_employee' ? log.emp_code : '';
+        if (sheetKey !== currentSheetKey) {
+          startSheet(layout === 'per_employee' ? `${log.emp_code} ${log.full_name}` : 'บันทึกการลงเวลา', columns);
+          currentSheetKey = sheetKey;
+        }
+        sheet.addRow(columns.map(column => column.value(log, timeZone))).commit();
+      });
+      await waitForDrain(stream);
+    },
+
+    async finish() {
+      if (sheet) sheet.commit();
+      await workbook.commit();
+    }
+  };
+}
+
+// ตัวเขียนไฟล์ส่งออก: writeSummary(rows) หนึ่งครั้ง (เฉพาะ layout summary) แล้ว writeLogs(logs) ทีละชุด และ finish()
+// วันที่/เวลาเข้า-ออกแสดงตามเขตเวลาของหน่วยงาน (timeZone)
+function createExportWriter(format, stream, { layout = 'single', columns = EXPORT_COLUMNS, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  return format === 'xlsx'
+    ? createXlsxWriter(stream, { layout, columns, timeZone })
+    : createCsvWriter(stream, { columns, timeZone });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+  EXPORT_COLUMNS,
+  SUMMARY_COLUMNS,
+  CONTENT_TYPES,
+  resolveExportColumns,
+  csvLine,
+  uniqueSheetName,
+  createExportWriter
+};
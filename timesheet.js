@@ -0,0 +1,339 @@
+// timesheet.js - ใบลงเวลารายเดือนของพนักงาน: ตารางรายวัน ยอดรวม และการแสดงผลเป็น HTML/PDF สำหรับพิมพ์
+//
+// ข้อมูลรายวันมาจากสถานะการมาทำงาน (getAttendance) และหมายเหตุของบันทึกการลงเวลา
+// วันที่ทั้งหมดแสดงเป็นภาษาไทยแบบพุทธศักราช
+// PDF ต้องใช้ฟอนต์ภาษาไทย (TTF) กำหนดด้วย PDF_FONT_PATH หรือวางไว้ที่ fonts/THSarabunNew.ttf
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+const THAI_MONTHS = [
+  'มกราคม', 'กุมภาพันธ์', 'มีนาคม', 'เมษายน', 'พฤษภาคม', 'มิถุนายน',
+  'กรกฎาคม', 'สิงหาคม', 'กันยายน', 'ตุลาคม', 'พฤศจิกายน', 'ธันวาคม'
+];
+const THAI_WEEKDAYS = ['อา.', 'จ.', 'อ.', 'พ.', 'พฤ.', 'ศ.', 'ส.'];
+
+const STATUS_LABELS = {
+  present: 'มาทำงาน',
+  late: 'มาสาย',
+  absent: 'ขาดงาน',
+  on_leave: 'ลา',
+  holiday: 'วันหยุด',
+  incomplete: 'ไม่ลงเวลาออก'
+};
+const HALF_DAY_LABELS = { morning: 'ครึ่งเช้า', afternoon: 'ครึ่งบ่าย' };
+
+const THAI_FONT_PATHS = [
+  process.env.PDF_FONT_PATH,
+  path.join(__dirname, 'fonts', 'THSarabunNew.ttf'),
+  '/usr/share/fonts/truetype/tlwg/Garuda.ttf',
+  '/usr/share/fonts/truetype/tlwg/Loma.ttf'
+];
+
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month, day, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+}
+
+// YYYY-MM-DD เป็น "5 มกราคม 2568"
+function formatThaiDate(date) {
+  const { year, month, day } = parseDate(date);
+  return `${day} ${THAI_MONTHS[month - 1]} ${year + 543}`;
+}
+
+// YYYY-MM เป็น "มกราคม 2568"
+function formatThaiMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${THAI_MONTHS[monthNumber - 1]} ${year + 543}`;
+}
+
+// นาทีเป็นชั่วโมงแบบ H:MM (0 นาทีเป็นค่าว่าง)
+function formatHours(minutes) {
+  if (!minutes) return '';
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// ⭐ ตารางรายวันและยอดรวมของเดือน
+// attendance = ผลจาก getAttendance ของพนักงานคนเดียว, notes = { 'YYYY-MM-DD': ['หมายเหตุ', ...] }
+function buildTimesheet({ employee, month, dates, attendance, notes = {}, today }) {
+  const recordsByDate = new Map(attendance.map(record => [record.work_date, record]));
+  const totals = {
+    work_days: 0,
+    late_days: 0,
+    absent_days: 0,
+    leave_days: 0,
+    holidays: 0,
+    late_minutes: 0,
+    early_leave_minutes: 0,
+    worked_minutes: 0
+  };
+
+  const days = dates.map(date => {
+    const { day, weekday } = parseDate(date);
+    const record = recordsByDate.get(date);
+    const dayNotes = [];
+
+    if (!record) {
+      // วันที่ผ่านมาแล้วแต่ไม่มีสถานะ คือวันหยุดตามตารางเวลาทำงาน
+      if (date < today) dayNotes.push('วันหยุดประจำสัปดาห์');
+      return {
+        work_date: date,
+        day,
+        weekday: THAI_WEEKDAYS[weekday],
+        day_off: date < today,
+        status: null,
+        status_label: '',
+        clock_in: '',
+        clock_out: '',
+        worked_minutes: 0,
+        worked_hours: '',
+        late_minutes: 0,
+        leave: '',
+        notes: dayNotes.concat(notes[date] || []).join(', ')
+      };
+    }
+
+    const lateMinutes = parseInt(record.late_minutes) || 0;
+    const workedMinutes = parseInt(record.worked_minutes) || 0;
+
+    if (['present', 'late', 'incomplete'].includes(record.status)) totals.work_days++;
+    if (lateMinutes > 0) totals.late_days++;
+    if (record.status === 'absent') totals.absent_days++;
+    if (record.status === 'holiday') totals.holidays++;
+    if (record.leave_type_name) totals.leave_days += record.half_day ? 0.5 : 1;
+    totals.late_minutes += lateMinutes;
+    totals.early_leave_minutes += parseInt(record.early_leave_minutes) || 0;
+    totals.worked_minutes += workedMinutes;
+
+    if (record.holiday_name) dayNotes.push(record.holiday_name);
+    if (['absent', 'incomplete'].includes(record.status)) dayNotes.push(STATUS_LABELS[record.status]);
+    if (parseInt(record.early_leave_minutes) > 0) dayNotes.push(`ออกก่อน ${record.early_leave_minutes} นาที`);
+
+    return {
+      work_date: date,
+      day,
+      weekday: THAI_WEEKDAYS[weekday],
+      day_off: record.status === 'holiday',
+      status: record.status,
+      status_label: STATUS_LABELS[record.status] || '',
+      clock_in: record.clock_in_time || '',
+      clock_out: record.clock_out_time || '',
+      worked_minutes: workedMinutes,
+      worked_hours: formatHours(workedMinutes),
+      late_minutes: lateMinutes,
+      leave: record.leave_type_name
+        ? record.leave_type_name + (record.half_day ? ` (${HALF_DAY_LABELS[record.half_day]})` : '')
+        : '',
+      notes: dayNotes.concat(notes[date] || []).join(', ')
+    };
+  });
+
+  return {
+    employee,
+    month,
+    month_label: formatThaiMonth(month),
+    days,
+    totals: { ...totals, worked_hours: formatHours(totals.worked_minutes) }
+  };
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function signatureLines(timesheet) {
+  return [
+    { title: 'พนักงาน', name: timesheet.employee.full_name },
+    { title: 'ผู้บังคับบัญชา', name: '' },
+    { title: 'เจ้าหน้าที่ฝ่ายบุคคล', name: '' }
+  ];
+}
+
+function employeeLine(employee) {
+  return [
+    `ชื่อ-นามสกุล ${employee.full_name}`,
+    `รหัส ${employee.emp_code}`,
+    employee.position ? `ตำแหน่ง ${employee.position}` : null,
+    employee.department ? `แผนก ${employee.department}` : null
+  ].filter(Boolean).join('   ');
+}
+
+function totalsLine(totals) {
+  return `มาทำงาน ${totals.work_days} วัน   มาสาย ${totals.late_days} ครั้ง (${totals.late_minutes} นาที)   ` +
+    `ขาดงาน ${totals.absent_days} วัน   ลา ${totals.leave_days} วัน   ชั่วโมงทำงานรวม ${totals.worked_hours || '0:00'}`;
+}
+
+// ⭐ HTML สำหรับเปิดในเบราว์เซอร์แล้วสั่งพิมพ์ (ขนาด A4)
+function renderTimesheetHtml(timesheet, { organizationName, printedDate }) {
+  const rows = timesheet.days.map(day => `
+        <tr class="${day.day_off ? 'day-off' : ''}">
+          <td>${day.weekday} ${day.day}</td>
+          <td>${escapeHtml(day.clock_in)}</td>
+          <td>${escapeHtml(day.clock_out)}</td>
+          <td>${day.worked_hours}</td>
+          <td>${day.late_minutes || ''}</td>
+          <td>${escapeHtml(day.leave)}</td>
+          <td class="notes">${escapeHtml(day.notes)}</td>
+        </tr>`).join('');
+
+  const signatures = signatureLines(timesheet).map(signature => `
+      <div class="signature">
+        <div>ลงชื่อ ..........................................</div>
+        <div>(${escapeHtml(signature.name) || '..........................................'})</div>
+        <div>${signature.title}</div>
+        <div>วันที่ ........../........../..........</div>
+      </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="th">
+<head>
+  <meta charset="UTF-8">
+  <title>ใบลงเวลา ${escapeHtml(timesheet.employee.full_name)} ${timesheet.month_label}</title>
+  <style>
+    @page { size: A4; margin: 12mm; }
+    body { font-family: 'Sarabun', 'TH Sarabun New', Tahoma, sans-serif; font-size: 13px; color: #000; }
+    h1, h2 { text-align: center; margin: 0 0 4px; }
+    h1 { font-size: 18px; }
+    h2 { font-size: 15px; font-weight: normal; }
+    .employee { margin: 10px 0 6px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #000; padding: 2px 4px; text-align: center; }
+    th { background: #eee; }
+    td.notes { text-align: left; }
+    tr.day-off td { background: #f2f2f2; }
+    .totals { margin: 8px 0 32px; font-weight: bold; }
+    .signatures { display: flex; justify-content: space-between; }
+    .signature { text-align: center; line-height: 2; }
+    .printed { margin-top: 16px; font-size: 11px; color: #555; }
+    .no-print { text-align: right; margin-bottom: 8px; }
+    @media print { .no-print { display: none; } }
+  </style>
+</head>
+<body>
+  <div class="no-print"><button onclick="window.print()">พิมพ์</button></div>
+  <h1>${escapeHtml(organizationName)}</h1>
+  <h2>ใบลงเวลาปฏิบัติงานประจำเดือน ${timesheet.month_label}</h2>
+  <div class="employee">${escapeHtml(employeeLine(timesheet.employee))}</div>
+  <table>
+    <thead>
+      <tr>
+        <th>วันที่</th>
+        <th>เวลาเข้า</th>
+        <th>เวลาออก</th>
+        <th>ชั่วโมงทำงาน</th>
+        <th>สาย (นาที)</th>
+        <th>การลา</th>
+        <th>หมายเหตุ</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <div class="totals">${escapeHtml(totalsLine(timesheet.totals))}</div>
+  <div class="signatures">${signatures}
+  </div>
+  <div class="printed">พิมพ์เมื่อ ${formatThaiDate(printedDate)}</div>
+</body>
+</html>`;
+}
+
+// ฟอนต์ภาษาไทยตัวแรกที่พบ (null ถ้าไม่มี)
+function findThaiFont() {
+  return THAI_FONT_PATHS.find(fontPath => fontPath && fs.existsSync(fontPath)) || null;
+}
+
+// ⭐ เขียนใบลงเวลาเป็น PDF (A4) ลง stream เช่น response ของ express
+function writeTimesheetPdf(timesheet, stream, { organizationName, printedDate, fontPath }) {
+  const doc = new PDFDocument({ size: 'A4', margin: 36 });
+  doc.pipe(stream);
+  doc.registerFont('thai', fontPath);
+  doc.font('thai');
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+
+  doc.fontSize(16).text(organizationName, { align: 'center' });
+  doc.fontSize(13).text(`ใบลงเวลาปฏิบัติงานประจำเดือน ${timesheet.month_label}`, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(11).text(employeeLine(timesheet.employee), left);
+  doc.moveDown(0.5);
+
+  const columns = [
+    { title: 'วันที่', width: 50, value: day => `${day.weekday} ${day.day}` },
+    { title: 'เวลาเข้า', width: 55, value: day => day.clock_in },
+    { title: 'เวลาออก', width: 55, value: day => day.clock_out },
+    { title: 'ชั่วโมงทำงาน', width: 60, value: day => day.worked_hours },
+    { title: 'สาย (นาที)', width: 50, value: day => (day.late_minutes ? String(day.late_minutes) : '') },
+    { title: 'การลา', width: 85, value: day => day.leave }
+  ];
+  columns.push({
+    title: 'หมายเหตุ',
+    width: width - columns.reduce((total, column) => total + column.width, 0),
+    value: day => day.notes,
+    align: 'left'
+  });
+
+  const rowHeight = 16;
+  const drawRow = (values, y, { header = false, shaded = false } = {}) => {
+    let x = left;
+    if (header || shaded) {
+      doc.rect(left, y, width, rowHeight).fill(header ? '#e6e6e6' : '#f2f2f2').fillColor('#000');
+    }
+    columns.forEach((column, index) => {
+      doc.rect(x, y, column.width, rowHeight).stroke();
+      doc.text(values[index] || '', x + 3, y + 3, {
+        width: column.width - 6,
+        height: rowHeight - 4,
+        align: header ? 'center' : (column.align || 'center'),
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += column.width;
+    });
+  };
+
+  doc.fontSize(10).lineWidth(0.5);
+  let y = doc.y;
+  drawRow(columns.map(column => column.title), y, { header: true });
+  timesheet.days.forEach(day => {
+    y += rowHeight;
+    drawRow(columns.map(column => column.value(day)), y, { shaded: day.day_off });
+  });
+
+  doc.fontSize(11).text(totalsLine(timesheet.totals), left, y + rowHeight + 8, { width });
+
+  // ช่องลงชื่อ 3 คอลัมน์
+  const signatureY = y + rowHeight + 48;
+  const signatureWidth = width / 3;
+  signatureLines(timesheet).forEach((signature, index) => {
+    const x = left + signatureWidth * index;
+    const lines = [
+      'ลงชื่อ ..................................',
+      `(${signature.name || '..................................'})`,
+      signature.title,
+      'วันที่ ......./......./.......'
+    ];
+    lines.forEach((line, lineIndex) => {
+      doc.text(line, x, signatureY + lineIndex * 16, { width: signatureWidth, align: 'center' });
+    });
+  });
+
+  doc.fontSize(9).fillColor('#555')
+    .text(`พิมพ์เมื่อ ${formatThaiDate(printedDate)}`, left, signatureY + 72, { width });
+
+  doc.end();
+}
+
+module.exports = {
+  formatThaiDate,
+  formatThaiMonth,
+  buildTimesheet,
+  renderTimesheetHtml,
+  findThaiFont,
+  writeTimesheetPdf
+};
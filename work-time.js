@@ -0,0 +1,186 @@
+// work-time.js - คำนวณการมาสาย/ออกก่อนเวลาเทียบกับเวลาเข้า-ออกงาน
+
+// ค่าเวลาในฐานข้อมูลเป็น UTC ส่วนเวลาทำงานและวันทำงานคิดตามเขตเวลาของหน่วยงาน (การตั้งค่า timezone)
+const DEFAULT_TIME_ZONE = 'Asia/Bangkok';
+const MINUTES_PER_DAY = 24 * 60;
+
+const localFormatters = new Map();
+
+function getLocalFormatter(timeZone) {
+  if (!localFormatters.has(timeZone)) {
+    localFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  return localFormatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+
+  try {
+    getLocalFormatter(String(timeZone));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// แปลง 'HH:MM' เป็นจำนวนนาทีนับจากเที่ยงคืน (คืน null ถ้ารูปแบบไม่ถูกต้อง)
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+// วันที่ (YYYY-MM-DD) และนาทีของวันตามเวลาท้องถิ่นของเขตเวลาที่กำหนด
+function toLocalParts(timestamp, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = {};
+  getLocalFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+// เลื่อนวันที่รูปแบบ YYYY-MM-DD ไป n วัน
+function addDays(date, days) {
+  const value = new Date(`${date}T00:00:00Z`);
+  value.setUTCDate(value.getUTCDate() + days);
+  return value.toISOString().split('T')[0];
+}
+
+// นาทีนับจากเที่ยงคืนของวันทำงาน (เกิน 1440 เมื่อเป็นเวลาหลังเที่ยงคืนของวันถัดไป)
+function minutesFromWorkDate(timestamp, workDate, timeZone = DEFAULT_TIME_ZONE) {
+  const local = toLocalParts(timestamp, timeZone);
+  const dayOffset = Math.round(
+    (new Date(`${local.date}T00:00:00Z`) - new Date(`${workDate}T00:00:00Z`)) / (MINUTES_PER_DAY * 60000)
+  );
+
+  return dayOffset * MINUTES_PER_DAY + local.minutes;
+}
+
+// เวลาจริงของนาทีที่กำหนดนับจากเที่ยงคืนของวันทำงาน (กลับด้านกับ minutesFromWorkDate)
+function timestampFromWorkDate(workDate, minutes, timeZone = DEFAULT_TIME_ZONE) {
+  let timestamp = new Date(`${workDate}T00:00:00Z`).getTime() + minutes * 60000;
+
+  // ปรับตามส่วนต่างของเขตเวลา รอบที่สองเผื่อช่วงเปลี่ยนเวลาออมแสง
+  for (let i = 0; i < 2; i++) {
+    timestamp += (minutes - minutesFromWorkDate(timestamp, workDate, timeZone)) * 60000;
+  }
+
+  return new Date(timestamp);
+}
+
+// กะข้ามคืน: เวลาเลิกงานไม่เกินเวลาเข้างาน เช่น 22:00 - 06:00
+function isOvernightShift(startTime, endTime) {
+  const start = parseTimeOfDay(startTime);
+  const end = parseTimeOfDay(endTime);
+  return start !== null && end !== null && end <= start;
+}
+
+// เวลาเลิกกะเป็นนาทีนับจากเที่ยงคืนของวันทำงาน (กะข้ามคืนเกิน 1440)
+function shiftEndMinutes(startTime, endTime) {
+  const end = parseTimeOfDay(endTime);
+  if (end === null) return null;
+
+  return isOvernightShift(startTime, endTime) ? end + MINUTES_PER_DAY : end;
+}
+
+// pg อ่านคอลัมน์ TIMESTAMP (เก็บเป็น UTC) เป็นเวลาท้องถิ่นของเซิร์ฟเวอร์ จึงต้องตีความกลับเป็น UTC
+function fromDbTimestamp(value) {
+  if (!(value instanceof Date)) return value ? new Date(value) : null;
+
+  return new Date(Date.UTC(
+    value.getFullYear(), value.getMonth(), value.getDate(),
+    value.getHours(), value.getMinutes(), value.getSeconds(), value.getMilliseconds()
+  ));
+}
+
+// ค่าเวลา (Date ที่อ่านจาก pg หรือ ISO string) เป็นวันที่/เวลาภาษาไทยตามเขตเวลาของหน่วยงาน
+function formatThaiDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  return fromDbTimestamp(value).toLocaleDateString('th-TH', { timeZone });
+}
+
+function formatThaiTime(value, timeZone = DEFAULT_TIME_ZONE, options = {}) {
+  return fromDbTimestamp(value).toLocaleTimeString('th-TH', { timeZone, ...options });
+}
+
+function parseGraceMinutes(value) {
+  const grace = parseInt(value);
+  return Number.isFinite(grace) && grace > 0 ? grace : 0;
+}
+
+// นาทีที่มาสาย/ออกก่อนเวลา/ทำงานเกินเวลา เทียบกับกะของวันทำงาน (รองรับกะข้ามคืน)
+// ถ้าไม่เกินช่วงผ่อนผันนับเป็น 0 ถ้าเกินนับเต็มจำนวน
+function calculateShiftMinutes({ clockIn, clockOut = null, workDate, startTime, endTime, graceMinutes = 0, timeZone = DEFAULT_TIME_ZONE }) {
+  const start = parseTimeOfDay(startTime);
+  const end = parseTimeOfDay(endTime);
+  const grace = parseGraceMinutes(graceMinutes);
+  const result = { lateMinutes: null, earlyLeaveMinutes: null, overtimeMinutes: null };
+
+  if (start === null || end === null || !clockIn) return result;
+
+  const scheduledEnd = shiftEndMinutes(startTime, endTime);
+  const late = minutesFromWorkDate(clockIn, workDate, timeZone) - start;
+  result.lateMinutes = late > grace ? late : 0;
+
+  if (clockOut) {
+    const out = minutesFromWorkDate(clockOut, workDate, timeZone);
+    const early = scheduledEnd - out;
+    result.earlyLeaveMinutes = early > grace ? early : 0;
+    result.overtimeMinutes = Math.max(0, out - scheduledEnd);
+  }
+
+  return result;
+}
+
+// นาทีที่ทำงานทั้งหมดระหว่างเข้า-ออก หักเวลาพัก
+function calculateWorkedMinutes(clockIn, clockOut, breakMinutes = 0) {
+  if (!clockIn || !clockOut) return null;
+
+  const worked = Math.floor((new Date(clockOut) - new Date(clockIn)) / 60000) - (parseInt(breakMinutes) || 0);
+  return Math.max(0, worked);
+}
+
+// ข้อความสั้นๆ เช่น "1 ชั่วโมง 5 นาที" สำหรับแสดงผล/แจ้งเตือน
+function formatMinutes(totalMinutes) {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours === 0) return `${minutes} นาที`;
+  return minutes === 0 ? `${hours} ชั่วโมง` : `${hours} ชั่วโมง ${minutes} นาที`;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  parseTimeOfDay,
+  toLocalParts,
+  addDays,
+  minutesFromWorkDate,
+  timestampFromWorkDate,
+  isOvernightShift,
+  shiftEndMinutes,
+  fromDbTimestamp,
+  formatThaiDate,
+  formatThaiTime,
+  calculateShiftMinutes,
+  calculateWorkedMinutes,
+  formatMinutes
+};
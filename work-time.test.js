@@ -0,0 +1,99 @@
+const {
+  parseTimeOfDay,
+  toLocalParts,
+  addDays,
+  minutesFromWorkDate,
+  timestampFromWorkDate,
+  shiftEndMinutes,
+  calculateShiftMinutes,
+  calculateWorkedMinutes,
+  formatMinutes,
+  formatThaiDate,
+  formatThaiTime
+} = require('./work-time');
+
+describe('parseTimeOfDay', () => {
+  test('แปลงเวลาเป็นนาที', () => {
+    expect(parseTimeOfDay('08:30')).toBe(510);
+    expect(parseTimeOfDay('8:05:59')).toBe(485);
+  });
+
+  test('รูปแบบไม่ถูกต้อง', () => {
+    expect(parseTimeOfDay('24:00')).toBeNull();
+    expect(parseTimeOfDay('abc')).toBeNull();
+  });
+});
+
+describe('วันที่และเวลาท้องถิ่น', () => {
+  test('เวลา UTC ตอนเย็นเป็นวันถัดไปในเขตเวลาไทย', () => {
+    expect(toLocalParts('2025-01-01T17:30:00Z', 'Asia/Bangkok')).toEqual({ date: '2025-01-02', minutes: 30 });
+  });
+
+  test('addDays ข้ามเดือนและปีอธิกสุรทิน', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2025-01-01', -1)).toBe('2024-12-31');
+  });
+
+  test('นาทีหลังเที่ยงคืนของวันทำงานเกิน 1440', () => {
+    expect(minutesFromWorkDate('2025-01-06T23:30:00Z', '2025-01-06')).toBe(1440 + 390);
+  });
+
+  test('timestampFromWorkDate กลับด้านกับ minutesFromWorkDate', () => {
+    expect(timestampFromWorkDate('2025-01-06', 480).toISOString()).toBe('2025-01-06T01:00:00.000Z');
+  });
+
+  test('แสดงวันที่/เวลาตามเขตเวลาที่ตั้งค่า', () => {
+    expect(formatThaiTime('2025-01-06T17:05:00Z', 'Asia/Bangkok', { hour: '2-digit', minute: '2-digit' })).toBe('00:05');
+    expect(formatThaiDate('2025-01-06T17:05:00Z', 'Asia/Bangkok')).toBe('7/1/2568');
+    expect(formatThaiDate('2025-01-06T17:05:00Z', 'UTC')).toBe('6/1/2568');
+  });
+});
+
+describe('calculateShiftMinutes', () => {
+  const shift = { workDate: '2025-01-06', startTime: '08:00', endTime: '17:00' };
+
+  test('มาสายเกินช่วงผ่อนผันนับเต็มจำนวน', () => {
+    expect(calculateShiftMinutes({ ...shift, clockIn: '2025-01-06T01:10:00Z', graceMinutes: 5 }).lateMinutes).toBe(10);
+    expect(calculateShiftMinutes({ ...shift, clockIn: '2025-01-06T01:10:00Z', graceMinutes: 15 }).lateMinutes).toBe(0);
+  });
+
+  test('ออกก่อนเวลาและทำงานเกินเวลา', () => {
+    const early = calculateShiftMinutes({ ...shift, clockIn: '2025-01-06T01:00:00Z', clockOut: '2025-01-06T09:30:00Z' });
+    const late = calculateShiftMinutes({ ...shift, clockIn: '2025-01-06T01:00:00Z', clockOut: '2025-01-06T10:30:00Z' });
+
+    expect(early).toEqual({ lateMinutes: 0, earlyLeaveMinutes: 30, overtimeMinutes: 0 });
+    expect(late).toEqual({ lateMinutes: 0, earlyLeaveMinutes: 0, overtimeMinutes: 30 });
+  });
+
+  test('กะข้ามคืน', () => {
+    const result = calculateShiftMinutes({
+      workDate: '2025-01-06',
+      startTime: '22:00',
+      endTime: '06:00',
+      clockIn: '2025-01-06T15:00:00Z',
+      clockOut: '2025-01-06T23:30:00Z'
+    });
+
+    expect(shiftEndMinutes('22:00', '06:00')).toBe(1800);
+    expect(result).toEqual({ lateMinutes: 0, earlyLeaveMinutes: 0, overtimeMinutes: 30 });
+  });
+
+  test('ไม่มีกะหรือเวลาเข้า', () => {
+    expect(calculateShiftMinutes({ ...shift, startTime: null, clockIn: '2025-01-06T01:00:00Z' }))
+      .toEqual({ lateMinutes: null, earlyLeaveMinutes: null, overtimeMinutes: null });
+  });
+});
+
+describe('calculateWorkedMinutes / formatMinutes', () => {
+  test('หักเวลาพักและไม่ติดลบ', () => {
+    expect(calculateWorkedMinutes('2025-01-06T01:00:00Z', '2025-01-06T10:00:00Z', 60)).toBe(480);
+    expect(calculateWorkedMinutes('2025-01-06T01:00:00Z', '2025-01-06T01:30:00Z', 60)).toBe(0);
+    expect(calculateWorkedMinutes('2025-01-06T01:00:00Z', null)).toBeNull();
+  });
+
+  test('ข้อความระยะเวลา', () => {
+    expect(formatMinutes(45)).toBe('45 นาที');
+    expect(formatMinutes(120)).toBe('2 ชั่วโมง');
+    expect(formatMinutes(65)).toBe('1 ชั่วโมง 5 นาที');
+  });
+});